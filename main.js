@@ -22,6 +22,7 @@ const { ProjectService } = require('./src/application/ProjectService.js');
 const { FileService } = require('./src/main/services/fileService.js');
 const { MenuManager } = require('./src/main/services/menuManager.js');
 const { NodeDetectionService } = require('./src/main/services/nodeDetectionService.js');
+const { SettingsService } = require('./src/main/services/settingsService.js');
 const { createIpcRegistry } = require('./src/ipc/index.js');
 
 // Initialize modular logging system
@@ -35,6 +36,7 @@ let projectService;
 let fileService;
 let menuManager;
 let nodeDetectionService;
+let settingsService;
 let ipcRegistry;
 
 // Application state
@@ -104,6 +106,14 @@ async function initializeServices() {
     });
     logger.info('✅ Node.js detection service initialized');
 
+    // Initialize settings service
+    logger.info('⚙️ Initializing settings service...');
+    settingsService = new SettingsService({
+      logger,
+      databaseManager
+    });
+    logger.info('✅ Settings service initialized');
+
     // Initialize IPC registry
     logger.info('🔌 Initializing IPC registry...');
     ipcRegistry = createIpcRegistry({
@@ -112,7 +122,8 @@ async function initializeServices() {
       windowManager,
       projectService,
       fileService,
-      nodeDetectionService
+      nodeDetectionService,
+      settingsService
     });
     ipcRegistry.registerIpcHandlers();
     logger.info('✅ IPC registry initialized');
@@ -417,6 +428,7 @@ function getServices() {
     projectService,
     fileService,
     menuManager,
+    settingsService,
     ipcRegistry,
     appTracker,
     logger
@@ -439,6 +451,7 @@ function getApplicationStatus() {
       projectService: !!projectService,
       fileService: !!fileService,
       menuManager: !!menuManager,
+      settingsService: !!settingsService,
       ipcRegistry: !!ipcRegistry
     }
   };
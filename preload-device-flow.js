@@ -0,0 +1,11 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sign-in window API: only what the device flow page needs (the window runs sandboxed)
+contextBridge.exposeInMainWorld('deviceFlowAPI', {
+  getState: () => ipcRenderer.invoke('device-flow:get-state'),
+  onState: (callback) => ipcRenderer.on('device-flow:state', (event, state) => callback(state)),
+  copyCode: () => ipcRenderer.invoke('device-flow:copy-code'),
+  openBrowser: () => ipcRenderer.invoke('device-flow:open-browser'),
+  restart: () => ipcRenderer.invoke('device-flow:restart'),
+  cancel: () => ipcRenderer.invoke('device-flow:cancel')
+});
@@ -13,12 +13,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   removeProject: (projectId) => ipcRenderer.invoke('remove-project', projectId),
   checkProjectExists: (folderPath) => ipcRenderer.invoke('checkProjectExists', folderPath),
   getFolderInfo: (folderPath) => ipcRenderer.invoke('getFolderInfo', folderPath),
+  listSiteTemplates: () => ipcRenderer.invoke('site-templates:list'),
+  createSiteFromTemplate: (options) => ipcRenderer.invoke('site-templates:create', options),
+  listRepositoryOwners: () => ipcRenderer.invoke('repositories:list-owners'),
+  listRepositories: (options) => ipcRenderer.invoke('repositories:list', options),
   startProjectCreation: (projectId, projectPath, githubUrl, isExistingGitRepo = false, isEmptyFolder = false) =>
     ipcRenderer.invoke('start-project-creation', projectId, projectPath, githubUrl, isExistingGitRepo, isEmptyFolder),
   reopenProject: (projectId, projectPath, githubUrl, repoFolderName) => ipcRenderer.invoke('reopen-project', projectId, projectPath, githubUrl, repoFolderName),
   openProjectOnlyPreviewAndServer: (projectId, projectPath, githubUrl, repoFolderName) => ipcRenderer.invoke('open-project-only-preview-and-server', projectId, projectPath, githubUrl, repoFolderName),
   cancelProjectCreation: (projectId, projectPath, repoFolderName, shouldDeleteFiles = false) =>
     ipcRenderer.invoke('cancel-project-creation', projectId, projectPath, repoFolderName, shouldDeleteFiles),
+  getProjectCreationCheckpoints: (projectId) => ipcRenderer.invoke('get-project-creation-checkpoints', projectId),
 
   onCommandOutput: (callback) => ipcRenderer.on('command-output', (event, ...args) => callback(...args)),
   onCommandStatus: (callback) => ipcRenderer.on('command-status', (event, ...args) => callback(...args)),
@@ -31,7 +36,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   loadBrowserViewUrl: (viewName, url) => ipcRenderer.invoke('load-browser-view-url', viewName, url),
   setBrowserViewVisibility: (viewName, visible) => ipcRenderer.invoke('set-browser-view-visibility', viewName, visible),
   setAllBrowserViewVisibility: (visible) => ipcRenderer.invoke('set-all-browser-view-visibility', visible),
-  getDevServerUrlFromMain: () => ipcRenderer.invoke('get-dev-server-url-from-main'),
+  getDevServerUrlFromMain: (projectId) => ipcRenderer.invoke('get-dev-server-url-from-main', projectId),
   captureBrowserViewPage: (viewName) => ipcRenderer.invoke('capture-browser-view-page', viewName),
   browserViewGoBack: (viewName) => ipcRenderer.invoke('browser-view-go-back', viewName),
   browserViewReload: (viewName) => ipcRenderer.invoke('browser-view-reload', viewName),
@@ -41,19 +46,44 @@ contextBridge.exposeInMainWorld('electronAPI', {
   closeAndReopenToIndex: () => ipcRenderer.invoke('close-and-reopen-to-index'),
   onBrowserViewLoaded: (callback) => ipcRenderer.on('browser-view-loaded', (event, payload) => callback(payload)),
   onBrowserViewNavigated: (callback) => ipcRenderer.on('browser-view-navigated', (event, payload) => callback(payload)),
+  setScrollSync: (enabled) => ipcRenderer.invoke('set-scroll-sync', enabled),
+  openCmsEntry: (entry) => ipcRenderer.invoke('cms:open-entry', entry),
+  checkLinks: (options) => ipcRenderer.invoke('link-check:run', options),
+  onLinkCheckProgress: (callback) => ipcRenderer.on('link-check:progress', (event, progress) => callback(progress)),
+  onSlugRefactorProposed: (callback) => ipcRenderer.on('slug-refactor:proposed', (event, proposal) => callback(proposal)),
+  applySlugRefactor: (options) => ipcRenderer.invoke('slug-refactor:apply', options),
+  dismissSlugRefactor: () => ipcRenderer.invoke('slug-refactor:dismiss'),
+  resolvePreviewUrl: (route) => ipcRenderer.invoke('cms:resolve-preview-url', route),
+  onPreviewEntryOpened: (callback) => ipcRenderer.on('preview:entry-opened', (event, entry) => callback(entry)),
   confirmExitApp: () => ipcRenderer.invoke('confirm-exit-app'),
   onShowExitConfirmation: (callback) => ipcRenderer.on('show-exit-confirmation', callback),
   onAppExiting: (callback) => ipcRenderer.on('app-exiting', callback),
   sendExitConfirmationResponse: (confirmed) => ipcRenderer.send('exit-confirmation-response', confirmed),
   // GitHub authentication functions
   checkGitHubAuth: () => ipcRenderer.invoke('checkGitHubAuth'),
-  authenticateWithGitHub: () => ipcRenderer.invoke('authenticateWithGitHub'),
-  continueGitHubAuth: (deviceCode, interval) => ipcRenderer.invoke('continueGitHubAuth', deviceCode, interval),
+  authenticateWithGitHub: (hostConfig) => ipcRenderer.invoke('authenticateWithGitHub', hostConfig),
+  continueGitHubAuth: (deviceCode, interval, hostConfig) => ipcRenderer.invoke('continueGitHubAuth', deviceCode, interval, hostConfig),
   completeWelcomeSetup: () => ipcRenderer.invoke('completeWelcomeSetup'),
-  logoutFromGitHub: () => ipcRenderer.invoke('logoutFromGitHub'),
+  logoutFromGitHub: (accountId) => ipcRenderer.invoke('logoutFromGitHub', accountId),
   writeToClipboard: (text) => ipcRenderer.invoke('writeToClipboard', text),
   getUserInfo: () => ipcRenderer.invoke('user:get-info'),
   updateUserInfo: (data) => ipcRenderer.invoke('user:update-info', data),
+  listGitHubAccounts: () => ipcRenderer.invoke('github-accounts:list'),
+  addGitHostAccount: (credentials) => ipcRenderer.invoke('git-hosts:add-account', credentials),
+  setActiveGitHubAccount: (accountId) => ipcRenderer.invoke('github-accounts:set-active', accountId),
+  getProjectGitHubAccount: (projectId) => ipcRenderer.invoke('project:get-github-account', projectId),
+  setProjectGitHubAccount: (projectId, accountId) => ipcRenderer.invoke('project:set-github-account', projectId, accountId),
+  getProjectMediaSettings: (projectId) => ipcRenderer.invoke('project:get-media-settings', projectId),
+  setProjectMediaSettings: (projectId, partial) => ipcRenderer.invoke('project:set-media-settings', projectId, partial),
+  getTokenHealth: () => ipcRenderer.invoke('auth:get-token-health'),
+  checkTokenHealth: () => ipcRenderer.invoke('auth:check-token-health'),
+  reauthenticateAccount: (accountId) => ipcRenderer.invoke('auth:reauthenticate', accountId),
+  onTokenHealth: (callback) => ipcRenderer.on('auth:token-health', (event, payload) => callback(payload)),
+  // Settings functions
+  getSettings: () => ipcRenderer.invoke('settings:get'),
+  setSettings: (partial) => ipcRenderer.invoke('settings:set', partial),
+  resetSettings: () => ipcRenderer.invoke('settings:reset'),
+  onSettingsChanged: (callback) => ipcRenderer.on('settings:changed', (event, payload) => callback(payload)),
   // Node.js detection and installation functions
   checkNodeInstallation: () => ipcRenderer.invoke('checkNodeInstallation'),
   installNodeDependencies: (options) => ipcRenderer.invoke('installNodeDependencies', options),
@@ -66,15 +96,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Git branch management functions
   listBranches: (projectId) => ipcRenderer.invoke('git:list-branches', projectId),
   createBranch: (projectId, branchName) => ipcRenderer.invoke('git:create-branch', projectId, branchName),
+  saveDraftToWorkingBranch: (projectId, commitMessage, label) => ipcRenderer.invoke('git:save-draft-to-working-branch', projectId, commitMessage, label),
+  listWorkingBranches: (projectId) => ipcRenderer.invoke('git:list-working-branches', projectId),
+  mergeWorkingBranch: (projectId, branchName) => ipcRenderer.invoke('git:merge-working-branch', projectId, branchName),
+  gitLog: (projectId, options) => ipcRenderer.invoke('git:log', projectId, options),
+  onHistoryDeepened: (callback) => ipcRenderer.on('git:history-deepened', (event, payload) => callback(payload)),
+  getCommitDiff: (projectId, oid, filepath) => ipcRenderer.invoke('git:get-commit-diff', projectId, oid, filepath),
   checkoutBranch: (projectId, branchName) => ipcRenderer.invoke('git:checkout-branch', projectId, branchName),
   getCurrentBranch: (projectId) => ipcRenderer.invoke('git:get-current-branch', projectId),
   // Repository information functions
   getRepositoryInfo: (projectId) => ipcRenderer.invoke('git:get-repository-info', projectId),
   // Git pull, push, and status functions
   checkGitStatus: (projectId) => ipcRenderer.invoke('git:check-status', projectId),
-  pullFromPreview: (projectId, commitMessage) => ipcRenderer.invoke('git:pull-from-preview', projectId, commitMessage),
-  pushToBranch: (projectId, targetBranch, commitMessage) => ipcRenderer.invoke('git:push-to-branch', projectId, targetBranch, commitMessage),
+  startAutoPublish: (projectId) => ipcRenderer.invoke('git:auto-publish-start', projectId),
+  stopAutoPublish: (projectId) => ipcRenderer.invoke('git:auto-publish-stop', projectId),
+  getWorkingChanges: (projectId) => ipcRenderer.invoke('git:get-working-changes', projectId),
+  getWorkingFileDiff: (projectId, filepath) => ipcRenderer.invoke('git:get-working-file-diff', projectId, filepath),
+  discardChanges: (projectId, paths) => ipcRenderer.invoke('git:discard-changes', projectId, paths),
+  pullFromPreview: (projectId, commitMessage, paths) => ipcRenderer.invoke('git:pull-from-preview', projectId, commitMessage, paths),
+  pushToBranch: (projectId, targetBranch, commitMessage, paths) => ipcRenderer.invoke('git:push-to-branch', projectId, targetBranch, commitMessage, paths),
   listRemoteBranches: (projectId) => ipcRenderer.invoke('git:list-remote-branches', projectId),
+  getPublishToMainCommits: (projectId) => ipcRenderer.invoke('git:get-publish-to-main-commits', projectId),
+  publishToMain: (projectId, expectedPreviewOid) => ipcRenderer.invoke('git:publish-to-main', projectId, expectedPreviewOid),
+  getMergeConflicts: (projectId) => ipcRenderer.invoke('git:get-merge-conflicts', projectId),
+  resolveMergeConflicts: (projectId, resolutions) => ipcRenderer.invoke('git:resolve-merge-conflicts', projectId, resolutions),
+  abortMerge: (projectId) => ipcRenderer.invoke('git:abort-merge', projectId),
   cancelGitOperation: () => ipcRenderer.invoke('git:cancel-operation'),
   openInFileExplorer: (path) => ipcRenderer.invoke('open-file-explorer', path),
   // Path utility functions
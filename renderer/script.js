@@ -5,6 +5,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   const createProjectButton = document.getElementById('create-project-button');
   const projectNameInput = document.getElementById('project-name');
   const githubUrlInput = document.getElementById('github-url');
+  const cloneDepthSelect = document.getElementById('clone-depth');
 
   // Cross-platform path utility functions
   const PathUtils = {
@@ -106,14 +107,278 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Don't log error if elements don't exist (they may not be on this page)
   }
 
+  // Handle repository picker (browse the repositories of the signed-in account)
+  const browseRepositoriesButton = document.getElementById('browse-repositories-button');
+  const repoPickerModal = document.getElementById('repo-picker-modal');
+  const repoPickerOwner = document.getElementById('repo-picker-owner');
+  const repoPickerSearch = document.getElementById('repo-picker-search');
+  const repoPickerList = document.getElementById('repo-picker-list');
+  const repoPickerMore = document.getElementById('repo-picker-more');
+  const repoPickerLoading = document.getElementById('repo-picker-loading');
+  const repoPickerError = document.getElementById('repo-picker-error');
+  const repoPicker = { page: 0, ownersLoaded: false, requestId: 0, searchTimer: null };
+
+  function showRepoPickerError(message) {
+    repoPickerError.textContent = message || '';
+    repoPickerError.classList.toggle('hidden', !message);
+  }
+
+  function createBadge(text, className) {
+    const badge = document.createElement('span');
+    badge.className = `text-xs px-2 rounded-full ${className}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  function renderRepository(repository) {
+    const item = document.createElement('button');
+    item.className = 'w-full text-left p-3 bg-gray-900 rounded-md hover:bg-gray-700 cursor-pointer';
+
+    const header = document.createElement('div');
+    header.className = 'flex items-center gap-2';
+    const name = document.createElement('span');
+    name.className = 'text-sm font-semibold text-text-dark truncate';
+    name.textContent = repository.fullName;
+    header.appendChild(name);
+    header.appendChild(createBadge(repository.visibility === 'public' ? 'Público' : 'Privado', 'bg-gray-700 text-muted-dark'));
+    if (repository.isDocumentalSite) {
+      header.appendChild(createBadge('Site Documental', 'bg-green-900 text-green-400'));
+    }
+    item.appendChild(header);
+
+    const details = document.createElement('p');
+    details.className = 'text-xs text-muted-dark mt-1 truncate';
+    const pushedAt = repository.pushedAt
+      ? `Último push em ${new Date(repository.pushedAt).toLocaleDateString('pt-BR')}`
+      : 'Sem pushes';
+    details.textContent = repository.description ? `${pushedAt} · ${repository.description}` : pushedAt;
+    item.appendChild(details);
+
+    item.addEventListener('click', () => {
+      githubUrlInput.value = repository.cloneUrl;
+      githubUrlInput.dispatchEvent(new Event('input', { bubbles: true }));
+      if (projectNameInput && !projectNameInput.value) {
+        projectNameInput.value = repository.name;
+        projectNameInput.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+      repoPickerModal.style.display = 'none';
+    });
+    return item;
+  }
+
+  // Load the next page, or the first one when reset is true (owner or search changed)
+  async function loadRepositories(reset) {
+    const requestId = ++repoPicker.requestId;
+    const page = reset ? 1 : repoPicker.page + 1;
+    if (reset) {
+      repoPickerList.innerHTML = '';
+    }
+    showRepoPickerError('');
+    repoPickerMore.classList.add('hidden');
+    repoPickerLoading.classList.remove('hidden');
+    try {
+      const result = await window.electronAPI.listRepositories({
+        owner: repoPickerOwner.value,
+        query: repoPickerSearch.value,
+        page
+      });
+      if (requestId !== repoPicker.requestId) return;
+      if (!result.success) {
+        showRepoPickerError(result.error);
+        return;
+      }
+      repoPicker.page = page;
+      result.repositories.forEach(repository => repoPickerList.appendChild(renderRepository(repository)));
+      if (page === 1 && result.repositories.length === 0) {
+        showRepoPickerError('Nenhum repositório encontrado.');
+      }
+      repoPickerMore.classList.toggle('hidden', !result.hasMore);
+    } catch (error) {
+      console.error('Error listing repositories:', error);
+      if (requestId === repoPicker.requestId) {
+        showRepoPickerError(`Erro ao listar repositórios: ${error.message || error}`);
+      }
+    } finally {
+      if (requestId === repoPicker.requestId) {
+        repoPickerLoading.classList.add('hidden');
+      }
+    }
+  }
+
+  async function loadRepositoryOwners() {
+    if (repoPicker.ownersLoaded) return;
+    const result = await window.electronAPI.listRepositoryOwners();
+    if (!result.success) {
+      showRepoPickerError(result.error);
+      return;
+    }
+    result.owners.forEach(owner => {
+      const option = document.createElement('option');
+      option.value = owner.login;
+      option.textContent = owner.login;
+      repoPickerOwner.appendChild(option);
+    });
+    repoPicker.ownersLoaded = true;
+  }
+
+  if (browseRepositoriesButton && repoPickerModal && window.electronAPI && window.electronAPI.listRepositories) {
+    browseRepositoriesButton.addEventListener('click', async () => {
+      repoPickerModal.style.display = 'flex';
+      repoPickerSearch.focus();
+      try {
+        await loadRepositoryOwners();
+      } catch (error) {
+        console.error('Error listing repository owners:', error);
+      }
+      if (repoPicker.page === 0) {
+        await loadRepositories(true);
+      }
+    });
+    document.getElementById('close-repo-picker').addEventListener('click', () => {
+      repoPickerModal.style.display = 'none';
+    });
+    repoPickerOwner.addEventListener('change', () => loadRepositories(true));
+    repoPickerSearch.addEventListener('input', () => {
+      clearTimeout(repoPicker.searchTimer);
+      repoPicker.searchTimer = setTimeout(() => loadRepositories(true), 400);
+    });
+    repoPickerMore.addEventListener('click', () => loadRepositories(false));
+  }
+
+  // Handle site source (existing repository or new site from a template)
+  const siteSourceInputs = document.querySelectorAll('input[name="site-source"]');
+  const repositorySource = document.getElementById('repository-source');
+  const templateSource = document.getElementById('template-source');
+  const siteTemplateSelect = document.getElementById('site-template');
+  const siteTemplateDescription = document.getElementById('site-template-description');
+  const repoOwnerSelect = document.getElementById('repo-owner');
+  const repoNameInput = document.getElementById('repo-name');
+  const repoDescriptionInput = document.getElementById('repo-description');
+  const templateError = document.getElementById('template-error');
+  let siteTemplates = [];
+  let templateOptionsLoaded = false;
+
+  function isTemplateMode() {
+    const checked = document.querySelector('input[name="site-source"]:checked');
+    return !!checked && checked.value === 'template';
+  }
+
+  function showTemplateError(message) {
+    if (!templateError) return;
+    templateError.textContent = message || '';
+    templateError.classList.toggle('hidden', !message);
+  }
+
+  function updateTemplateDescription() {
+    const template = siteTemplates.find(item => item.id === siteTemplateSelect.value);
+    siteTemplateDescription.textContent = template ? template.description : '';
+  }
+
+  // Load templates and repository owners the first time the template source is chosen
+  async function loadTemplateOptions() {
+    if (templateOptionsLoaded) return;
+    showTemplateError('');
+    try {
+      const templatesResult = await window.electronAPI.listSiteTemplates();
+      siteTemplates = templatesResult.templates || [];
+      siteTemplateSelect.innerHTML = '';
+      siteTemplates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        siteTemplateSelect.appendChild(option);
+      });
+      updateTemplateDescription();
+
+      const ownersResult = await window.electronAPI.listRepositoryOwners();
+      if (!ownersResult.success) {
+        showTemplateError(ownersResult.error);
+        return;
+      }
+      repoOwnerSelect.innerHTML = '';
+      ownersResult.owners.forEach(owner => {
+        const option = document.createElement('option');
+        option.value = owner.login;
+        option.textContent = owner.type === 'Organization' ? `${owner.login} (organização)` : owner.login;
+        repoOwnerSelect.appendChild(option);
+      });
+      templateOptionsLoaded = true;
+    } catch (error) {
+      console.error('Error loading site templates:', error);
+      showTemplateError(`Erro ao carregar modelos: ${error.message || error}`);
+    }
+  }
+
+  if (siteSourceInputs.length > 0 && templateSource && window.electronAPI && window.electronAPI.listSiteTemplates) {
+    siteSourceInputs.forEach(input => {
+      input.addEventListener('change', async () => {
+        const templateMode = isTemplateMode();
+        repositorySource.classList.toggle('hidden', templateMode);
+        templateSource.classList.toggle('hidden', !templateMode);
+        if (templateMode) {
+          await loadTemplateOptions();
+        }
+      });
+    });
+    siteTemplateSelect.addEventListener('change', updateTemplateDescription);
+
+    // Suggest a repository name from the project name
+    if (projectNameInput && repoNameInput) {
+      projectNameInput.addEventListener('input', () => {
+        if (repoNameInput.dataset.edited === 'true') return;
+        repoNameInput.value = projectNameInput.value
+          .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+          .trim().toLowerCase()
+          .replace(/[^a-z0-9._-]+/g, '-')
+          .replace(/^-+|-+$/g, '');
+      });
+      repoNameInput.addEventListener('input', () => {
+        repoNameInput.dataset.edited = 'true';
+      });
+    }
+  }
+
+  // Create the repository from the selected template, returning its clone URL
+  async function createSiteFromTemplate() {
+    const visibility = document.querySelector('input[name="repo-visibility"]:checked');
+    const result = await window.electronAPI.createSiteFromTemplate({
+      templateId: siteTemplateSelect.value,
+      owner: repoOwnerSelect.value,
+      name: repoNameInput.value.trim(),
+      description: repoDescriptionInput ? repoDescriptionInput.value.trim() : '',
+      isPrivate: !visibility || visibility.value === 'private'
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.site.cloneUrl;
+  }
+
   // Handle project creation
   if (createProjectButton && window.electronAPI && window.electronAPI.saveProject) {
     createProjectButton.addEventListener('click', async () => {
+      const templateMode = isTemplateMode();
       const projectName = projectNameInput ? projectNameInput.value : '';
-      const githubUrl = githubUrlInput ? githubUrlInput.value : '';
+      let githubUrl = githubUrlInput ? githubUrlInput.value : '';
       const projectPath = projectPathInput ? projectPathInput.value : '';
 
-      if (!projectName || !githubUrl || !projectPath) {
+      if (templateMode) {
+        if (!projectName || !projectPath || !repoNameInput.value.trim() || !siteTemplateSelect.value || !repoOwnerSelect.value) {
+          alert('Por favor, preencha todos os campos.');
+          return;
+        }
+        try {
+          createProjectButton.disabled = true;
+          showTemplateError('');
+          githubUrl = await createSiteFromTemplate();
+        } catch (error) {
+          console.error('Error creating site from template:', error);
+          showTemplateError(`Erro ao criar o repositório: ${error.message || error}`);
+          return;
+        } finally {
+          createProjectButton.disabled = false;
+        }
+      } else if (!projectName || !githubUrl || !projectPath) {
         alert('Por favor, preencha todos os campos.');
         return;
       }
@@ -131,7 +396,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // Normalize project path before saving
         const normalizedProjectPath = await PathUtils.normalize(projectPath);
-        const projectId = await window.electronAPI.saveProject({ projectName, repoUrl: githubUrl, projectPath: normalizedProjectPath });
+        const projectId = await window.electronAPI.saveProject({
+          projectName,
+          repoUrl: githubUrl,
+          projectPath: normalizedProjectPath,
+          cloneDepth: cloneDepthSelect ? cloneDepthSelect.value : undefined
+        });
         sessionStorage.setItem('currentProjectId', projectId);
         sessionStorage.setItem('isExistingGitRepo', isExistingGitRepo.toString());
         sessionStorage.setItem('isEmptyFolder', isEmptyFolder.toString());
@@ -224,6 +494,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function openRecentProject(projectId) {
     try {
       sessionStorage.setItem('currentProjectId', projectId);
+
+      // A creation that stopped halfway resumes from its last finished step
+      if (window.electronAPI.getProjectCreationCheckpoints) {
+        const { incomplete } = await window.electronAPI.getProjectCreationCheckpoints(projectId);
+        if (incomplete) {
+          sessionStorage.removeItem(`projectCreationState-${projectId}`);
+          sessionStorage.removeItem('reopenMode');
+          sessionStorage.setItem('isExistingGitRepo', 'false');
+          sessionStorage.setItem('isEmptyFolder', 'false');
+          window.electronAPI.navigateTo('create.html');
+          return;
+        }
+      }
+
       window.electronAPI.navigateTo('open.html');
     } catch (error) {
       console.error('Error opening recent project:', error);
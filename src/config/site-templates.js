@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Template repositories offered when creating a new documentation site
+ * @author Documental Team
+ * @since 1.0.0
+ *
+ * Each entry must be a GitHub repository marked as "Template repository"
+ * with an Astro site and the Sveltia CMS admin in public/admin.
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} SiteTemplate
+ * @property {string} id - Identifier used by the renderer
+ * @property {string} name - Name shown in the wizard
+ * @property {string} description - Short description shown in the wizard
+ * @property {string} owner - Owner of the template repository
+ * @property {string} repo - Name of the template repository
+ */
+
+/**
+ * Documental Astro + Sveltia templates
+ * @type {SiteTemplate[]}
+ */
+const SITE_TEMPLATES = [
+  {
+    id: 'docs',
+    name: 'Documentação',
+    description: 'Guias e referências com navegação lateral, busca e Sveltia CMS',
+    owner: 'documental',
+    repo: 'template-astro-sveltia-docs'
+  },
+  {
+    id: 'handbook',
+    name: 'Manual da equipe',
+    description: 'Processos e políticas internas organizados por área',
+    owner: 'documental',
+    repo: 'template-astro-sveltia-handbook'
+  },
+  {
+    id: 'blank',
+    name: 'Em branco',
+    description: 'Astro e Sveltia CMS configurados, sem conteúdo de exemplo',
+    owner: 'documental',
+    repo: 'template-astro-sveltia-blank'
+  }
+];
+
+module.exports = {
+  SITE_TEMPLATES
+};
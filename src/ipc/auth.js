@@ -6,9 +6,12 @@
 
 'use strict';
 
-const { ipcMain, clipboard } = require('electron');
-const { secureTokenService } = require('../services/secureTokenService.js');
-const { GITHUB_CONFIG } = require('../config/github-config.js');
+const path = require('path');
+const { ipcMain, clipboard, shell } = require('electron');
+const { GitHubAccountService } = require('../services/githubAccountService.js');
+const { GitHostProviderFactory } = require('../main/factories/GitHostProviderFactory.js');
+const { TokenHealthService } = require('../services/tokenHealthService.js');
+const { DeviceFlowSession } = require('./deviceFlow.js');
 
 /**
  * @typedef {Object} AuthResult
@@ -33,19 +36,66 @@ class AuthHandlers {
    * @param {Object} dependencies - Dependency injection container
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.databaseManager - Database manager instance
+   * @param {Object} [dependencies.accountService] - GitHubAccountService instance
    */
-  constructor({ logger, databaseManager }) {
+  constructor({ logger, databaseManager, accountService }) {
     this.logger = logger;
     this.databaseManager = databaseManager;
+    this.accountService = accountService || new GitHubAccountService({ logger, databaseManager });
+    this.deviceFlowSessions = new Map();
+    this.tokenHealth = new TokenHealthService({
+      logger,
+      accountService: this.accountService,
+      notify: health => this.broadcastTokenHealth(health),
+      reauthenticate: account => this.reauthenticate(account)
+    });
+  }
+
+  /**
+   * Send a token check result to every open window
+   * @param {import('../services/tokenHealthService.js').TokenHealth} health - Check result
+   */
+  broadcastTokenHealth(health) {
+    const { BrowserWindow } = require('electron');
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (!window.isDestroyed()) {
+        window.webContents.send('auth:token-health', health);
+      }
+    });
+  }
+
+  /**
+   * Run the device flow again for an account whose token stopped working, keeping the default account unchanged
+   * @param {Object} account - Account to sign in again
+   * @returns {Promise<boolean>} True when the same account signed in again
+   */
+  async reauthenticate(account) {
+    const defaultAccount = await this.accountService.getActiveAccount();
+    const result = await this.authenticateWithGitHub(account.host);
+    if (!result.success) {
+      this.logger.warn(`⚠️ Re-authentication of ${account.login} did not complete: ${result.error}`);
+      return false;
+    }
+
+    // Signing in makes the account the default one; restore the previous choice
+    if (defaultAccount && defaultAccount.id !== String(result.userInfo.id)) {
+      await this.accountService.setActiveAccount(defaultAccount.id);
+    }
+    if (String(result.userInfo.id) !== account.id) {
+      this.logger.warn(`⚠️ Signed in as ${result.userInfo.login} instead of ${account.login}`);
+      return false;
+    }
+    this.logger.info(`✅ ${account.login} signed in again`);
+    return true;
   }
 
   /**
-   * Get GitHub token from secure storage
+   * Get the default account's GitHub token from secure storage
    * @returns {Promise<string|null>} GitHub token or null if not found
    */
   async getGitHubToken() {
     try {
-      const token = await secureTokenService.getToken();
+      const token = await this.accountService.getToken();
       return token;
     } catch (error) {
       this.logger.error('Error getting GitHub token:', error);
@@ -54,17 +104,15 @@ class AuthHandlers {
   }
 
   /**
-   * Get GitHub user information using token
-   * @param {string} token - GitHub token
+   * Get user information from the git host using token
+   * @param {string} token - GitHub token, access token or password
+   * @param {Object} [provider] - Git host provider (github.com by default)
+   * @param {Object} [credentials] - Extra sign-in data (username for generic hosts)
    * @returns {Promise<Object|null>} User information or null if error
    */
-  async getGitHubUserInfo(token) {
+  async getGitHubUserInfo(token, provider = GitHostProviderFactory.createProvider(), credentials = {}) {
     try {
-      // Dynamic import to handle ESM module
-      const { Octokit } = await import('@octokit/rest');
-      const octokit = new Octokit({ auth: token });
-      const { data } = await octokit.users.getAuthenticated();
-      return data;
+      return await provider.getUserInfo(token, credentials);
     } catch (error) {
       this.logger.error('Error getting GitHub user info:', error);
       return null;
@@ -72,417 +120,120 @@ class AuthHandlers {
   }
 
   /**
-   * Show authentication window with device code
+   * Show the device flow window and wait until the account is authorized or the user gives up
    * @param {Object} deviceCodeResponse - Device code response from GitHub
+   * @param {Object} [provider] - Git host provider (github.com by default)
    * @returns {Promise<Object>} Authentication result
    */
-  async showAuthenticationWindow(deviceCodeResponse) {
-    return new Promise((resolve) => {
-      const { user_code, verification_uri, expires_in, device_code } = deviceCodeResponse;
-      
-      this.logger.info('🪟 Creating authentication window...');
-      
-      // Import BrowserWindow dynamically to avoid circular dependencies
-      const { BrowserWindow } = require('electron');
-      
-      // Create authentication window
-      const authWindow = new BrowserWindow({
-        width: 650,
-        height: 550,
-        show: false,
-        parent: BrowserWindow.getFocusedWindow(),
-        modal: true,
-        resizable: false,
-        minimizable: false,
-        maximizable: false,
-        alwaysOnTop: true,
-        webPreferences: {
-          nodeIntegration: true,
-          contextIsolation: false
+  async showAuthenticationWindow(deviceCodeResponse, provider = GitHostProviderFactory.createProvider()) {
+    this.logger.info('🪟 Creating authentication window...');
+
+    // Import BrowserWindow dynamically to avoid circular dependencies
+    const { BrowserWindow } = require('electron');
+
+    // The page only talks to the narrow device-flow preload API
+    const authWindow = new BrowserWindow({
+      width: 560,
+      height: 620,
+      show: false,
+      parent: BrowserWindow.getFocusedWindow(),
+      modal: true,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      alwaysOnTop: true,
+      webPreferences: {
+        preload: path.join(__dirname, '..', '..', 'preload-device-flow.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true
+      }
+    });
+    authWindow.setMenu(null);
+
+    const session = new DeviceFlowSession({
+      logger: this.logger,
+      hostLabel: provider.getLabel(),
+      requestDeviceCode: () => this.initiateDeviceFlow(provider),
+      authorize: (deviceCode, interval, pollOptions) =>
+        this.continueGitHubAuthentication(deviceCode, interval, provider.toConfig(), pollOptions),
+      send: state => {
+        if (!authWindow.isDestroyed()) {
+          authWindow.webContents.send('device-flow:state', state);
         }
-      });
-      
-      // Create HTML with instructions
-      const instructionsHTML = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Autenticação GitHub - Documental</title>
-          <meta charset="utf-8">
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              background: linear-gradient(135deg, #0d1117 0%, #161b22 100%);
-              color: #c9d1d9;
-              min-height: 100vh;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-            }
-            .container {
-              max-width: 500px;
-              width: 90%;
-              text-align: center;
-            }
-            .logo { font-size: 48px; margin-bottom: 20px; }
-            h2 { 
-              font-size: 24px; 
-              margin-bottom: 10px; 
-              color: #58a6ff;
-              font-weight: 600;
-            }
-            .subtitle { 
-              color: #8b949e; 
-              margin-bottom: 20px; 
-              font-size: 14px;
-            }
-            .warning {
-              background: rgba(255, 193, 7, 0.1);
-              border: 1px solid rgba(255, 193, 7, 0.3);
-              border-radius: 6px;
-              padding: 12px;
-              margin-bottom: 20px;
-              font-size: 12px;
-              color: #ffc107;
-            }
-            .code-container {
-              background: #0d1117;
-              border: 2px solid #30363d;
-              border-radius: 8px;
-              padding: 20px;
-              margin-bottom: 25px;
-            }
-            .code-label {
-              font-size: 11px;
-              color: #8b949e;
-              margin-bottom: 8px;
-              text-transform: uppercase;
-              letter-spacing: 1px;
-            }
-            .code {
-              font-size: 32px;
-              font-weight: bold;
-              color: #58a6ff;
-              letter-spacing: 4px;
-              margin-bottom: 15px;
-              font-family: 'Courier New', monospace;
-            }
-            .copy-button {
-              background: #238636;
-              color: white;
-              border: none;
-              padding: 10px 20px;
-              border-radius: 6px;
-              cursor: pointer;
-              font-size: 14px;
-              transition: all 0.2s;
-            }
-            .copy-button:hover { background: #2ea043; }
-            .copy-button.copied { background: #1a7f37; }
-            .steps {
-              text-align: left;
-              background: rgba(22, 27, 34, 0.5);
-              border-radius: 8px;
-              padding: 20px;
-              margin-bottom: 20px;
-            }
-            .step {
-              margin-bottom: 12px;
-              font-size: 14px;
-              line-height: 1.5;
-            }
-            .step-number { color: #58a6ff; font-weight: bold; }
-            .link {
-              color: #58a6ff;
-              text-decoration: none;
-            }
-            .link:hover { text-decoration: underline; }
-            .status {
-              background: rgba(56, 139, 253, 0.1);
-              border: 1px solid rgba(56, 139, 253, 0.3);
-              border-radius: 6px;
-              padding: 15px;
-              margin-top: 20px;
-            }
-            .spinner {
-              border: 2px solid #30363d;
-              border-top: 2px solid #58a6ff;
-              border-radius: 50%;
-              width: 20px;
-              height: 20px;
-              animation: spin 1s linear infinite;
-              margin: 0 auto 10px;
-            }
-            @keyframes spin {
-              0% { transform: rotate(0deg); }
-              100% { transform: rotate(360deg); }
-            }
-            @keyframes pulse {
-              0%, 100% { opacity: 1; }
-              50% { opacity: 0.7; }
-            }
-            .success {
-              background: rgba(35, 134, 54, 0.1);
-              border: 1px solid rgba(35, 134, 54, 0.3);
-              border-radius: 6px;
-              padding: 12px;
-              margin: 15px 0;
-              color: #3fb950;
-            }
-            .error {
-              background: rgba(248, 81, 73, 0.1);
-              border: 1px solid rgba(248, 81, 73, 0.3);
-              border-radius: 6px;
-              padding: 12px;
-              margin: 15px 0;
-              color: #f85149;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="logo">🔐</div>
-            <h2>Conectar com GitHub</h2>
-            <p class="subtitle">Use o código abaixo para autorizar o Documental</p>
-            
-            <div class="warning">
-              ⚠️ Mantenha esta janela aberta durante a autenticação
-            </div>
-            
-            <div class="code-container">
-              <div class="code-label">SEU CÓDIGO</div>
-              <div class="code" id="userCode">${user_code}</div>
-              <button class="copy-button" onclick="copyCode()">📋 Copiar Código</button>
-            </div>
-            
-            <div class="steps">
-              <div class="step">
-                <span class="step-number">1.</span>
-                <strong>Visite:</strong> 
-                <a href="${verification_uri}" target="_blank" class="link">${verification_uri}</a>
-              </div>
-              <div class="step">
-                <span class="step-number">2.</span>
-                <strong>Digite o código:</strong> ${user_code}
-              </div>
-              <div class="step">
-                <span class="step-number">3.</span>
-                <strong>Autorize</strong> o acesso do Documental App
-              </div>
-            </div>
-            
-            <div class="status" id="status">
-              <div class="spinner"></div>
-              <p><strong>Aguardando autorização...</strong></p>
-              <p id="timer">⏱️ Tempo restante: ${Math.floor(expires_in / 60)}:${(expires_in % 60).toString().padStart(2, '0')}</p>
-            </div>
-          </div>
-          
-          <script>
-            let timeLeft = ${expires_in};
-            const timerEl = document.getElementById('timer');
-            const statusEl = document.getElementById('status');
-            
-            function updateStatus(message, type = 'info') {
-              const statusHTML = type === 'success' ? 
-                '<div class="success">✅ ' + message + '</div>' :
-                type === 'error' ? 
-                '<div class="error">❌ ' + message + '</div>' :
-                '<div class="spinner"></div><p><strong>' + message + '</strong></p>';
-              
-              statusEl.innerHTML = statusHTML + '<p id="timer">⏱️ Tempo restante: ' + formatTime(timeLeft) + '</p>';
-            }
-            
-            function formatTime(seconds) {
-              const mins = Math.floor(seconds / 60);
-              const secs = seconds % 60;
-              return mins + ':' + secs.toString().padStart(2, '0');
-            }
-            
-            function copyCode() {
-              const codeElement = document.getElementById('userCode');
-              const code = codeElement ? codeElement.textContent : '${user_code}';
-              
-              // Try Electron's clipboard API first (most reliable)
-              if (window.electronAPI && window.electronAPI.writeToClipboard) {
-                window.electronAPI.writeToClipboard(code).then((result) => {
-                  if (result.success) {
-                    const btn = document.querySelector('.copy-button');
-                    btn.textContent = '✅ Copiado!';
-                    btn.classList.add('copied');
-                    setTimeout(() => {
-                      btn.textContent = '📋 Copiar Código';
-                      btn.classList.remove('copied');
-                    }, 2000);
-                  } else {
-                    console.error('Electron clipboard failed:', result.error);
-                    fallbackCopy(code);
-                  }
-                }).catch(err => {
-                  console.error('Electron clipboard error:', err);
-                  fallbackCopy(code);
-                });
-              } else {
-                // Fallback to browser clipboard
-                fallbackCopy(code);
-              }
-            }
-            
-            function fallbackCopy(code) {
-              // Try modern clipboard API
-              if (navigator.clipboard && navigator.clipboard.writeText) {
-                navigator.clipboard.writeText(code).then(() => {
-                  const btn = document.querySelector('.copy-button');
-                  btn.textContent = '✅ Copiado!';
-                  btn.classList.add('copied');
-                  setTimeout(() => {
-                    btn.textContent = '📋 Copiar Código';
-                    btn.classList.remove('copied');
-                  }, 2000);
-                }).catch(err => {
-                  console.error('Modern clipboard failed:', err);
-                  legacyCopy(code);
-                });
-              } else {
-                // Legacy fallback
-                legacyCopy(code);
-              }
-            }
-            
-            function legacyCopy(code) {
-              const textArea = document.createElement('textarea');
-              textArea.value = code;
-              textArea.style.position = 'fixed';
-              textArea.style.left = '-999999px';
-              textArea.style.top = '-999999px';
-              textArea.style.opacity = '0';
-              textArea.setAttribute('readonly', '');
-              document.body.appendChild(textArea);
-              textArea.select();
-              textArea.setSelectionRange(0, 99999); // For mobile devices
-              
-              try {
-                const successful = document.execCommand('copy');
-                document.body.removeChild(textArea);
-                
-                if (successful) {
-                  const btn = document.querySelector('.copy-button');
-                  btn.textContent = '✅ Copiado!';
-                  btn.classList.add('copied');
-                  setTimeout(() => {
-                    btn.textContent = '📋 Copiar Código';
-                    btn.classList.remove('copied');
-                  }, 2000);
-                } else {
-                  showCopyError(code);
-                }
-              } catch (fallbackErr) {
-                document.body.removeChild(textArea);
-                console.error('Legacy copy failed:', fallbackErr);
-                showCopyError(code);
-              }
-            }
-            
-            function showCopyError(code) {
-              console.error('All copy methods failed');
-              // Show the code in a more accessible way
-              const codeDisplay = document.createElement('div');
-              codeDisplay.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #2d3748; color: white; padding: 20px; border-radius: 8px; z-index: 10000; font-family: monospace; font-size: 18px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); max-width: 80%; text-align: center;';
-              codeDisplay.innerHTML = '<div style="margin-bottom: 10px;">❌ Falha ao copiar automaticamente</div><div style="margin-bottom: 10px;">Por favor, copie manualmente:</div><div style="background: #1a202c; padding: 10px; border-radius: 4px; margin: 10px 0; font-weight: bold;">' + code + '</div><button onclick="this.parentElement.remove()" style="background: #4299e1; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Fechar</button>';
-              document.body.appendChild(codeDisplay);
-            }
-            
-            const timer = setInterval(() => {
-              timeLeft--;
-              const timerEl = document.getElementById('timer');
-              if (timerEl) {
-                timerEl.textContent = '⏱️ Tempo restante: ' + formatTime(timeLeft);
-              }
-              
-              if (timeLeft <= 60) {
-                updateStatus('Código expirando em breve! Aja rápido.', 'warning');
-              }
-              
-              if (timeLeft <= 0) {
-                clearInterval(timer);
-                updateStatus('Código expirado. Feche esta janela e tente novamente.', 'error');
-              }
-            }, 1000);
-            
-            // Auto-focus on code for better visibility
-            document.addEventListener('DOMContentLoaded', () => {
-              const codeEl = document.getElementById('userCode');
-              if (codeEl) {
-                codeEl.style.animation = 'pulse 2s infinite';
-              }
-            });
-          </script>
-        </body>
-        </html>
-      `;
-      
-      // Load instructions page
-      authWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(instructionsHTML));
+      }
+    });
+
+    const webContentsId = authWindow.webContents.id;
+    this.deviceFlowSessions.set(webContentsId, session);
+    authWindow.on('closed', () => {
+      this.deviceFlowSessions.delete(webContentsId);
+      session.cancel();
+    });
+
+    authWindow.loadFile(path.join(__dirname, '..', '..', 'renderer', 'device-flow.html'));
+    authWindow.once('ready-to-show', () => {
       authWindow.show();
       authWindow.center();
-      
-      // Start token polling in background
-      this.logger.info('🔄 Starting token polling...');
-      this.continueGitHubAuthentication(device_code, 5).then(tokenResult => {
-        // Close authentication window
-        authWindow.close();
-        
-        if (tokenResult.success && tokenResult.userInfo) {
-          // Save user info to database
-          this.saveUserInfo(tokenResult.userInfo).then(saved => {
-            if (saved) {
-              this.logger.info('✅ User info saved successfully');
-              resolve({
-                success: true,
-                userInfo: tokenResult.userInfo
-              });
-            } else {
-              resolve({
-                success: false,
-                error: 'Failed to save user information'
-              });
-            }
-          });
-        } else {
-          resolve({
-            success: false,
-            error: tokenResult.error || 'Authentication failed'
-          });
-        }
-      }).catch(error => {
-        authWindow.close();
-        this.logger.error('❌ Authentication error:', error);
-        resolve({
-          success: false,
-          error: error.message
-        });
-      });
     });
+
+    this.logger.info('🔄 Starting token polling...');
+    const tokenResult = await session.start(deviceCodeResponse);
+    if (!authWindow.isDestroyed()) {
+      authWindow.close();
+    }
+
+    if (!tokenResult.success || !tokenResult.userInfo) {
+      this.logger.info(`ℹ️ Authentication window closed without signing in: ${tokenResult.error}`);
+      return { success: false, error: tokenResult.error || 'Authentication failed' };
+    }
+
+    const saved = await this.saveUserInfo(tokenResult.userInfo);
+    if (!saved) {
+      return { success: false, error: 'Failed to save user information' };
+    }
+    this.logger.info('✅ User info saved successfully');
+    return { success: true, userInfo: tokenResult.userInfo };
+  }
+
+  /**
+   * Find the device flow session of the window that sent an IPC message
+   * @param {Object} event - IPC event
+   * @returns {DeviceFlowSession} Session
+   * @throws {Error} If the sender is not a device flow window
+   */
+  getDeviceFlowSession(event) {
+    const session = this.deviceFlowSessions.get(event.sender.id);
+    if (!session) {
+      throw new Error('Nenhuma autenticação em andamento nesta janela');
+    }
+    return session;
   }
 
   /**
    * Authenticate with GitHub using device flow
+   * @param {import('../main/ports/GitHostPort.js').GitHostConfig|null} [hostConfig=null] - GitHub host (github.com when null)
    * @returns {Promise<AuthResult>} Authentication result
    */
-  async authenticateWithGitHub() {
+  async authenticateWithGitHub(hostConfig = null) {
     try {
       this.logger.info('🔐 Starting GitHub authentication flow...');
+      const provider = GitHostProviderFactory.createProvider(hostConfig);
+      if (!provider.supportsDeviceFlow()) {
+        throw new Error(`${provider.getLabel()} não suporta login pelo navegador; informe usuário e token`);
+      }
+      const flowConfig = provider.getDeviceFlowConfig();
       this.logger.info('📋 GitHub Config:', {
-        clientId: GITHUB_CONFIG.CLIENT_ID,
-        deviceCodeUrl: GITHUB_CONFIG.DEVICE_CODE_URL,
-        tokenUrl: GITHUB_CONFIG.TOKEN_URL,
-        scopes: GITHUB_CONFIG.SCOPES
+        host: provider.getLabel(),
+        clientId: flowConfig.clientId,
+        deviceCodeUrl: flowConfig.deviceCodeUrl,
+        tokenUrl: flowConfig.tokenUrl,
+        scopes: flowConfig.scopes
       });
       
       // Step 1: Initiate device flow
       this.logger.info('📡 Initiating device flow...');
-      const deviceCodeResponse = await this.initiateDeviceFlow();
+      const deviceCodeResponse = await this.initiateDeviceFlow(provider);
       
       this.logger.info('✅ Device flow initiated successfully:', {
         deviceCode: deviceCodeResponse.user_code,
@@ -492,7 +243,7 @@ class AuthHandlers {
       });
       
       // Step 2: Show authentication window with device code
-      const authResult = await this.showAuthenticationWindow(deviceCodeResponse);
+      const authResult = await this.showAuthenticationWindow(deviceCodeResponse, provider);
       
       return authResult;
       
@@ -511,10 +262,13 @@ class AuthHandlers {
    * Continue GitHub authentication after showing device code
    * @param {string} deviceCode - Internal device code
    * @param {number} interval - Polling interval
-   * @returns {Promise<AuthResult>} Authentication result
+   * @param {import('../main/ports/GitHostPort.js').GitHostConfig|null} [hostConfig=null] - GitHub host (github.com when null)
+   * @param {Object} [pollOptions] - See pollForToken
+   * @returns {Promise<AuthResult>} Authentication result ('code' holds the device flow error, e.g. 'expired_token')
    */
-  async continueGitHubAuthentication(deviceCode, interval) {
+  async continueGitHubAuthentication(deviceCode, interval, hostConfig = null, pollOptions = {}) {
     try {
+      const provider = GitHostProviderFactory.createProvider(hostConfig);
       this.logger.info('🔄 Continuing GitHub authentication polling...');
       this.logger.info('📋 Polling parameters:', {
         deviceCode: deviceCode,
@@ -523,7 +277,7 @@ class AuthHandlers {
       
       // Step 3: Poll for token
       this.logger.info('⏳ Starting token polling...');
-      const token = await this.pollForToken(deviceCode, interval);
+      const token = await this.pollForToken(deviceCode, interval, provider, pollOptions);
       
       if (!token) {
         throw new Error('Failed to obtain access token - token is null');
@@ -531,24 +285,21 @@ class AuthHandlers {
       
       this.logger.info('🔑 Access token obtained successfully');
       
-      // Step 4: Store token securely
-      this.logger.info('💾 Storing token securely...');
-      const stored = await secureTokenService.storeToken(token);
-      if (!stored) {
-        throw new Error('Failed to store token securely');
-      }
-      this.logger.info('✅ Token stored successfully');
-      
-      // Step 5: Get user information
+      // Step 4: Get user information (the token is stored under the user's ID)
       this.logger.info('👤 Getting user information...');
-      const userInfo = await this.getGitHubUserInfo(token);
+      const userInfo = await this.getGitHubUserInfo(token, provider);
       
       if (!userInfo) {
         throw new Error('Failed to get user information - userInfo is null');
       }
       
+      // Step 5: Store token securely and make this the default account
+      this.logger.info('💾 Storing token securely...');
+      const account = await this.accountService.addAccount(token, userInfo, provider);
+      this.logger.info('✅ Token stored successfully');
+      
       this.logger.info(`✅ Successfully authenticated as ${userInfo.login}`, {
-        id: userInfo.id,
+        id: account.id,
         login: userInfo.login,
         name: userInfo.name,
         email: userInfo.email
@@ -557,11 +308,12 @@ class AuthHandlers {
       return { 
         success: true, 
         userInfo: {
-          id: userInfo.id,
+          id: account.id,
           login: userInfo.login,
           name: userInfo.name,
           email: userInfo.email,
-          avatar_url: userInfo.avatar_url
+          avatar_url: userInfo.avatar_url,
+          host: account.host
         }
       };
       
@@ -573,6 +325,46 @@ class AuthHandlers {
         deviceCode: deviceCode,
         interval: interval
       });
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Sign in to a self-hosted Git server (Gitea, GitLab...) with a username and a password or token
+   * @param {Object} credentials - Sign-in data
+   * @param {string} credentials.baseUrl - Web URL of the server
+   * @param {string} credentials.username - Username on the server
+   * @param {string} credentials.token - Password or access token
+   * @param {string} [credentials.name] - Name used in commits
+   * @param {string} [credentials.email] - E-mail used in commits
+   * @returns {Promise<AuthResult>} Authentication result
+   */
+  async addCredentialsAccount({ baseUrl, username, token, name, email } = {}) {
+    try {
+      const provider = GitHostProviderFactory.createProvider({ type: 'generic', baseUrl });
+      this.logger.info(`🔐 Adding account for ${provider.getLabel()}...`);
+
+      const userInfo = await provider.getUserInfo(token, { username, name, email });
+      if (!provider.isValidToken(token)) {
+        throw new Error('Informe a senha ou o token de acesso');
+      }
+
+      const account = await this.accountService.addAccount(token, userInfo, provider);
+      this.logger.info(`✅ Account ${account.login} added for ${provider.getLabel()}`);
+
+      return {
+        success: true,
+        userInfo: {
+          id: account.id,
+          login: account.login,
+          name: account.name,
+          email: account.email,
+          avatar_url: account.avatarUrl,
+          host: account.host
+        }
+      };
+    } catch (error) {
+      this.logger.error('❌ Failed to add git host account:', error);
       return { success: false, error: error.message };
     }
   }
@@ -665,27 +457,29 @@ class AuthHandlers {
 
   /**
    * Initiate GitHub device flow
+   * @param {Object} [provider] - Git host provider (github.com by default)
    * @returns {Promise<Object>} Device code response
    */
-  async initiateDeviceFlow() {
+  async initiateDeviceFlow(provider = GitHostProviderFactory.createProvider()) {
     try {
       this.logger.info('🔧 Building device flow request...');
+      const flowConfig = provider.getDeviceFlowConfig();
       
       const requestBody = {
-        client_id: GITHUB_CONFIG.CLIENT_ID,
-        scope: GITHUB_CONFIG.SCOPES.join(' ')
+        client_id: flowConfig.clientId,
+        scope: flowConfig.scopes.join(' ')
       };
 
       this.logger.info('📤 Sending request to GitHub device code API:', {
-        url: GITHUB_CONFIG.DEVICE_CODE_URL,
+        url: flowConfig.deviceCodeUrl,
         method: 'POST',
-        clientId: GITHUB_CONFIG.CLIENT_ID,
-        scopes: GITHUB_CONFIG.SCOPES.join(' '),
+        clientId: flowConfig.clientId,
+        scopes: flowConfig.scopes.join(' '),
         body: requestBody
       });
 
       // Use native Node.js https module instead of fetch for better Electron compatibility
-      const responseData = await this.makeHttpsRequest(GITHUB_CONFIG.DEVICE_CODE_URL, {
+      const responseData = await this.makeHttpsRequest(flowConfig.deviceCodeUrl, {
         method: 'POST',
         headers: {
           'Accept': 'application/json',
@@ -708,47 +502,51 @@ class AuthHandlers {
    * Poll GitHub for access token
    * @param {string} deviceCode - Device code from GitHub
    * @param {number} interval - Polling interval in seconds
+   * @param {Object} [provider] - Git host provider (github.com by default)
+   * @param {Object} [options] - Polling options
+   * @param {function(string): void} [options.onStatus] - Receives 'authorization_pending' or 'slow_down' after each poll
+   * @param {function(): boolean} [options.isCancelled] - Stops polling when it returns true
    * @returns {Promise<string|null>} Access token or null if failed
+   * @throws {Error} With code 'expired_token', 'access_denied' or 'cancelled' when polling cannot go on
    */
-  async pollForToken(deviceCode, interval) {
+  async pollForToken(deviceCode, interval, provider = GitHostProviderFactory.createProvider(), { onStatus = () => {}, isCancelled = () => false } = {}) {
     const maxAttempts = 180; // Maximum 15 minutes (180 * 5 seconds)
     let attempts = 0;
+    let pollInterval = interval;
+    const flowConfig = provider.getDeviceFlowConfig();
+    const stop = (code, message) => Object.assign(new Error(message), { code, endsFlow: true });
 
     this.logger.info('⏱️ Starting token polling with parameters:', {
       deviceCode: deviceCode,
       interval: interval,
       maxAttempts: maxAttempts,
-      tokenUrl: GITHUB_CONFIG.TOKEN_URL
+      tokenUrl: flowConfig.tokenUrl
     });
 
     while (attempts < maxAttempts) {
       attempts++;
       this.logger.info(`🔄 Polling attempt ${attempts}/${maxAttempts}...`);
       
-      await new Promise(resolve => setTimeout(resolve, interval * 1000));
-
-      const params = new URLSearchParams({
-        client_id: GITHUB_CONFIG.CLIENT_ID,
-        device_code: deviceCode,
-        grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
-      });
+      await new Promise(resolve => setTimeout(resolve, pollInterval * 1000));
+      if (isCancelled()) {
+        throw stop('cancelled', 'Autenticação cancelada');
+      }
 
       try {
-        this.logger.info('📤 Sending token request to GitHub:', {
-          url: GITHUB_CONFIG.TOKEN_URL,
-          method: 'POST',
-          clientId: GITHUB_CONFIG.CLIENT_ID,
-          deviceCode: deviceCode,
-          params: params.toString()
-        });
-
         const tokenRequestBody = {
-          client_id: GITHUB_CONFIG.CLIENT_ID,
+          client_id: flowConfig.clientId,
           device_code: deviceCode,
           grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
         };
 
-        const responseData = await this.makeHttpsRequest(GITHUB_CONFIG.TOKEN_URL, {
+        this.logger.info('📤 Sending token request to GitHub:', {
+          url: flowConfig.tokenUrl,
+          method: 'POST',
+          clientId: flowConfig.clientId,
+          deviceCode: deviceCode
+        });
+
+        const responseData = await this.makeHttpsRequest(flowConfig.tokenUrl, {
           method: 'POST',
           headers: {
             'Accept': 'application/json',
@@ -758,41 +556,42 @@ class AuthHandlers {
           body: JSON.stringify(tokenRequestBody)
         });
 
-        this.logger.info('✅ Token response received:', responseData);
-        
         // Check if response contains an error
         if (responseData.error) {
           this.logger.info('📥 Token response contains error:', responseData.error);
           
           if (responseData.error === 'authorization_pending') {
             this.logger.info('⏳ Authorization still pending, continuing polling...');
+            onStatus('authorization_pending');
             continue;
           } else if (responseData.error === 'slow_down') {
-            this.logger.info('🐌 GitHub requested slower polling, waiting longer...');
-            // Wait longer before next poll
-            await new Promise(resolve => setTimeout(resolve, interval * 2000));
+            // The server returns the interval to use from now on (RFC 8628 adds 5 seconds otherwise)
+            pollInterval = responseData.interval || pollInterval + 5;
+            this.logger.info(`🐌 GitHub requested slower polling, now every ${pollInterval}s`);
+            onStatus('slow_down');
             continue;
+          } else if (responseData.error === 'expired_token') {
+            throw stop('expired_token', 'O código expirou antes de ser autorizado');
+          } else if (responseData.error === 'access_denied') {
+            throw stop('access_denied', 'A autorização foi negada no navegador');
           } else {
-            throw new Error(`Token request failed: ${responseData.error_description || responseData.error}`);
+            throw stop(responseData.error, `Token request failed: ${responseData.error_description || responseData.error}`);
           }
         }
         
         this.logger.info('✅ Token received successfully!', {
           hasAccessToken: !!responseData.access_token,
           tokenType: responseData.token_type,
-          scope: responseData.scope,
-          fullResponse: responseData
+          scope: responseData.scope
         });
         return responseData.access_token;
 
       } catch (error) {
+        // Errors answered by the server end the flow; network errors are retried
+        if (error.endsFlow) {
+          throw error;
+        }
         this.logger.error(`💥 Error in polling attempt ${attempts}:`, error);
-        this.logger.error('🔍 Polling error details:', {
-          message: error.message,
-          stack: error.stack,
-          attempts: attempts,
-          maxAttempts: maxAttempts
-        });
         
         if (attempts >= maxAttempts) {
           throw error;
@@ -815,7 +614,7 @@ class AuthHandlers {
         db.get(
           `SELECT githubId, login, name, email, avatarUrl, updatedAt 
            FROM users 
-           ORDER BY updatedAt DESC 
+           ORDER BY isActive DESC, updatedAt DESC 
            LIMIT 1`,
           (err, row) => {
             if (err) {
@@ -856,25 +655,8 @@ class AuthHandlers {
    */
   async saveUserInfo(userInfo) {
     try {
-      const db = await this.databaseManager.getDatabase();
-      
-      await new Promise((resolve, reject) => {
-        db.run(
-          `INSERT OR REPLACE INTO users (githubId, login, name, email, avatarUrl, updatedAt) 
-           VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-          [userInfo.id, userInfo.login, userInfo.name, userInfo.email, userInfo.avatar_url],
-          (err) => {
-            if (err) {
-              this.logger.error('Error saving user info:', err.message);
-              reject(err);
-            } else {
-              this.logger.info('✅ User info saved to database');
-              resolve();
-            }
-          }
-        );
-      });
-      
+      await this.accountService.saveProfile(userInfo, userInfo.host || null);
+      this.logger.info('✅ User info saved to database');
       return true;
     } catch (error) {
       this.logger.error('Error saving user info:', error);
@@ -888,6 +670,9 @@ class AuthHandlers {
   registerHandlers() {
     this.logger.info('🔐 Registering authentication IPC handlers');
 
+    // Periodic token checks of every signed-in account
+    this.tokenHealth.start();
+
     /**
      * Check GitHub authentication status
      */
@@ -898,7 +683,12 @@ class AuthHandlers {
           return { authenticated: false };
         }
 
-        const userInfo = await this.getGitHubUserInfo(token);
+        const account = await this.accountService.getActiveAccount();
+        const userInfo = await this.getGitHubUserInfo(token, this.accountService.getProvider(account), {
+          username: account.login,
+          name: account.name,
+          email: account.email
+        });
         if (userInfo) {
           return { authenticated: true, userInfo };
         } else {
@@ -913,9 +703,9 @@ class AuthHandlers {
     /**
      * Authenticate with GitHub
      */
-    ipcMain.handle('authenticateWithGitHub', async () => {
+    ipcMain.handle('authenticateWithGitHub', async (event, hostConfig = null) => {
       try {
-        const result = await this.authenticateWithGitHub();
+        const result = await this.authenticateWithGitHub(hostConfig);
         
         if (result.success && result.userInfo) {
           // Save user info to database
@@ -935,9 +725,9 @@ class AuthHandlers {
     /**
      * Continue GitHub authentication after device code display
      */
-    ipcMain.handle('continueGitHubAuth', async (event, deviceCode, interval) => {
+    ipcMain.handle('continueGitHubAuth', async (event, deviceCode, interval, hostConfig = null) => {
       try {
-        const result = await this.continueGitHubAuthentication(deviceCode, interval);
+        const result = await this.continueGitHubAuthentication(deviceCode, interval, hostConfig);
         
         if (result.success && result.userInfo) {
           // Save user info to database
@@ -959,9 +749,9 @@ class AuthHandlers {
     /**
      * Handle logout from GitHub
      */
-    ipcMain.handle('logoutFromGitHub', async () => {
+    ipcMain.handle('logoutFromGitHub', async (event, accountId = null) => {
       try {
-        const result = await this.logoutFromGitHub();
+        const result = await this.logoutFromGitHub(accountId);
         return result;
       } catch (error) {
         this.logger.error('Error in logout handler:', error);
@@ -993,7 +783,7 @@ class AuthHandlers {
           db.get(
             `SELECT githubId, login, name, email, avatarUrl
              FROM users
-             ORDER BY updatedAt DESC
+             ORDER BY isActive DESC, updatedAt DESC
              LIMIT 1`,
             (err, row) => {
               if (err) reject(err);
@@ -1042,7 +832,7 @@ class AuthHandlers {
         await new Promise((resolve, reject) => {
           db.run(
             `UPDATE users SET name = ?, email = ?
-             WHERE githubId = (SELECT githubId FROM users ORDER BY updatedAt DESC LIMIT 1)`,
+             WHERE githubId = (SELECT githubId FROM users ORDER BY isActive DESC, updatedAt DESC LIMIT 1)`,
             [name, email],
             (err) => {
               if (err) reject(err);
@@ -1059,25 +849,167 @@ class AuthHandlers {
       }
     });
 
+    /**
+     * List signed-in GitHub accounts
+     */
+    ipcMain.handle('github-accounts:list', async () => {
+      try {
+        const accounts = await this.accountService.listAccounts();
+        return { success: true, accounts };
+      } catch (error) {
+        this.logger.error('Error listing GitHub accounts:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Sign in to a self-hosted Git server with username and password or token
+     */
+    ipcMain.handle('git-hosts:add-account', async (event, credentials) => {
+      return this.addCredentialsAccount(credentials);
+    });
+
+    /**
+     * Make an account the default one
+     */
+    ipcMain.handle('github-accounts:set-active', async (event, accountId) => {
+      try {
+        const account = await this.accountService.setActiveAccount(accountId);
+        return { success: true, account };
+      } catch (error) {
+        this.logger.error('Error switching GitHub account:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Get the account a project uses
+     */
+    ipcMain.handle('project:get-github-account', async (event, projectId) => {
+      try {
+        const accountId = await this.accountService.getProjectAccountId(projectId);
+        const account = await this.accountService.resolveAccount({ projectId });
+        return { success: true, accountId, account };
+      } catch (error) {
+        this.logger.error('Error getting project GitHub account:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Choose the account a project uses (null follows the default account)
+     */
+    ipcMain.handle('project:set-github-account', async (event, projectId, accountId) => {
+      try {
+        await this.accountService.setProjectAccount(projectId, accountId);
+        return { success: true };
+      } catch (error) {
+        this.logger.error('Error setting project GitHub account:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Device flow window: current code and polling status
+     */
+    ipcMain.handle('device-flow:get-state', async (event) => {
+      return this.getDeviceFlowSession(event).getState();
+    });
+
+    /**
+     * Device flow window: copy the user code
+     */
+    ipcMain.handle('device-flow:copy-code', async (event) => {
+      const { userCode } = this.getDeviceFlowSession(event).getState();
+      clipboard.writeText(userCode || '');
+      return { success: !!userCode };
+    });
+
+    /**
+     * Device flow window: open the verification page in the default browser
+     */
+    ipcMain.handle('device-flow:open-browser', async (event) => {
+      const { verificationUri } = this.getDeviceFlowSession(event).getState();
+      if (!verificationUri || !verificationUri.startsWith('https://')) {
+        return { success: false, error: 'Endereço de verificação inválido' };
+      }
+      await shell.openExternal(verificationUri);
+      return { success: true };
+    });
+
+    /**
+     * Device flow window: request a new code after expiry or denial
+     */
+    ipcMain.handle('device-flow:restart', async (event) => {
+      return this.getDeviceFlowSession(event).restart();
+    });
+
+    /**
+     * Device flow window: give up signing in
+     */
+    ipcMain.handle('device-flow:cancel', async (event) => {
+      this.getDeviceFlowSession(event).cancel();
+      return { success: true };
+    });
+
+    /**
+     * Get the last token check of every account
+     */
+    ipcMain.handle('auth:get-token-health', async () => {
+      return { success: true, accounts: this.tokenHealth.getAll() };
+    });
+
+    /**
+     * Check every account's token now
+     */
+    ipcMain.handle('auth:check-token-health', async () => {
+      const accounts = await this.tokenHealth.checkAll();
+      return { success: true, accounts };
+    });
+
+    /**
+     * Sign an account in again after its token was revoked or lost scopes
+     */
+    ipcMain.handle('auth:reauthenticate', async (event, accountId) => {
+      try {
+        const account = await this.accountService.getAccount(accountId);
+        if (!account) {
+          throw new Error('Conta GitHub não encontrada ou desconectada');
+        }
+        const signedIn = await this.reauthenticate(account);
+        const health = await this.tokenHealth.checkAccount(account);
+        return { success: signedIn, health };
+      } catch (error) {
+        this.logger.error('Error re-authenticating account:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     this.logger.info('✅ Authentication IPC handlers registered');
   }
 
   /**
    * Logout from GitHub
+   * @param {string|null} [accountId=null] - Account to sign out (defaults to the default account)
    * @returns {Promise<Object>} Logout result
    */
-  async logoutFromGitHub() {
+  async logoutFromGitHub(accountId = null) {
     try {
       this.logger.info('🔘 Starting GitHub logout...');
       
-      // Remove token from secure storage
-      const deleted = await secureTokenService.deleteToken();
-      if (!deleted) {
+      const account = accountId
+        ? await this.accountService.getAccount(accountId)
+        : await this.accountService.getActiveAccount();
+      if (!account) {
         this.logger.warn('⚠️ Token may not have existed in secure storage');
-      } else {
-        this.logger.info('✅ Token removed from secure storage');
+        return { success: true, message: 'Logged out successfully' };
       }
       
+      // Remove token from secure storage; another signed-in account becomes the default
+      const nextAccount = await this.accountService.removeAccount(account.id);
+      this.tokenHealth.forget(account.id);
+      this.logger.info(`✅ Token of ${account.login} removed from secure storage`);
+      
       // Clear user info from database (optional - keep for history)
       // const db = await this.databaseManager.getDatabase();
       // await new Promise((resolve, reject) => {
@@ -1092,7 +1024,8 @@ class AuthHandlers {
       
       return { 
         success: true, 
-        message: 'Logged out successfully' 
+        message: 'Logged out successfully',
+        activeAccount: nextAccount
       };
       
     } catch (error) {
@@ -1117,6 +1050,20 @@ class AuthHandlers {
       ipcMain.removeHandler('writeToClipboard');
       ipcMain.removeHandler('user:get-info');
       ipcMain.removeHandler('user:update-info');
+      ipcMain.removeHandler('github-accounts:list');
+      ipcMain.removeHandler('git-hosts:add-account');
+      ipcMain.removeHandler('github-accounts:set-active');
+      ipcMain.removeHandler('project:get-github-account');
+      ipcMain.removeHandler('project:set-github-account');
+      ipcMain.removeHandler('device-flow:get-state');
+      ipcMain.removeHandler('device-flow:copy-code');
+      ipcMain.removeHandler('device-flow:open-browser');
+      ipcMain.removeHandler('device-flow:restart');
+      ipcMain.removeHandler('device-flow:cancel');
+      ipcMain.removeHandler('auth:get-token-health');
+      ipcMain.removeHandler('auth:check-token-health');
+      ipcMain.removeHandler('auth:reauthenticate');
+      this.tokenHealth.stop();
       
       this.logger.info('✅ Authentication IPC handlers unregistered');
     }
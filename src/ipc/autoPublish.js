@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Background auto-publish: commits and pushes CMS saves to preview after a quiet period
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { isStrayPath } = require('./commitReview.js');
+const { CMS_CONFIG_PATHS } = require('../services/cmsRouteService.js');
+
+// Retry interval while paused (offline, conflict, git busy) or after a failed run
+const PAUSED_RETRY_MS = 60000;
+
+// Retry interval while another git operation holds the lock
+const LOCK_RETRY_MS = 10000;
+
+// Folders whose changes never trigger a run
+const IGNORED_PATH_PATTERN = /^(\.git|node_modules|dist|\.astro)(\/|$)/;
+
+// Folder always watched: site code and the content collections of the Documental templates
+const SOURCE_FOLDER = 'src';
+
+// Media folder of the Documental site templates, when the CMS config names none
+const DEFAULT_MEDIA_FOLDER = 'public/uploads';
+
+/**
+ * Check whether Electron reports a network connection
+ * @returns {boolean} False only when Electron is sure the machine is offline
+ */
+function defaultIsOnline() {
+  const { net } = require('electron');
+  return net && typeof net.isOnline === 'function' ? net.isOnline() : true;
+}
+
+/**
+ * Auto Publish Scheduler - watches the open project and publishes to preview once edits settle
+ */
+class AutoPublishScheduler {
+  /**
+   * Create an instance of AutoPublishScheduler
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.settingsService - Settings service instance
+   * @param {Object} dependencies.gitHandlers - GitHandlers instance (lock, output, commit and push)
+   * @param {Function} [dependencies.watch] - fs.watch-compatible function
+   * @param {Function} [dependencies.isOnline] - Returns false when the machine is offline
+   * @param {Object} [dependencies.fs] - filesystem module (CMS config and watched folders)
+   */
+  constructor({ logger, settingsService, gitHandlers, watch = fs.watch, isOnline = defaultIsOnline, fs: fileSystem = fs }) {
+    this.logger = logger;
+    this.settingsService = settingsService;
+    this.gitHandlers = gitHandlers;
+    this.watch = watch;
+    this.isOnline = isOnline;
+    this.fs = fileSystem;
+    this.projectPath = null;
+    this.watchers = [];
+    this.timer = null;
+    this.running = false;
+    this.changedDuringRun = false;
+    this.pausedReason = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start watching a project (restarts when another project was being watched,
+   * re-checks pending changes when it is already watched)
+   * @param {string} projectPath - Path to the git repository
+   */
+  start(projectPath) {
+    if (this.projectPath === projectPath && this.watchers.length > 0) {
+      this.schedule();
+      return;
+    }
+    this.stop();
+
+    const folders = this.getWatchedFolders(projectPath);
+    if (folders.length === 0) {
+      this.logger.warn(`⚠️ No content folders to watch in ${projectPath}, auto-publish disabled`);
+      return;
+    }
+
+    this.projectPath = projectPath;
+    try {
+      // Recursive watches cost one inotify watch per subdirectory on Linux: never the whole repository
+      for (const folder of folders) {
+        const watcher = this.watch(path.join(projectPath, folder), { recursive: true }, (eventType, filename) => {
+          this.handleChange(filename ? `${folder}/${String(filename).split('\\').join('/')}` : null);
+        });
+        watcher.on('error', (error) => {
+          this.logger.error('Auto-publish watcher error:', error);
+          this.stop();
+        });
+        this.watchers.push(watcher);
+      }
+    } catch (error) {
+      this.logger.error(`Could not watch ${projectPath} for auto-publish:`, error);
+      this.closeWatchers();
+      this.projectPath = null;
+      return;
+    }
+
+    this.logger.info(`👀 Auto-publish watching ${folders.join(', ')} in ${projectPath}`);
+    // Changes made while the project was closed are published too
+    this.schedule();
+  }
+
+  /**
+   * Stop watching and cancel any pending run
+   * @param {string|null} [projectPath=null] - Only stop when this project is the one being watched
+   * @returns {boolean} False when another project is being watched and was left running
+   */
+  stop(projectPath = null) {
+    if (projectPath && this.projectPath && path.resolve(projectPath) !== path.resolve(this.projectPath)) {
+      return false;
+    }
+    if (this.watchers.length > 0) {
+      this.closeWatchers();
+      this.logger.info(`Auto-publish stopped for ${this.projectPath}`);
+    }
+    this.clearTimer();
+    this.projectPath = null;
+    this.pausedReason = null;
+    return true;
+  }
+
+  /**
+   * Close every folder watcher
+   */
+  closeWatchers() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  /**
+   * Read the folders the CMS writes to from its config
+   * @param {string} projectPath - Path to the git repository
+   * @returns {string[]} Repository-relative folders (media folder and collection folders)
+   */
+  readCmsFolders(projectPath) {
+    for (const configPath of CMS_CONFIG_PATHS) {
+      let config;
+      try {
+        config = YAML.parse(this.fs.readFileSync(path.join(projectPath, configPath), 'utf8')) || {};
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        this.logger.warn(`⚠️ Could not read ${configPath} for auto-publish:`, error.message);
+        return [DEFAULT_MEDIA_FOLDER];
+      }
+      const folders = [config.media_folder || DEFAULT_MEDIA_FOLDER];
+      for (const collection of Array.isArray(config.collections) ? config.collections : []) {
+        if (collection && collection.folder) {
+          folders.push(collection.folder);
+        }
+        for (const file of collection && Array.isArray(collection.files) ? collection.files : []) {
+          if (file && file.file) {
+            folders.push(path.posix.dirname(String(file.file)));
+          }
+        }
+      }
+      return folders;
+    }
+    return [DEFAULT_MEDIA_FOLDER];
+  }
+
+  /**
+   * Choose the folders to watch: src/ plus the CMS content and media folders outside it
+   * @param {string} projectPath - Path to the git repository
+   * @returns {string[]} Existing repository-relative folders, none nested in another
+   */
+  getWatchedFolders(projectPath) {
+    const isDirectory = (folder) => {
+      try {
+        return this.fs.statSync(path.join(projectPath, folder)).isDirectory();
+      } catch (error) {
+        return false;
+      }
+    };
+
+    const folders = [];
+    for (const candidate of [SOURCE_FOLDER, ...this.readCmsFolders(projectPath)]) {
+      let folder = String(candidate).split('\\').join('/').replace(/^\/+|\/+$/g, '');
+      // A folder the CMS creates on first save is covered by its closest existing parent
+      while (folder && folder !== '.' && !isDirectory(folder)) {
+        folder = path.posix.dirname(folder);
+      }
+      if (folder && folder !== '.' && !IGNORED_PATH_PATTERN.test(folder)) {
+        folders.push(folder);
+      }
+    }
+
+    return [...new Set(folders)]
+      .sort((a, b) => a.length - b.length)
+      .filter((folder, index, sorted) => !sorted.slice(0, index).some(parent => folder.startsWith(`${parent}/`)));
+  }
+
+  /**
+   * Cancel the pending run timer
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check whether a changed path should be ignored
+   * @param {string|null} filename - Path relative to the project (may be null on some platforms)
+   * @returns {boolean} True when the change must not trigger a run
+   */
+  isIgnoredPath(filename) {
+    if (!filename) {
+      return false;
+    }
+    const normalized = String(filename).split('\\').join('/');
+    return IGNORED_PATH_PATTERN.test(normalized) || isStrayPath(normalized);
+  }
+
+  /**
+   * React to a file system change
+   * @param {string|null} filename - Changed path relative to the project
+   */
+  handleChange(filename) {
+    if (this.isIgnoredPath(filename)) {
+      return;
+    }
+    if (this.running) {
+      this.changedDuringRun = true;
+      return;
+    }
+    this.schedule();
+  }
+
+  /**
+   * (Re)start the quiet-period timer
+   * @param {number|null} [delayMs=null] - Delay override (defaults to the autoPublishDelay setting)
+   * @returns {Promise<void>}
+   */
+  async schedule(delayMs = null) {
+    if (!this.projectPath) {
+      return;
+    }
+    this.clearTimer();
+
+    let delay = delayMs;
+    if (delay === null) {
+      try {
+        const settings = await this.settingsService.getAll();
+        if (!settings.autoPublish) {
+          return;
+        }
+        delay = settings.autoPublishDelay * 1000;
+      } catch (error) {
+        this.logger.error('Could not read auto-publish settings:', error);
+        return;
+      }
+    }
+
+    // Another change may have rescheduled while the settings were loading
+    this.clearTimer();
+    if (!this.projectPath) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run().catch(error => this.logger.error('Auto-publish run failed:', error));
+    }, delay);
+  }
+
+  /**
+   * Write a line to the commands console
+   * @param {string} message - Message
+   */
+  report(message) {
+    this.gitHandlers.sendOutput(`🤖 [Auto-publicação] ${message}`);
+  }
+
+  /**
+   * Pause until the retry timer fires, reporting the reason once
+   * @param {string} reason - Pause reason key
+   * @param {string} message - Message for the console
+   * @param {number} [retryMs=PAUSED_RETRY_MS] - Retry delay
+   * @returns {{status: string, reason: string}} Run result
+   */
+  pause(reason, message, retryMs = PAUSED_RETRY_MS) {
+    if (this.pausedReason !== reason) {
+      this.report(message);
+      this.pausedReason = reason;
+    }
+    this.schedule(retryMs);
+    return { status: 'paused', reason };
+  }
+
+  /**
+   * Commit and push pending changes to preview if every precondition holds
+   * @returns {Promise<{status: 'disabled'|'idle'|'paused'|'skipped'|'published'|'failed', reason?: string, error?: string}>}
+   */
+  async run() {
+    const projectPath = this.projectPath;
+    if (!projectPath || this.running) {
+      return { status: 'idle' };
+    }
+
+    const settings = await this.settingsService.getAll();
+    if (!settings.autoPublish) {
+      this.pausedReason = null;
+      return { status: 'disabled' };
+    }
+    if (this.gitHandlers.mergeSession) {
+      return this.pause('conflict', '⏸️ Pausada: há um conflito de mesclagem aguardando resolução.');
+    }
+    if (!this.isOnline()) {
+      return this.pause('offline', '⏸️ Pausada: sem conexão com a internet.');
+    }
+    if (this.gitHandlers.tokenHealth && !(await this.gitHandlers.tokenHealth.isHealthy({ dir: projectPath }))) {
+      // Background runs never open the sign-in window; the next manual publish does
+      return this.pause('auth', '⏸️ Pausada: a conta Git do projeto precisa ser reconectada.');
+    }
+    if (this.gitHandlers.gitOperationInProgress) {
+      // Not worth a console line: the other operation is already reporting
+      this.schedule(LOCK_RETRY_MS);
+      return { status: 'paused', reason: 'busy' };
+    }
+
+    this.running = true;
+    this.changedDuringRun = false;
+    try {
+      const previewBranch = await this.gitHandlers.getPreviewBranch();
+      const currentBranch = await this.gitHandlers.gitGetCurrentBranch(projectPath);
+      if (currentBranch !== previewBranch) {
+        this.pausedReason = null;
+        this.report(`⏭️ Ignorada: a branch atual é '${currentBranch}', não '${previewBranch}'.`);
+        return { status: 'skipped', reason: 'branch' };
+      }
+
+      const review = await this.gitHandlers.gitGetWorkingChanges(projectPath);
+      if (!review.success) {
+        throw new Error(review.error);
+      }
+      const paths = review.files.filter(file => !file.suggestedExclude).map(file => file.path);
+      if (paths.length === 0) {
+        this.pausedReason = null;
+        return { status: 'idle' };
+      }
+
+      const message = `Auto-publicação: ${paths.length} arquivo(s) alterado(s)`;
+      this.report(`🚀 Publicando ${paths.length} arquivo(s) em '${previewBranch}'...`);
+      const result = await this.gitHandlers.gitPushToBranch(projectPath, previewBranch, message, paths);
+      this.lastRun = { date: new Date().toISOString(), files: paths.length, success: !!result.success };
+
+      if (result.conflict) {
+        return this.pause('conflict', '⏸️ Pausada: a prévia mudou e há conflitos. Resolva-os em Publicar.');
+      }
+      if (result.cancelled) {
+        this.pausedReason = null;
+        this.report('⏹️ Cancelada pelo usuário.');
+        return { status: 'skipped', reason: 'cancelled' };
+      }
+      if (!result.success) {
+        // Only a lost lock race means another operation started first
+        if (/already in progress/.test(result.error || '')) {
+          this.schedule(LOCK_RETRY_MS);
+          return { status: 'paused', reason: 'busy' };
+        }
+        this.pausedReason = null;
+        this.report(`❌ Falhou: ${result.error}. Nova tentativa em ${PAUSED_RETRY_MS / 1000}s.`);
+        this.schedule(PAUSED_RETRY_MS);
+        return { status: 'failed', error: result.error };
+      }
+
+      this.pausedReason = null;
+      this.report(`✅ ${paths.length} arquivo(s) publicados em '${previewBranch}'.`);
+      return { status: 'published' };
+    } catch (error) {
+      this.logger.error('Auto-publish error:', error);
+      this.report(`❌ Erro: ${error.message}`);
+      this.schedule(PAUSED_RETRY_MS);
+      return { status: 'failed', error: error.message };
+    } finally {
+      this.running = false;
+      if (this.changedDuringRun && !this.timer) {
+        this.schedule();
+      }
+    }
+  }
+
+  /**
+   * Current scheduler state for the renderer
+   * @returns {{projectPath: string|null, watching: boolean, pending: boolean, running: boolean, pausedReason: string|null, lastRun: Object|null}}
+   */
+  getStatus() {
+    return {
+      projectPath: this.projectPath,
+      watching: this.watchers.length > 0,
+      pending: !!this.timer,
+      running: this.running,
+      pausedReason: this.pausedReason,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = { AutoPublishScheduler };
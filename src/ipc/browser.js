@@ -7,7 +7,14 @@
 'use strict';
 
 const { ipcMain, BrowserView, BrowserWindow } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const { CmsRouteService } = require('../services/cmsRouteService');
+const { LinkChecker } = require('./linkChecker');
+const { SlugRefactor, previousPath } = require('./slugRefactor');
+
+// How long the editor's page-loaded report after opening an entry from the preview is ignored
+const PREVIEW_OPEN_SYNC_WINDOW_MS = 10000;
 
 /**
  * @typedef {Object} BrowserViewBounds
@@ -26,13 +33,24 @@ class BrowserHandlers {
    * @param {Object} dependencies - Dependency injection container
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.windowManager - Window manager instance
+   * @param {Object} [dependencies.processManager] - Process manager instance (per-project dev servers)
+   * @param {Object} [dependencies.databaseManager] - Database manager instance (project folders for dist/ checks)
+   * @param {Object} [dependencies.slugRefactor] - SlugRefactor instance shared with GitHandlers (link updates bundled into commits)
    */
-  constructor({ logger, windowManager, processManager }) {
+  constructor({ logger, windowManager, processManager, databaseManager, slugRefactor = null }) {
     this.logger = logger;
     this.windowManager = windowManager;
     this.processManager = processManager;
+    this.databaseManager = databaseManager;
     this.windowBrowserViews = new Map(); // Store BrowserViews per window
     this.windowSlugMap = new Map(); // Store page slugs per window for preview sync
+    this.previewOpenedWindows = new Map(); // Window ID -> time its editor was opened from the preview
+    this.scrollSyncWindows = new Set(); // Windows in split view with scroll sync turned on
+    this.cmsRoutes = new CmsRouteService({ logger });
+    this.linkChecker = new LinkChecker({ logger });
+    this.linkCheckWindows = new Set(); // Windows with a link check in progress
+    this.slugRefactor = slugRefactor || new SlugRefactor({ logger });
+    this.slugRefactorProposals = new Map(); // Window ID -> { dir, from, to } offered after a slug change
   }
 
   /**
@@ -56,7 +74,10 @@ class BrowserHandlers {
 
       const viewerView = new BrowserView({
         webPreferences: {
+          // Preload script for the "edit this page" overlay (preview to editor sync)
+          preload: path.join(__dirname, '../preload/preview-preload.js'),
           nodeIntegration: false,
+          sandbox: true,
           contextIsolation: true,
           enableRemoteModule: false,
           webSecurity: true
@@ -70,6 +91,19 @@ class BrowserHandlers {
     return this.windowBrowserViews.get(window);
   }
 
+  /**
+   * Get the dev server URL of the project shown in a window
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @returns {string|null} Dev server URL, or null when the project has no running server
+   */
+  getViewerBaseUrl(window) {
+    const devServerUrl = this.processManager?.getDevServerUrlForWindow(window.id) || null;
+    if (!devServerUrl) {
+      this.logger.warn(`⚠️ No dev server running for the project of window ${window.id}, skipping preview update`);
+    }
+    return devServerUrl;
+  }
+
   /**
    * Get BrowserViews for the window that sent the IPC event
    * @param {Object} event - IPC event object
@@ -366,6 +400,283 @@ class BrowserHandlers {
     }
   }
 
+  /**
+   * Find the CMS entry rendered by a preview page of a window's project
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {string} url - Preview URL
+   * @returns {Promise<Object|null>} Entry with collection, entry and filepath, or null
+   */
+  async resolvePreviewEntry(window, url) {
+    const devServer = this._getDevServerForWindow(window);
+    if (!devServer || typeof url !== 'string') {
+      return null;
+    }
+
+    // Only pages of the project's own dev server map to its content
+    let pageUrl;
+    try {
+      pageUrl = new URL(url);
+      if (pageUrl.origin !== new URL(devServer.url).origin) {
+        return null;
+      }
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      return await this.cmsRoutes.resolveEntry(devServer.cwd, pageUrl.href);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not resolve CMS entry for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the running dev server of the project shown in a window
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @returns {Object|null} Dev server record with url and cwd
+   * @private
+   */
+  _getDevServerForWindow(window) {
+    const devServer = this.processManager?.getDevServer(this.processManager.getProjectIdForWindow(window.id));
+    return devServer && devServer.cwd ? devServer : null;
+  }
+
+  /**
+   * Find the preview URL path of the CMS entry shown in a window's editor
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {Object} route - Entry with collection, entry and slug
+   * @returns {Promise<string|null>} Path such as '/blog/hello/', or null when no route was found
+   */
+  async resolvePreviewPath(window, route) {
+    const devServer = this._getDevServerForWindow(window);
+    if (!devServer || !route || typeof route.collection !== 'string' ||
+        (typeof route.entry !== 'string' && typeof route.slug !== 'string')) {
+      return null;
+    }
+    try {
+      return await this.cmsRoutes.resolvePreviewPath(devServer.cwd, {
+        collection: route.collection,
+        entry: typeof route.entry === 'string' ? route.entry : route.slug,
+        slug: typeof route.slug === 'string' ? route.slug : undefined
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not resolve preview URL for ${route.collection}/${route.entry}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the preview URL of a CMS entry, falling back to the slug below the dev server URL
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {string} devServerUrl - Dev server URL (ends with a slash)
+   * @param {string} slug - Validated slug
+   * @param {Object} [route] - Entry shown in the editor (collection and entry from the Sveltia route)
+   * @returns {Promise<string>} Preview URL
+   */
+  async getPreviewUrl(window, devServerUrl, slug, route) {
+    const urlPath = route ? await this.resolvePreviewPath(window, { ...route, slug }) : null;
+    if (!urlPath) {
+      return `${devServerUrl}${slug}/`;
+    }
+    this.logger.info(`🧭 Routed ${route.collection}/${route.entry || slug} to ${urlPath}`);
+    return `${devServerUrl}${urlPath.replace(/^\//, '')}`;
+  }
+
+  /**
+   * Open the CMS entry of a preview page in the window's editor view
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {string} url - Preview URL
+   * @returns {Promise<Object|null>} Opened entry, or null when the page has none
+   */
+  async openPreviewEntry(window, url) {
+    const entry = await this.resolvePreviewEntry(window, url);
+    if (!entry) {
+      this.logger.warn(`⚠️ No CMS entry found for preview page ${url}`);
+      return null;
+    }
+
+    // The editor reports the entry back with cms:page-loaded; the preview is already showing it
+    this.previewOpenedWindows.set(window.id, Date.now());
+    if (!await this.openEntryInEditor(window, entry)) {
+      this.previewOpenedWindows.delete(window.id);
+      return null;
+    }
+
+    if (!window.isDestroyed()) {
+      window.webContents.send('preview:entry-opened', entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Navigate the window's editor view to a CMS entry
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {Object} entry - Entry with collection and entry names
+   * @returns {Promise<boolean>} True when the editor was navigated
+   */
+  async openEntryInEditor(window, entry) {
+    const { editorView } = this.getOrCreateBrowserViews(window);
+    const editorUrl = editorView.webContents.getURL();
+    if (!editorUrl) {
+      this.logger.warn(`⚠️ Editor of window ${window.id} is not loaded, cannot open ${entry.collection}/${entry.entry}`);
+      return false;
+    }
+
+    // Sveltia routes on the hash, so switching entries stays inside the loaded CMS
+    const hash = this.cmsRoutes.editorHash(entry);
+    this.logger.info(`✏️ Opening ${entry.collection}/${entry.entry} in editor: ${editorUrl.split('#')[0]}${hash}`);
+    await editorView.webContents.executeJavaScript(`location.hash = ${JSON.stringify(hash)}`);
+    return true;
+  }
+
+  /**
+   * Find the repository folder of the project shown in a window
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @returns {Promise<string|null>} Repository directory
+   * @private
+   */
+  async _getProjectDir(window) {
+    const devServer = this._getDevServerForWindow(window);
+    if (devServer) {
+      return devServer.cwd;
+    }
+    const projectId = this.processManager?.getProjectIdForWindow(window.id);
+    if (!projectId || !this.databaseManager) {
+      return null;
+    }
+    const db = await this.databaseManager.getDatabase();
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT projectPath, repoFolderName FROM projects WHERE id = ?', [projectId], (err, result) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(result);
+      });
+    });
+    return row && row.projectPath ? this.processManager.resolveRepoPath(row.projectPath, row.repoFolderName) : null;
+  }
+
+  /**
+   * Crawl the site of a window's project for broken links, broken anchors and missing images
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {string} [requestedSource='auto'] - 'server', 'dist', or 'auto' (the dev server when running, dist/ otherwise)
+   * @returns {Promise<Object>} Report with source, pagesChecked, truncated and issues (each with its CMS entry as source)
+   */
+  async runLinkCheck(window, requestedSource = 'auto') {
+    if (this.linkCheckWindows.has(window.id)) {
+      throw new Error('Uma verificação de links já está em andamento');
+    }
+    const devServer = this._getDevServerForWindow(window);
+    const dir = await this._getProjectDir(window);
+
+    let sourceName;
+    let source;
+    if (requestedSource !== 'dist' && devServer) {
+      sourceName = 'server';
+      source = this.linkChecker.createServerSource(devServer.url);
+    } else if (requestedSource === 'server') {
+      throw new Error('Nenhum servidor de desenvolvimento em execução para este projeto');
+    } else {
+      const distDir = dir ? path.join(dir, 'dist') : null;
+      const isBuilt = distDir && await fs.promises.stat(distDir).then(stats => stats.isDirectory(), () => false);
+      if (!isBuilt) {
+        throw new Error('Pasta dist/ não encontrada. Execute npm run build ou inicie o servidor de desenvolvimento');
+      }
+      sourceName = 'dist';
+      source = this.linkChecker.createDistSource(distDir);
+    }
+
+    this.linkCheckWindows.add(window.id);
+    this.logger.info(`🔗 Checking links of window ${window.id} (${sourceName === 'dist' ? 'dist/' : source.baseUrl})`);
+    try {
+      const report = await this.linkChecker.check({
+        source,
+        onProgress: progress => {
+          if (!window.isDestroyed()) {
+            window.webContents.send('link-check:progress', progress);
+          }
+        }
+      });
+
+      // Map each page back to the entry it renders, so results can open in the editor
+      const entries = new Map();
+      for (const issue of report.issues) {
+        if (!entries.has(issue.page)) {
+          const entry = dir ? await this.cmsRoutes.resolveEntry(dir, new URL(issue.page, source.baseUrl).href).catch(() => null) : null;
+          entries.set(issue.page, entry);
+        }
+        issue.source = entries.get(issue.page);
+      }
+
+      this.logger.info(`✅ Link check finished: ${report.pagesChecked} page(s), ${report.issues.length} issue(s)`);
+      return { source: sourceName, ...report };
+    } finally {
+      this.linkCheckWindows.delete(window.id);
+    }
+  }
+
+  /**
+   * Offer to update the links to a page whose slug changed in the editor
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {string} oldSlug - Slug when the entry was opened
+   * @param {string} newSlug - Slug when the entry was saved
+   * @param {Object} [route] - Collection of the entry (from the Sveltia route)
+   * @returns {Promise<Object|null>} Proposal sent to the window, or null when the URL did not change
+   */
+  async proposeSlugRefactor(window, oldSlug, newSlug, route) {
+    const dir = await this._getProjectDir(window);
+    if (!dir) {
+      return null;
+    }
+
+    let newPath = null;
+    if (route && typeof route.collection === 'string') {
+      newPath = await this.cmsRoutes.resolvePreviewPath(dir, { collection: route.collection, entry: newSlug, slug: newSlug })
+        .catch(() => null);
+    }
+    newPath = newPath || `/${newSlug}/`;
+    const oldPath = previousPath(newPath, oldSlug, newSlug);
+    if (!oldPath) {
+      this.logger.info(`📝 Slug of ${newPath} is not part of its URL, no links to update`);
+      return null;
+    }
+
+    const { references, files } = await this.slugRefactor.findReferences(dir, { from: oldPath, to: newPath });
+    const redirect = await this.slugRefactor.readRedirectOptions(dir);
+    this.slugRefactorProposals.set(window.id, { dir, from: oldPath, to: newPath });
+    this.logger.info(`🔗 Page moved from ${oldPath} to ${newPath}: ${references.length} link(s) in ${files.length} file(s)`);
+
+    const proposal = { from: oldPath, to: newPath, references, files, redirect };
+    if (!window.isDestroyed()) {
+      window.webContents.send('slug-refactor:proposed', proposal);
+    }
+    return proposal;
+  }
+
+  /**
+   * Apply the link updates offered to a window after a slug change
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {Object} [options] - Files to update and redirect target, as chosen in the preview
+   * @returns {Promise<Object>} Changed files, replacement count and redirect file
+   */
+  async applySlugRefactor(window, { files = null, redirect = 'none' } = {}) {
+    const proposal = this.slugRefactorProposals.get(window.id);
+    if (!proposal) {
+      throw new Error('Nenhuma alteração de slug pendente');
+    }
+    if (!['none', 'astro', 'file'].includes(redirect)) {
+      throw new Error(`Destino de redirecionamento inválido: ${redirect}`);
+    }
+    const result = await this.slugRefactor.apply(proposal.dir, proposal, {
+      files: Array.isArray(files) ? files.filter(file => typeof file === 'string') : null,
+      redirect
+    });
+    this.slugRefactorProposals.delete(window.id);
+    return result;
+  }
+
   /**
    * Clean up BrowserViews for a window
    * @param {BrowserWindow} window - Window to clean up
@@ -387,6 +698,9 @@ class BrowserHandlers {
     }
     
     // Clean up slug mapping for this window
+    this.previewOpenedWindows.delete(window.id);
+    this.scrollSyncWindows.delete(window.id);
+    this.slugRefactorProposals.delete(window.id);
     if (this.windowSlugMap.has(window.id)) {
       this.windowSlugMap.delete(window.id);
       this.logger.info(`Cleaned up slug mapping for window ${window.id}`);
@@ -436,6 +750,26 @@ class BrowserHandlers {
     return sanitizedSlug;
   }
 
+  /**
+   * Validate an editor cursor position reported by the Sveltia preload script
+   * @param {*} position - Raw position
+   * @returns {Object|null} Position with heading, headingOccurrence, blockIndex and ratio, or null if invalid
+   * @private
+   */
+  _sanitizeEditorPosition(position) {
+    if (!position || typeof position !== 'object') {
+      return null;
+    }
+    const { heading, headingOccurrence, blockIndex, ratio } = position;
+    if ((heading !== null && typeof heading !== 'string') ||
+        !Number.isInteger(headingOccurrence) || headingOccurrence < 0 ||
+        !Number.isInteger(blockIndex) || blockIndex < 0 ||
+        typeof ratio !== 'number' || !(ratio >= 0 && ratio <= 1)) {
+      return null;
+    }
+    return { heading: heading ? heading.slice(0, 500) : null, headingOccurrence, blockIndex, ratio };
+  }
+
   /**
    * Register all BrowserView management IPC handlers
    */
@@ -506,11 +840,146 @@ class BrowserHandlers {
     });
 
 
+    /**
+     * Check the links of the project's site (console Links tab)
+     */
+    ipcMain.handle('link-check:run', async (event, options = {}) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window) {
+        return { success: false, error: 'Janela não encontrada' };
+      }
+      try {
+        return { success: true, ...(await this.runLinkCheck(window, options && options.source)) };
+      } catch (error) {
+        this.logger.error('❌ Link check failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Open a CMS entry in the editor view
+     */
+    ipcMain.handle('cms:open-entry', async (event, entry) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window || !entry || typeof entry.collection !== 'string' || typeof entry.entry !== 'string') {
+        return { success: false, error: 'Entrada inválida' };
+      }
+      try {
+        const opened = await this.openEntryInEditor(window, entry);
+        return opened ? { success: true } : { success: false, error: 'O editor ainda não foi carregado' };
+      } catch (error) {
+        this.logger.error('❌ Error opening CMS entry:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Rewrite the links to a renamed page (and add a redirect) as offered after a slug change
+     */
+    ipcMain.handle('slug-refactor:apply', async (event, options = {}) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window) {
+        return { success: false, error: 'Janela não encontrada' };
+      }
+      try {
+        return { success: true, ...(await this.applySlugRefactor(window, options || {})) };
+      } catch (error) {
+        this.logger.error('❌ Slug refactoring failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Keep the links to a renamed page as they are
+     */
+    ipcMain.handle('slug-refactor:dismiss', (event) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (window) {
+        this.slugRefactorProposals.delete(window.id);
+      }
+      return { success: true };
+    });
+
+    /**
+     * Turn scroll sync on or off for a window (split view toolbar)
+     */
+    ipcMain.handle('set-scroll-sync', (event, enabled) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window) {
+        return { success: false, error: 'Janela não encontrada' };
+      }
+      if (enabled) {
+        this.scrollSyncWindows.add(window.id);
+      } else {
+        this.scrollSyncWindows.delete(window.id);
+      }
+      return { success: true, enabled: Boolean(enabled) };
+    });
+
+    /**
+     * Forward the editor cursor position to the preview (scroll sync)
+     */
+    ipcMain.on('cms:editor-position', (event, position) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window || !this.scrollSyncWindows.has(window.id)) {
+        return;
+      }
+      const validatedPosition = this._sanitizeEditorPosition(position);
+      if (!validatedPosition) {
+        this.logger.warn('⚠️ cms:editor-position rejected: invalid position');
+        return;
+      }
+      const { viewerView } = this.getOrCreateBrowserViews(window);
+      if (viewerView && !viewerView.webContents.isDestroyed()) {
+        viewerView.webContents.send('preview:scroll-to', validatedPosition);
+      }
+    });
+
+    /**
+     * Resolve the preview URL of a CMS entry (collection, entry and slug)
+     */
+    ipcMain.handle('cms:resolve-preview-url', async (event, route) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      const devServerUrl = window ? this.getViewerBaseUrl(window) : null;
+      if (!devServerUrl) {
+        return { success: false, error: 'Nenhum servidor de desenvolvimento em execução para este projeto' };
+      }
+      const urlPath = await this.resolvePreviewPath(window, route);
+      if (!urlPath) {
+        return { success: false, error: 'Nenhuma rota encontrada para esta entrada' };
+      }
+      return { success: true, url: `${devServerUrl}${urlPath.replace(/^\//, '')}`, path: urlPath };
+    });
+
+    /**
+     * Resolve the CMS entry of the page shown in the viewer (preview preload script)
+     */
+    ipcMain.handle('preview:resolve-entry', async (event, url) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      return window ? this.resolvePreviewEntry(window, url) : null;
+    });
+
+    /**
+     * Handle "edit this page" clicks from the preview preload script
+     */
+    ipcMain.on('preview:open-entry', async (event, url) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window) {
+        this.logger.warn('❌ Could not determine window for preview:open-entry event');
+        return;
+      }
+      try {
+        await this.openPreviewEntry(window, url);
+      } catch (error) {
+        this.logger.error('❌ Error opening CMS entry from preview:', error);
+      }
+    });
+
     /**
      * Handle CMS page loaded event from Sveltia preload script
      * Stores the slug and loads preview URL in viewer BrowserView
      */
-    ipcMain.on('cms:page-loaded', (event, slug) => {
+    ipcMain.on('cms:page-loaded', async (event, slug, route) => {
       const window = BrowserWindow.fromWebContents(event.sender);
       if (!window) {
         this.logger.warn('❌ Could not determine window for cms:page-loaded event');
@@ -528,9 +997,18 @@ class BrowserHandlers {
       this.windowSlugMap.set(windowId, validatedSlug);
       this.logger.info(`📄 CMS page loaded - stored slug "${validatedSlug}" for window ${windowId}`);
 
-      // Get dev server URL from processManager (dynamically captured from Astro server)
-      const devServerUrl = this.processManager?.getGlobalDevServerUrl() || 'http://localhost:4321';
-      const previewUrl = `${devServerUrl}${validatedSlug}/`;
+      const openedFromPreviewAt = this.previewOpenedWindows.get(windowId);
+      this.previewOpenedWindows.delete(windowId);
+      if (openedFromPreviewAt && Date.now() - openedFromPreviewAt < PREVIEW_OPEN_SYNC_WINDOW_MS) {
+        this.logger.info(`📝 Entry was opened from the preview of window ${windowId}, skipping preview update`);
+        return;
+      }
+
+      const devServerUrl = this.getViewerBaseUrl(window);
+      if (!devServerUrl) {
+        return;
+      }
+      const previewUrl = await this.getPreviewUrl(window, devServerUrl, validatedSlug, route);
 
       // Load preview URL in viewer BrowserView
       const { viewerView } = this.getOrCreateBrowserViews(window);
@@ -545,7 +1023,7 @@ class BrowserHandlers {
      * Handle CMS content saved event from Sveltia preload script
      * Only updates preview if the slug has changed
      */
-    ipcMain.on('cms:content-saved', (event, newSlug) => {
+    ipcMain.on('cms:content-saved', async (event, newSlug, route) => {
       const window = BrowserWindow.fromWebContents(event.sender);
       if (!window) {
         this.logger.warn('❌ Could not determine window for cms:content-saved event');
@@ -566,9 +1044,11 @@ class BrowserHandlers {
         this.windowSlugMap.set(windowId, validatedSlug);
         this.logger.info(`💾 Content saved - slug changed from "${lastSlug}" to "${validatedSlug}" for window ${windowId}`);
 
-        // Get dev server URL from processManager (dynamically captured from Astro server)
-        const devServerUrl = this.processManager?.getGlobalDevServerUrl() || 'http://localhost:4321';
-        const previewUrl = `${devServerUrl}${validatedSlug}/`;
+        const devServerUrl = this.getViewerBaseUrl(window);
+        if (!devServerUrl) {
+          return;
+        }
+        const previewUrl = await this.getPreviewUrl(window, devServerUrl, validatedSlug, route);
 
         // Update preview URL in viewer BrowserView
         const { viewerView } = this.getOrCreateBrowserViews(window);
@@ -586,7 +1066,7 @@ class BrowserHandlers {
      * Triggered when user saves a page with a different slug
      * Works with both Sveltia configurations (default redirect and stay on page)
      */
-    ipcMain.on('cms:slug-changed', (event, newSlug) => {
+    ipcMain.on('cms:slug-changed', async (event, newSlug, route) => {
       const window = BrowserWindow.fromWebContents(event.sender);
       if (!window) {
         this.logger.warn('❌ Could not determine window for cms:slug-changed event');
@@ -607,16 +1087,26 @@ class BrowserHandlers {
         this.windowSlugMap.set(windowId, validatedSlug);
         this.logger.info(`📝 Slug changed from "${lastSlug}" to "${validatedSlug}" for window ${windowId}`);
 
-        // Get dev server URL from processManager (dynamically captured from Astro server)
-        const devServerUrl = this.processManager?.getGlobalDevServerUrl() || 'http://localhost:4321';
-        const previewUrl = `${devServerUrl}${validatedSlug}/`;
+        const devServerUrl = this.getViewerBaseUrl(window);
+        if (devServerUrl) {
+          const previewUrl = await this.getPreviewUrl(window, devServerUrl, validatedSlug, route);
+
+          // Update preview URL in viewer BrowserView
+          const { viewerView } = this.getOrCreateBrowserViews(window);
+          if (viewerView) {
+            this.logger.info(`🔗 Updating preview URL after slug change: ${previewUrl}`);
+            this.trackBrowserViewLoad(viewerView, 'viewer', window);
+            viewerView.webContents.loadURL(previewUrl);
+          }
+        }
 
-        // Update preview URL in viewer BrowserView
-        const { viewerView } = this.getOrCreateBrowserViews(window);
-        if (viewerView) {
-          this.logger.info(`🔗 Updating preview URL after slug change: ${previewUrl}`);
-          this.trackBrowserViewLoad(viewerView, 'viewer', window);
-          viewerView.webContents.loadURL(previewUrl);
+        // Links to the old URL would break; offer to update them
+        if (lastSlug) {
+          try {
+            await this.proposeSlugRefactor(window, lastSlug, validatedSlug, route);
+          } catch (error) {
+            this.logger.warn('⚠️ Could not look for links to the renamed page:', error.message);
+          }
         }
       } else {
         this.logger.info(`📝 Slug unchanged "${validatedSlug}" for window ${windowId}, skipping preview update`);
@@ -641,11 +1131,20 @@ class BrowserHandlers {
     ipcMain.removeHandler('browser-view-reload');
     ipcMain.removeHandler('get-browser-view-url');
     ipcMain.removeHandler('clear-browser-cache');
+    ipcMain.removeHandler('preview:resolve-entry');
+    ipcMain.removeHandler('cms:resolve-preview-url');
+    ipcMain.removeHandler('set-scroll-sync');
+    ipcMain.removeHandler('link-check:run');
+    ipcMain.removeHandler('cms:open-entry');
+    ipcMain.removeHandler('slug-refactor:apply');
+    ipcMain.removeHandler('slug-refactor:dismiss');
     
     // Remove CMS event listeners
     ipcMain.removeAllListeners('cms:page-loaded');
     ipcMain.removeAllListeners('cms:content-saved');
     ipcMain.removeAllListeners('cms:slug-changed');
+    ipcMain.removeAllListeners('preview:open-entry');
+    ipcMain.removeAllListeners('cms:editor-position');
     
     this.logger.info('✅ BrowserView management IPC handlers unregistered');
   }
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Download progress of clones and fetches, in objects and bytes, for the commands console
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const baseHttp = require('isomorphic-git/http/node');
+
+// Minimum time between two progress lines of the same phase
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Human-readable byte count
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "12.4 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Track a clone or fetch: counts the bytes received through its HTTP client and
+ * turns isomorphic-git progress events into throttled console lines
+ * @param {function(string): void} sendOutput - Step output sender (command-output)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.http] - isomorphic-git HTTP client to wrap
+ * @param {function(): number} [options.now] - Clock
+ * @returns {{http: Object, onProgress: function(Object): void, getBytes: function(): number, finish: function(): void}} Tracker
+ */
+function createCloneProgress(sendOutput, { http = baseHttp, now = Date.now } = {}) {
+  let bytes = 0;
+  let lastPhase = null;
+  let lastSentAt = 0;
+  // Objects of earlier transfers (a clone followed by fetches) and of the current one
+  let receivedBefore = 0;
+  let receiving = 0;
+
+  async function* countBytes(body) {
+    for await (const chunk of body) {
+      bytes += chunk.length;
+      yield chunk;
+    }
+  }
+
+  const countingHttp = {
+    async request(options) {
+      const response = await http.request(options);
+      return response.body ? { ...response, body: countBytes(response.body) } : response;
+    }
+  };
+
+  const onProgress = ({ phase, loaded, total }) => {
+    if (phase === 'Receiving objects') {
+      if (loaded < receiving) {
+        receivedBefore += receiving;
+      }
+      receiving = loaded;
+    }
+
+    const time = now();
+    const isLast = total && loaded >= total;
+    if (phase === lastPhase && !isLast && time - lastSentAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastPhase = phase;
+    lastSentAt = time;
+
+    const count = total ? `${loaded}/${total} (${Math.round((loaded / total) * 100)}%)` : `${loaded}`;
+    sendOutput(`📦 ${phase}: ${count} · ${formatBytes(bytes)} baixados\n`);
+  };
+
+  const finish = () => {
+    sendOutput(`📊 Download concluído: ${receivedBefore + receiving} objetos, ${formatBytes(bytes)}\n`);
+  };
+
+  return { http: countingHttp, onProgress, getBytes: () => bytes, finish };
+}
+
+module.exports = { createCloneProgress, formatBytes };
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Review of uncommitted changes before a commit: listing, diffs and discard
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { parseLfsPointer } = require('./gitLfs.js');
+
+/**
+ * @typedef {Object} WorkingChange
+ * @property {string} path - Repository-relative file path
+ * @property {'added'|'modified'|'deleted'} status - Change relative to HEAD
+ * @property {boolean} suggestedExclude - True for files that are rarely meant to be committed
+ */
+
+// Editor backups, OS metadata and build output that usually end up in a commit by accident
+const STRAY_FILE_PATTERNS = [
+  /(^|\/)\.DS_Store$/,
+  /(^|\/)Thumbs\.db$/i,
+  /(^|\/)desktop\.ini$/i,
+  /(^|\/)\.~lock\..*#$/,
+  /~$/,
+  /\.(swp|swo|bak|orig|rej|tmp)$/i,
+  /(^|\/)(dist|\.astro|node_modules)\//
+];
+
+/**
+ * Check whether a path looks like a file that should not be committed
+ * @param {string} filepath - Repository-relative file path
+ * @returns {boolean} True for editor backups, OS metadata and build output
+ */
+function isStrayPath(filepath) {
+  return STRAY_FILE_PATTERNS.some(pattern => pattern.test(filepath));
+}
+
+/**
+ * Classify a statusMatrix row
+ * @param {Array} row - [filepath, head, workdir, stage]
+ * @returns {'added'|'modified'|'deleted'|null} Status, or null when unchanged
+ */
+function describeStatusRow([, head, workdir, stage]) {
+  if (head === 1 && workdir === 1 && stage === 1) {
+    return null;
+  }
+  if (head === 0) {
+    return workdir === 0 ? null : 'added';
+  }
+  if (workdir === 0) {
+    return 'deleted';
+  }
+  return 'modified';
+}
+
+/**
+ * Commit Review - lists, diffs and discards uncommitted changes
+ */
+class CommitReview {
+  /**
+   * Create an instance of CommitReview
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.historyReader - GitHistoryReader instance (used for diffs)
+   * @param {Object} [dependencies.lfs] - GitLfs instance (restored LFS files are not changes)
+   */
+  constructor({ logger, historyReader, lfs = null }) {
+    this.logger = logger;
+    this.historyReader = historyReader;
+    this.lfs = lfs;
+  }
+
+  /**
+   * List uncommitted changes
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<WorkingChange[]>} Changed files
+   */
+  async listChanges({ gitMod, fs, dir, cache }) {
+    let matrix = await gitMod.statusMatrix({ fs, dir, cache });
+    if (this.lfs) {
+      matrix = await this.lfs.normalizeStatusMatrix({ gitMod, fs, dir, matrix, cache });
+    }
+    const changes = [];
+    for (const row of matrix) {
+      const status = describeStatusRow(row);
+      if (status) {
+        changes.push({ path: row[0], status, suggestedExclude: isStrayPath(row[0]) });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Resolve a repository-relative path, rejecting paths that escape the repository
+   * @param {string} dir - Repository directory
+   * @param {string} filepath - Repository-relative file path
+   * @returns {string} Absolute path
+   */
+  resolvePath(dir, filepath) {
+    const root = path.resolve(dir);
+    const fullPath = path.resolve(root, String(filepath || ''));
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Caminho inválido: ${filepath}`);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Read a file as committed in HEAD
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {string} filepath - Repository-relative file path
+   * @returns {Promise<Uint8Array|null>} Content, or null when the file is not in HEAD
+   */
+  async readHeadContent(gitMod, fs, dir, filepath) {
+    try {
+      const oid = await gitMod.resolveRef({ fs, dir, ref: 'HEAD' });
+      const { blob } = await gitMod.readBlob({ fs, dir, oid, filepath });
+      return blob;
+    } catch (error) {
+      if (error.code === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Diff a working tree file against HEAD
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.filepath - Repository-relative file path
+   * @returns {Promise<Object>} File diff (see GitHistoryReader#diffContents)
+   */
+  async readFileDiff({ gitMod, fs, dir, filepath }) {
+    const fullPath = this.resolvePath(dir, filepath);
+    const headContent = await this.readHeadContent(gitMod, fs, dir, filepath);
+
+    let workdirContent = null;
+    try {
+      workdirContent = await fs.promises.readFile(fullPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const status = !headContent ? 'added' : !workdirContent ? 'deleted' : 'modified';
+    return this.historyReader.diffContents(filepath, status, headContent, workdirContent);
+  }
+
+  /**
+   * Restore files to their HEAD version (deleting files that are not in HEAD) and unstage them.
+   * LFS files get their content back from the local store; those missing from it are left as pointers.
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string[]} options.paths - Repository-relative file paths
+   * @returns {Promise<string[]>} Discarded paths
+   */
+  async discard({ gitMod, fs, dir, paths }) {
+    // Validate every path before touching the working tree
+    const targets = paths.map(filepath => ({ filepath, fullPath: this.resolvePath(dir, filepath) }));
+    const lfsPatterns = this.lfs ? await this.lfs.readPatterns(fs, dir) : [];
+
+    for (const { filepath, fullPath } of targets) {
+      const headContent = await this.readHeadContent(gitMod, fs, dir, filepath);
+      if (headContent) {
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        // HEAD holds the pointer of LFS files, not the media itself
+        const pointer = lfsPatterns.some(pattern => pattern.test(filepath)) ? parseLfsPointer(headContent) : null;
+        if (pointer && fs.existsSync(this.lfs.objectPath(dir, pointer.oid))) {
+          await fs.promises.copyFile(this.lfs.objectPath(dir, pointer.oid), fullPath);
+        } else {
+          await fs.promises.writeFile(fullPath, headContent);
+        }
+      } else {
+        await fs.promises.rm(fullPath, { force: true });
+      }
+      await gitMod.resetIndex({ fs, dir, filepath });
+      this.logger.info(`Discarded changes to ${filepath}`);
+    }
+
+    return targets.map(({ filepath }) => filepath);
+  }
+}
+
+module.exports = { CommitReview, isStrayPath, describeStatusRow };
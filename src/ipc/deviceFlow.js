@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Device flow session behind the sign-in window: code, polling status, restart and cancel
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+// Poll outcomes that stop the session until the user asks for a new code
+const RESTARTABLE_ERRORS = ['expired_token', 'access_denied'];
+
+/**
+ * @typedef {Object} DeviceFlowState
+ * @property {string} hostLabel - Host shown in the window title
+ * @property {string|null} userCode - Code the user types in the browser
+ * @property {string|null} verificationUri - Page where the code is typed
+ * @property {string|null} expiresAt - ISO date when the code expires
+ * @property {'starting'|'authorization_pending'|'slow_down'|'expired_token'|'access_denied'|'authorized'|'error'} status - Polling status
+ * @property {string|null} message - Error message when status is 'error'
+ */
+
+/**
+ * Device Flow Session - one sign-in attempt, possibly spanning several codes
+ */
+class DeviceFlowSession {
+  /**
+   * Create an instance of DeviceFlowSession
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {string} dependencies.hostLabel - Host shown to the user
+   * @param {function(): Promise<Object>} dependencies.requestDeviceCode - Requests a new device code
+   * @param {function(string, number, Object): Promise<Object>} dependencies.authorize - Polls a device code until it is
+   *   authorized and stores the account; receives { onStatus, isCancelled } and resolves with an AuthResult
+   * @param {function(DeviceFlowState): void} [dependencies.send] - Pushes state changes to the window
+   * @param {function(): number} [dependencies.now] - Clock
+   */
+  constructor({ logger, hostLabel, requestDeviceCode, authorize, send = () => {}, now = Date.now }) {
+    this.logger = logger;
+    this.requestDeviceCode = requestDeviceCode;
+    this.authorize = authorize;
+    this.send = send;
+    this.now = now;
+    this.attempt = 0;
+    this.finished = false;
+    this.state = {
+      hostLabel,
+      userCode: null,
+      verificationUri: null,
+      expiresAt: null,
+      status: 'starting',
+      message: null
+    };
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+  }
+
+  /**
+   * Current state for the window
+   * @returns {DeviceFlowState} State
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Merge a state change and push it to the window
+   * @param {Partial<DeviceFlowState>} changes - Changed fields
+   */
+  update(changes) {
+    this.state = { ...this.state, ...changes };
+    this.send(this.getState());
+  }
+
+  /**
+   * Start polling a device code; earlier codes of this session stop polling
+   * @param {Object} deviceCodeResponse - Device code response (device_code, user_code, verification_uri, expires_in, interval)
+   * @returns {Promise<Object>} Session result, see done
+   */
+  start(deviceCodeResponse) {
+    const attempt = ++this.attempt;
+    const { device_code, user_code, verification_uri, expires_in, interval } = deviceCodeResponse;
+
+    this.update({
+      userCode: user_code,
+      verificationUri: verification_uri,
+      expiresAt: new Date(this.now() + expires_in * 1000).toISOString(),
+      status: 'authorization_pending',
+      message: null
+    });
+
+    const isCurrent = () => !this.finished && attempt === this.attempt;
+    this.authorize(device_code, interval || 5, {
+      onStatus: status => {
+        if (isCurrent()) {
+          this.update({ status });
+        }
+      },
+      isCancelled: () => !isCurrent()
+    }).then(result => {
+      if (!isCurrent()) {
+        return;
+      }
+      if (result.success) {
+        this.update({ status: 'authorized' });
+        this.finish(result);
+      } else if (RESTARTABLE_ERRORS.includes(result.code)) {
+        this.update({ status: result.code });
+      } else {
+        this.update({ status: 'error', message: result.error });
+      }
+    }).catch(error => {
+      if (isCurrent()) {
+        this.update({ status: 'error', message: error.message });
+      }
+    });
+
+    return this.done;
+  }
+
+  /**
+   * Request a new code after the previous one expired, was denied or failed
+   * @returns {Promise<DeviceFlowState>} State after the new code was issued
+   */
+  async restart() {
+    if (this.finished) {
+      return this.getState();
+    }
+    this.attempt++;
+    this.update({ status: 'starting', message: null });
+    try {
+      const deviceCodeResponse = await this.requestDeviceCode();
+      if (!this.finished) {
+        this.logger.info('🔁 New device code issued');
+        this.start(deviceCodeResponse);
+      }
+    } catch (error) {
+      this.logger.error('❌ Could not request a new device code:', error);
+      this.update({ status: 'error', message: error.message });
+    }
+    return this.getState();
+  }
+
+  /**
+   * Give up signing in (Cancel button or window closed)
+   */
+  cancel() {
+    this.finish({ success: false, cancelled: true, error: 'Autenticação cancelada' });
+  }
+
+  /**
+   * Stop polling and settle the session
+   * @param {Object} result - AuthResult
+   */
+  finish(result) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.resolveDone(result);
+  }
+}
+
+module.exports = { DeviceFlowSession, RESTARTABLE_ERRORS };
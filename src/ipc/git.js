@@ -11,6 +11,30 @@ const path = require('path');
 const git = require('isomorphic-git');
 const http = require('isomorphic-git/http/node');
 const { GitOperations } = require('./gitOperations.js');
+const { MergeConflictResolver } = require('./mergeConflicts.js');
+const { GitHistoryReader } = require('./gitHistory.js');
+const { CommitReview } = require('./commitReview.js');
+const { AutoPublishScheduler } = require('./autoPublish.js');
+const { MediaSettingsService, defaultMediaSettings } = require('../services/mediaSettingsService.js');
+const { MediaOptimizer } = require('./mediaOptimizer.js');
+const { formatBytes } = require('./cloneProgress.js');
+const {
+  WORKING_BRANCH_PREFIX,
+  WorkingBranchRebaser,
+  sanitizeBranchUser,
+  buildWorkingBranchName,
+  parseWorkingBranchName,
+  isWorkingBranchOf
+} = require('./workingBranches.js');
+
+// Production branch that preview is published to
+const PRODUCTION_BRANCH = 'main';
+// Commits fetched per ref when a shallow repository needs history for ancestry checks
+const PUBLISH_DEEPEN_DEPTH = 1000;
+// Upper bound on commits listed for review before publishing to production
+const PUBLISH_MAX_LISTED_COMMITS = 200;
+// Commits added to a shallow clone each time the history view reaches its oldest commit
+const HISTORY_DEEPEN_STEP = 200;
 
 /**
  * @typedef {Object} GitOperationResult
@@ -45,11 +69,29 @@ class GitHandlers {
    * @param {Object} dependencies - Dependency injection container
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.databaseManager - Database manager instance
+   * @param {Object} [dependencies.settingsService] - Settings service instance
+   * @param {Object} [dependencies.tokenHealth] - TokenHealthService instance
+   * @param {Object} [dependencies.slugRefactor] - SlugRefactor instance (link updates after slug changes, bundled into the next commit)
    */
-  constructor({ logger, databaseManager }) {
+  constructor({ logger, databaseManager, settingsService = null, tokenHealth = null, slugRefactor = null }) {
     this.logger = logger;
     this.databaseManager = databaseManager;
-    this.gitOps = new GitOperations({ logger, databaseManager });
+    this.settingsService = settingsService;
+    this.tokenHealth = tokenHealth;
+    this.slugRefactor = slugRefactor;
+    this.gitOps = new GitOperations({ logger, databaseManager, tokenHealth });
+    this.mergeResolver = new MergeConflictResolver({ logger, lfs: this.gitOps.lfs });
+    this.mergeSession = null;
+    this.workingBranchRebaser = new WorkingBranchRebaser({ logger, mergeResolver: this.mergeResolver });
+    this.historyReader = new GitHistoryReader({ logger });
+    this._historyDeepening = null;
+    this.mediaSettings = new MediaSettingsService({ logger, databaseManager });
+    this.mediaOptimizer = new MediaOptimizer({ logger });
+    this._lastMediaReport = null;
+    this.commitReview = new CommitReview({ logger, historyReader: this.historyReader, lfs: this.gitOps.lfs });
+    this.autoPublish = settingsService
+      ? new AutoPublishScheduler({ logger, settingsService, gitHandlers: this })
+      : null;
     this.gitOperationInProgress = false;
     this.LOCK_TIMEOUT_MS = 60000;
     this._lockTimeout = null;
@@ -266,7 +308,13 @@ class GitHandlers {
       const fs = require('fs');
       const gitMod = await this._getGit();
 
-      const matrix = await gitMod.statusMatrix({ fs, dir: projectPath, cache: this._gitCache });
+      const matrix = await this.gitOps.lfs.normalizeStatusMatrix({
+        gitMod,
+        fs,
+        dir: projectPath,
+        matrix: await gitMod.statusMatrix({ fs, dir: projectPath, cache: this._gitCache }),
+        cache: this._gitCache
+      });
       const dirtyFiles = matrix.filter(([, head, workdir, stage]) =>
         !(head === 1 && workdir === 1 && stage === 1)
       );
@@ -284,19 +332,219 @@ class GitHandlers {
   }
 
   /**
-   * Stage all dirty files and create a commit
+   * List uncommitted changes for review before committing
+   * @param {string} projectPath - Path to the git repository
+   * @returns {Promise<{success: boolean, files?: Array<Object>, error?: string}>}
+   */
+  async gitGetWorkingChanges(projectPath) {
+    try {
+      const gitMod = await this._getGit();
+      const files = await this.commitReview.listChanges({
+        gitMod,
+        fs: require('fs'),
+        dir: projectPath,
+        cache: this._gitCache
+      });
+      // Link updates after a slug change always go into the next commit
+      const refactor = this.slugRefactor ? this.slugRefactor.getPending(projectPath) : null;
+      if (refactor) {
+        const pending = new Set(refactor.files);
+        return { success: true, files: files.map(file => (pending.has(file.path) ? { ...file, slugRefactor: true } : file)) };
+      }
+      return { success: true, files };
+    } catch (error) {
+      this.logger.error('Error listing working changes:', error);
+      return { success: false, files: [], error: error.message };
+    }
+  }
+
+  /**
+   * Diff an uncommitted file against HEAD
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} filepath - Repository-relative file path
+   * @returns {Promise<{success: boolean, file?: Object, error?: string}>}
+   */
+  async gitGetWorkingFileDiff(projectPath, filepath) {
+    try {
+      const gitMod = await this._getGit();
+      const file = await this.commitReview.readFileDiff({ gitMod, fs: require('fs'), dir: projectPath, filepath });
+      return { success: true, file };
+    } catch (error) {
+      this.logger.error(`Error reading working diff for ${filepath}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Discard uncommitted changes to the given files
+   * @param {string} projectPath - Path to the git repository
+   * @param {string[]} paths - Repository-relative file paths
+   * @returns {Promise<{success: boolean, discarded?: string[], error?: string}>}
+   */
+  async gitDiscardChanges(projectPath, paths) {
+    if (!Array.isArray(paths) || paths.length === 0) {
+      return { success: false, error: 'Nenhum arquivo selecionado' };
+    }
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    try {
+      const gitMod = await this._getGit();
+      const fs = require('fs');
+      const discarded = await this.commitReview.discard({ gitMod, fs, dir: projectPath, paths });
+      this._gitCache = {};
+      // LFS media missing from the local store came back as pointers: download their content
+      const pointers = await Promise.all(discarded.map(filepath => this.gitOps.lfs.readPointerFile(fs, path.join(projectPath, filepath))));
+      if (pointers.some(Boolean)) {
+        await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
+      }
+      this.sendOutput(`🗑️ Alterações descartadas em ${discarded.length} arquivo(s)`);
+      return { success: true, discarded };
+    } catch (error) {
+      this.logger.error('Error discarding changes:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Upload the Git LFS content of the commits about to be pushed
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {Object} auth - isomorphic-git auth object
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _uploadLfsObjects(gitMod, fs, projectPath, auth) {
+    const uploaded = await this.gitOps.lfs.uploadPending({
+      gitMod,
+      fs,
+      dir: projectPath,
+      auth,
+      sendOutput: (message) => this.sendOutput(message)
+    });
+    if (uploaded > 0) {
+      this.sendOutput(`✅ ${uploaded} arquivo(s) enviado(s) ao Git LFS`);
+    }
+  }
+
+  /**
+   * Optimize the new images of a commit with the media settings of the project
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {Array<Array>} matrix - Status matrix of the repository
+   * @param {string[]|null} paths - Paths selected for the commit (all dirty files when null)
+   * @returns {Promise<Object|null>} MediaReport, or null when no image changed
+   * @private
+   */
+  async _optimizeMedia(fs, projectPath, matrix, paths) {
+    const selected = Array.isArray(paths) ? new Set(paths) : null;
+    const changed = matrix
+      .filter(([filepath, , w]) => w === 2 && (!selected || selected.has(filepath)))
+      .map(([filepath, h]) => ({ filepath, isNew: h === 0 }));
+    const uploads = changed
+      .filter(({ filepath, isNew }) => isNew && /\.(jpe?g|png|webp)$/i.test(filepath))
+      .map(({ filepath }) => filepath);
+    if (uploads.length === 0) {
+      return null;
+    }
+
+    try {
+      let settings;
+      try {
+        settings = await this.mediaSettings.getForPath(projectPath);
+      } catch (error) {
+        this.logger.warn('⚠️ Could not read the media settings, using the defaults:', error.message);
+        settings = defaultMediaSettings();
+      }
+
+      const report = await this.mediaOptimizer.optimize({
+        fs,
+        dir: projectPath,
+        filepaths: uploads,
+        textFiles: changed.map(({ filepath }) => filepath),
+        settings,
+        sendOutput: (message) => this.sendOutput(message)
+      });
+      if (report.files.length === 0) {
+        return null;
+      }
+      this.sendOutput(`✅ ${report.files.length} imagem(ns) otimizada(s): ${formatBytes(report.savedBytes)} economizados`);
+      return report;
+    } catch (error) {
+      this.logger.warn('⚠️ Media optimization skipped:', error.message);
+      this.sendOutput(`⚠️ Otimização de imagens ignorada: ${error.message}`);
+      return null;
+    } finally {
+      this.mediaOptimizer.dispose();
+    }
+  }
+
+  /**
+   * Stage dirty files and create a commit
    * @param {Object} gitMod - isomorphic-git module
    * @param {Object} fs - filesystem module
    * @param {string} projectPath - Path to the git repository
    * @param {string} commitMessage - Commit message
    * @param {Object} author - Author object with name and email
+   * @param {string[]|null} [paths=null] - Only commit these paths (all dirty files when null)
    * @returns {Promise<string|null>} Commit SHA or null if nothing to commit
    * @private
    */
-  async _commitAll(gitMod, fs, projectPath, commitMessage, author) {
+  async _commitAll(gitMod, fs, projectPath, commitMessage, author, paths = null) {
+    this._lastMediaReport = null;
     try {
-      const matrix = await gitMod.statusMatrix({ fs, dir: projectPath, cache: this._gitCache });
-      const dirty = matrix.filter(([, h, w, s]) => !(h === 1 && w === 1 && s === 1));
+      const readMatrix = async () => this.gitOps.lfs.normalizeStatusMatrix({
+        gitMod,
+        fs,
+        dir: projectPath,
+        matrix: await gitMod.statusMatrix({ fs, dir: projectPath, cache: this._gitCache }),
+        cache: this._gitCache
+      });
+      let matrix = await readMatrix();
+
+      // New CMS uploads are shrunk first; converted images get a new name, so the status is read again
+      const media = await this._optimizeMedia(fs, projectPath, matrix, paths);
+      if (media) {
+        this._lastMediaReport = media;
+        this._gitCache = {};
+        matrix = await readMatrix();
+        if (Array.isArray(paths)) {
+          paths = paths.map(filepath => media.renamed[filepath] || filepath);
+        }
+      }
+
+      // Links rewritten after a slug change belong with the renamed page, whatever was selected
+      const refactor = this.slugRefactor ? this.slugRefactor.getPending(projectPath) : null;
+      if (refactor && Array.isArray(paths)) {
+        const added = refactor.files.filter(filepath => !paths.includes(filepath));
+        paths = [...paths, ...added];
+        if (added.length > 0) {
+          this.sendOutput(`🔗 ${added.length} arquivo(s) com links atualizados incluído(s) no commit`);
+        }
+      }
+
+      let dirty = matrix.filter(([, h, w, s]) => !(h === 1 && w === 1 && s === 1));
+
+      if (Array.isArray(paths)) {
+        const selected = new Set(paths);
+        const excluded = dirty.filter(([filepath]) => !selected.has(filepath));
+        dirty = dirty.filter(([filepath]) => selected.has(filepath));
+
+        // The commit takes the whole index, so excluded files must not stay staged
+        for (const [filepath, headStatus, , stageStatus] of excluded) {
+          if (stageStatus !== headStatus) {
+            await gitMod.resetIndex({ fs, dir: projectPath, filepath });
+          }
+        }
+        if (excluded.length > 0) {
+          this.sendOutput(`⏭️ ${excluded.length} arquivo(s) deixado(s) fora do commit`);
+        }
+      }
 
       if (dirty.length === 0) {
         this.sendOutput('ℹ️ Nenhuma alteração para commitar.');
@@ -305,6 +553,9 @@ class GitHandlers {
 
       this.sendOutput(`📝 Preparando ${dirty.length} arquivo(s) para commit...`);
 
+      // Files matching filter=lfs in .gitattributes are committed as pointers and uploaded on push
+      const lfsPatterns = await this.gitOps.lfs.readPatterns(fs, projectPath);
+
       // Stage files em batches com tratamento de erro individual
       const stageErrors = [];
       const BATCH_SIZE = 10;
@@ -313,7 +564,9 @@ class GitHandlers {
         await Promise.all(
           batch.map(async ([filepath, , worktreeStatus]) => {
             try {
-              if (worktreeStatus) {
+              if (worktreeStatus && lfsPatterns.some(pattern => pattern.test(filepath))) {
+                await this.gitOps.lfs.stage({ gitMod, fs, dir: projectPath, filepath });
+              } else if (worktreeStatus) {
                 await gitMod.add({ fs, dir: projectPath, filepath });
               } else {
                 await gitMod.remove({ fs, dir: projectPath, filepath });
@@ -338,8 +591,14 @@ class GitHandlers {
       this._gitCache = {};
 
       this.sendOutput(`💾 Commitando: "${commitMessage}"`);
-      const sha = await gitMod.commit({ fs, dir: projectPath, message: commitMessage, author });
+      const message = refactor
+        ? `${commitMessage}\n\n${refactor.renames.map(({ from, to }) => `Links atualizados: ${from} → ${to}`).join('\n')}`
+        : commitMessage;
+      const sha = await gitMod.commit({ fs, dir: projectPath, message, author });
       this.sendOutput(`✅ Commit criado: ${sha.substring(0, 7)}`);
+      if (refactor) {
+        this.slugRefactor.clearPending(projectPath);
+      }
       return sha;
     } catch (error) {
       this.sendOutput(`❌ Erro durante commit: ${error.message}`);
@@ -517,6 +776,7 @@ class GitHandlers {
           ref: branchName
         });
         this._gitCache = {};
+        await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
         
         this.logger.info(`✅ Successfully checked out branch: ${branchName}`);
         return;
@@ -556,6 +816,7 @@ class GitHandlers {
           } else {
             throw new Error(`Branch '${branchName}' not found locally or remotely`);
           }
+          await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
         } catch (branchError) {
           this.logger.error(`❌ Branch checkout failed: ${branchError.message}`);
           throw branchError;
@@ -695,9 +956,12 @@ class GitHandlers {
       let isClean = true;
       let status = null;
       try {
-        const statusResult = await git.statusMatrix({
+        // LFS files restored by smudge differ from their pointers but are not changes
+        const statusResult = await this.gitOps.lfs.normalizeStatusMatrix({
+          gitMod: git,
           fs,
           dir: projectPath,
+          matrix: await git.statusMatrix({ fs, dir: projectPath, cache: this._gitCache }),
           cache: this._gitCache
         });
         
@@ -731,15 +995,17 @@ class GitHandlers {
    * Pull changes from remote for current branch
    * @param {string} projectPath - Path to the git repository
    * @param {string|null} [commitMessage=null] - If provided, commit all changes before pulling
+   * @param {string[]|null} [paths=null] - Only commit these paths (all dirty files when null)
    * @returns {Promise<{success: boolean, pulled?: boolean, branch?: string, error?: string}>}
    */
-  async gitPullFromPreview(projectPath, commitMessage = null) {
+  async gitPullFromPreview(projectPath, commitMessage = null, paths = null) {
     if (!this.acquireGitLock()) {
       this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
       return { success: false, error: 'Git operation already in progress. Please wait.' };
     }
 
     const fs = require('fs');
+    let pullBranch = null;
 
     try {
       const gitMod = await this._getGit();
@@ -752,12 +1018,12 @@ class GitHandlers {
         message: 'Verificando status do repositório...'
       });
 
-      const [token, currentBranch] = await Promise.all([
-        this.gitOps.getGitHubToken(),
+      const [auth, currentBranch] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
         gitMod.currentBranch({ fs, dir: projectPath, cache: this._gitCache })
       ]);
 
-      if (!token) {
+      if (!auth) {
         this.sendOutput('❌ Autenticação GitHub necessária. Faça login novamente.');
         return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
       }
@@ -767,7 +1033,7 @@ class GitHandlers {
         return { success: false, error: 'Nenhuma branch selecionada (detached HEAD). Selecione uma branch primeiro.' };
       }
 
-      const auth = { username: token, password: 'x-oauth-basic' };
+      pullBranch = currentBranch;
 
       // Commit local changes before pulling if commitMessage provided
       if (commitMessage) {
@@ -800,7 +1066,7 @@ class GitHandlers {
           message: 'Criando commit...'
         });
 
-        await this._commitAll(gitMod, fs, projectPath, commitMessage, author);
+        await this._commitAll(gitMod, fs, projectPath, commitMessage, author, paths);
 
         // Check for cancellation after auto-commit
         if (this.isCancelRequested()) {
@@ -820,6 +1086,8 @@ class GitHandlers {
 
       this.sendOutput(`📥 Buscando alterações da branch remota '${currentBranch}'...`);
 
+      // No depth: a shallow clone keeps its boundary (including history fetched since the
+      // clone) and only gains the new commits; a depth here would cut the history short again
       await gitMod.fetch({
         fs,
         http,
@@ -827,7 +1095,6 @@ class GitHandlers {
         remote: 'origin',
         ref: currentBranch,
         singleBranch: true,
-        depth: 1,
         onAuth: () => auth,
         onProgress: (evt) => {
           if (evt.total && evt.loaded) {
@@ -897,6 +1164,10 @@ class GitHandlers {
           });
         }
       } catch (ffError) {
+        // A real conflict will not go away by pulling again
+        if (MergeConflictResolver.isMergeConflictError(ffError)) {
+          throw ffError;
+        }
         // Fallback to regular pull if fast-forward check fails
         this.logger.warn('Fast-forward check failed, using regular pull:', ffError);
         await gitMod.pull({
@@ -910,6 +1181,7 @@ class GitHandlers {
         });
       }
       this._gitCache = {};
+      await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
 
       // 6. Complete
       this.sendProgress({
@@ -924,6 +1196,10 @@ class GitHandlers {
       return { success: true, pulled: true, branch: currentBranch };
 
     } catch (error) {
+      if (MergeConflictResolver.isMergeConflictError(error) && pullBranch) {
+        return await this._startMergeSession(projectPath, pullBranch, { type: 'pull' });
+      }
+
       this.logger.error('Error pulling from branch:', error);
 
       let errorMessage = error.message || 'Erro desconhecido ao atualizar';
@@ -949,9 +1225,10 @@ class GitHandlers {
    * @param {string} projectPath - Path to the git repository
    * @param {string} targetBranch - Target branch name
    * @param {string|null} [commitMessage=null] - If provided, commit all changes before pushing
+   * @param {string[]|null} [paths=null] - Only commit these paths (all dirty files when null)
    * @returns {Promise<{success: boolean, pushed?: boolean, branch?: string, error?: string}>}
    */
-  async gitPushToBranch(projectPath, targetBranch, commitMessage = null) {
+  async gitPushToBranch(projectPath, targetBranch, commitMessage = null, paths = null) {
     if (!this.acquireGitLock()) {
       this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
       return { success: false, error: 'Git operation already in progress. Please wait.' };
@@ -970,12 +1247,12 @@ class GitHandlers {
         message: 'Verificando status do repositório...'
       });
 
-      const [token, userConfigured] = await Promise.all([
-        this.gitOps.getGitHubToken(),
+      const [auth, userConfigured] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
         this.gitOps.configureGitForUser(projectPath)
       ]);
 
-      if (!token) {
+      if (!auth) {
         this.sendOutput('❌ Autenticação GitHub necessária. Faça login novamente.');
         return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
       }
@@ -985,8 +1262,6 @@ class GitHandlers {
         this.logger.warn('Could not configure git user, proceeding with existing config');
       }
 
-      const auth = { username: token, password: 'x-oauth-basic' };
-
       // Commit local changes before pushing if commitMessage provided
       if (commitMessage) {
         // 2. Staging
@@ -1011,7 +1286,7 @@ class GitHandlers {
           message: 'Criando commit...'
         });
 
-        await this._commitAll(gitMod, fs, projectPath, commitMessage, author);
+        await this._commitAll(gitMod, fs, projectPath, commitMessage, author, paths);
 
         // Check for cancellation after auto-commit
         if (this.isCancelRequested()) {
@@ -1075,6 +1350,9 @@ class GitHandlers {
             return { success: false, cancelled: true, message: 'Operation cancelled by user' };
           }
         } catch (fetchPullError) {
+          if (MergeConflictResolver.isMergeConflictError(fetchPullError)) {
+            return await this._startMergeSession(projectPath, targetBranch, { type: 'push', targetBranch });
+          }
           // Branch doesn't exist on remote yet — OK for first push
           if (!fetchPullError.message.includes('Could not find') &&
               !fetchPullError.message.includes('not found') &&
@@ -1105,6 +1383,8 @@ class GitHandlers {
 
       this.sendOutput(`🚀 Publicando alterações na branch: ${targetBranch}...`);
 
+      // Media content goes to the LFS server before the commits that point to it
+      await this._uploadLfsObjects(gitMod, fs, projectPath, auth);
       await gitMod.push({
         fs,
         http,
@@ -1125,7 +1405,9 @@ class GitHandlers {
 
       this.sendOutput(`✅ Push concluído com sucesso na branch: ${targetBranch}`);
       this.logger.info(`Successfully pushed to branch: ${targetBranch}`);
-      return { success: true, pushed: true, branch: targetBranch };
+      // Images optimized by the commit are reported in the push result
+      const media = commitMessage ? this._lastMediaReport : null;
+      return { success: true, pushed: true, branch: targetBranch, ...(media ? { media } : {}) };
 
     } catch (error) {
       this.logger.error('Error pushing to branch:', error);
@@ -1149,155 +1431,1093 @@ class GitHandlers {
   }
 
   /**
-   * List remote branches
+   * Build a merge session after a pull/publish hit conflicts and tell the renderer
    * @param {string} projectPath - Path to the git repository
-   * @returns {Promise<Array<string>>} List of remote branch names
+   * @param {string} branch - Local branch that received the conflicting changes
+   * @param {Object} operation - Operation to resume once resolved ({ type: 'pull'|'push'|'working-merge', targetBranch?, branch? })
+   * @param {string} [theirsRef] - Ref merged into branch (defaults to its remote-tracking branch)
+   * @returns {Promise<Object>} Result flagged with conflict and the conflicting files
    */
-  async gitListRemoteBranches(projectPath) {
-    try {
-      this.sendOutput('🔍 Buscando branches remotas...');
-
-      // Get auth token for private repo support
-      const token = await this.gitOps.getGitHubToken();
-      const auth = token ? { username: token, password: 'x-oauth-basic' } : undefined;
+  async _startMergeSession(projectPath, branch, operation, theirsRef = `origin/${branch}`) {
+    const fs = require('fs');
 
+    try {
       const gitMod = await this._getGit();
-
-      const url = await gitMod.getConfig({
-        fs: require('fs'),
+      this.mergeSession = await this.mergeResolver.prepare({
+        gitMod,
+        fs,
         dir: projectPath,
-        path: 'remote.origin.url',
-        cache: this._gitCache
+        oursRef: branch,
+        theirsRef,
+        operation
       });
+    } catch (error) {
+      this.mergeSession = null;
+      this.logger.error('Error preparing merge conflicts:', error);
+      this.sendOutput(`❌ Conflito de merge detectado, mas não foi possível analisá-lo: ${error.message}`);
+      return { success: false, error: 'Conflito de merge detectado, mas não foi possível analisá-lo.' };
+    }
 
-      const listServerRefsConfig = {
-        http,
-        url,
-        cache: this._gitCache,
-      };
-
-      if (auth) {
-        listServerRefsConfig.onAuth = () => auth;
-      }
-
-      const refs = await gitMod.listServerRefs(listServerRefsConfig);
+    const conflicts = this.mergeResolver.describeSession(this.mergeSession);
+    this.sendOutput(`⚠️ Conflito de merge em ${conflicts.files.length} arquivo(s). Escolha as versões a manter:`);
+    conflicts.files.forEach(file => this.sendOutput(`   • ${file.path}`));
+    this.sendProgress({
+      stage: 'conflict',
+      current: 0,
+      total: conflicts.files.length,
+      message: 'Conflitos aguardando resolução'
+    });
 
-      const branches = refs
-        .filter(ref => ref.ref.startsWith('refs/heads/'))
-        .map(ref => ref.ref.replace('refs/heads/', ''))
-        .filter(name => name !== 'HEAD');
+    return { success: false, conflict: true, branch, conflicts, error: 'Conflito de merge detectado.' };
+  }
 
-      return branches;
-    } catch (error) {
-      this.logger.error('Error listing remote branches:', error);
-      if (!error.message?.includes('auth') && !(await this.gitOps.getGitHubToken())) {
-        throw new Error('Autenticação necessária para repositórios privados');
-      }
-      throw error;
+  /**
+   * Get the pending merge conflicts for a project
+   * @param {string} projectPath - Path to the git repository
+   * @returns {Object|null} Conflicts summary, or null when nothing is pending
+   */
+  gitGetMergeConflicts(projectPath) {
+    if (!this.mergeSession || this.mergeSession.dir !== projectPath) {
+      return null;
     }
+    return this.mergeResolver.describeSession(this.mergeSession);
   }
 
   /**
-   * Register all Git operations IPC handlers
+   * Commit the user's conflict choices and resume the interrupted pull or publish
+   * @param {string} projectPath - Path to the git repository
+   * @param {Object<string, Object>} resolutions - Choice per conflicting path
+   * @returns {Promise<{success: boolean, merged?: boolean, branch?: string, error?: string}>}
    */
-  registerHandlers() {
-    this.logger.info('🔧 Registering Git operations IPC handlers');
+  async gitResolveMergeConflicts(projectPath, resolutions) {
+    const session = this.mergeSession;
+    if (!session || session.dir !== projectPath) {
+      return { success: false, error: 'Nenhum conflito pendente para este projeto.' };
+    }
 
-    /**
-     * List branches
-     */
-    ipcMain.handle('git:list-branches', async (event, projectId) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        const result = await this.gitListBranches(projectPath);
-        return { success: true, branches: result.branches, currentBranch: result.current };
-      } catch (error) {
-        this.logger.error('Error in git:list-branches handler:', error);
-        return { success: false, error: error.message };
-      }
-    });
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
 
-    /**
-     * Create branch
-     */
-    ipcMain.handle('git:create-branch', async (event, projectId, branchName) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        await this.gitCreateBranch(projectPath, branchName);
-        return { success: true, branchName };
-      } catch (error) {
-        this.logger.error('Error in git:create-branch handler:', error);
-        return { success: false, error: error.message };
-      }
-    });
+    const fs = require('fs');
 
-    /**
-     * Checkout branch
-     */
-    ipcMain.handle('git:checkout-branch', async (event, projectId, branchName) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        await this.gitCheckoutBranch(projectPath, branchName);
-        return { success: true, branchName };
-      } catch (error) {
-        this.logger.error('Error in git:checkout-branch handler:', error);
-        return { success: false, error: error.message };
-      }
-    });
+    try {
+      const gitMod = await this._getGit();
 
-    /**
-     * Get current branch
-     */
-    ipcMain.handle('git:get-current-branch', async (event, projectId) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        const currentBranch = await this.gitGetCurrentBranch(projectPath);
-        return { success: true, currentBranch };
-      } catch (error) {
-        this.logger.error('Error in git:get-current-branch handler:', error);
-        return { success: false, error: error.message };
-      }
-    });
+      this.sendProgress({
+        stage: 'merging',
+        current: 0,
+        total: 1,
+        message: 'Aplicando resolução dos conflitos...'
+      });
 
-    /**
-     * Get repository info
-     */
-    ipcMain.handle('git:get-repository-info', async (event, projectId) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        const repoInfo = await this.gitGetRepositoryInfo(projectPath);
-        return { success: true, ...repoInfo };
-      } catch (error) {
-        this.logger.error('Error in git:get-repository-info handler:', error);
-        return { success: false, error: error.message };
-      }
-    });
+      const [authorName, authorEmail] = await Promise.all([
+        gitMod.getConfig({ fs, dir: projectPath, path: 'user.name', cache: this._gitCache }).then(v => v || 'documental'),
+        gitMod.getConfig({ fs, dir: projectPath, path: 'user.email', cache: this._gitCache }).then(v => v || 'documental@app')
+      ]);
 
-    ipcMain.handle('git:check-status', async (event, projectId) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        return await this.gitCheckStatus(projectPath);
-      } catch (error) {
-        this.logger.error('Error in git:check-status handler:', error);
-        return { success: false, isDirty: false, fileCount: 0, files: [], error: error.message };
-      }
-    });
+      await this.mergeResolver.commitResolution({
+        gitMod,
+        fs,
+        session,
+        resolutions,
+        author: { name: authorName, email: authorEmail },
+        sendOutput: (message) => this.sendOutput(message)
+      });
+      this._gitCache = {};
+      this.mergeSession = null;
+    } catch (error) {
+      this.logger.error('Error resolving merge conflicts:', error);
+      this.sendOutput(`❌ Erro ao concluir a mesclagem: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.releaseGitLock();
+    }
 
-    ipcMain.handle('git:pull-from-preview', async (event, projectId, commitMessage) => {
-      try {
-        const projectPath = await this.getProjectPath(projectId);
-        const result = await this.gitPullFromPreview(projectPath, commitMessage || null);
-        return result;
-      } catch (error) {
-        this.logger.error('Error in git:pull-from-preview handler:', error);
-        return { success: false, error: error.message };
-      }
+    if (session.operation.type === 'push') {
+      this.sendOutput('▶️ Retomando a publicação...');
+      return await this.gitPushToBranch(projectPath, session.operation.targetBranch, null);
+    }
+    if (session.operation.type === 'working-merge') {
+      return await this.gitFinishWorkingBranchMerge(projectPath, session.operation.branch);
+    }
+
+    this.sendProgress({
+      stage: 'complete',
+      current: 1,
+      total: 1,
+      message: 'Pull concluído com sucesso!'
     });
+    this.sendOutput(`✅ Pull concluído com sucesso na branch: ${session.oursRef}`);
+    return { success: true, pulled: true, merged: true, branch: session.oursRef };
+  }
 
-    ipcMain.handle('git:push-to-branch', async (event, projectId, targetBranch, commitMessage) => {
-      try {
+  /**
+   * Drop the pending merge session; the working tree was never touched
+   * @param {string} projectPath - Path to the git repository
+   * @returns {{success: boolean}} Result
+   */
+  gitAbortMerge(projectPath) {
+    if (this.mergeSession && this.mergeSession.dir === projectPath) {
+      this.mergeSession = null;
+      this.sendOutput('↩️ Mesclagem cancelada. Nenhum arquivo foi alterado.');
+    }
+    return { success: true };
+  }
+
+  /**
+   * Get the preview branch name from settings
+   * @returns {Promise<string>} Preview branch name ('preview' when unavailable)
+   */
+  async getPreviewBranch() {
+    if (!this.settingsService) {
+      return 'preview';
+    }
+    try {
+      return await this.settingsService.get('defaultBranch');
+    } catch (error) {
+      this.logger.warn('⚠️ Could not read defaultBranch setting, using preview:', error.message);
+      return 'preview';
+    }
+  }
+
+  /**
+   * Check whether a commit is the same as, or an ancestor of, another commit
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} ancestor - Candidate ancestor commit
+   * @param {string} oid - Descendant commit
+   * @returns {Promise<boolean>} True when ancestor is reachable from oid
+   * @private
+   */
+  async _isAncestor(gitMod, fs, projectPath, ancestor, oid) {
+    if (ancestor === oid) {
+      return true;
+    }
+    return gitMod.isDescendent({ fs, dir: projectPath, oid, ancestor, depth: -1, cache: this._gitCache });
+  }
+
+  /**
+   * Fetch production and preview and work out what publishing to production would put live
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} previewBranch - Preview branch name
+   * @param {Object} auth - isomorphic-git auth object
+   * @returns {Promise<{mainOid: string, localMainOid: string|null, previewOid: string, commits: Array<Object>}>}
+   * @private
+   */
+  async _planPublishToMain(gitMod, fs, projectPath, previewBranch, auth) {
+    // Pull shallow-fetches; ancestry checks need real history
+    const isShallow = fs.existsSync(path.join(projectPath, '.git', 'shallow'));
+
+    for (const ref of [PRODUCTION_BRANCH, previewBranch]) {
+      this.sendOutput(`📥 Buscando '${ref}' no servidor...`);
+      await gitMod.fetch({
+        fs,
+        http,
+        dir: projectPath,
+        remote: 'origin',
+        ref,
+        singleBranch: true,
+        ...(isShallow ? { depth: PUBLISH_DEEPEN_DEPTH, relative: true } : {}),
+        onAuth: () => auth
+      });
+    }
+    this._gitCache = {};
+
+    const resolve = (ref) => gitMod.resolveRef({ fs, dir: projectPath, ref, cache: this._gitCache }).catch(() => null);
+    const [mainOid, localMainOid, previewOid, remotePreviewOid] = await Promise.all([
+      resolve(`refs/remotes/origin/${PRODUCTION_BRANCH}`),
+      resolve(`refs/heads/${PRODUCTION_BRANCH}`),
+      resolve(`refs/heads/${previewBranch}`),
+      resolve(`refs/remotes/origin/${previewBranch}`)
+    ]);
+
+    if (!mainOid) {
+      throw new Error(`A branch '${PRODUCTION_BRANCH}' não existe no servidor.`);
+    }
+    if (!previewOid) {
+      throw new Error(`A branch '${previewBranch}' não existe neste projeto.`);
+    }
+    if (!remotePreviewOid || !(await this._isAncestor(gitMod, fs, projectPath, previewOid, remotePreviewOid))) {
+      throw new Error(`Há alterações em '${previewBranch}' que ainda não foram enviadas. Publique em '${previewBranch}' antes de publicar em produção.`);
+    }
+    if (localMainOid && !(await this._isAncestor(gitMod, fs, projectPath, localMainOid, mainOid))) {
+      throw new Error(`A branch '${PRODUCTION_BRANCH}' local tem commits que não estão no servidor. Publicação cancelada.`);
+    }
+    if (!(await this._isAncestor(gitMod, fs, projectPath, mainOid, previewOid))) {
+      throw new Error(`'${PRODUCTION_BRANCH}' tem alterações que não estão em '${previewBranch}'. Atualize '${previewBranch}' antes de publicar em produção.`);
+    }
+
+    const commits = [];
+    if (mainOid !== previewOid) {
+      const log = await gitMod.log({ fs, dir: projectPath, ref: previewOid, depth: PUBLISH_MAX_LISTED_COMMITS, cache: this._gitCache });
+      for (const entry of log) {
+        if (entry.oid === mainOid) {
+          break;
+        }
+        commits.push({
+          oid: entry.oid,
+          shortOid: entry.oid.substring(0, 7),
+          message: entry.commit.message.split('\n')[0],
+          author: entry.commit.author.name,
+          date: new Date(entry.commit.author.timestamp * 1000).toISOString()
+        });
+      }
+    }
+
+    return { mainOid, localMainOid, previewOid, commits };
+  }
+
+  /**
+   * List the commits that publishing preview to production would put live
+   * @param {string} projectPath - Path to the git repository
+   * @returns {Promise<{success: boolean, commits?: Array<Object>, previewOid?: string, upToDate?: boolean, error?: string}>}
+   */
+  async gitGetPublishToMainCommits(projectPath) {
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    const fs = require('fs');
+
+    try {
+      const gitMod = await this._getGit();
+      const auth = await this.gitOps.getGitAuth(projectPath);
+      if (!auth) {
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+
+      const previewBranch = await this.getPreviewBranch();
+      const plan = await this._planPublishToMain(gitMod, fs, projectPath, previewBranch, auth);
+      this.sendOutput(`🔎 ${plan.commits.length} commit(s) de '${previewBranch}' aguardando publicação em '${PRODUCTION_BRANCH}'.`);
+
+      return {
+        success: true,
+        previewBranch,
+        previewOid: plan.previewOid,
+        upToDate: plan.commits.length === 0,
+        commits: plan.commits
+      };
+    } catch (error) {
+      this.logger.error('Error listing commits to publish:', error);
+      this.sendOutput(`❌ ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Publish preview to production: check out main, pull, rebase preview onto it, push, then return to preview.
+   * Refuses unless main is an ancestor of preview, so the rebase is always a fast-forward.
+   * @param {string} projectPath - Path to the git repository
+   * @param {string|null} [expectedPreviewOid=null] - Preview commit the user reviewed; refuses if preview moved since
+   * @returns {Promise<{success: boolean, published?: boolean, branch?: string, commits?: Array<Object>, error?: string}>}
+   */
+  async gitPublishToMain(projectPath, expectedPreviewOid = null) {
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    const fs = require('fs');
+    const total = 6;
+    let gitMod = null;
+    let plan = null;
+    let previewBranch = 'preview';
+    let leftPreview = false;
+    let pushed = false;
+
+    try {
+      gitMod = await this._getGit();
+
+      // 1. Verificando
+      this.sendProgress({ stage: 'checking', current: 0, total, message: 'Verificando status do repositório...' });
+
+      const [auth, status] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
+        this.gitCheckStatus(projectPath)
+      ]);
+      previewBranch = await this.getPreviewBranch();
+
+      if (!auth) {
+        this.sendOutput('❌ Autenticação GitHub necessária. Faça login novamente.');
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+      if (status.isDirty) {
+        this.sendOutput(`❌ Existem ${status.fileCount} alteração(ões) não publicadas.`);
+        return { success: false, error: `Existem alterações não publicadas. Publique-as em '${previewBranch}' antes de publicar em produção.` };
+      }
+
+      // 2. Buscando main e preview
+      this.sendProgress({ stage: 'fetching', current: 1, total, message: `Buscando '${PRODUCTION_BRANCH}' e '${previewBranch}'...` });
+      plan = await this._planPublishToMain(gitMod, fs, projectPath, previewBranch, auth);
+
+      if (expectedPreviewOid && plan.previewOid !== expectedPreviewOid) {
+        this.sendOutput(`❌ A branch '${previewBranch}' mudou desde a revisão.`);
+        return { success: false, error: `A branch '${previewBranch}' mudou desde a revisão. Revise os commits novamente.` };
+      }
+      if (plan.commits.length === 0) {
+        this.sendProgress({ stage: 'complete', current: total, total, message: 'Produção já está atualizada' });
+        this.sendOutput(`✅ '${PRODUCTION_BRANCH}' já está igual a '${previewBranch}'. Nada para publicar.`);
+        return { success: true, published: false, upToDate: true, branch: PRODUCTION_BRANCH, commits: [] };
+      }
+
+      if (this.isCancelRequested()) {
+        this.logger.info('Publish to main cancelled after fetch');
+        return { success: false, cancelled: true, message: 'Operation cancelled by user' };
+      }
+
+      // 3. git checkout main && git pull
+      this.sendProgress({ stage: 'checkout', current: 2, total, message: `Atualizando '${PRODUCTION_BRANCH}'...` });
+      this.sendOutput(`🔀 Selecionando branch '${PRODUCTION_BRANCH}' atualizada do servidor...`);
+      await gitMod.writeRef({ fs, dir: projectPath, ref: `refs/heads/${PRODUCTION_BRANCH}`, value: plan.mainOid, force: true });
+
+      // 4. git rebase preview (main is an ancestor of preview, so this is a fast-forward)
+      this.sendProgress({ stage: 'rebasing', current: 3, total, message: `Aplicando '${previewBranch}' sobre '${PRODUCTION_BRANCH}'...` });
+      this.sendOutput(`⚡ Aplicando ${plan.commits.length} commit(s) de '${previewBranch}' em '${PRODUCTION_BRANCH}'...`);
+      await gitMod.writeRef({ fs, dir: projectPath, ref: `refs/heads/${PRODUCTION_BRANCH}`, value: plan.previewOid, force: true });
+      leftPreview = true;
+      await gitMod.checkout({ fs, dir: projectPath, ref: PRODUCTION_BRANCH });
+      this._gitCache = {};
+
+      if (this.isCancelRequested()) {
+        this.logger.info('Publish to main cancelled before push');
+        return { success: false, cancelled: true, message: 'Operation cancelled by user' };
+      }
+
+      // 5. git push origin main
+      this.sendProgress({ stage: 'pushing', current: 4, total, message: `Publicando '${PRODUCTION_BRANCH}'...` });
+      this.sendOutput(`🚀 Publicando em produção (${PRODUCTION_BRANCH})...`);
+      await this._uploadLfsObjects(gitMod, fs, projectPath, auth);
+      await gitMod.push({
+        fs,
+        http,
+        dir: projectPath,
+        remote: 'origin',
+        ref: PRODUCTION_BRANCH,
+        onAuth: () => auth
+      });
+      pushed = true;
+      this._gitCache = {};
+
+      // 6. Voltando para preview
+      this.sendProgress({ stage: 'returning', current: 5, total, message: `Voltando para '${previewBranch}'...` });
+      await gitMod.checkout({ fs, dir: projectPath, ref: previewBranch });
+      leftPreview = false;
+      this._gitCache = {};
+
+      this.sendProgress({ stage: 'complete', current: total, total, message: 'Publicação em produção concluída!' });
+      this.sendOutput(`✅ ${plan.commits.length} commit(s) publicados em produção (${PRODUCTION_BRANCH}).`);
+      this.logger.info(`Published ${plan.commits.length} commit(s) from ${previewBranch} to ${PRODUCTION_BRANCH}`);
+      return { success: true, published: true, branch: PRODUCTION_BRANCH, commits: plan.commits };
+
+    } catch (error) {
+      this.logger.error('Error publishing to main:', error);
+
+      let errorMessage = error.message || 'Erro desconhecido ao publicar em produção';
+      if (error.message && error.message.includes('non-fast-forward')) {
+        errorMessage = `'${PRODUCTION_BRANCH}' mudou no servidor durante a publicação. Tente novamente.`;
+      } else if (error.message && (error.message.includes('401') || error.message.includes('403') || error.message.includes('authentication'))) {
+        errorMessage = 'Erro de autenticação. Faça login novamente.';
+      } else if (error.message && (error.message.includes('network') || error.message.includes('ECONNREFUSED') || error.message.includes('ETIMEDOUT'))) {
+        errorMessage = 'Erro de rede. Verifique sua conexão.';
+      }
+
+      this.sendOutput(`❌ Erro ao publicar em produção: ${errorMessage}`);
+      return { success: false, error: errorMessage };
+
+    } finally {
+      await this._finishPublishToMain(gitMod, fs, projectPath, { plan, previewBranch, leftPreview, pushed });
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Put the repository back on preview and, if nothing was pushed, restore the local main ref
+   * @param {Object|null} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {Object} state - Publish state
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finishPublishToMain(gitMod, fs, projectPath, { plan, previewBranch, leftPreview, pushed }) {
+    if (!gitMod || !plan) {
+      return;
+    }
+    try {
+      if (leftPreview) {
+        await gitMod.checkout({ fs, dir: projectPath, ref: previewBranch });
+        this.sendOutput(`↩️ De volta à branch '${previewBranch}'.`);
+        await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
+      }
+      if (!pushed) {
+        const ref = `refs/heads/${PRODUCTION_BRANCH}`;
+        if (plan.localMainOid) {
+          await gitMod.writeRef({ fs, dir: projectPath, ref, value: plan.localMainOid, force: true });
+        } else {
+          await gitMod.deleteRef({ fs, dir: projectPath, ref }).catch(() => {});
+        }
+      }
+    } catch (error) {
+      this.logger.warn('Could not restore branches after publish to main:', error.message);
+    } finally {
+      this._gitCache = {};
+    }
+  }
+
+  /**
+   * Get the GitHub login of the account a project uses from the users table
+   * @param {string|null} [projectPath=null] - Path to the git repository (null for the default account)
+   * @returns {Promise<string|null>} Login or null when nobody is signed in
+   */
+  async getCurrentUserLogin(projectPath = null) {
+    const userInfo = await this.gitOps.getCachedUserInfo(await this.gitOps.resolveAccountId(projectPath));
+    return userInfo && userInfo.login ? userInfo.login : null;
+  }
+
+  /**
+   * Commit the current changes to a working branch of the signed-in user and push it.
+   * Reuses the current branch when it already is one of the user's working branches.
+   * @param {string} projectPath - Path to the git repository
+   * @param {string|null} commitMessage - Commit message (required when there are changes)
+   * @param {string} [label=''] - Optional description appended to a new branch name
+   * @returns {Promise<{success: boolean, branch?: string, created?: boolean, error?: string}>}
+   */
+  async gitSaveDraftToWorkingBranch(projectPath, commitMessage, label = '') {
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    const fs = require('fs');
+
+    try {
+      const gitMod = await this._getGit();
+      const [auth, login, currentBranch, status] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
+        this.getCurrentUserLogin(projectPath),
+        gitMod.currentBranch({ fs, dir: projectPath, cache: this._gitCache }),
+        this.gitCheckStatus(projectPath)
+      ]);
+
+      if (!auth || !login) {
+        this.sendOutput('❌ Autenticação GitHub necessária. Faça login novamente.');
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+
+      const reuse = !!currentBranch && isWorkingBranchOf(currentBranch, login);
+      if (!status.isDirty && !reuse) {
+        return { success: false, error: 'Nenhuma alteração para salvar em rascunho.' };
+      }
+      if (status.isDirty && !(commitMessage && commitMessage.trim())) {
+        return { success: false, error: 'Informe uma mensagem descrevendo o rascunho.' };
+      }
+
+      const branch = reuse ? currentBranch : buildWorkingBranchName(login, new Date(), label);
+      if (!reuse) {
+        this.sendOutput(`🌿 Criando branch de trabalho '${branch}'...`);
+        await gitMod.branch({ fs, dir: projectPath, ref: branch, checkout: true });
+        this._gitCache = {};
+      }
+
+      if (status.isDirty) {
+        await this.gitOps.configureGitForUser(projectPath).catch(() => false);
+        const [authorName, authorEmail] = await Promise.all([
+          gitMod.getConfig({ fs, dir: projectPath, path: 'user.name', cache: this._gitCache }).then(v => v || 'documental'),
+          gitMod.getConfig({ fs, dir: projectPath, path: 'user.email', cache: this._gitCache }).then(v => v || 'documental@app')
+        ]);
+        await this._commitAll(gitMod, fs, projectPath, commitMessage.trim(), { name: authorName, email: authorEmail });
+      }
+
+      this.sendOutput(`🚀 Enviando rascunho para '${branch}'...`);
+      await this._uploadLfsObjects(gitMod, fs, projectPath, auth);
+      await gitMod.push({
+        fs,
+        http,
+        dir: projectPath,
+        remote: 'origin',
+        ref: branch,
+        onAuth: () => auth
+      });
+      this._gitCache = {};
+
+      this.sendOutput(`✅ Rascunho salvo na branch '${branch}'`);
+      return { success: true, branch, created: !reuse };
+    } catch (error) {
+      this.logger.error('Error saving draft to working branch:', error);
+      this.sendOutput(`❌ Erro ao salvar rascunho: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * List the signed-in user's open working branches (local and on the remote)
+   * @param {string} projectPath - Path to the git repository
+   * @returns {Promise<{success: boolean, user?: string, branches?: Array<Object>, error?: string}>}
+   */
+  async gitListWorkingBranches(projectPath) {
+    const fs = require('fs');
+
+    try {
+      const gitMod = await this._getGit();
+      const [auth, login, currentBranch, localBranches] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
+        this.getCurrentUserLogin(projectPath),
+        gitMod.currentBranch({ fs, dir: projectPath, cache: this._gitCache }),
+        gitMod.listBranches({ fs, dir: projectPath, cache: this._gitCache })
+      ]);
+
+      if (!login) {
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+
+      let remoteBranches;
+      try {
+        const url = await gitMod.getConfig({ fs, dir: projectPath, path: 'remote.origin.url' });
+        const refs = await gitMod.listServerRefs({
+          http,
+          url,
+          prefix: `refs/heads/${WORKING_BRANCH_PREFIX}`,
+          onAuth: auth ? () => auth : undefined
+        });
+        remoteBranches = refs.map(ref => ref.ref.replace('refs/heads/', ''));
+      } catch (remoteError) {
+        this.logger.warn('Could not list remote working branches, using cached refs:', remoteError.message);
+        remoteBranches = await gitMod.listBranches({ fs, dir: projectPath, remote: 'origin', cache: this._gitCache }).catch(() => []);
+      }
+
+      const names = new Set([...localBranches, ...remoteBranches].filter(name => isWorkingBranchOf(name, login)));
+      const branches = [...names]
+        .map(name => {
+          const { createdAt, label } = parseWorkingBranchName(name);
+          return {
+            name,
+            label,
+            createdAt: createdAt.toISOString(),
+            local: localBranches.includes(name),
+            remote: remoteBranches.includes(name),
+            isCurrent: name === currentBranch
+          };
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      return { success: true, user: sanitizeBranchUser(login), branches };
+    } catch (error) {
+      this.logger.error('Error listing working branches:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pick the newer of two commits when one descends from the other
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {string|null} localOid - Local branch commit
+   * @param {string|null} remoteOid - Remote-tracking commit
+   * @param {string} branch - Branch name (for error messages)
+   * @returns {Promise<string|null>} Newest commit
+   * @private
+   */
+  async _newestOf(gitMod, fs, projectPath, localOid, remoteOid, branch) {
+    if (!localOid || !remoteOid) {
+      return localOid || remoteOid;
+    }
+    if (await this._isAncestor(gitMod, fs, projectPath, localOid, remoteOid)) {
+      return remoteOid;
+    }
+    if (await this._isAncestor(gitMod, fs, projectPath, remoteOid, localOid)) {
+      return localOid;
+    }
+    throw new Error(`A branch '${branch}' local e a remota divergiram. Atualize o projeto antes de continuar.`);
+  }
+
+  /**
+   * Push the updated preview and delete the working branch locally and on the remote
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} previewBranch - Preview branch name
+   * @param {string} branchName - Working branch to delete
+   * @param {Object} auth - isomorphic-git auth object
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _publishWorkingBranchMerge(gitMod, fs, projectPath, previewBranch, branchName, auth) {
+    this.sendOutput(`🚀 Publicando '${previewBranch}'...`);
+    await this._uploadLfsObjects(gitMod, fs, projectPath, auth);
+    await gitMod.push({ fs, http, dir: projectPath, remote: 'origin', ref: previewBranch, onAuth: () => auth });
+
+    this.sendOutput(`🧹 Apagando branch de trabalho '${branchName}'...`);
+    const localBranches = await gitMod.listBranches({ fs, dir: projectPath });
+    if (localBranches.includes(branchName)) {
+      await gitMod.deleteBranch({ fs, dir: projectPath, ref: branchName });
+    }
+    try {
+      await gitMod.push({ fs, http, dir: projectPath, remote: 'origin', ref: branchName, delete: true, onAuth: () => auth });
+    } catch (error) {
+      this.logger.warn(`Could not delete remote branch ${branchName}:`, error.message);
+      this.sendOutput(`⚠️ Não foi possível apagar '${branchName}' no servidor: ${error.message}`);
+    }
+    await gitMod.deleteRef({ fs, dir: projectPath, ref: `refs/remotes/origin/${branchName}` }).catch(() => {});
+    this._gitCache = {};
+  }
+
+  /**
+   * Rebase a working branch onto preview, publish preview and delete the working branch.
+   * Falls back to the merge conflict resolver when a commit cannot be replayed cleanly.
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} branchName - Working branch name
+   * @returns {Promise<{success: boolean, branch?: string, merged?: string, replayed?: number, conflict?: boolean, error?: string}>}
+   */
+  async gitMergeWorkingBranch(projectPath, branchName) {
+    if (!parseWorkingBranchName(branchName)) {
+      return { success: false, error: `'${branchName}' não é uma branch de trabalho.` };
+    }
+
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    const fs = require('fs');
+    const total = 4;
+
+    try {
+      const gitMod = await this._getGit();
+
+      this.sendProgress({ stage: 'checking', current: 0, total, message: 'Verificando status do repositório...' });
+      const [auth, status, currentBranch, previewBranch] = await Promise.all([
+        this.gitOps.getGitAuth(projectPath),
+        this.gitCheckStatus(projectPath),
+        gitMod.currentBranch({ fs, dir: projectPath, cache: this._gitCache }),
+        this.getPreviewBranch()
+      ]);
+
+      if (!auth) {
+        this.sendOutput('❌ Autenticação GitHub necessária. Faça login novamente.');
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+      if (status.isDirty) {
+        return { success: false, error: 'Existem alterações não salvas. Salve o rascunho antes de mesclar.' };
+      }
+
+      const isShallow = fs.existsSync(path.join(projectPath, '.git', 'shallow'));
+
+      this.sendProgress({ stage: 'fetching', current: 1, total, message: 'Buscando alterações remotas...' });
+      for (const ref of [previewBranch, branchName]) {
+        try {
+          await gitMod.fetch({
+            fs,
+            http,
+            dir: projectPath,
+            remote: 'origin',
+            ref,
+            singleBranch: true,
+            ...(isShallow ? { depth: PUBLISH_DEEPEN_DEPTH, relative: true } : {}),
+            onAuth: () => auth
+          });
+        } catch (fetchError) {
+          this.logger.warn(`Fetch of ${ref} failed:`, fetchError.message);
+        }
+      }
+      this._gitCache = {};
+
+      const resolve = (ref) => gitMod.resolveRef({ fs, dir: projectPath, ref }).catch(() => null);
+      const [localPreview, remotePreview, localWork, remoteWork] = await Promise.all([
+        resolve(`refs/heads/${previewBranch}`),
+        resolve(`refs/remotes/origin/${previewBranch}`),
+        resolve(`refs/heads/${branchName}`),
+        resolve(`refs/remotes/origin/${branchName}`)
+      ]);
+
+      const previewOid = await this._newestOf(gitMod, fs, projectPath, localPreview, remotePreview, previewBranch);
+      const workOid = await this._newestOf(gitMod, fs, projectPath, localWork, remoteWork, branchName);
+      if (!previewOid) {
+        return { success: false, error: `A branch '${previewBranch}' não existe neste projeto.` };
+      }
+      if (!workOid) {
+        return { success: false, error: `A branch '${branchName}' não foi encontrada.` };
+      }
+      if (previewOid !== localPreview) {
+        await gitMod.writeRef({ fs, dir: projectPath, ref: `refs/heads/${previewBranch}`, value: previewOid, force: true });
+      }
+
+      this.sendProgress({ stage: 'rebasing', current: 2, total, message: `Aplicando '${branchName}' sobre '${previewBranch}'...` });
+      const rebase = await this.workingBranchRebaser.rebase({
+        gitMod,
+        fs,
+        dir: projectPath,
+        ontoOid: previewOid,
+        tipOid: workOid,
+        returnTo: currentBranch || previewBranch,
+        sendOutput: (message) => this.sendOutput(message)
+      });
+      this._gitCache = {};
+
+      if (rebase.conflict) {
+        this.sendOutput('⚠️ Não foi possível reaplicar os commits automaticamente. Resolva os conflitos para mesclar.');
+        await gitMod.checkout({ fs, dir: projectPath, ref: previewBranch });
+        return await this._startMergeSession(projectPath, previewBranch, { type: 'working-merge', branch: branchName }, workOid);
+      }
+
+      await gitMod.writeRef({ fs, dir: projectPath, ref: `refs/heads/${previewBranch}`, value: rebase.newTip, force: true });
+      await gitMod.checkout({ fs, dir: projectPath, ref: previewBranch, force: true });
+      this._gitCache = {};
+      await this.gitOps.restoreLfsFiles(projectPath, message => this.sendOutput(message));
+
+      this.sendProgress({ stage: 'pushing', current: 3, total, message: `Publicando '${previewBranch}'...` });
+      try {
+        await this._publishWorkingBranchMerge(gitMod, fs, projectPath, previewBranch, branchName, auth);
+      } catch (pushError) {
+        // Leave preview as it was so the branch can be merged again later
+        await gitMod.writeRef({ fs, dir: projectPath, ref: `refs/heads/${previewBranch}`, value: previewOid, force: true });
+        await gitMod.checkout({ fs, dir: projectPath, ref: previewBranch, force: true });
+        this._gitCache = {};
+        throw pushError;
+      }
+
+      this.sendProgress({ stage: 'complete', current: total, total, message: 'Branch de trabalho mesclada!' });
+      this.sendOutput(`✅ '${branchName}' mesclada em '${previewBranch}' e apagada.`);
+      return { success: true, branch: previewBranch, merged: branchName, replayed: rebase.replayed };
+    } catch (error) {
+      this.logger.error('Error merging working branch:', error);
+
+      let errorMessage = error.message || 'Erro desconhecido ao mesclar branch de trabalho';
+      if (error.message && error.message.includes('non-fast-forward')) {
+        errorMessage = 'A prévia mudou no servidor durante a mesclagem. Tente novamente.';
+      } else if (error.message && (error.message.includes('401') || error.message.includes('403') || error.message.includes('authentication'))) {
+        errorMessage = 'Erro de autenticação. Faça login novamente.';
+      }
+
+      this.sendOutput(`❌ Erro ao mesclar branch de trabalho: ${errorMessage}`);
+      return { success: false, error: errorMessage };
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Publish preview and delete the working branch after its conflicts were resolved
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} branchName - Working branch name
+   * @returns {Promise<{success: boolean, branch?: string, merged?: string, error?: string}>}
+   */
+  async gitFinishWorkingBranchMerge(projectPath, branchName) {
+    if (!this.acquireGitLock()) {
+      this.sendOutput('⚠️ Operação Git já em andamento. Aguarde...');
+      return { success: false, error: 'Git operation already in progress. Please wait.' };
+    }
+
+    const fs = require('fs');
+
+    try {
+      const gitMod = await this._getGit();
+      const [auth, previewBranch] = await Promise.all([this.gitOps.getGitAuth(projectPath), this.getPreviewBranch()]);
+      if (!auth) {
+        return { success: false, error: 'Autenticação GitHub necessária. Faça login novamente.' };
+      }
+
+      await this._publishWorkingBranchMerge(gitMod, fs, projectPath, previewBranch, branchName, auth);
+      this.sendOutput(`✅ '${branchName}' mesclada em '${previewBranch}' e apagada.`);
+      return { success: true, branch: previewBranch, merged: branchName };
+    } catch (error) {
+      this.logger.error('Error finishing working branch merge:', error);
+      this.sendOutput(`❌ Erro ao publicar a mesclagem: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Read a page of commit history
+   * @param {string} projectPath - Path to the git repository
+   * @param {Object} [options={}] - Log options
+   * @param {string} [options.ref] - Branch to read (defaults to the current branch)
+   * @param {number} [options.skip=0] - Commits to skip
+   * @param {number} [options.limit=20] - Page size
+   * @param {string|null} [options.filepath=null] - Only commits touching this file or folder
+   * @returns {Promise<{success: boolean, ref?: string, commits?: Array<Object>, hasMore?: boolean, deepening?: boolean, error?: string}>}
+   */
+  async gitLog(projectPath, options = {}) {
+    try {
+      const gitMod = await this._getGit();
+      const fs = require('fs');
+      const ref = options.ref || await gitMod.currentBranch({ fs, dir: projectPath, cache: this._gitCache }) || 'HEAD';
+      const filepath = options.filepath ? String(options.filepath).replace(/^\/+|\/+$/g, '') : null;
+
+      this.logger.info(`📜 Reading history of ${ref} (skip ${options.skip || 0}${filepath ? `, path ${filepath}` : ''})`);
+      const { commits, hasMore } = await this.historyReader.readLog({
+        gitMod,
+        fs,
+        dir: projectPath,
+        ref,
+        skip: options.skip,
+        limit: options.limit,
+        filepath,
+        cache: this._gitCache
+      });
+
+      // The end of a shallow clone is not the end of the history: fetch older commits meanwhile
+      const deepening = !hasMore && this.deepenHistoryInBackground(projectPath, ref);
+
+      return { success: true, ref, commits, hasMore, deepening };
+    } catch (error) {
+      this.logger.error('Error reading git log:', error);
+      if (error.code === 'NotFoundError') {
+        return { success: true, ref: options.ref || null, commits: [], hasMore: false };
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start fetching older commits of a shallow clone, unless the clone is complete or already deepening.
+   * Windows get 'git:history-deepened' when the commits arrived.
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} ref - Branch whose history is read
+   * @returns {boolean} Whether older commits are being fetched
+   */
+  deepenHistoryInBackground(projectPath, ref) {
+    if (this._historyDeepening) {
+      return true;
+    }
+    if (!require('fs').existsSync(path.join(projectPath, '.git', 'shallow'))) {
+      return false;
+    }
+
+    this._historyDeepening = this.deepenHistory(projectPath, ref)
+      .catch(error => this.logger.warn(`⚠️ Could not fetch older history of ${ref}:`, error.message))
+      .finally(() => {
+        this._historyDeepening = null;
+      });
+    return true;
+  }
+
+  /**
+   * Fetch HISTORY_DEEPEN_STEP more commits behind the shallow boundary of a branch
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} ref - Branch to deepen
+   * @returns {Promise<void>}
+   */
+  async deepenHistory(projectPath, ref) {
+    if (!this.acquireGitLock()) {
+      // A pull or push is running; the next history request tries again
+      return;
+    }
+    try {
+      const gitMod = await this._getGit();
+      const fs = require('fs');
+      const auth = await this.gitOps.getGitAuth(projectPath);
+
+      this.logger.info(`📚 Fetching ${HISTORY_DEEPEN_STEP} older commits of ${ref}`);
+      await gitMod.fetch({
+        fs,
+        http,
+        dir: projectPath,
+        remote: 'origin',
+        ref,
+        singleBranch: true,
+        depth: HISTORY_DEEPEN_STEP,
+        relative: true,
+        onAuth: () => auth
+      });
+      this._gitCache = {};
+
+      const complete = !fs.existsSync(path.join(projectPath, '.git', 'shallow'));
+      this.broadcastToWindows('git:history-deepened', { ref, complete });
+    } finally {
+      this.releaseGitLock();
+    }
+  }
+
+  /**
+   * Diff a commit against its parent
+   * @param {string} projectPath - Path to the git repository
+   * @param {string} oid - Commit SHA
+   * @param {string|null} [filepath=null] - Only files under this path
+   * @returns {Promise<{success: boolean, commit?: Object, files?: Array<Object>, error?: string}>}
+   */
+  async gitGetCommitDiff(projectPath, oid, filepath = null) {
+    try {
+      if (!oid) {
+        return { success: false, error: 'Commit não informado' };
+      }
+      const gitMod = await this._getGit();
+      const { commit, files } = await this.historyReader.readCommitDiff({
+        gitMod,
+        fs: require('fs'),
+        dir: projectPath,
+        oid,
+        filepath: filepath ? String(filepath).replace(/^\/+|\/+$/g, '') : null,
+        cache: this._gitCache
+      });
+      return { success: true, commit, files };
+    } catch (error) {
+      this.logger.error(`Error reading diff for commit ${oid}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List remote branches
+   * @param {string} projectPath - Path to the git repository
+   * @returns {Promise<Array<string>>} List of remote branch names
+   */
+  async gitListRemoteBranches(projectPath) {
+    try {
+      this.sendOutput('🔍 Buscando branches remotas...');
+
+      // Get credentials for private repo support
+      const auth = await this.gitOps.getGitAuth(projectPath);
+
+      const gitMod = await this._getGit();
+
+      const url = await gitMod.getConfig({
+        fs: require('fs'),
+        dir: projectPath,
+        path: 'remote.origin.url',
+        cache: this._gitCache
+      });
+
+      const listServerRefsConfig = {
+        http,
+        url,
+        cache: this._gitCache,
+      };
+
+      if (auth) {
+        listServerRefsConfig.onAuth = () => auth;
+      }
+
+      const refs = await gitMod.listServerRefs(listServerRefsConfig);
+
+      const branches = refs
+        .filter(ref => ref.ref.startsWith('refs/heads/'))
+        .map(ref => ref.ref.replace('refs/heads/', ''))
+        .filter(name => name !== 'HEAD');
+
+      return branches;
+    } catch (error) {
+      this.logger.error('Error listing remote branches:', error);
+      if (!error.message?.includes('auth') && !(await this.gitOps.getGitAuth(projectPath))) {
+        throw new Error('Autenticação necessária para repositórios privados');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Register all Git operations IPC handlers
+   */
+  registerHandlers() {
+    this.logger.info('🔧 Registering Git operations IPC handlers');
+
+    /**
+     * List branches
+     */
+    ipcMain.handle('git:list-branches', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        const result = await this.gitListBranches(projectPath);
+        return { success: true, branches: result.branches, currentBranch: result.current };
+      } catch (error) {
+        this.logger.error('Error in git:list-branches handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Create branch
+     */
+    ipcMain.handle('git:create-branch', async (event, projectId, branchName) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        await this.gitCreateBranch(projectPath, branchName);
+        return { success: true, branchName };
+      } catch (error) {
+        this.logger.error('Error in git:create-branch handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Checkout branch
+     */
+    ipcMain.handle('git:checkout-branch', async (event, projectId, branchName) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        await this.gitCheckoutBranch(projectPath, branchName);
+        return { success: true, branchName };
+      } catch (error) {
+        this.logger.error('Error in git:checkout-branch handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Get current branch
+     */
+    ipcMain.handle('git:get-current-branch', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        const currentBranch = await this.gitGetCurrentBranch(projectPath);
+        return { success: true, currentBranch };
+      } catch (error) {
+        this.logger.error('Error in git:get-current-branch handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Get repository info
+     */
+    ipcMain.handle('git:get-repository-info', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        const repoInfo = await this.gitGetRepositoryInfo(projectPath);
+        return { success: true, ...repoInfo };
+      } catch (error) {
+        this.logger.error('Error in git:get-repository-info handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('git:check-status', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitCheckStatus(projectPath);
+      } catch (error) {
+        this.logger.error('Error in git:check-status handler:', error);
+        return { success: false, isDirty: false, fileCount: 0, files: [], error: error.message };
+      }
+    });
+
+    ipcMain.handle('git:pull-from-preview', async (event, projectId, commitMessage, paths) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        const result = await this.gitPullFromPreview(projectPath, commitMessage || null, Array.isArray(paths) ? paths : null);
+        return result;
+      } catch (error) {
+        this.logger.error('Error in git:pull-from-preview handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('git:push-to-branch', async (event, projectId, targetBranch, commitMessage, paths) => {
+      try {
         const projectPath = await this.getProjectPath(projectId);
-        const result = await this.gitPushToBranch(projectPath, targetBranch, commitMessage || null);
+        const result = await this.gitPushToBranch(projectPath, targetBranch, commitMessage || null, Array.isArray(paths) ? paths : null);
         return result;
       } catch (error) {
         this.logger.error('Error in git:push-to-branch handler:', error);
@@ -1305,6 +2525,207 @@ class GitHandlers {
       }
     });
 
+    /**
+     * Get pending merge conflicts
+     */
+    ipcMain.handle('git:get-merge-conflicts', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return { success: true, conflicts: this.gitGetMergeConflicts(projectPath) };
+      } catch (error) {
+        this.logger.error('Error in git:get-merge-conflicts handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Commit conflict resolutions and resume the interrupted operation
+     */
+    ipcMain.handle('git:resolve-merge-conflicts', async (event, projectId, resolutions) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitResolveMergeConflicts(projectPath, resolutions || {});
+      } catch (error) {
+        this.logger.error('Error in git:resolve-merge-conflicts handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Abort a pending merge
+     */
+    ipcMain.handle('git:abort-merge', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return this.gitAbortMerge(projectPath);
+      } catch (error) {
+        this.logger.error('Error in git:abort-merge handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * List commits that would go live when publishing preview to production
+     */
+    ipcMain.handle('git:get-publish-to-main-commits', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitGetPublishToMainCommits(projectPath);
+      } catch (error) {
+        this.logger.error('Error in git:get-publish-to-main-commits handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Publish preview to production (main)
+     */
+    ipcMain.handle('git:publish-to-main', async (event, projectId, expectedPreviewOid) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitPublishToMain(projectPath, expectedPreviewOid || null);
+      } catch (error) {
+        this.logger.error('Error in git:publish-to-main handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Save current changes to a working branch and push it
+     */
+    ipcMain.handle('git:save-draft-to-working-branch', async (event, projectId, commitMessage, label) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitSaveDraftToWorkingBranch(projectPath, commitMessage || null, label || '');
+      } catch (error) {
+        this.logger.error('Error in git:save-draft-to-working-branch handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * List the signed-in user's working branches
+     */
+    ipcMain.handle('git:list-working-branches', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitListWorkingBranches(projectPath);
+      } catch (error) {
+        this.logger.error('Error in git:list-working-branches handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Rebase a working branch onto preview and delete it
+     */
+    ipcMain.handle('git:merge-working-branch', async (event, projectId, branchName) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitMergeWorkingBranch(projectPath, branchName);
+      } catch (error) {
+        this.logger.error('Error in git:merge-working-branch handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Start auto-publishing the open project (also re-checks after settings change)
+     */
+    ipcMain.handle('git:auto-publish-start', async (event, projectId) => {
+      try {
+        if (!this.autoPublish) {
+          return { success: false, error: 'Auto-publicação indisponível' };
+        }
+        const projectPath = await this.getProjectPath(projectId);
+        this.autoPublish.start(projectPath);
+        return { success: true, status: this.autoPublish.getStatus() };
+      } catch (error) {
+        this.logger.error('Error in git:auto-publish-start handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Stop auto-publishing a project (the scheduler keeps watching when it follows another project)
+     */
+    ipcMain.handle('git:auto-publish-stop', async (event, projectId) => {
+      try {
+        if (this.autoPublish) {
+          this.autoPublish.stop(await this.getProjectPath(projectId));
+        }
+        return { success: true };
+      } catch (error) {
+        this.logger.error('Error in git:auto-publish-stop handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * List uncommitted changes for review
+     */
+    ipcMain.handle('git:get-working-changes', async (event, projectId) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitGetWorkingChanges(projectPath);
+      } catch (error) {
+        this.logger.error('Error in git:get-working-changes handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Diff an uncommitted file against HEAD
+     */
+    ipcMain.handle('git:get-working-file-diff', async (event, projectId, filepath) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitGetWorkingFileDiff(projectPath, filepath);
+      } catch (error) {
+        this.logger.error('Error in git:get-working-file-diff handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Discard uncommitted changes to files
+     */
+    ipcMain.handle('git:discard-changes', async (event, projectId, paths) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitDiscardChanges(projectPath, paths);
+      } catch (error) {
+        this.logger.error('Error in git:discard-changes handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Read a page of commit history
+     */
+    ipcMain.handle('git:log', async (event, projectId, options) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitLog(projectPath, options || {});
+      } catch (error) {
+        this.logger.error('Error in git:log handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Diff a commit against its parent
+     */
+    ipcMain.handle('git:get-commit-diff', async (event, projectId, oid, filepath) => {
+      try {
+        const projectPath = await this.getProjectPath(projectId);
+        return await this.gitGetCommitDiff(projectPath, oid, filepath || null);
+      } catch (error) {
+        this.logger.error('Error in git:get-commit-diff handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     /**
      * List remote branches
      */
@@ -1345,8 +2766,27 @@ class GitHandlers {
     ipcMain.removeHandler('git:check-status');
     ipcMain.removeHandler('git:pull-from-preview');
     ipcMain.removeHandler('git:push-to-branch');
+    ipcMain.removeHandler('git:get-merge-conflicts');
+    ipcMain.removeHandler('git:resolve-merge-conflicts');
+    ipcMain.removeHandler('git:abort-merge');
+    ipcMain.removeHandler('git:get-publish-to-main-commits');
+    ipcMain.removeHandler('git:publish-to-main');
+    ipcMain.removeHandler('git:save-draft-to-working-branch');
+    ipcMain.removeHandler('git:list-working-branches');
+    ipcMain.removeHandler('git:merge-working-branch');
+    ipcMain.removeHandler('git:auto-publish-start');
+    ipcMain.removeHandler('git:auto-publish-stop');
+    ipcMain.removeHandler('git:get-working-changes');
+    ipcMain.removeHandler('git:get-working-file-diff');
+    ipcMain.removeHandler('git:discard-changes');
+    ipcMain.removeHandler('git:log');
+    ipcMain.removeHandler('git:get-commit-diff');
     ipcMain.removeHandler('git:list-remote-branches');
     ipcMain.removeHandler('git:cancel-operation');
+
+    if (this.autoPublish) {
+      this.autoPublish.stop();
+    }
     
     this.logger.info('✅ Git operations IPC handlers unregistered');
   }
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Commit history, changed files and per-commit diffs
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { splitLines, diffLines } = require('../main/services/threeWayMerge.js');
+const { isBinary } = require('./mergeConflicts.js');
+
+/**
+ * @typedef {Object} ChangedFile
+ * @property {string} path - Repository-relative file path
+ * @property {'added'|'modified'|'deleted'} status - Change relative to the first parent
+ */
+
+/**
+ * @typedef {Object} CommitSummary
+ * @property {string} oid - Commit SHA
+ * @property {string} shortOid - Abbreviated SHA (7 characters)
+ * @property {string} message - Full commit message
+ * @property {string} summary - First line of the message
+ * @property {{name: string, email: string}} author - Commit author
+ * @property {string} date - Author date (ISO 8601)
+ * @property {string[]} parents - Parent SHAs
+ * @property {ChangedFile[]} files - Files changed against the first parent
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {' '|'+'|'-'} type - Context, added or removed line
+ * @property {string} text - Line text without terminator
+ */
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {number} oldStart - First line in the parent (1-based)
+ * @property {number} oldLines - Line count in the parent
+ * @property {number} newStart - First line in the commit (1-based)
+ * @property {number} newLines - Line count in the commit
+ * @property {DiffLine[]} lines - Hunk lines
+ */
+
+// Largest page the renderer may request
+const MAX_LOG_PAGE_SIZE = 100;
+
+// Unchanged lines shown around each change
+const DIFF_CONTEXT_LINES = 3;
+
+// Files larger than this are reported without a line diff
+const MAX_DIFF_FILE_BYTES = 512 * 1024;
+
+/**
+ * Git History Reader - paginated log and commit diffs on top of isomorphic-git
+ */
+class GitHistoryReader {
+  /**
+   * Create an instance of GitHistoryReader
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   */
+  constructor({ logger }) {
+    this.logger = logger;
+  }
+
+  /**
+   * Read one page of history
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} [options.ref='HEAD'] - Branch or commit to start from
+   * @param {number} [options.skip=0] - Commits to skip
+   * @param {number} [options.limit=20] - Page size
+   * @param {string|null} [options.filepath=null] - Only commits touching this file or folder
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<{commits: CommitSummary[], hasMore: boolean}>} Page of commits
+   */
+  async readLog({ gitMod, fs, dir, ref = 'HEAD', skip = 0, limit = 20, filepath = null, cache }) {
+    const pageSize = Math.min(Math.max(Number(limit) || 0, 1), MAX_LOG_PAGE_SIZE);
+    const offset = Math.max(Number(skip) || 0, 0);
+
+    // One extra entry tells whether another page exists
+    const entries = await gitMod.log({
+      fs,
+      dir,
+      ref,
+      depth: offset + pageSize + 1,
+      filepath: filepath || undefined,
+      force: !!filepath,
+      cache
+    });
+
+    const page = entries.slice(offset, offset + pageSize);
+    const commits = [];
+    for (const entry of page) {
+      const files = await this.listChangedFiles({
+        gitMod,
+        fs,
+        dir,
+        oid: entry.oid,
+        parentOid: entry.commit.parent[0] || null,
+        cache
+      });
+      commits.push(this.summarize(entry, files));
+    }
+
+    return { commits, hasMore: entries.length > offset + pageSize };
+  }
+
+  /**
+   * Renderer-safe view of a commit
+   * @param {{oid: string, commit: Object}} entry - Commit read by isomorphic-git
+   * @param {ChangedFile[]} files - Changed files
+   * @returns {CommitSummary} Commit summary
+   */
+  summarize({ oid, commit }, files) {
+    return {
+      oid,
+      shortOid: oid.substring(0, 7),
+      message: commit.message,
+      summary: commit.message.split('\n')[0],
+      author: { name: commit.author.name, email: commit.author.email },
+      date: new Date(commit.author.timestamp * 1000).toISOString(),
+      parents: commit.parent,
+      files: files.map(({ path, status }) => ({ path, status }))
+    };
+  }
+
+  /**
+   * List files that differ between a commit and its parent
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.oid - Commit SHA
+   * @param {string|null} options.parentOid - Parent SHA (null for the root commit)
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<Array<ChangedFile & {oldOid: string|null, newOid: string|null}>>} Changed files
+   */
+  async listChangedFiles({ gitMod, fs, dir, oid, parentOid, cache }) {
+    const files = [];
+    const trees = [gitMod.TREE({ ref: oid })];
+    if (parentOid) {
+      trees.push(gitMod.TREE({ ref: parentOid }));
+    }
+
+    const describe = async (entry) => {
+      if (!entry) {
+        return { type: null, oid: null };
+      }
+      return { type: await entry.type(), oid: await entry.oid() };
+    };
+
+    await gitMod.walk({
+      fs,
+      dir,
+      cache,
+      trees,
+      map: async (filepath, [newEntry, oldEntry]) => {
+        const [next, prev] = await Promise.all([describe(newEntry), describe(oldEntry)]);
+        if (next.oid === prev.oid) {
+          return null;
+        }
+        if (next.type === 'tree' || prev.type === 'tree') {
+          // A file replaced by a folder (or vice versa) shows up as the blob side only
+          if (next.type === 'blob') {
+            files.push({ path: filepath, status: 'added', oldOid: null, newOid: next.oid });
+          } else if (prev.type === 'blob') {
+            files.push({ path: filepath, status: 'deleted', oldOid: prev.oid, newOid: null });
+          }
+          return true;
+        }
+        if (next.type !== 'blob' && prev.type !== 'blob') {
+          return null;
+        }
+
+        const status = !prev.oid ? 'added' : !next.oid ? 'deleted' : 'modified';
+        files.push({ path: filepath, status, oldOid: prev.oid, newOid: next.oid });
+        return null;
+      }
+    });
+
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    return files;
+  }
+
+  /**
+   * Diff a commit against its first parent
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.oid - Commit SHA
+   * @param {string|null} [options.filepath=null] - Only files under this path
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<{commit: CommitSummary, files: Array<Object>}>} Commit and per-file hunks
+   */
+  async readCommitDiff({ gitMod, fs, dir, oid, filepath = null, cache }) {
+    const entry = await gitMod.readCommit({ fs, dir, oid, cache });
+    const parentOid = entry.commit.parent[0] || null;
+    const changed = await this.listChangedFiles({ gitMod, fs, dir, oid: entry.oid, parentOid, cache });
+    const selected = filepath
+      ? changed.filter(file => file.path === filepath || file.path.startsWith(`${filepath.replace(/\/+$/, '')}/`))
+      : changed;
+
+    const files = [];
+    for (const file of selected) {
+      const [oldContent, newContent] = await Promise.all([
+        this.readBlob(gitMod, fs, dir, file.oldOid, cache),
+        this.readBlob(gitMod, fs, dir, file.newOid, cache)
+      ]);
+      files.push(this.diffContents(file.path, file.status, oldContent, newContent));
+    }
+
+    return { commit: this.summarize(entry, changed), files };
+  }
+
+  /**
+   * Diff two versions of a file
+   * @param {string} filepath - Repository-relative file path
+   * @param {'added'|'modified'|'deleted'} status - Change status
+   * @param {Uint8Array|null} oldContent - Previous content (null when added)
+   * @param {Uint8Array|null} newContent - New content (null when deleted)
+   * @returns {{path: string, status: string, binary: boolean, tooLarge: boolean, hunks: DiffHunk[]}} File diff
+   */
+  diffContents(filepath, status, oldContent, newContent) {
+    const result = { path: filepath, status, binary: false, tooLarge: false, hunks: [] };
+
+    if (isBinary(oldContent) || isBinary(newContent)) {
+      result.binary = true;
+    } else if (Math.max(oldContent ? oldContent.length : 0, newContent ? newContent.length : 0) > MAX_DIFF_FILE_BYTES) {
+      result.tooLarge = true;
+    } else {
+      const decoder = new TextDecoder();
+      result.hunks = this.buildHunks(
+        oldContent ? decoder.decode(oldContent) : '',
+        newContent ? decoder.decode(newContent) : ''
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Read a blob, tolerating missing objects
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {string|null} oid - Blob SHA
+   * @param {Object} [cache] - isomorphic-git cache object
+   * @returns {Promise<Uint8Array|null>} Blob content, or null
+   */
+  async readBlob(gitMod, fs, dir, oid, cache) {
+    if (!oid) {
+      return null;
+    }
+    const { blob } = await gitMod.readBlob({ fs, dir, oid, cache });
+    return blob;
+  }
+
+  /**
+   * Build unified-diff hunks between two texts
+   * @param {string} oldText - Parent text
+   * @param {string} newText - Commit text
+   * @returns {DiffHunk[]} Hunks with surrounding context
+   */
+  buildHunks(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    const changes = diffLines(a, b);
+    const hunks = [];
+    const strip = (line) => line.replace(/\r?\n$/, '');
+
+    let index = 0;
+    while (index < changes.length) {
+      // Merge changes whose context windows touch
+      let last = index;
+      while (
+        last + 1 < changes.length &&
+        changes[last + 1].aStart - changes[last].aEnd <= DIFF_CONTEXT_LINES * 2
+      ) {
+        last++;
+      }
+
+      const first = changes[index];
+      const aFrom = Math.max(first.aStart - DIFF_CONTEXT_LINES, 0);
+      const bFrom = first.bStart - (first.aStart - aFrom);
+      const aTo = Math.min(changes[last].aEnd + DIFF_CONTEXT_LINES, a.length);
+
+      const lines = [];
+      let aPos = aFrom;
+      for (let k = index; k <= last; k++) {
+        const change = changes[k];
+        for (; aPos < change.aStart; aPos++) {
+          lines.push({ type: ' ', text: strip(a[aPos]) });
+        }
+        for (let i = change.aStart; i < change.aEnd; i++) {
+          lines.push({ type: '-', text: strip(a[i]) });
+        }
+        for (let j = change.bStart; j < change.bEnd; j++) {
+          lines.push({ type: '+', text: strip(b[j]) });
+        }
+        aPos = change.aEnd;
+      }
+      for (; aPos < aTo; aPos++) {
+        lines.push({ type: ' ', text: strip(a[aPos]) });
+      }
+
+      const oldLines = lines.filter(line => line.type !== '+').length;
+      const newLines = lines.filter(line => line.type !== '-').length;
+      hunks.push({
+        oldStart: oldLines > 0 ? aFrom + 1 : aFrom,
+        oldLines,
+        newStart: newLines > 0 ? bFrom + 1 : bFrom,
+        newLines,
+        lines
+      });
+      index = last + 1;
+    }
+
+    return hunks;
+  }
+}
+
+module.exports = { GitHistoryReader, MAX_LOG_PAGE_SIZE };
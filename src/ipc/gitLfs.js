@@ -0,0 +1,536 @@
+/**
+ * @fileoverview Git LFS for isomorphic-git: pointer files, the local object store and the batch API
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const defaultHttp = require('isomorphic-git/http/node');
+
+const POINTER_VERSION = 'https://git-lfs.github.com/spec/v1';
+// Pointer files are around 130 bytes; anything larger is real content
+const MAX_POINTER_SIZE = 1024;
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+// Objects staged by commits and not yet sent to the server, one "oid size" per line
+const PENDING_UPLOADS_FILE = 'pending-uploads';
+
+/**
+ * @typedef {Object} LfsPointer
+ * @property {string} oid - SHA-256 of the content
+ * @property {number} size - Content size in bytes
+ */
+
+/**
+ * Parse the content of a pointer file
+ * @param {Buffer|Uint8Array|string} content - File content
+ * @returns {LfsPointer|null} Pointer, or null when the content is not a pointer
+ */
+function parseLfsPointer(content) {
+  if (!content || content.length > MAX_POINTER_SIZE) {
+    return null;
+  }
+  const text = Buffer.from(content).toString('utf8');
+  if (!text.startsWith(`version ${POINTER_VERSION}\n`)) {
+    return null;
+  }
+  const oid = /^oid sha256:([0-9a-f]{64})$/m.exec(text);
+  const size = /^size (\d+)$/m.exec(text);
+  return oid && size ? { oid: oid[1], size: Number(size[1]) } : null;
+}
+
+/**
+ * Format a pointer file
+ * @param {LfsPointer} pointer - Pointer
+ * @returns {string} Pointer file content
+ */
+function formatLfsPointer({ oid, size }) {
+  return `version ${POINTER_VERSION}\noid sha256:${oid}\nsize ${size}\n`;
+}
+
+/**
+ * Convert a .gitattributes pattern to a regular expression over repository-relative paths.
+ * Patterns without a slash match the file name in any folder; others are relative to the root.
+ * @param {string} pattern - gitattributes pattern
+ * @returns {RegExp} Path matcher
+ */
+function attributePatternToRegExp(pattern) {
+  const anchored = pattern.replace(/\/$/, '').includes('/');
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '/**');
+  let source = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      // "**/" matches any number of folders, a trailing "**" everything inside
+      source += body[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += body[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+/**
+ * Read the patterns a .gitattributes file stores in LFS
+ * @param {string} text - .gitattributes content
+ * @returns {string[]} Patterns with filter=lfs
+ */
+function parseLfsPatterns(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/\s+/))
+    .filter(([, ...attributes]) => attributes.includes('filter=lfs'))
+    .map(([pattern]) => pattern);
+}
+
+/**
+ * LFS server of a git remote, as git-lfs derives it
+ * @param {string} remoteUrl - Remote URL
+ * @returns {string} LFS endpoint
+ */
+function lfsEndpointFromRemote(remoteUrl) {
+  const url = remoteUrl.replace(/\/+$/, '');
+  return url.endsWith('.git') ? `${url}/info/lfs` : `${url}.git/info/lfs`;
+}
+
+/**
+ * Read an HTTP response body
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(body) {
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Git LFS - recognises pointer files, downloads their content after clones and checkouts,
+ * stages tracked files as pointers and uploads their content before pushes
+ */
+class GitLfs {
+  /**
+   * Create an instance of GitLfs
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.http] - isomorphic-git HTTP client
+   */
+  constructor({ logger, http = defaultHttp }) {
+    this.logger = logger;
+    this.http = http;
+    // path:mtime:size -> SHA-256, so status checks do not hash unchanged media again
+    this.hashCache = new Map();
+  }
+
+  /**
+   * Read the LFS patterns of the repository's root .gitattributes
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @returns {Promise<RegExp[]>} Path matchers (empty when the repository does not use LFS)
+   */
+  async readPatterns(fs, dir) {
+    try {
+      const text = await fs.promises.readFile(path.join(dir, '.gitattributes'), 'utf8');
+      return parseLfsPatterns(text).map(attributePatternToRegExp);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Path of an object in the local store (same layout as git-lfs)
+   * @param {string} dir - Repository directory
+   * @param {string} oid - SHA-256 of the content
+   * @returns {string} Absolute path
+   */
+  objectPath(dir, oid) {
+    return path.join(dir, '.git', 'lfs', 'objects', oid.slice(0, 2), oid.slice(2, 4), oid);
+  }
+
+  /**
+   * Read a working tree file as a pointer
+   * @param {Object} fs - filesystem module
+   * @param {string} fullPath - Absolute path
+   * @returns {Promise<LfsPointer|null>} Pointer, or null for real content and missing files
+   */
+  async readPointerFile(fs, fullPath) {
+    try {
+      const stats = await fs.promises.stat(fullPath);
+      if (stats.size > MAX_POINTER_SIZE) {
+        return null;
+      }
+      return parseLfsPointer(await fs.promises.readFile(fullPath));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 of a file, cached while its mtime and size do not change
+   * @param {Object} fs - filesystem module
+   * @param {string} fullPath - Absolute path
+   * @returns {Promise<{oid: string, size: number}>} Hash and size
+   */
+  async hashFile(fs, fullPath) {
+    const stats = await fs.promises.stat(fullPath);
+    const cacheKey = `${fullPath}:${stats.mtimeMs}:${stats.size}`;
+    if (!this.hashCache.has(cacheKey)) {
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of fs.createReadStream(fullPath)) {
+        hash.update(chunk);
+      }
+      this.hashCache.set(cacheKey, hash.digest('hex'));
+    }
+    return { oid: this.hashCache.get(cacheKey), size: stats.size };
+  }
+
+  /**
+   * Resolve the LFS server: lfs.url in the git config, then .lfsconfig, then the origin remote
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @returns {Promise<string>} LFS endpoint
+   */
+  async resolveEndpoint(gitMod, fs, dir) {
+    const configured = await gitMod.getConfig({ fs, dir, path: 'lfs.url' });
+    if (configured) {
+      return configured.replace(/\/+$/, '');
+    }
+
+    try {
+      const lfsconfig = await fs.promises.readFile(path.join(dir, '.lfsconfig'), 'utf8');
+      const match = /^\s*\[lfs\]([^[]*)/m.exec(lfsconfig);
+      const url = match && /^\s*url\s*=\s*(\S+)/m.exec(match[1]);
+      if (url) {
+        return url[1].replace(/\/+$/, '');
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const remoteUrl = await gitMod.getConfig({ fs, dir, path: 'remote.origin.url' });
+    if (!remoteUrl) {
+      throw new Error('Repositório sem remoto configurado para o Git LFS');
+    }
+    return lfsEndpointFromRemote(remoteUrl);
+  }
+
+  /**
+   * Headers for requests to the LFS server itself
+   * @param {Object|null} auth - isomorphic-git auth ({ username, password })
+   * @returns {Object} Headers
+   */
+  authHeaders(auth) {
+    if (!auth || !auth.username) {
+      return {};
+    }
+    const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  /**
+   * Send a request and fail on HTTP errors
+   * @param {Object} options - isomorphic-git HTTP request options
+   * @returns {Promise<Object>} Response
+   */
+  async request(options) {
+    const response = await this.http.request(options);
+    if (response.statusCode >= 400) {
+      const body = await readBody(response.body || []).catch(() => Buffer.alloc(0));
+      let message = body.toString('utf8');
+      try {
+        message = JSON.parse(message).message || message;
+      } catch (error) {
+        // Not JSON; keep the raw body
+      }
+      throw new Error(`Servidor LFS respondeu HTTP ${response.statusCode}${message ? `: ${message}` : ''}`);
+    }
+    return response;
+  }
+
+  /**
+   * Call the batch API
+   * @param {string} endpoint - LFS endpoint
+   * @param {'download'|'upload'} operation - Operation
+   * @param {LfsPointer[]} objects - Objects
+   * @param {Object|null} auth - isomorphic-git auth
+   * @returns {Promise<Array<Object>>} Objects of the response, with their actions
+   */
+  async batch(endpoint, operation, objects, auth) {
+    const response = await this.request({
+      url: `${endpoint}/objects/batch`,
+      method: 'POST',
+      headers: {
+        Accept: LFS_MEDIA_TYPE,
+        'Content-Type': LFS_MEDIA_TYPE,
+        ...this.authHeaders(auth)
+      },
+      body: [Buffer.from(JSON.stringify({
+        operation,
+        transfers: ['basic'],
+        objects: objects.map(({ oid, size }) => ({ oid, size }))
+      }))]
+    });
+    const { objects: results = [] } = JSON.parse((await readBody(response.body)).toString('utf8'));
+
+    const failed = results.find(object => object.error);
+    if (failed) {
+      throw new Error(`Git LFS não conseguiu ${operation === 'upload' ? 'enviar' : 'baixar'} ${failed.oid}: ${failed.error.message}`);
+    }
+    return results;
+  }
+
+  /**
+   * Download an object into the local store, verifying its hash
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {Object} object - Batch response object with actions.download
+   * @returns {Promise<void>}
+   */
+  async downloadObject(fs, dir, object) {
+    const { href, header = {} } = object.actions.download;
+    const response = await this.request({ url: href, method: 'GET', headers: header });
+
+    const tmpDir = path.join(dir, '.git', 'lfs', 'tmp');
+    await fs.promises.mkdir(tmpDir, { recursive: true });
+    const tmpPath = path.join(tmpDir, `${object.oid}-${process.pid}`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      for await (const chunk of response.body) {
+        hash.update(chunk);
+        size += chunk.length;
+        await handle.write(chunk);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    if (hash.digest('hex') !== object.oid || size !== object.size) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw new Error(`Conteúdo LFS corrompido para ${object.oid}`);
+    }
+    const target = this.objectPath(dir, object.oid);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(tmpPath, target);
+  }
+
+  /**
+   * Replace pointer files in the working tree by their content, downloading what the store lacks.
+   * Runs after clones, checkouts and pulls; files that already hold their content are left alone.
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {Object|null} [options.auth] - isomorphic-git auth
+   * @param {function(string): void} [options.sendOutput] - Console output
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<number>} Files restored
+   */
+  async smudge({ gitMod, fs, dir, auth = null, sendOutput = () => {}, cache }) {
+    const patterns = await this.readPatterns(fs, dir);
+    if (patterns.length === 0) {
+      return 0;
+    }
+
+    const pointers = [];
+    for (const filepath of await gitMod.listFiles({ fs, dir, cache })) {
+      if (patterns.some(pattern => pattern.test(filepath))) {
+        const pointer = await this.readPointerFile(fs, path.join(dir, filepath));
+        if (pointer) {
+          pointers.push({ filepath, ...pointer });
+        }
+      }
+    }
+    if (pointers.length === 0) {
+      return 0;
+    }
+
+    const missing = new Map();
+    for (const pointer of pointers) {
+      if (!missing.has(pointer.oid) && !fs.existsSync(this.objectPath(dir, pointer.oid))) {
+        missing.set(pointer.oid, pointer);
+      }
+    }
+    if (missing.size > 0) {
+      sendOutput(`📥 Baixando ${missing.size} arquivo(s) do Git LFS...`);
+      const endpoint = await this.resolveEndpoint(gitMod, fs, dir);
+      const objects = await this.batch(endpoint, 'download', [...missing.values()], auth);
+      for (const object of objects) {
+        await this.downloadObject(fs, dir, object);
+      }
+    }
+
+    for (const { filepath, oid } of pointers) {
+      await fs.promises.copyFile(this.objectPath(dir, oid), path.join(dir, filepath));
+    }
+    this.logger.info(`📦 Restored ${pointers.length} LFS file(s) in ${dir}`);
+    sendOutput(`✅ ${pointers.length} arquivo(s) do Git LFS restaurado(s)`);
+    return pointers.length;
+  }
+
+  /**
+   * Stage a tracked file as a pointer, keeping its content in the store until the next push
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.filepath - Repository-relative path
+   * @returns {Promise<LfsPointer|null>} Pointer staged, or null when the file already was a pointer
+   */
+  async stage({ gitMod, fs, dir, filepath }) {
+    const fullPath = path.join(dir, filepath);
+    if (await this.readPointerFile(fs, fullPath)) {
+      await gitMod.add({ fs, dir, filepath });
+      return null;
+    }
+
+    const pointer = await this.hashFile(fs, fullPath);
+    const target = this.objectPath(dir, pointer.oid);
+    if (!fs.existsSync(target)) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(fullPath, target);
+    }
+
+    const oid = await gitMod.writeBlob({ fs, dir, blob: Buffer.from(formatLfsPointer(pointer)) });
+    await gitMod.updateIndex({ fs, dir, filepath, oid, mode: 0o100644, add: true });
+    await fs.promises.appendFile(
+      path.join(dir, '.git', 'lfs', PENDING_UPLOADS_FILE),
+      `${pointer.oid} ${pointer.size}\n`
+    );
+    return pointer;
+  }
+
+  /**
+   * Upload the content of the pointers committed since the last push
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {Object|null} [options.auth] - isomorphic-git auth
+   * @param {function(string): void} [options.sendOutput] - Console output
+   * @returns {Promise<number>} Objects the server asked for
+   */
+  async uploadPending({ gitMod, fs, dir, auth = null, sendOutput = () => {} }) {
+    const pendingPath = path.join(dir, '.git', 'lfs', PENDING_UPLOADS_FILE);
+    let lines;
+    try {
+      lines = (await fs.promises.readFile(pendingPath, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const pending = new Map();
+    for (const line of lines) {
+      const [oid, size] = line.split(' ');
+      pending.set(oid, { oid, size: Number(size) });
+    }
+    if (pending.size === 0) {
+      return 0;
+    }
+
+    sendOutput(`📤 Enviando ${pending.size} arquivo(s) para o Git LFS...`);
+    const endpoint = await this.resolveEndpoint(gitMod, fs, dir);
+    const objects = await this.batch(endpoint, 'upload', [...pending.values()], auth);
+
+    let uploaded = 0;
+    for (const object of objects) {
+      // Objects without actions are already on the server
+      const upload = object.actions && object.actions.upload;
+      if (!upload) {
+        continue;
+      }
+      await this.request({
+        url: upload.href,
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': String(object.size),
+          ...(upload.header || {})
+        },
+        body: fs.createReadStream(this.objectPath(dir, object.oid))
+      });
+      const verify = object.actions.verify;
+      if (verify) {
+        await this.request({
+          url: verify.href,
+          method: 'POST',
+          headers: { Accept: LFS_MEDIA_TYPE, 'Content-Type': LFS_MEDIA_TYPE, ...(verify.header || {}) },
+          body: [Buffer.from(JSON.stringify({ oid: object.oid, size: object.size }))]
+        });
+      }
+      uploaded++;
+    }
+
+    await fs.promises.rm(pendingPath, { force: true });
+    this.logger.info(`📦 LFS upload finished: ${uploaded} of ${pending.size} object(s) sent`);
+    return uploaded;
+  }
+
+  /**
+   * Report tracked files whose working content matches the pointer in HEAD as unchanged.
+   * isomorphic-git compares the working file with the pointer blob and sees every restored file as modified.
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {Array<Array>} options.matrix - statusMatrix rows
+   * @param {Object} [options.cache] - isomorphic-git cache object
+   * @returns {Promise<Array<Array>>} statusMatrix rows
+   */
+  async normalizeStatusMatrix({ gitMod, fs, dir, matrix, cache }) {
+    const candidates = matrix.filter(([, head, workdir, stage]) => head === 1 && workdir === 2 && stage === 1);
+    if (candidates.length === 0) {
+      return matrix;
+    }
+    const patterns = await this.readPatterns(fs, dir);
+    const tracked = candidates.filter(([filepath]) => patterns.some(pattern => pattern.test(filepath)));
+    if (tracked.length === 0) {
+      return matrix;
+    }
+
+    const headOid = await gitMod.resolveRef({ fs, dir, ref: 'HEAD', cache });
+    const unchanged = new Set();
+    for (const [filepath] of tracked) {
+      const { blob } = await gitMod.readBlob({ fs, dir, oid: headOid, filepath, cache });
+      const pointer = parseLfsPointer(blob);
+      if (!pointer) {
+        continue;
+      }
+      const content = await this.hashFile(fs, path.join(dir, filepath)).catch(() => null);
+      if (content && content.oid === pointer.oid && content.size === pointer.size) {
+        unchanged.add(filepath);
+      }
+    }
+    return matrix.map(row => (unchanged.has(row[0]) ? [row[0], 1, 1, 1] : row));
+  }
+}
+
+module.exports = {
+  GitLfs,
+  parseLfsPointer,
+  formatLfsPointer,
+  parseLfsPatterns,
+  attributePatternToRegExp,
+  lfsEndpointFromRemote
+};
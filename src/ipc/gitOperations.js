@@ -7,13 +7,11 @@
 'use strict';
 
 const git = require('isomorphic-git');
+const http = require('isomorphic-git/http/node');
 const fs = require('fs');
 const path = require('path');
-const keytar = require('keytar');
-
-// Dynamic import for ESM module - will be loaded when needed
-let Octokit = null;
-const { GITHUB_CONFIG } = require('../config/github-config.js');
+const { GitHubAccountService } = require('../services/githubAccountService.js');
+const { GitLfs } = require('./gitLfs.js');
 
 /**
  * Git Operations Class
@@ -24,31 +22,53 @@ class GitOperations {
    * @param {Object} dependencies - Dependency injection container
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.databaseManager - Database manager instance
+   * @param {Object} [dependencies.accountService] - GitHubAccountService instance
+   * @param {Object} [dependencies.tokenHealth] - TokenHealthService instance (re-authorizes rejected tokens)
    */
-  constructor({ logger, databaseManager }) {
+  constructor({ logger, databaseManager, accountService, tokenHealth = null }) {
     this.logger = logger;
     this.databaseManager = databaseManager;
+    this.accountService = accountService || new GitHubAccountService({ logger, databaseManager });
+    this.tokenHealth = tokenHealth;
+    this.lfs = new GitLfs({ logger });
     this._gitCache = {};
   }
 
   /**
-   * Get GitHub token from keytar
+   * Get the GitHub token of the account a repository's project uses
+   * @param {string|null} [dir=null] - Repository directory (null for the default account)
    * @returns {Promise<string|null>} GitHub token or null
    */
-  async getGitHubToken() {
+  async getGitHubToken(dir = null) {
     try {
-      return await keytar.getPassword(GITHUB_CONFIG.SERVICE_NAME, 'github-token');
+      return await this.accountService.getToken(dir ? { dir } : {});
     } catch (error) {
       this.logger.error('Error getting GitHub token:', error);
       return null;
     }
   }
 
+  /**
+   * Get the ID of the GitHub account a repository's project uses
+   * @param {string|null} [dir=null] - Repository directory (null for the default account)
+   * @returns {Promise<string|null>} GitHub user ID, or null when no account is signed in
+   */
+  async resolveAccountId(dir = null) {
+    try {
+      const account = await this.accountService.resolveAccount(dir ? { dir } : {});
+      return account ? account.id : null;
+    } catch (error) {
+      this.logger.error('Error resolving GitHub account:', error);
+      return null;
+    }
+  }
+
   /**
    * Get cached user information from database (no API calls)
+   * @param {string|null} [accountId=null] - GitHub user ID (null for the default account)
    * @returns {Promise<Object|null>} Cached user info or null
    */
-  async getCachedUserInfo() {
+  async getCachedUserInfo(accountId = null) {
     try {
       if (!this.databaseManager) {
         this.logger.warn('⚠️ No databaseManager available for cache lookup');
@@ -57,19 +77,30 @@ class GitOperations {
 
       const db = await this.databaseManager.getDatabase();
       const cachedUserInfo = await new Promise((resolve, reject) => {
-        db.get(
-          `SELECT githubId, login, name, email, avatarUrl, updatedAt 
-           FROM users 
-           ORDER BY updatedAt DESC 
-           LIMIT 1`,
-          (err, row) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(row);
-            }
+        const callback = (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
           }
-        );
+        };
+        if (accountId) {
+          db.get(
+            `SELECT githubId, login, name, email, avatarUrl, updatedAt 
+             FROM users 
+             WHERE githubId = ?`,
+            [String(accountId)],
+            callback
+          );
+        } else {
+          db.get(
+            `SELECT githubId, login, name, email, avatarUrl, updatedAt 
+             FROM users 
+             ORDER BY isActive DESC, updatedAt DESC 
+             LIMIT 1`,
+            callback
+          );
+        }
       });
       
       if (cachedUserInfo) {
@@ -97,12 +128,14 @@ class GitOperations {
 
   /**
    * Get GitHub user information with cache fallback
+   * @param {string|null} [dir=null] - Repository directory (null for the default account)
    * @returns {Promise<Object|null>} User info or null
    */
-  async getGitHubUserInfo() {
+  async getGitHubUserInfo(dir = null) {
     try {
-      const token = await this.getGitHubToken();
-      if (!token) {
+      const account = await this.accountService.resolveAccount(dir ? { dir } : {});
+      const token = await this.getGitHubToken(dir);
+      if (!account || !token) {
         this.logger.warn('⚠️ No GitHub token available for user info lookup');
         return null;
       }
@@ -110,22 +143,19 @@ class GitOperations {
       this.logger.info('🔍 Fetching GitHub user information...');
       
       try {
-        // Dynamic import for Octokit only when needed
-        if (!Octokit) {
-          const octokitModule = await import('@octokit/rest');
-          Octokit = octokitModule.Octokit;
-        }
-        
-        // Try to get fresh data from GitHub API
-        const octokit = new Octokit({ auth: token });
-        const { data: user } = await octokit.rest.users.getAuthenticated();
+        // Try to get fresh data from the account's git host
+        const user = await this.accountService.getProvider(account).getUserInfo(token, {
+          username: account.login,
+          name: account.name,
+          email: account.email
+        });
         
         const userInfo = {
           login: user.login,
           name: user.name,
           email: user.email,
           avatar_url: user.avatar_url,
-          id: user.id,
+          id: account.id,
           cached: false,
           fetchedAt: new Date().toISOString()
         };
@@ -136,7 +166,7 @@ class GitOperations {
         this.logger.warn('⚠️ Failed to fetch from GitHub API, trying cache fallback:', apiError.message);
         
         // Fallback to database cache
-        const cachedUserInfo = await this.getCachedUserInfo();
+        const cachedUserInfo = await this.getCachedUserInfo(await this.resolveAccountId(dir));
         if (cachedUserInfo) {
           return cachedUserInfo;
         }
@@ -186,33 +216,30 @@ class GitOperations {
   }
 
   /**
-   * Get GitHub authentication headers
-   * @param {string} token - GitHub token
-   * @returns {Promise<Object>} Authentication headers
+   * Get the credentials isomorphic-git sends to the host of a repository's account
+   * @param {string|null} [dir=null] - Repository directory (null for the default account)
+   * @returns {Promise<Object|null>} Git auth ({ username, password }) or null when signed out
+   * @throws {Error} When the account's token was revoked and signing in again was cancelled or failed
    */
-  async getGitHubAuth(token) {
+  async getGitAuth(dir = null) {
+    let account;
     try {
-      // Dynamic import for Octokit
-      if (!Octokit) {
-        const octokitModule = await import('@octokit/rest');
-        Octokit = octokitModule.Octokit;
-      }
-      
-      const octokit = new Octokit({ auth: token });
-      const { data } = await octokit.users.getAuthenticated();
-      
-      return {
-        'X-GitHub-OTP': '0',
-        'Authorization': `token ${token}`,
-        'User-Agent': data.login || 'documental-app'
-      };
+      account = await this.accountService.resolveAccount(dir ? { dir } : {});
     } catch (error) {
-      this.logger.warn('Could not get GitHub user info, using basic auth:', error.message);
-      return {
-        'X-GitHub-OTP': '0',
-        'Authorization': `token ${token}`,
-        'User-Agent': 'documental-app'
-      };
+      this.logger.error('Error getting git credentials:', error);
+      return null;
+    }
+
+    // Signs the account in again when its token was revoked, instead of failing mid-operation
+    if (this.tokenHealth && !(await this.tokenHealth.ensureHealthy(account))) {
+      throw new Error(`A conta ${account.login} precisa ser reautenticada antes desta operação Git`);
+    }
+
+    try {
+      return await this.accountService.getGitAuth(account);
+    } catch (error) {
+      this.logger.error('Error getting git credentials:', error);
+      return null;
     }
   }
 
@@ -310,21 +337,41 @@ class GitOperations {
         this._gitCache = {};
         sendOutput(`✅ Branch '${branchName}' selecionada com sucesso\n`);
       }
+      await this.restoreLfsFiles(dir, message => sendOutput(`${message}\n`));
     } catch (error) {
       this.logger.error('Error checking out branch:', error);
       throw error;
     }
   }
 
+  /**
+   * Replace Git LFS pointer files in the working tree by their content.
+   * Failures only warn: the site still opens, with the pointer text in place of the media.
+   * @param {string} dir - Repository directory
+   * @param {Function} [sendOutput] - Output function
+   * @returns {Promise<number>} Files restored
+   */
+  async restoreLfsFiles(dir, sendOutput = () => {}) {
+    try {
+      const auth = await this.getGitAuth(dir);
+      return await this.lfs.smudge({ gitMod: git, fs, dir, auth, sendOutput, cache: this._gitCache });
+    } catch (error) {
+      this.logger.warn('⚠️ Could not restore LFS files:', error.message);
+      sendOutput(`⚠️ Não foi possível baixar os arquivos do Git LFS: ${error.message}`);
+      return 0;
+    }
+  }
+
   /**
    * Ensure preview branch exists and checkout it
    * @param {string} dir - Repository directory
    * @param {Function} sendOutput - Output function
+   * @param {string} [branchName='preview'] - Working branch name (from settings.defaultBranch)
    * @returns {Promise<Object>} Result object
    */
-  async gitEnsurePreviewBranch(dir, sendOutput) {
+  async gitEnsurePreviewBranch(dir, sendOutput, branchName = 'preview') {
     try {
-      sendOutput(`🔍 Verificando branch 'preview' em ${dir}...\n`);
+      sendOutput(`🔍 Verificando branch '${branchName}' em ${dir}...\n`);
       
       // List all branches (local and remote)
       const branches = await git.listBranches({ fs, dir, cache: this._gitCache });
@@ -335,23 +382,23 @@ class GitOperations {
       sendOutput(`📋 Branches locais encontradas: ${localBranches.join(', ') || 'nenhuma'}\n`);
       sendOutput(`📋 Branches remotas encontradas: ${remoteBranches.join(', ') || 'nenhuma'}\n`);
       
-      const hasLocalPreview = localBranches.includes('preview');
-      const hasRemotePreview = remoteBranches.includes('preview');
+      const hasLocalPreview = localBranches.includes(branchName);
+      const hasRemotePreview = remoteBranches.includes(branchName);
       
-      sendOutput(`📂 Branch 'preview' local: ${hasLocalPreview ? '✅' : '❌'}\n`);
-      sendOutput(`🌐 Branch 'preview' remota: ${hasRemotePreview ? '✅' : '❌'}\n`);
+      sendOutput(`📂 Branch '${branchName}' local: ${hasLocalPreview ? '✅' : '❌'}\n`);
+      sendOutput(`🌐 Branch '${branchName}' remota: ${hasRemotePreview ? '✅' : '❌'}\n`);
       
       if (hasLocalPreview || hasRemotePreview) {
         // Branch exists, checkout it
-        sendOutput(`📂 Branch 'preview' encontrada (${hasLocalPreview ? 'local' : 'remota'}), selecionando...\n`);
-        await this.gitCheckoutBranch(dir, 'preview', sendOutput);
-        sendOutput(`✅ Branch 'preview' selecionada com sucesso\n`);
+        sendOutput(`📂 Branch '${branchName}' encontrada (${hasLocalPreview ? 'local' : 'remota'}), selecionando...\n`);
+        await this.gitCheckoutBranch(dir, branchName, sendOutput);
+        sendOutput(`✅ Branch '${branchName}' selecionada com sucesso\n`);
         return { created: false, checkedOut: true, source: hasLocalPreview ? 'local' : 'remote' };
       }
       
       // Branch doesn't exist locally or remotely, create it from main
-      sendOutput(`❌ Branch 'preview' não encontrada localmente ou remotamente\n`);
-      sendOutput(`🌿 Criando branch 'preview' a partir de 'main'...\n`);
+      sendOutput(`❌ Branch '${branchName}' não encontrada localmente ou remotamente\n`);
+      sendOutput(`🌿 Criando branch '${branchName}' a partir de 'main'...\n`);
       
       // First, try to checkout main (or master as fallback)
       let baseBranch = 'main';
@@ -368,7 +415,7 @@ class GitOperations {
           sendOutput(`✅ Branch 'master' selecionada como base (main não encontrada)\n`);
         } catch (masterError) {
           sendOutput(`❌ Branch 'master' também não encontrada: ${masterError.message}\n`);
-          throw new Error('Nem branch "main" nem "master" encontrada para criar a branch "preview"');
+          throw new Error(`Nem branch "main" nem "master" encontrada para criar a branch "${branchName}"`);
         }
       }
       
@@ -378,7 +425,7 @@ class GitOperations {
         if (status.files && status.files.length > 0) {
           sendOutput(`⚠️ Existem arquivos não commitados no diretório de trabalho\n`);
           sendOutput(`📋 Arquivos modificados: ${status.files.map(f => f.path).join(', ')}\n`);
-          sendOutput(`💡 Criando branch 'preview' mesmo com arquivos pendentes\n`);
+          sendOutput(`💡 Criando branch '${branchName}' mesmo com arquivos pendentes\n`);
         } else {
           sendOutput(`✅ Diretório de trabalho limpo, seguro para criar branch\n`);
         }
@@ -387,33 +434,33 @@ class GitOperations {
       }
       
       // Create preview branch
-      sendOutput(`🌿 Criando branch 'preview' a partir de '${baseBranch}'...\n`);
-      await this.gitCreateBranch(dir, 'preview', sendOutput);
-      sendOutput(`✅ Branch 'preview' criada a partir de '${baseBranch}' com sucesso\n`);
+      sendOutput(`🌿 Criando branch '${branchName}' a partir de '${baseBranch}'...\n`);
+      await this.gitCreateBranch(dir, branchName, sendOutput);
+      sendOutput(`✅ Branch '${branchName}' criada a partir de '${baseBranch}' com sucesso\n`);
       
       // Optionally push to remote if remote exists and user has authentication
       try {
         const remoteUrl = await this.gitGetRemoteUrl(dir);
         if (remoteUrl) {
           sendOutput(`🌐 Repositório remoto encontrado: ${remoteUrl}\n`);
-          sendOutput(`🚀 Tentando publicar branch 'preview' para o repositório remoto...\n`);
+          sendOutput(`🚀 Tentando publicar branch '${branchName}' para o repositório remoto...\n`);
           
-          const token = await this.getGitHubToken();
-          if (token) {
+          const auth = await this.getGitAuth(dir);
+          if (auth) {
             sendOutput(`🔐 Autenticação GitHub configurada\n`);
-            const auth = { username: token, password: 'x-oauth-basic' };
             
+            await this.lfs.uploadPending({ gitMod: git, fs, dir, auth, sendOutput: message => sendOutput(`${message}\n`) });
             await git.push({
               fs,
               http,
               dir,
               url: remoteUrl,
-              ref: 'preview:preview',
+              ref: `${branchName}:${branchName}`,
               auth,
               force: false
             });
             this._gitCache = {};
-            sendOutput(`✅ Branch 'preview' publicada com sucesso para o repositório remoto\n`);
+            sendOutput(`✅ Branch '${branchName}' publicada com sucesso para o repositório remoto\n`);
           } else {
             sendOutput(`⚠️ Autenticação GitHub não configurada\n`);
             sendOutput(`💡 Configure a autenticação GitHub para publicar automaticamente\n`);
@@ -422,14 +469,14 @@ class GitOperations {
           sendOutput(`ℹ️ Nenhum repositório remoto configurado\n`);
         }
       } catch (pushError) {
-        sendOutput(`⚠️ Não foi possível publicar branch 'preview' para o repositório remoto: ${pushError.message}\n`);
-        sendOutput(`💡 A branch 'preview' foi criada localmente e pode ser publicada manualmente depois\n`);
-        sendOutput(`💡 Comando para publicar manualmente: git push -u origin preview\n`);
+        sendOutput(`⚠️ Não foi possível publicar branch '${branchName}' para o repositório remoto: ${pushError.message}\n`);
+        sendOutput(`💡 A branch '${branchName}' foi criada localmente e pode ser publicada manualmente depois\n`);
+        sendOutput(`💡 Comando para publicar manualmente: git push -u origin ${branchName}\n`);
       }
       
       return { created: true, checkedOut: true, baseBranch };
     } catch (error) {
-      const errorMsg = `❌ Erro ao garantir branch 'preview': ${error.message}\n`;
+      const errorMsg = `❌ Erro ao garantir branch '${branchName}': ${error.message}\n`;
       sendOutput(errorMsg);
       this.logger.error('Error ensuring preview branch:', error);
       
@@ -457,7 +504,7 @@ class GitOperations {
       
       // Step 1: Check for GitHub token
       this.logger.info('🔍 Checking for GitHub token...');
-      const token = await this.getGitHubToken();
+      const token = await this.getGitHubToken(dir);
       if (!token) {
         this.logger.warn('⚠️ No GitHub token found, cannot configure git user');
         return false;
@@ -466,7 +513,7 @@ class GitOperations {
 
       // Step 2: Get GitHub user information
       this.logger.info('👤 Getting GitHub user information...');
-      const userInfo = await this.getGitHubUserInfo();
+      const userInfo = await this.getGitHubUserInfo(dir);
       if (!userInfo) {
         this.logger.warn('⚠️ Could not get GitHub user info, cannot configure git user');
         return false;
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Image decoding, resizing and encoding through Chromium in a hidden window
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} EncodedImage
+ * @property {Buffer} buffer - Encoded bytes
+ * @property {string} mimeType - Format Chromium actually wrote (may differ from the requested one)
+ * @property {number} width - Output width
+ * @property {number} height - Output height
+ */
+
+/**
+ * Runs inside the hidden window: decode with the EXIF orientation applied, scale down and encode.
+ * Canvas output carries no metadata, so EXIF (GPS included) never survives.
+ * @param {Object} job - Job passed from the main process
+ * @returns {Promise<{data: string, type: string, width: number, height: number}>} Base64 result
+ */
+async function encodeInPage({ data, sourceType, targetType, maxDimension, quality }) {
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: sourceType }), { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: targetType, quality: quality / 100 });
+  const output = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < output.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, output.subarray(i, i + 0x8000));
+  }
+  return { data: btoa(binary), type: blob.type, width, height };
+}
+
+/**
+ * Chromium Image Codec - encodes images with the browser engine bundled with Electron
+ */
+class ChromiumImageCodec {
+  /**
+   * Create an instance of ChromiumImageCodec
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   */
+  constructor({ logger }) {
+    this.logger = logger;
+    this.window = null;
+  }
+
+  /**
+   * Get the hidden window, creating it on first use
+   * @returns {Promise<Object>} BrowserWindow
+   * @private
+   */
+  async _getWindow() {
+    if (!this.window || this.window.isDestroyed()) {
+      const { BrowserWindow } = require('electron');
+      this.window = new BrowserWindow({
+        show: false,
+        webPreferences: {
+          offscreen: true,
+          sandbox: true,
+          contextIsolation: true,
+          nodeIntegration: false
+        }
+      });
+      await this.window.loadURL('about:blank');
+    }
+    return this.window;
+  }
+
+  /**
+   * Resize and encode an image
+   * @param {Object} options - Options
+   * @param {Buffer} options.buffer - Source image
+   * @param {string} options.mimeType - Source format
+   * @param {string} options.targetType - Format to write
+   * @param {number} options.maxDimension - Longest side of the output
+   * @param {number} options.quality - Quality (1-100) of lossy formats
+   * @returns {Promise<EncodedImage>} Encoded image
+   */
+  async encode({ buffer, mimeType, targetType, maxDimension, quality }) {
+    const window = await this._getWindow();
+    const job = {
+      data: buffer.toString('base64'),
+      sourceType: mimeType,
+      targetType,
+      maxDimension,
+      quality
+    };
+    const result = await window.webContents.executeJavaScript(`(${encodeInPage.toString()})(${JSON.stringify(job)})`);
+    return {
+      buffer: Buffer.from(result.data, 'base64'),
+      mimeType: result.type,
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  /**
+   * Close the hidden window
+   */
+  dispose() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.destroy();
+    }
+    this.window = null;
+  }
+}
+
+module.exports = { ChromiumImageCodec };
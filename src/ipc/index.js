@@ -12,8 +12,10 @@ const { GitHandlers } = require('./git.js');
 const { BrowserHandlers } = require('./browser.js');
 const { SystemHandlers } = require('./system.js');
 const { FileHandlers } = require('./file.js');
+const { SettingsHandlers } = require('./settings.js');
 const { ProjectCreationHandler } = require('./projectCreation.js');
 const { registerNodeDetectionHandlers } = require('./nodeDetection.js');
+const { SlugRefactor } = require('./slugRefactor.js');
 
 /**
  * IPC Registry - Central point for registering all IPC handlers
@@ -30,17 +32,31 @@ class IpcRegistry {
     // Initialize handler instances
     this.authHandlers = new AuthHandlers(dependencies);
     this.projectHandlers = new ProjectHandlers(dependencies);
-    this.gitHandlers = new GitHandlers(dependencies);
+    
+    // Link updates made after a slug change in the editor are bundled into the next git commit
+    this.slugRefactor = new SlugRefactor({ logger: this.logger });
+
+    // Git handlers share the token health monitor of AuthHandlers (re-authorization before git operations)
+    this.gitHandlers = new GitHandlers({
+      ...dependencies,
+      tokenHealth: this.authHandlers.tokenHealth,
+      slugRefactor: this.slugRefactor
+    });
     
     // Initialize projectCreationHandler FIRST (needed by browserHandlers and systemHandlers)
-    this.projectCreationHandler = new ProjectCreationHandler(dependencies);
+    this.projectCreationHandler = new ProjectCreationHandler({
+      ...dependencies,
+      tokenHealth: this.authHandlers.tokenHealth
+    });
     
     // Initialize BrowserHandlers with ProcessManager from projectCreationHandler
     this.browserHandlers = new BrowserHandlers({
       ...dependencies,
-      processManager: this.projectCreationHandler.processManager
+      processManager: this.projectCreationHandler.processManager,
+      slugRefactor: this.slugRefactor
     });
     this.fileHandlers = new FileHandlers(dependencies);
+    this.settingsHandlers = new SettingsHandlers(dependencies);
     
     // Initialize SystemHandlers with ProcessManager from ProjectCreationHandler
     this.systemHandlers = new SystemHandlers({
@@ -78,6 +94,7 @@ class IpcRegistry {
       this.gitHandlers.registerHandlers();
       this.browserHandlers.registerHandlers();
       this.fileHandlers.registerHandlers();
+      this.settingsHandlers.registerHandlers();
       this.projectCreationHandler.registerHandlers();
 
       this.isRegistered = true;
@@ -107,6 +124,7 @@ class IpcRegistry {
     try {
       // Unregister handlers in reverse order
       this.projectCreationHandler.unregisterHandlers();
+      this.settingsHandlers.unregisterHandlers();
       this.fileHandlers.unregisterHandlers();
       this.browserHandlers.unregisterHandlers();
       this.gitHandlers.unregisterHandlers();
@@ -135,6 +153,7 @@ class IpcRegistry {
       browser: this.browserHandlers,
       system: this.systemHandlers,
       file: this.fileHandlers,
+      settings: this.settingsHandlers,
       projectCreation: this.projectCreationHandler
     };
   }
@@ -152,6 +171,7 @@ class IpcRegistry {
       { name: 'Git', handlers: this.gitHandlers },
       { name: 'Browser', handlers: this.browserHandlers },
       { name: 'File', handlers: this.fileHandlers },
+      { name: 'Settings', handlers: this.settingsHandlers },
       { name: 'Project Creation', handlers: this.projectCreationHandler },
       { name: 'Node Detection', handlers: null }
     ];
@@ -191,7 +211,7 @@ class IpcRegistry {
   getHandlerStats() {
     return {
       isRegistered: this.isRegistered,
-      handlerCount: 8,
+      handlerCount: 9,
       categories: [
         'System',
         'Authentication', 
@@ -199,6 +219,7 @@ class IpcRegistry {
         'Git',
         'Browser',
         'File',
+        'Settings',
         'Project Creation',
         'Node Detection'
       ],
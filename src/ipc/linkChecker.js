@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Crawls a site preview (dev server or built dist/ folder) for broken links,
+ * broken anchors and missing images
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Pages crawled at most, so a runaway paginated route cannot keep the check going forever
+const DEFAULT_MAX_PAGES = 500;
+// Requests in flight at the same time
+const DEFAULT_CONCURRENCY = 4;
+// Per request timeout
+const REQUEST_TIMEOUT_MS = 15000;
+// Origin used for dist/ URLs; never requested over the network
+const DIST_ORIGIN = 'http://dist.localhost/';
+// Paths that belong to the app rather than the site
+const DEFAULT_EXCLUDES = ['/admin/'];
+// Link targets that are files rather than pages
+const ASSET_EXTENSION = /\.(?:png|jpe?g|gif|webp|avif|svg|ico|pdf|zip|xml|json|txt|css|js|mjs|woff2?|ttf|mp3|mp4|webm|ogg)$/i;
+// Content types of the files served from dist/
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif'
+};
+
+/**
+ * @typedef {Object} LinkIssue
+ * @property {string} type - 'broken-link', 'broken-anchor' or 'missing-image'
+ * @property {string} page - Path of the page holding the link
+ * @property {string} target - Link target as a site path (with #anchor for broken anchors)
+ * @property {number|null} status - HTTP status of the target, null for anchors and network errors
+ */
+
+/**
+ * Decode the HTML entities that show up in attribute values
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeAttribute(value) {
+  return value
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the attributes of an HTML start tag
+ * @param {string} tag - Tag source, e.g. '<a href="/x" class="y">'
+ * @returns {Object<string, string>} Attributes by lower-case name
+ */
+function readAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  // Skip the tag name
+  pattern.lastIndex = tag.search(/\s/) === -1 ? tag.length : tag.search(/\s/);
+  while ((match = pattern.exec(tag))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeAttribute(value);
+  }
+  return attributes;
+}
+
+/**
+ * Extract the links, images and anchor targets of an HTML page
+ * @param {string} html - Page source
+ * @returns {{links: string[], images: string[], ids: Set<string>}} Raw link and image URLs, and element IDs
+ */
+function parseHtml(html) {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const links = [];
+  const images = [];
+  const ids = new Set();
+
+  for (const [tag, name] of source.matchAll(/<([a-z][a-z0-9-]*)\b[^>]*>/gi)) {
+    const attributes = readAttributes(tag);
+    const tagName = name.toLowerCase();
+    if (attributes.id) {
+      ids.add(attributes.id);
+    }
+    if (tagName === 'a') {
+      if (attributes.name) {
+        ids.add(attributes.name);
+      }
+      if (attributes.href !== undefined) {
+        links.push(attributes.href);
+      }
+    } else if (tagName === 'img' || tagName === 'source') {
+      if (attributes.src) {
+        images.push(attributes.src);
+      }
+      if (attributes.srcset) {
+        attributes.srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+          .forEach(url => images.push(url));
+      }
+    }
+  }
+  return { links, images, ids };
+}
+
+/**
+ * Path of a URL relative to its origin, as shown in reports
+ * @param {URL} url - URL
+ * @returns {string} Path with query string
+ */
+function sitePath(url) {
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Link Checker - crawls a site from its root and reports what is broken
+ */
+class LinkChecker {
+  /**
+   * Create an instance of LinkChecker
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Function} [dependencies.fetch] - fetch implementation
+   * @param {Object} [dependencies.fs] - filesystem module
+   */
+  constructor({ logger, fetch: fetchImpl = globalThis.fetch, fs = require('fs') }) {
+    this.logger = logger;
+    this.fetch = fetchImpl;
+    this.fs = fs;
+  }
+
+  /**
+   * Source reading pages from a running dev server
+   * @param {string} baseUrl - Dev server URL
+   * @returns {{baseUrl: string, load: Function}} Page source
+   */
+  createServerSource(baseUrl) {
+    const request = async (url, method) => {
+      const response = await this.fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+      const contentType = response.headers.get('content-type') || '';
+      const body = method === 'GET' && contentType.includes('text/html') ? await response.text() : null;
+      if (body === null && response.body) {
+        // Free the connection; the body is not needed
+        await response.body.cancel().catch(() => {});
+      }
+      return { status: response.status, contentType, body, url: response.url || url };
+    };
+
+    return {
+      baseUrl,
+      load: async (url, { method = 'GET' } = {}) => {
+        const result = await request(url, method);
+        // Some servers do not answer HEAD requests
+        return method === 'HEAD' && [405, 501].includes(result.status) ? request(url, 'GET') : result;
+      }
+    };
+  }
+
+  /**
+   * Source reading pages from a built site folder
+   * @param {string} distDir - Absolute path of the dist/ folder
+   * @returns {{baseUrl: string, load: Function}} Page source
+   */
+  createDistSource(distDir) {
+    const root = path.resolve(distDir);
+    const readFile = async (filepath) => {
+      try {
+        const stats = await this.fs.promises.stat(filepath);
+        return stats.isFile() ? filepath : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return {
+      baseUrl: DIST_ORIGIN,
+      load: async (url, { method = 'GET' } = {}) => {
+        let pathname;
+        try {
+          pathname = decodeURIComponent(new URL(url).pathname);
+        } catch (error) {
+          return { status: 400, contentType: '', body: null, url };
+        }
+        const candidates = pathname.endsWith('/')
+          ? [`${pathname}index.html`]
+          : [pathname, `${pathname}.html`, `${pathname}/index.html`];
+        for (const candidate of candidates) {
+          const filepath = path.resolve(root, `.${candidate}`);
+          if (filepath !== root && !filepath.startsWith(`${root}${path.sep}`)) {
+            continue;
+          }
+          if (await readFile(filepath)) {
+            const contentType = CONTENT_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream';
+            const body = method === 'GET' && contentType === 'text/html' ? await this.fs.promises.readFile(filepath, 'utf8') : null;
+            // Like static servers, serve folder pages at their trailing-slash URL so relative links resolve
+            const pageUrl = candidate.endsWith('/index.html') && !pathname.endsWith('/') ? new URL(`${pathname}/`, url).href : url;
+            return { status: 200, contentType, body, url: pageUrl };
+          }
+        }
+        return { status: 404, contentType: '', body: null, url };
+      }
+    };
+  }
+
+  /**
+   * Crawl a site and collect its broken links, broken anchors and missing images
+   * @param {Object} options - Options
+   * @param {{baseUrl: string, load: Function}} options.source - Page source
+   * @param {number} [options.maxPages] - Pages crawled at most
+   * @param {number} [options.concurrency] - Requests in flight at the same time
+   * @param {string[]} [options.exclude] - Path prefixes not crawled
+   * @param {Function} [options.onProgress] - Called with { pagesChecked, pagesQueued } after each page
+   * @returns {Promise<{pagesChecked: number, truncated: boolean, issues: LinkIssue[]}>} Report
+   */
+  async check({ source, maxPages = DEFAULT_MAX_PAGES, concurrency = DEFAULT_CONCURRENCY, exclude = DEFAULT_EXCLUDES, onProgress }) {
+    const base = new URL(source.baseUrl);
+    const pages = new Map(); // page key -> { status, ids, links, images, url }
+    const assets = new Map(); // asset key -> Promise<status>
+    const queue = [];
+    const queued = new Set();
+    let truncated = false;
+
+    const keyOf = url => `${url.origin}${url.pathname}`;
+    const inScope = url => url.origin === base.origin && url.pathname.startsWith(base.pathname) &&
+      !exclude.some(prefix => url.pathname.startsWith(prefix));
+    const isPage = url => !ASSET_EXTENSION.test(url.pathname);
+
+    const enqueue = (url) => {
+      const key = keyOf(url);
+      if (queued.has(key)) {
+        return;
+      }
+      if (queued.size >= maxPages) {
+        truncated = true;
+        return;
+      }
+      queued.add(key);
+      queue.push(url);
+    };
+
+    const checkAsset = (url) => {
+      const key = sitePath(url);
+      if (!assets.has(key)) {
+        assets.set(key, source.load(url.href, { method: 'HEAD' }).then(result => result.status, () => null));
+      }
+      return assets.get(key);
+    };
+
+    const crawlPage = async (url) => {
+      let result;
+      try {
+        result = await source.load(url.href);
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not load ${url.href}:`, error.message);
+        pages.set(keyOf(url), { status: null, ids: new Set(), links: [], images: [], url });
+        return;
+      }
+      const parsed = result.body !== null && result.status < 400 ? parseHtml(result.body) : { links: [], images: [], ids: new Set() };
+      const pageUrl = new URL(result.url || url.href);
+      const resolve = raw => {
+        try {
+          return new URL(raw.trim(), pageUrl);
+        } catch (error) {
+          return null;
+        }
+      };
+      const links = parsed.links
+        .map(raw => ({ raw, url: resolve(raw) }))
+        .filter(link => link.url && /^https?:$/.test(link.url.protocol) && link.url.origin === base.origin);
+      const images = parsed.images
+        .map(raw => ({ raw, url: resolve(raw) }))
+        .filter(image => image.url && /^https?:$/.test(image.url.protocol) && image.url.origin === base.origin);
+
+      pages.set(keyOf(url), { status: result.status, html: result.body !== null, ids: parsed.ids, links, images, url });
+      for (const link of links) {
+        if (inScope(link.url) && isPage(link.url)) {
+          enqueue(link.url);
+        }
+      }
+    };
+
+    enqueue(base);
+    // Breadth-first, a few pages at a time
+    while (queue.length) {
+      const level = queue.splice(0, queue.length);
+      for (let i = 0; i < level.length; i += Math.max(1, concurrency)) {
+        await Promise.all(level.slice(i, i + Math.max(1, concurrency)).map(crawlPage));
+        if (onProgress) {
+          onProgress({ pagesChecked: pages.size, pagesQueued: queued.size });
+        }
+      }
+    }
+
+    const issues = [];
+    const seen = new Set();
+    const report = (issue) => {
+      const key = `${issue.type} ${issue.page} ${issue.target}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        issues.push(issue);
+      }
+    };
+
+    for (const page of pages.values()) {
+      const pagePath = sitePath(page.url);
+      for (const link of page.links) {
+        const target = pages.get(keyOf(link.url));
+        let status;
+        if (target) {
+          status = target.status;
+        } else if (!inScope(link.url) || !isPage(link.url)) {
+          status = await checkAsset(link.url);
+        } else {
+          // Not crawled because of the page limit
+          continue;
+        }
+
+        if (status === null || status >= 400) {
+          report({ type: 'broken-link', page: pagePath, target: sitePath(link.url), status });
+          continue;
+        }
+        const anchor = link.url.hash ? decodeURIComponent(link.url.hash.slice(1)) : '';
+        if (anchor && anchor !== 'top' && target && target.html && !target.ids.has(anchor)) {
+          report({ type: 'broken-anchor', page: pagePath, target: `${sitePath(link.url)}${link.url.hash}`, status: null });
+        }
+      }
+      for (const image of page.images) {
+        const status = await checkAsset(image.url);
+        if (status === null || status >= 400) {
+          report({ type: 'missing-image', page: pagePath, target: sitePath(image.url), status });
+        }
+      }
+    }
+
+    return { pagesChecked: pages.size, truncated, issues };
+  }
+}
+
+module.exports = { LinkChecker, parseHtml, DIST_ORIGIN };
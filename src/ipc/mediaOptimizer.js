@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Optimization of new CMS media before it is committed: resize, recompress,
+ * optional WebP/AVIF conversion and removal of the EXIF GPS position
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { ChromiumImageCodec } = require('./imageCodec.js');
+const { escapeRegExp } = require('./slugRefactor.js');
+
+// CMS configs checked, in order, for media_folder and public_folder
+const CMS_CONFIG_PATHS = ['public/admin/config.yml', 'public/admin/config.yaml'];
+// Media folder of the Documental site templates
+const DEFAULT_MEDIA_FOLDER = 'public/uploads';
+// Files whose references to a converted image are updated
+const TEXT_EXTENSIONS = new Set(['.md', '.mdx', '.markdown', '.yml', '.yaml', '.json', '.html', '.astro']);
+// Extension written for each output format
+const FORMAT_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/avif': '.avif'
+};
+// Byte size of each EXIF field type
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+// IFD0 tag pointing to the GPS IFD
+const GPS_IFD_TAG = 0x8825;
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {string} mimeType - Detected format
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+
+/**
+ * @typedef {Object} OptimizedFile
+ * @property {string} path - Repository-relative path of the uploaded image
+ * @property {string} newPath - Path after a format conversion (same as path otherwise)
+ * @property {number} before - Original size in bytes
+ * @property {number} after - Optimized size in bytes
+ */
+
+/**
+ * @typedef {Object} MediaReport
+ * @property {OptimizedFile[]} files - Images changed by the optimization
+ * @property {number} savedBytes - Bytes saved across all files
+ * @property {Object<string, string>} renamed - New path of each converted image
+ */
+
+/**
+ * Detect the format and dimensions of a JPEG, PNG or WebP image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {ImageInfo|null} Info, or null for other formats (GIF and SVG are left alone)
+ */
+function readImageInfo(buffer) {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { mimeType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      // SOF markers, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mimeType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      if (marker === 0xda) {
+        break;
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  if (buffer.length > 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+      return { mimeType: 'image/webp', width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (chunk === 'VP8 ') {
+      return { mimeType: 'image/webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { mimeType: 'image/webp', width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove the GPS position from the EXIF block of a JPEG, leaving the other metadata in place
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {{buffer: Buffer, removed: boolean}} Cleaned copy, and whether it had a GPS position
+ */
+function stripJpegGps(buffer) {
+  const unchanged = { buffer, removed: false };
+  let offset = 2;
+  while (offset + 4 < buffer.length && buffer[offset] === 0xff && buffer[offset + 1] !== 0xda) {
+    const length = buffer.readUInt16BE(offset + 2);
+    const isExif = buffer[offset + 1] === 0xe1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0';
+    if (!isExif) {
+      offset += 2 + length;
+      continue;
+    }
+
+    const output = Buffer.from(buffer);
+    const tiff = offset + 10;
+    const end = offset + 2 + length;
+    const little = output.toString('ascii', tiff, tiff + 2) === 'II';
+    const read16 = at => (little ? output.readUInt16LE(at) : output.readUInt16BE(at));
+    const read32 = at => (little ? output.readUInt32LE(at) : output.readUInt32BE(at));
+    const write16 = (at, value) => (little ? output.writeUInt16LE(value, at) : output.writeUInt16BE(value, at));
+
+    try {
+      const ifd0 = tiff + read32(tiff + 4);
+      const count = read16(ifd0);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (read16(entry) !== GPS_IFD_TAG) {
+          continue;
+        }
+
+        // Blank the GPS fields and the values stored outside the IFD
+        const gps = tiff + read32(entry + 8);
+        const gpsCount = read16(gps);
+        const gpsEnd = gps + 2 + gpsCount * 12 + 4;
+        const entriesEnd = ifd0 + 2 + count * 12 + 4;
+        if (gpsEnd > end || entriesEnd > end) {
+          return unchanged;
+        }
+        for (let j = 0; j < gpsCount; j++) {
+          const field = gps + 2 + j * 12;
+          const size = (EXIF_TYPE_SIZES[read16(field + 2)] || 1) * read32(field + 4);
+          if (size > 4) {
+            const value = tiff + read32(field + 8);
+            output.fill(0, value, Math.min(value + size, end));
+          }
+        }
+        output.fill(0, gps, gpsEnd);
+
+        // Drop the pointer entry: later entries and the next-IFD offset move up one slot
+        output.copy(output, entry, entry + 12, entriesEnd);
+        output.fill(0, entriesEnd - 12, entriesEnd);
+        write16(ifd0, count - 1);
+        return { buffer: output, removed: true };
+      }
+    } catch (error) {
+      // Truncated or malformed EXIF: keep the file as it is
+      return unchanged;
+    }
+    return unchanged;
+  }
+  return unchanged;
+}
+
+/**
+ * Read a top-level scalar from a CMS config.yml
+ * @param {string} yaml - Config contents
+ * @param {string} key - Top-level key
+ * @returns {string|null} Value
+ */
+function readYamlScalar(yaml, key) {
+  const match = yaml.match(new RegExp(`^${key}:[ \\t]*["']?([^"'\\r\\n#]*?)["']?[ \\t]*(?:#.*)?$`, 'm'));
+  return match && match[1] ? match[1] : null;
+}
+
+/**
+ * Build the matcher of references to an image path
+ * @param {string} from - Old path
+ * @returns {RegExp} Global matcher; the group is the delimiter before the path
+ */
+function referencePattern(from) {
+  // The path must be whole: photo.png matches, photo.png.bak and other-photo.png do not
+  return new RegExp(`(^|[\\s("'\`=<\\[,/])${escapeRegExp(from)}(?=[#?"'\`\\s)\\]>,]|$)`, 'gm');
+}
+
+/**
+ * Media Optimizer - shrinks the images editors upload through the CMS before they reach git
+ */
+class MediaOptimizer {
+  /**
+   * Create an instance of MediaOptimizer
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.codec] - Image codec (ChromiumImageCodec by default)
+   */
+  constructor({ logger, codec = null }) {
+    this.logger = logger;
+    this.codec = codec || new ChromiumImageCodec({ logger });
+  }
+
+  /**
+   * Read the CMS media folders of a site
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @returns {Promise<{mediaFolder: string, publicFolder: string}>} Repository path and public URL path of uploads
+   */
+  async readMediaFolders(fs, dir) {
+    for (const configPath of CMS_CONFIG_PATHS) {
+      let yaml;
+      try {
+        yaml = await fs.promises.readFile(path.join(dir, configPath), 'utf8');
+      } catch (error) {
+        continue;
+      }
+      const mediaFolder = (readYamlScalar(yaml, 'media_folder') || DEFAULT_MEDIA_FOLDER).replace(/^\/+|\/+$/g, '');
+      const publicFolder = readYamlScalar(yaml, 'public_folder') || `/${mediaFolder.replace(/^public(\/|$)/, '')}`;
+      return { mediaFolder, publicFolder: publicFolder.replace(/\/+$/, '') };
+    }
+    return { mediaFolder: DEFAULT_MEDIA_FOLDER, publicFolder: '/uploads' };
+  }
+
+  /**
+   * Whether a path is an image inside the media folder
+   * @param {string} filepath - Repository-relative path
+   * @param {string} mediaFolder - Media folder
+   * @returns {boolean} True for JPEG, PNG and WebP uploads
+   */
+  isMedia(filepath, mediaFolder) {
+    return filepath.startsWith(`${mediaFolder}/`) &&
+      ['.jpg', '.jpeg', '.png', '.webp'].includes(path.extname(filepath).toLowerCase());
+  }
+
+  /**
+   * Optimize new images and point the changed text files at converted ones
+   * @param {Object} options - Options
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string[]} options.filepaths - New files about to be committed
+   * @param {string[]} [options.textFiles] - Changed files that may reference them
+   * @param {Object} options.settings - Media settings of the project
+   * @param {Function} [options.sendOutput] - Progress output
+   * @returns {Promise<MediaReport>} What changed
+   */
+  async optimize({ fs, dir, filepaths, textFiles = [], settings, sendOutput = () => {} }) {
+    const report = { files: [], savedBytes: 0, renamed: {} };
+    if (!settings.enabled) {
+      return report;
+    }
+
+    const folders = await this.readMediaFolders(fs, dir);
+    const images = filepaths.filter(filepath => this.isMedia(filepath, folders.mediaFolder));
+    if (images.length === 0) {
+      return report;
+    }
+
+    sendOutput(`🖼️ Otimizando ${images.length} imagem(ns) nova(s)...`);
+    for (const filepath of images) {
+      try {
+        const result = await this.optimizeFile(fs, dir, filepath, settings);
+        if (result) {
+          report.files.push(result);
+          report.savedBytes += result.before - result.after;
+          if (result.newPath !== filepath) {
+            report.renamed[filepath] = result.newPath;
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not optimize ${filepath}:`, error.message);
+        sendOutput(`⚠️ ${filepath} mantida sem otimização: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(report.renamed).length > 0) {
+      await this.updateReferences(fs, dir, textFiles, report.renamed, folders);
+    }
+    return report;
+  }
+
+  /**
+   * Optimize a single image in place (or next to it, when converted). Re-encoded images
+   * lose all their EXIF metadata whatever stripGps says; the setting only applies to
+   * JPEGs kept as they are.
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {string} filepath - Repository-relative path
+   * @param {Object} settings - Media settings of the project
+   * @returns {Promise<OptimizedFile|null>} Result, or null when the image was left untouched
+   */
+  async optimizeFile(fs, dir, filepath, settings) {
+    const original = await fs.promises.readFile(path.join(dir, filepath));
+    const info = readImageInfo(original);
+    if (!info) {
+      return null;
+    }
+
+    const oversized = Math.max(info.width, info.height) > settings.maxDimension;
+    const job = { buffer: original, mimeType: info.mimeType, maxDimension: settings.maxDimension, quality: settings.quality };
+    let targetType = settings.format === 'original' ? info.mimeType : `image/${settings.format}`;
+    let newPath = targetType === info.mimeType
+      ? filepath
+      : filepath.replace(/\.[^./]+$/, FORMAT_EXTENSIONS[targetType]);
+    if (newPath !== filepath && fs.existsSync(path.join(dir, newPath))) {
+      targetType = info.mimeType;
+      newPath = filepath;
+    }
+
+    let encoded = await this.codec.encode({ ...job, targetType });
+    if (encoded.mimeType !== targetType && targetType !== info.mimeType) {
+      // Chromium cannot write every format (AVIF encoding depends on the build): keep the original one
+      this.logger.warn(`⚠️ ${targetType} encoding unavailable, keeping ${info.mimeType} for ${filepath}`);
+      targetType = info.mimeType;
+      newPath = filepath;
+      encoded = await this.codec.encode({ ...job, targetType });
+    }
+
+    let output = original;
+    if (encoded.mimeType === targetType && (oversized || encoded.buffer.length < original.length)) {
+      output = encoded.buffer;
+    } else {
+      newPath = filepath;
+      // Only the original bytes still carry EXIF, so this is the one case stripGps decides
+      if (settings.stripGps && info.mimeType === 'image/jpeg') {
+        output = stripJpegGps(original).buffer;
+      }
+    }
+
+    if (output === original) {
+      return null;
+    }
+
+    await fs.promises.writeFile(path.join(dir, newPath), output);
+    if (newPath !== filepath) {
+      await fs.promises.unlink(path.join(dir, filepath));
+    }
+    this.logger.info(`🖼️ ${filepath}: ${original.length} → ${output.length} bytes`);
+    return { path: filepath, newPath, before: original.length, after: output.length };
+  }
+
+  /**
+   * Replace the paths of converted images in changed text files
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {string[]} textFiles - Repository-relative paths
+   * @param {Object<string, string>} renamed - New path of each converted image
+   * @param {{mediaFolder: string, publicFolder: string}} folders - CMS media folders
+   * @returns {Promise<void>}
+   */
+  async updateReferences(fs, dir, textFiles, renamed, folders) {
+    const replacements = [];
+    for (const [oldPath, newPath] of Object.entries(renamed)) {
+      const oldName = oldPath.slice(folders.mediaFolder.length + 1);
+      const newName = newPath.slice(folders.mediaFolder.length + 1);
+      replacements.push([`${folders.publicFolder}/${oldName}`, `${folders.publicFolder}/${newName}`]);
+      replacements.push([oldPath, newPath]);
+    }
+
+    for (const filepath of textFiles) {
+      if (!TEXT_EXTENSIONS.has(path.extname(filepath).toLowerCase())) {
+        continue;
+      }
+      const absolute = path.join(dir, filepath);
+      let content;
+      try {
+        content = await fs.promises.readFile(absolute, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      const updated = replacements.reduce((text, [from, to]) => text.replace(referencePattern(from), (match, before) => `${before}${to}`), content);
+      if (updated !== content) {
+        await fs.promises.writeFile(absolute, updated);
+        this.logger.info(`🔗 Updated image references in ${filepath}`);
+      }
+    }
+  }
+
+  /**
+   * Release the codec resources
+   */
+  dispose() {
+    if (typeof this.codec.dispose === 'function') {
+      this.codec.dispose();
+    }
+  }
+}
+
+module.exports = { MediaOptimizer, readImageInfo, stripJpegGps };
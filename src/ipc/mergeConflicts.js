@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Three-way merge sessions for pull and publish conflicts
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { mergeDocument, resolveDocument } = require('../main/services/threeWayMerge.js');
+
+/**
+ * @typedef {Object} ConflictFile
+ * @property {string} path - Repository-relative file path
+ * @property {'text'|'binary'|'deleted'} kind - Conflict kind; only 'text' offers per-hunk choices
+ * @property {'ours'|'theirs'|null} deletedBy - Side that deleted the file (kind 'deleted')
+ * @property {Array<Object>|null} frontMatter - Front matter fields (markdown only)
+ * @property {Array<Object>} hunks - Body hunks
+ */
+
+/**
+ * @typedef {Object} MergeSession
+ * @property {string} dir - Repository directory
+ * @property {string} oursRef - Local branch being merged into
+ * @property {string} theirsRef - Remote-tracking ref being merged
+ * @property {string} ourOid - Local commit when the conflict was detected
+ * @property {string} theirOid - Remote commit when the conflict was detected
+ * @property {string|null} baseOid - Merge base commit
+ * @property {Object} operation - Operation to resume once resolved ({ type: 'pull'|'push', targetBranch? })
+ * @property {Array<Object>} changes - Remote-only and auto-merged changes to apply
+ * @property {ConflictFile[]} conflicts - Files that need a decision
+ */
+
+// Bytes inspected when sniffing for binary content
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Check whether a blob looks binary
+ * @param {Uint8Array|null} content - Blob content
+ * @returns {boolean} True when a NUL byte is found
+ */
+function isBinary(content) {
+  if (!content) {
+    return false;
+  }
+  const limit = Math.min(content.length, BINARY_SNIFF_BYTES);
+  for (let i = 0; i < limit; i++) {
+    if (content[i] === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Merge Conflict Resolver - computes conflicts and writes the merge commit
+ */
+class MergeConflictResolver {
+  /**
+   * Create an instance of MergeConflictResolver
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.lfs] - GitLfs instance; tracked media is staged as pointers through it
+   */
+  constructor({ logger, lfs = null }) {
+    this.logger = logger;
+    this.lfs = lfs;
+  }
+
+  /**
+   * Check whether an error is a merge conflict raised by isomorphic-git
+   * @param {Error} error - Error to inspect
+   * @returns {boolean} True for merge conflicts
+   */
+  static isMergeConflictError(error) {
+    return !!error && (error.code === 'MergeConflictError' || error.name === 'MergeConflictError');
+  }
+
+  /**
+   * Build a merge session between a local branch and its remote-tracking ref
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.oursRef - Local branch name
+   * @param {string} options.theirsRef - Remote ref (e.g. 'origin/preview')
+   * @param {Object} options.operation - Operation to resume after resolving
+   * @returns {Promise<MergeSession>} Merge session
+   */
+  async prepare({ gitMod, fs, dir, oursRef, theirsRef, operation }) {
+    const [ourOid, theirOid] = await Promise.all([
+      gitMod.resolveRef({ fs, dir, ref: oursRef }),
+      gitMod.resolveRef({ fs, dir, ref: theirsRef })
+    ]);
+
+    let baseOid = null;
+    try {
+      const bases = await gitMod.findMergeBase({ fs, dir, oids: [ourOid, theirOid] });
+      baseOid = bases && bases.length > 0 ? bases[0] : null;
+    } catch (error) {
+      this.logger.warn('Could not find merge base, treating files as added on both sides:', error.message);
+    }
+
+    const { changes, conflicts } = await this.collectChanges({ gitMod, fs, dir, baseOid, ourOid, theirOid });
+    this.logger.info(`🔀 Merge session: ${conflicts.length} conflict(s), ${changes.length} remote change(s) for ${oursRef} <- ${theirsRef}`);
+
+    return { dir, oursRef, theirsRef, ourOid, theirOid, baseOid, operation, changes, conflicts };
+  }
+
+  /**
+   * Walk base/ours/theirs trees and classify every path that differs between ours and theirs
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string|null} options.baseOid - Merge base commit
+   * @param {string} options.ourOid - Local commit
+   * @param {string} options.theirOid - Remote commit
+   * @returns {Promise<{changes: Array<Object>, conflicts: ConflictFile[]}>} Classified paths
+   */
+  async collectChanges({ gitMod, fs, dir, baseOid, ourOid, theirOid }) {
+    const changes = [];
+    const conflicts = [];
+    const trees = [gitMod.TREE({ ref: ourOid }), gitMod.TREE({ ref: theirOid })];
+    if (baseOid) {
+      trees.push(gitMod.TREE({ ref: baseOid }));
+    }
+
+    const describe = async (entry) => {
+      if (!entry) {
+        return { type: null, oid: null };
+      }
+      return { type: await entry.type(), oid: await entry.oid() };
+    };
+
+    await gitMod.walk({
+      fs,
+      dir,
+      trees,
+      map: async (filepath, [oursEntry, theirsEntry, baseEntry]) => {
+        const [ours, theirs, base] = await Promise.all([
+          describe(oursEntry),
+          describe(theirsEntry),
+          describe(baseEntry)
+        ]);
+
+        // Identical on both sides: nothing below this point needs merging
+        if (ours.oid === theirs.oid && ours.type === theirs.type) {
+          return null;
+        }
+
+        const types = [ours.type, theirs.type].filter(Boolean);
+        if (types.every(type => type === 'tree')) {
+          return true;
+        }
+        if (types.includes('tree')) {
+          throw new Error(`Conflito de estrutura em '${filepath}' (arquivo e pasta com o mesmo nome) não é suportado`);
+        }
+        if (types.some(type => type !== 'blob')) {
+          this.logger.warn(`Skipping non-blob entry during merge: ${filepath}`);
+          return null;
+        }
+
+        const baseBlobOid = base.type === 'blob' ? base.oid : null;
+
+        if (ours.oid === baseBlobOid) {
+          changes.push({ path: filepath, action: theirs.oid ? 'write' : 'delete', oid: theirs.oid });
+          return null;
+        }
+        if (theirs.oid === baseBlobOid) {
+          return null;
+        }
+
+        if (!ours.oid || !theirs.oid) {
+          conflicts.push({
+            path: filepath,
+            kind: 'deleted',
+            deletedBy: ours.oid ? 'theirs' : 'ours',
+            theirsOid: theirs.oid,
+            frontMatter: null,
+            hunks: []
+          });
+          return null;
+        }
+
+        const [oursContent, theirsContent, baseContent] = await Promise.all([
+          oursEntry.content(),
+          theirsEntry.content(),
+          baseBlobOid ? baseEntry.content() : null
+        ]);
+
+        if (isBinary(oursContent) || isBinary(theirsContent) || isBinary(baseContent)) {
+          conflicts.push({
+            path: filepath,
+            kind: 'binary',
+            deletedBy: null,
+            theirsOid: theirs.oid,
+            frontMatter: null,
+            hunks: []
+          });
+          return null;
+        }
+
+        const decoder = new TextDecoder();
+        const document = mergeDocument(
+          filepath,
+          baseContent ? decoder.decode(baseContent) : '',
+          decoder.decode(oursContent),
+          decoder.decode(theirsContent)
+        );
+
+        if (document.clean) {
+          changes.push({ path: filepath, action: 'write', content: resolveDocument(document) });
+        } else {
+          conflicts.push({
+            path: filepath,
+            kind: 'text',
+            deletedBy: null,
+            theirsOid: theirs.oid,
+            frontMatter: document.frontMatter,
+            hunks: document.hunks
+          });
+        }
+        return null;
+      }
+    });
+
+    conflicts.sort((a, b) => a.path.localeCompare(b.path));
+    return { changes, conflicts };
+  }
+
+  /**
+   * Renderer-safe view of a session
+   * @param {MergeSession|null} session - Merge session
+   * @returns {Object|null} Conflicts summary
+   */
+  describeSession(session) {
+    if (!session) {
+      return null;
+    }
+    return {
+      operation: session.operation,
+      oursRef: session.oursRef,
+      theirsRef: session.theirsRef,
+      files: session.conflicts.map(({ path: filepath, kind, deletedBy, frontMatter, hunks }) => ({
+        path: filepath,
+        kind,
+        deletedBy,
+        frontMatter,
+        hunks
+      }))
+    };
+  }
+
+  /**
+   * Compute the final content for a conflicting file
+   * @param {ConflictFile} conflict - Conflict
+   * @param {Object} [resolution] - User choice ({ hunks, fields } for text, { choice } otherwise)
+   * @returns {{action: 'keep'|'write'|'delete', content?: string, oid?: string}} Action to apply
+   */
+  resolveConflict(conflict, resolution = {}) {
+    if (conflict.kind === 'text') {
+      return { action: 'write', content: resolveDocument(conflict, resolution) };
+    }
+
+    if (resolution.choice === 'ours') {
+      return { action: 'keep' };
+    }
+    if (resolution.choice === 'theirs') {
+      return conflict.theirsOid
+        ? { action: 'write', oid: conflict.theirsOid }
+        : { action: 'delete' };
+    }
+    throw new Error(`Conflito não resolvido: ${conflict.path}`);
+  }
+
+  /**
+   * Write, delete and stage files in the working tree
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {Array<Object>} options.actions - Actions ({ path, action: 'write'|'delete', content?, oid? })
+   * @returns {Promise<void>}
+   */
+  async applyActions({ gitMod, fs, dir, actions }) {
+    const lfsPatterns = this.lfs ? await this.lfs.readPatterns(fs, dir) : [];
+    for (const action of actions) {
+      const fullPath = path.join(dir, action.path);
+      if (action.action === 'delete') {
+        await fs.promises.rm(fullPath, { force: true });
+        await gitMod.remove({ fs, dir, filepath: action.path });
+        continue;
+      }
+
+      let content = action.content;
+      if (content === undefined) {
+        const { blob } = await gitMod.readBlob({ fs, dir, oid: action.oid });
+        content = Buffer.from(blob);
+      }
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, content);
+      if (lfsPatterns.some(pattern => pattern.test(action.path))) {
+        // Queued for upload like any committed media, so the next push sends its content
+        await this.lfs.stage({ gitMod, fs, dir, filepath: action.path });
+      } else {
+        await gitMod.add({ fs, dir, filepath: action.path });
+      }
+    }
+  }
+
+  /**
+   * Write the merge result to the working tree and commit it with both parents
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {MergeSession} options.session - Merge session
+   * @param {Object<string, Object>} options.resolutions - Resolution per conflicting path
+   * @param {Object} options.author - Commit author
+   * @param {Function} [options.sendOutput] - Output function
+   * @returns {Promise<string>} Merge commit SHA
+   */
+  async commitResolution({ gitMod, fs, session, resolutions, author, sendOutput = () => {} }) {
+    const { dir } = session;
+
+    const currentOid = await gitMod.resolveRef({ fs, dir, ref: session.oursRef });
+    if (currentOid !== session.ourOid) {
+      throw new Error('A branch local mudou desde que o conflito foi detectado. Atualize novamente.');
+    }
+
+    // Resolve every conflict before touching the working tree
+    const actions = [
+      ...session.changes,
+      ...session.conflicts.map(conflict => ({
+        path: conflict.path,
+        ...this.resolveConflict(conflict, (resolutions || {})[conflict.path])
+      }))
+    ].filter(action => action.action !== 'keep');
+
+    const currentBranch = await gitMod.currentBranch({ fs, dir });
+    if (currentBranch !== session.oursRef) {
+      sendOutput(`🔀 Selecionando branch '${session.oursRef}' para concluir a mesclagem...`);
+      await gitMod.checkout({ fs, dir, ref: session.oursRef });
+    }
+
+    sendOutput(`📝 Aplicando ${actions.length} arquivo(s) da mesclagem...`);
+    await this.applyActions({ gitMod, fs, dir, actions });
+
+    const message = `Merge ${session.theirsRef} into ${session.oursRef}`;
+    const sha = await gitMod.commit({
+      fs,
+      dir,
+      message,
+      author,
+      parent: [session.ourOid, session.theirOid]
+    });
+    sendOutput(`✅ Mesclagem concluída: ${sha.substring(0, 7)}`);
+    return sha;
+  }
+}
+
+module.exports = { MergeConflictResolver, isBinary, BINARY_SNIFF_BYTES };
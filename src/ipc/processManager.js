@@ -12,12 +12,27 @@ const fs = require('fs');
 const path = require('path');
 const { rimraf } = require('rimraf');
 const { PlatformService } = require('../main/services/platform/PlatformService');
+const { DocumentalTracker } = require('../main/processes/documentalTracker.js');
+const { ProcessInspectorFactory } = require('../main/platform/index.js');
+const {
+  DEFAULT_DEV_SERVER_PORT,
+  isPortAvailable,
+  findAvailablePort,
+  isAddressInUseOutput
+} = require('../main/processes/portAllocator.js');
 
 
 // Global state
-let globalDevServerUrl = null;
 let activeProcesses = {};
-let activeDocumentalProcesses = {};
+
+// Running dev servers keyed by project ID: { projectId, url, port, pid, cwd }
+const devServers = new Map();
+
+// Project shown in each window, keyed by BrowserWindow ID
+const windowProjects = new Map();
+
+// Dev server launches per open request (the first one plus retries after a port conflict)
+const MAX_DEV_SERVER_ATTEMPTS = 3;
 
 /**
  * Process Manager Class
@@ -34,6 +49,7 @@ class ProcessManager {
     this.nodeDetectionService = nodeDetectionService;
     this.platformService = new PlatformService({ logger });
     this.processesFile = this.platformService.joinPath(this.platformService.getHomeDirectory(), '.documental-processes.json');
+    this.tracker = new DocumentalTracker({ processesFile: this.processesFile });
     this.loadDocumentalProcesses();
   }
 
@@ -42,29 +58,17 @@ class ProcessManager {
    * @returns {Object} Processes object
    */
   loadDocumentalProcesses() {
-    try {
-      if (fs.existsSync(this.processesFile)) {
-        const data = fs.readFileSync(this.processesFile, 'utf8');
-        const processes = JSON.parse(data);
-        this.logger.info('Loaded Documental processes from file:', Object.keys(processes));
-        activeDocumentalProcesses = processes;
-        return processes;
-      }
-    } catch (error) {
-      this.logger.error('Error loading Documental processes:', error);
-    }
-    return {};
+    const processes = this.tracker.loadProcesses();
+    this.logger.info('Loaded Documental processes from file:', Object.keys(processes));
+    return processes;
   }
 
   /**
    * Save Documental processes to file
    */
   saveDocumentalProcesses() {
-    try {
-      fs.writeFileSync(this.processesFile, JSON.stringify(activeDocumentalProcesses, null, 2));
+    if (this.tracker.saveProcesses()) {
       this.logger.info('Saved Documental processes to file');
-    } catch (error) {
-      this.logger.error('Error saving Documental processes:', error);
     }
   }
 
@@ -74,15 +78,7 @@ class ProcessManager {
    * @param {Object} processInfo - Process information
    */
   addDocumentalProcess(pid, processInfo) {
-    activeDocumentalProcesses[pid] = {
-      pid,
-      port: processInfo.port,
-      projectId: processInfo.projectId,
-      startTime: Date.now(),
-      command: processInfo.command,
-      cwd: processInfo.cwd
-    };
-    this.saveDocumentalProcesses();
+    this.tracker.addProcess(pid, processInfo);
     this.logger.info(`Added Documental process to tracking: PID ${pid}, Port ${processInfo.port}`);
   }
 
@@ -91,9 +87,7 @@ class ProcessManager {
    * @param {number} pid - Process ID
    */
   removeDocumentalProcess(pid) {
-    if (activeDocumentalProcesses[pid]) {
-      delete activeDocumentalProcesses[pid];
-      this.saveDocumentalProcesses();
+    if (this.tracker.removeProcess(pid)) {
       this.logger.info(`Removed Documental process from tracking: PID ${pid}`);
     }
   }
@@ -262,9 +256,19 @@ class ProcessManager {
    * @param {number} projectId - Project ID
    * @param {Function} sendServerOutput - Server output callback
    * @param {Function} sendStatus - Status callback
+   * @param {number} [attempt=1] - Launch attempt (retries follow a port conflict)
    * @returns {Promise<Object>} Process information
    */
-  async startDevServer(repoDirPath, projectId, sendServerOutput, sendStatus) {
+  async startDevServer(repoDirPath, projectId, sendServerOutput, sendStatus, attempt = 1) {
+    let requestedPort;
+    try {
+      requestedPort = await this.allocateDevServerPort(projectId, sendServerOutput);
+    } catch (error) {
+      sendServerOutput(`❌ ${error.message}\n`);
+      sendStatus('failure');
+      return { process: null, url: null };
+    }
+
     let serverReady = false;
     const checkServerReady = (data) => {
       if (!serverReady && (data.includes('ready') || data.includes('compiled successfully') || data.includes('listening on'))) {
@@ -275,6 +279,7 @@ class ProcessManager {
     };
 
     let devServerUrl = null;
+    let portConflict = false;
     const urlRegex = /http:\/\/localhost:\d+\//;
 
     const processOutput = (data) => {
@@ -282,34 +287,36 @@ class ProcessManager {
       sendServerOutput(output);
       checkServerReady(output);
 
+      // Another process grabbed the port between the check and the launch
+      if (!devServerUrl && isAddressInUseOutput(output)) {
+        portConflict = true;
+      }
+
       if (!devServerUrl) {
         const match = output.match(urlRegex);
         if (match) {
           devServerUrl = match[0];
-          globalDevServerUrl = devServerUrl; // Store globally
           
           // Extract port and update tracked Documental process
           const port = this.extractPortFromUrl(devServerUrl);
           if (port && devProcess.pid) {
             // Update process with port information
-            if (activeDocumentalProcesses[devProcess.pid]) {
-              activeDocumentalProcesses[devProcess.pid].port = port;
+            const trackedProcess = this.tracker.getProcess(devProcess.pid);
+            if (trackedProcess && trackedProcess.port !== port) {
+              trackedProcess.port = port;
               this.saveDocumentalProcesses();
               this.logger.info(`Updated Documental process ${devProcess.pid} with port ${port}`);
             }
           }
           
-          this.logger.info(`Development server URL: ${devServerUrl}`);
-          // Send to all windows for synchronization
-          const { BrowserWindow } = require('electron');
-          const allWindows = BrowserWindow.getAllWindows();
-          this.logger.info(`Sending dev-server-url to ${allWindows.length} windows`);
-          BrowserWindow.getAllWindows().forEach(window => {
-            if (!window.isDestroyed()) {
-              this.logger.info(`Sending to window: ${window.id}`);
-              window.webContents.send('dev-server-url', devServerUrl);
-            }
+          this.logger.info(`Development server URL for project ${projectId}: ${devServerUrl}`);
+          this.setDevServer(projectId, {
+            url: devServerUrl,
+            port,
+            pid: devProcess.pid || null,
+            cwd: repoDirPath
           });
+          this.sendDevServerUrl(projectId);
         }
       }
     };
@@ -342,13 +349,15 @@ class ProcessManager {
       }
 
 
-      this.logger.info(`🚀 Starting dev server: ${actualNpmPath} run dev in ${repoDirPath}`);
+      this.logger.info(`🚀 Starting dev server: ${actualNpmPath} run dev -- --port ${requestedPort} in ${repoDirPath}`);
 
       try {
-        devProcess = execa(actualNpmPath, ['run', 'dev'], { 
+        devProcess = execa(actualNpmPath, ['run', 'dev', '--', '--port', String(requestedPort)], { 
           cwd: repoDirPath,
           env,
-          stdio: ['pipe', 'pipe', 'pipe']
+          stdio: ['pipe', 'pipe', 'pipe'],
+          // Own process group, so stopping the server also stops the children of `npm run dev`
+          detached: !ProcessInspectorFactory.isWindows()
         });
         
         processStarted = true;
@@ -357,9 +366,9 @@ class ProcessManager {
         // Track this as a Documental process
         if (devProcess.pid) {
           this.addDocumentalProcess(devProcess.pid, {
-            port: null, // Will be updated when URL is detected
+            port: requestedPort, // Corrected when the server reports another URL
             projectId: projectId,
-            command: 'npm run dev',
+            command: `npm run dev -- --port ${requestedPort}`,
             cwd: repoDirPath
           });
         }
@@ -376,6 +385,13 @@ class ProcessManager {
           if (devProcess.pid) {
             this.removeDocumentalProcess(devProcess.pid);
           }
+          this.removeDevServer(projectId, devProcess.pid);
+          if (portConflict && !devServerUrl && attempt < MAX_DEV_SERVER_ATTEMPTS) {
+            sendServerOutput(`⚠️ A porta ${requestedPort} já está em uso. Tentando novamente (${attempt + 1}/${MAX_DEV_SERVER_ATTEMPTS})...\n`);
+            this.startDevServer(repoDirPath, projectId, sendServerOutput, sendStatus, attempt + 1)
+              .catch(error => this.logger.error('Error restarting dev server after port conflict:', error));
+            return;
+          }
           if (signal) {
             sendServerOutput(`Development server killed with signal: ${signal}\n`);
             sendStatus('failure');
@@ -391,6 +407,7 @@ class ProcessManager {
           if (devProcess.pid) {
             this.removeDocumentalProcess(devProcess.pid);
           }
+          this.removeDevServer(projectId, devProcess.pid);
           sendServerOutput(`Failed to start development server: ${err.message}\n`);
           sendStatus('failure');
         });
@@ -414,21 +431,220 @@ class ProcessManager {
   }
 
   /**
-   * Get global dev server URL
-   * @returns {string|null} Global dev server URL
+   * Pick the port for a project's dev server. The default port is preferred; when an
+   * orphaned Documental server from a previous session holds it or the port recorded
+   * for the project, the user may stop it.
+   * @param {number|string} projectId - Project ID
+   * @param {Function} sendServerOutput - Server output callback
+   * @returns {Promise<number>} Free port
+   */
+  async allocateDevServerPort(projectId, sendServerOutput) {
+    // Ports of servers this session started for other projects are never reused
+    const exclude = [...devServers.values()]
+      .filter(record => record.projectId !== String(projectId) && record.port)
+      .map(record => record.port);
+
+    const candidates = new Set([...this.getRecordedPorts(projectId), DEFAULT_DEV_SERVER_PORT]);
+    for (const candidate of candidates) {
+      if (!exclude.includes(candidate) && !(await isPortAvailable(candidate))) {
+        await this.releaseOrphanedPort(candidate, sendServerOutput);
+      }
+    }
+
+    const port = await findAvailablePort(DEFAULT_DEV_SERVER_PORT, { exclude });
+    if (port !== DEFAULT_DEV_SERVER_PORT) {
+      sendServerOutput(`ℹ️ Porta ${DEFAULT_DEV_SERVER_PORT} ocupada, usando a porta ${port}.\n`);
+    }
+    this.logger.info(`Allocated port ${port} for dev server of project ${projectId}`);
+    return port;
+  }
+
+  /**
+   * Ports recorded for a project's dev servers, including those of previous sessions
+   * @param {number|string} projectId - Project ID
+   * @returns {number[]} Recorded ports
    */
-  getGlobalDevServerUrl() {
-    this.logger.info('get-dev-server-url-from-main called, returning:', globalDevServerUrl);
-    return globalDevServerUrl;
+  getRecordedPorts(projectId) {
+    return Object.values(this.tracker.getAllProcesses())
+      .filter(info => String(info.projectId) === String(projectId) && info.port)
+      .map(info => info.port);
   }
 
   /**
-   * Set global dev server URL
-   * @param {string} url - Dev server URL
+   * Tracked Documental processes listening on a port that this session did not start
+   * @param {number} port - Port number
+   * @returns {Promise<Object[]>} Orphaned processes that are still running
    */
-  setGlobalDevServerUrl(url) {
-    globalDevServerUrl = url;
-    this.logger.info('Global dev server URL set to:', url);
+  async findOrphanedProcesses(port) {
+    const sessionPids = Object.values(activeProcesses).map(processRef => processRef.pid);
+    const orphans = [];
+    for (const info of Object.values(this.tracker.getProcessesByPort(port))) {
+      if (sessionPids.includes(info.pid)) {
+        continue;
+      }
+      if (await this.tracker.validateProcess(info.pid)) {
+        orphans.push(info);
+      } else {
+        this.removeDocumentalProcess(info.pid);
+      }
+    }
+    return orphans;
+  }
+
+  /**
+   * Offer to stop orphaned Documental processes holding a port
+   * @param {number} port - Port number
+   * @param {Function} sendServerOutput - Server output callback
+   * @returns {Promise<boolean>} True when the port was freed
+   */
+  async releaseOrphanedPort(port, sendServerOutput) {
+    const orphans = await this.findOrphanedProcesses(port);
+    if (orphans.length === 0) {
+      return false;
+    }
+
+    if (!(await this.confirmKillOrphanedProcess(orphans[0], port))) {
+      this.logger.info(`User kept orphaned process ${orphans[0].pid} on port ${port}`);
+      return false;
+    }
+
+    for (const orphan of orphans) {
+      if (await this.tracker.killProcess(orphan.pid)) {
+        sendServerOutput(`🛑 Servidor antigo do Documental encerrado (PID ${orphan.pid}, porta ${port}).\n`);
+      } else {
+        sendServerOutput(`⚠️ Não foi possível encerrar o processo ${orphan.pid}.\n`);
+      }
+    }
+
+    // The OS may take a moment to release the socket
+    for (let i = 0; i < 10; i++) {
+      if (await isPortAvailable(port)) {
+        return true;
+      }
+      await this.delay(300);
+    }
+    return false;
+  }
+
+  /**
+   * Ask the user whether an orphaned Documental process may be stopped
+   * @param {Object} processInfo - Tracked process information
+   * @param {number} port - Port the process holds
+   * @returns {Promise<boolean>} True when the user chose to stop it
+   */
+  async confirmKillOrphanedProcess(processInfo, port) {
+    const { dialog, BrowserWindow } = require('electron');
+    const options = {
+      type: 'question',
+      buttons: ['Encerrar processo', 'Usar outra porta'],
+      defaultId: 0,
+      cancelId: 1,
+      title: 'Porta em uso',
+      message: `A porta ${port} está ocupada por um servidor do Documental que ficou aberto.`,
+      detail: `PID ${processInfo.pid}\nPasta: ${processInfo.cwd || 'desconhecida'}\nIniciado em: ${new Date(processInfo.startTime).toLocaleString()}`
+    };
+    const parent = BrowserWindow.getFocusedWindow();
+    const { response } = parent
+      ? await dialog.showMessageBox(parent, options)
+      : await dialog.showMessageBox(options);
+    return response === 0;
+  }
+
+  /**
+   * Record the dev server of a project
+   * @param {number|string} projectId - Project ID
+   * @param {Object} info - Server information
+   * @param {string} info.url - Dev server URL (with trailing slash)
+   * @param {number|null} info.port - Port the server listens on
+   * @param {number|null} info.pid - PID of the tracked Documental process
+   * @param {string} info.cwd - Repository directory
+   * @returns {Object} Stored record
+   */
+  setDevServer(projectId, { url, port, pid, cwd }) {
+    const record = { projectId: String(projectId), url, port, pid, cwd };
+    devServers.set(String(projectId), record);
+    return record;
+  }
+
+  /**
+   * Get the dev server of a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Object|null} Record with projectId, url, port, pid and cwd, or null when not running
+   */
+  getDevServer(projectId) {
+    if (projectId === null || projectId === undefined) {
+      return null;
+    }
+    return devServers.get(String(projectId)) || null;
+  }
+
+  /**
+   * Forget the dev server of a project
+   * @param {number|string} projectId - Project ID
+   * @param {number} [pid] - Only forget it when it still belongs to this process
+   */
+  removeDevServer(projectId, pid) {
+    const record = this.getDevServer(projectId);
+    if (!record || (pid && record.pid && record.pid !== pid)) {
+      return;
+    }
+    devServers.delete(String(projectId));
+    this.logger.info(`Dev server for project ${projectId} is no longer running`);
+  }
+
+  /**
+   * Associate a window with the project it shows
+   * @param {BrowserWindow} window - BrowserWindow instance
+   * @param {number|string} projectId - Project ID
+   */
+  assignWindowToProject(window, projectId) {
+    if (!window || projectId === null || projectId === undefined) {
+      return;
+    }
+    const windowId = window.id;
+    if (!windowProjects.has(windowId) && typeof window.once === 'function') {
+      window.once('closed', () => windowProjects.delete(windowId));
+    }
+    windowProjects.set(windowId, String(projectId));
+    this.logger.info(`Window ${windowId} assigned to project ${projectId}`);
+  }
+
+  /**
+   * Get the project shown in a window
+   * @param {number} windowId - BrowserWindow ID
+   * @returns {string|null} Project ID
+   */
+  getProjectIdForWindow(windowId) {
+    return windowProjects.get(windowId) || null;
+  }
+
+  /**
+   * Get the dev server URL of the project shown in a window
+   * @param {number} windowId - BrowserWindow ID
+   * @returns {string|null} Dev server URL
+   */
+  getDevServerUrlForWindow(windowId) {
+    const record = this.getDevServer(this.getProjectIdForWindow(windowId));
+    return record ? record.url : null;
+  }
+
+  /**
+   * Send a project's dev server URL to the windows showing that project
+   * @param {number|string} projectId - Project ID
+   */
+  sendDevServerUrl(projectId) {
+    const record = this.getDevServer(projectId);
+    if (!record) {
+      return;
+    }
+    const { BrowserWindow } = require('electron');
+    const windows = BrowserWindow.getAllWindows().filter(window =>
+      !window.isDestroyed() && this.getProjectIdForWindow(window.id) === record.projectId
+    );
+    this.logger.info(`Sending dev-server-url for project ${record.projectId} to ${windows.length} window(s)`);
+    windows.forEach(window => {
+      window.webContents.send('dev-server-url', record.url, record.projectId);
+    });
   }
 
   /**
@@ -444,7 +660,7 @@ class ProcessManager {
    * @returns {Object} Active Documental processes object
    */
   getActiveDocumentalProcesses() {
-    return activeDocumentalProcesses;
+    return this.tracker.getAllProcesses();
   }
 
   /**
@@ -457,15 +673,15 @@ class ProcessManager {
       const process = activeProcesses[processId];
       if (process && !process.killed) {
         // Use platform-specific signals
-        const signal = this.platformService.getTerminationSignal();
-        process.kill(signal);
+        const signal = this.platformService.adapter.getTerminationSignal();
+        await this.killProcessTree(process, signal);
         process.killed = true;
         
         // Wait a bit and force kill if still running
         setTimeout(() => {
           if (!process.killed) {
-            const forceSignal = this.platformService.getForceTerminationSignal();
-            process.kill(forceSignal);
+            const forceSignal = this.platformService.adapter.getForceTerminationSignal();
+            this.killProcessTree(process, forceSignal);
           }
         }, 5000);
         
@@ -478,6 +694,20 @@ class ProcessManager {
     }
   }
 
+  /**
+   * Signal a spawned process together with the processes it started. `npm run dev` is
+   * only a wrapper: stopping it alone leaves the server holding the port.
+   * @param {ChildProcess} processRef - Spawned process
+   * @param {string} signal - Signal to send
+   * @returns {Promise<boolean>} Whether the signal was delivered
+   */
+  async killProcessTree(processRef, signal) {
+    if (!processRef.pid) {
+      return processRef.kill(signal);
+    }
+    return ProcessInspectorFactory.getInspector().killProcess(processRef.pid, signal);
+  }
+
   /**
    * Terminate all processes associated with a project
    * @param {number} projectId - Project ID
@@ -542,8 +772,8 @@ class ProcessManager {
       }
 
       try {
-        const signal = this.platformService.getTerminationSignal();
-        processRef.kill(signal);
+        const signal = this.platformService.adapter.getTerminationSignal();
+        this.killProcessTree(processRef, signal);
       } catch (error) {
         this.logger.warn(`Error terminating process ${processKey}:`, error);
         finalize();
@@ -553,8 +783,8 @@ class ProcessManager {
       setTimeout(() => {
         if (activeProcesses[processKey]) {
           try {
-            const forceSignal = this.platformService.getForceTerminationSignal();
-            processRef.kill(forceSignal);
+            const forceSignal = this.platformService.adapter.getForceTerminationSignal();
+            this.killProcessTree(processRef, forceSignal);
           } catch (forceError) {
             this.logger.error(`Failed to force kill process ${processKey}:`, forceError);
           }
@@ -6,11 +6,17 @@
 
 'use strict';
 
-const { ipcMain } = require('electron');
+const { ipcMain, BrowserWindow } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { GitOperations } = require('./gitOperations.js');
 const { ProcessManager } = require('./processManager.js');
+const { CreationCheckpointService, isStepFinished } = require('../services/creationCheckpointService.js');
+const { CloneDepthService, DEFAULT_CLONE_DEPTH, FULL_HISTORY, depthOptions } = require('../services/cloneDepthService.js');
+const { createCloneProgress } = require('./cloneProgress.js');
+
+// Production branch, fetched next to the preview branch so it can be published to
+const PRODUCTION_BRANCH = 'main';
 
 /**
  * Project Creation Handler Class
@@ -22,13 +28,34 @@ class ProjectCreationHandler {
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.databaseManager - Database manager instance
    * @param {Object} dependencies.nodeDetectionService - Node.js detection service
+   * @param {Object} [dependencies.settingsService] - Settings service instance
+   * @param {Object} [dependencies.tokenHealth] - TokenHealthService instance
    */
-  constructor({ logger, databaseManager, nodeDetectionService }) {
+  constructor({ logger, databaseManager, nodeDetectionService, settingsService, tokenHealth = null }) {
     this.logger = logger;
     this.databaseManager = databaseManager;
     this.nodeDetectionService = nodeDetectionService;
-    this.gitOps = new GitOperations({ logger, databaseManager });
+    this.settingsService = settingsService;
+    this.gitOps = new GitOperations({ logger, databaseManager, tokenHealth });
     this.processManager = new ProcessManager({ logger, nodeDetectionService });
+    this.checkpoints = new CreationCheckpointService({ logger, databaseManager });
+    this.cloneDepths = new CloneDepthService({ logger, databaseManager });
+  }
+
+  /**
+   * Resolve the working branch name configured in settings
+   * @returns {Promise<string>} Branch name (defaults to 'preview')
+   */
+  async getDefaultBranch() {
+    if (!this.settingsService) {
+      return 'preview';
+    }
+    try {
+      return await this.settingsService.get('defaultBranch');
+    } catch (error) {
+      this.logger.warn('⚠️ Could not read defaultBranch setting, using preview:', error.message);
+      return 'preview';
+    }
   }
 
   /**
@@ -109,33 +136,64 @@ class ProjectCreationHandler {
    * @param {string} url - Repository URL
    * @param {string} dir - Directory to clone into
    * @param {Function} sendOutput - Output function
+   * @param {Object} [options] - Clone options
+   * @param {boolean} [options.interrupted=false] - A previous clone into dir started and never finished
+   * @param {number} [options.depth] - Commits to download per branch (FULL_HISTORY for all of them)
    * @returns {Promise<void>}
    */
-  async gitClone(url, dir, sendOutput) {
+  async gitClone(url, dir, sendOutput, { interrupted = false, depth = DEFAULT_CLONE_DEPTH } = {}) {
     try {
-      this.logger.info(`Cloning repository from ${url} to ${dir}`);
+      this.logger.info(`Cloning repository from ${url} to ${dir} (depth ${depth || 'full'})`);
       
-      // Check for and clean partial .git before cloning
-      if (await this.hasPartialGit(dir)) {
-        sendOutput('🧹 Found partial git setup, cleaning before clone...\n');
+      // Only a clone this pipeline started and never finished can leave a partial .git behind
+      if (interrupted && await this.hasPartialGit(dir)) {
+        sendOutput('🧹 Previous clone was interrupted, cleaning partial git setup before cloning again...\n');
         await this.cleanPartialGit(dir);
       }
       
-      const token = await this.gitOps.getGitHubToken();
-      const auth = token ? { username: token, password: 'x-oauth-basic' } : undefined;
+      const auth = (await this.gitOps.getGitAuth(dir)) || undefined;
       
       const git = require('isomorphic-git');
-      const http = require('isomorphic-git/http/node');
-      
-      await git.clone({
+      const progress = createCloneProgress(sendOutput);
+      const transfer = {
         fs: require('fs'),
-        http,
+        http: progress.http,
         dir,
-        url,
-        auth,
+        onAuth: () => auth,
+        onProgress: progress.onProgress,
         singleBranch: true,
-        depth: 10
-      });
+        ...depthOptions(depth)
+      };
+      sendOutput(depth === FULL_HISTORY
+        ? '📚 Clonando o histórico completo...\n'
+        : `📚 Clonando os últimos ${depth} commits (o histórico mais antigo é baixado quando for consultado)...\n`);
+
+      // Only preview and main are downloaded; other branches stay on the server
+      const previewBranch = await this.getDefaultBranch();
+      let clonedBranch = previewBranch;
+      try {
+        await git.clone({ ...transfer, url, ref: previewBranch });
+      } catch (error) {
+        if (error.code !== 'NotFoundError') {
+          throw error;
+        }
+        sendOutput(`ℹ️ Branch '${previewBranch}' não existe no servidor, clonando a branch padrão...\n`);
+        await git.clone({ ...transfer, url });
+        clonedBranch = await git.currentBranch({ fs: transfer.fs, dir });
+      }
+
+      if (clonedBranch !== PRODUCTION_BRANCH) {
+        try {
+          await git.fetch({ ...transfer, remote: 'origin', ref: PRODUCTION_BRANCH });
+        } catch (error) {
+          if (error.code !== 'NotFoundError') {
+            throw error;
+          }
+          this.logger.info(`No ${PRODUCTION_BRANCH} branch on the server of ${url}`);
+        }
+      }
+      progress.finish();
+      await this.gitOps.restoreLfsFiles(dir, message => sendOutput(`${message}\n`));
       
       this.logger.info(`Repository cloned successfully to ${dir}`);
       return true;
@@ -197,6 +255,75 @@ class ProjectCreationHandler {
     }
   }
 
+  /**
+   * Find the repository folder of a project that was already cloned
+   * @param {string} projectPath - Base project path
+   * @param {string|null} repoFolderName - Repository folder name
+   * @returns {string|null} Repository directory, or null when it does not exist
+   */
+  findRepositoryDir(projectPath, repoFolderName) {
+    // For empty folders that were cloned directly, repoFolderName might be folder name itself
+    if (repoFolderName && fs.existsSync(path.join(projectPath, repoFolderName))) {
+      return path.join(projectPath, repoFolderName);
+    }
+    // Check if projectPath itself is repo (for empty folder case)
+    if (fs.existsSync(path.join(projectPath, '.git'))) {
+      return projectPath;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the repository directory of a creation that already started, so a retry
+   * reuses it instead of cloning into a new folder
+   * @param {number} projectId - Project ID
+   * @param {string} projectPath - Base project path
+   * @param {Object<string, string>} checkpoints - Stored checkpoints of the project
+   * @returns {Promise<{ repoDirPath: string, repoFolderName: string, shouldClone: boolean }|null>} Target, or null to start over
+   */
+  async resolveResumeTarget(projectId, projectPath, checkpoints) {
+    if (!checkpoints.clone) {
+      return null;
+    }
+    const repoFolderName = await this.getRepoFolderName(projectId);
+    const repoDirPath = this.findRepositoryDir(projectPath, repoFolderName);
+    if (!repoDirPath) {
+      return null;
+    }
+    return {
+      repoDirPath,
+      repoFolderName: repoFolderName || path.basename(repoDirPath),
+      shouldClone: !isStepFinished(checkpoints.clone)
+    };
+  }
+
+  /**
+   * Run a checkpointed creation step, skipping it when it finished in an earlier attempt
+   * @param {number} projectId - Project ID
+   * @param {string} step - Checkpoint step name
+   * @param {Object<string, string>} checkpoints - Stored checkpoints of the project
+   * @param {Function} sendOutput - Step output function
+   * @param {Function} sendStatus - Step status function
+   * @param {function(): Promise<void>} run - Step body; reports its own success
+   * @returns {Promise<boolean>} Whether the step ran (false when skipped)
+   */
+  async runCheckpointedStep(projectId, step, checkpoints, sendOutput, sendStatus, run) {
+    if (isStepFinished(checkpoints[step])) {
+      sendOutput('⏭️ Passo concluído em uma tentativa anterior.\n');
+      sendStatus('success');
+      return false;
+    }
+    await this.checkpoints.mark(projectId, step, 'started');
+    try {
+      await run();
+    } catch (error) {
+      await this.checkpoints.mark(projectId, step, 'failed');
+      throw error;
+    }
+    await this.checkpoints.mark(projectId, step, 'done');
+    return true;
+  }
+
   /**
    * Determine repository directory information before running commands
    * @param {string} projectPath - Base project path
@@ -324,12 +451,20 @@ class ProjectCreationHandler {
       const getStepServerOutput = (stepId) => (message) => sendServerOutput(stepId, message);
       const getStepStatusSender = (stepId) => (status) => sendStatus(stepId, status);
 
-      const { repoDirPath, repoFolderName, shouldClone } = this.determineRepositoryTarget(
-        projectPath,
-        repoUrl,
-        isExistingGitRepo,
-        isEmptyFolder
-      );
+      let checkpoints = await this.checkpoints.getCheckpoints(projectId);
+      let target = await this.resolveResumeTarget(projectId, projectPath, checkpoints);
+      if (target) {
+        this.logger.info(`⏯️ Resuming creation of project ${projectId}:`, checkpoints);
+      } else {
+        if (Object.keys(checkpoints).length > 0) {
+          await this.checkpoints.clear(projectId);
+          checkpoints = {};
+        }
+        target = this.determineRepositoryTarget(projectPath, repoUrl, isExistingGitRepo, isEmptyFolder);
+      }
+      const { repoDirPath, repoFolderName, shouldClone } = target;
+      const isResumedClone = checkpoints.clone === 'done';
+      const usesExistingRepo = isExistingGitRepo || checkpoints.clone === 'skipped';
 
       const step1Output = getStepOutput(1);
       const step2Output = getStepOutput(2);
@@ -346,7 +481,10 @@ class ProjectCreationHandler {
         await this.updateRepoFolderName(projectId, repoFolderName);
       }
 
-      if (isExistingGitRepo) {
+      if (isResumedClone) {
+        step1Output(`⏭️ Repository already cloned into ${repoDirPath}\n`);
+        step1Status('success');
+      } else if (usesExistingRepo) {
         step1Output(`📁 Using existing repository at ${repoDirPath}\n`);
         
         // Configure git user for existing repos
@@ -367,6 +505,7 @@ class ProjectCreationHandler {
           step1Output('💡 Git operations will use system default configuration\n');
         }
         
+        await this.checkpoints.mark(projectId, 'clone', 'skipped');
         step1Status('success');
         await this.processManager.delay(3000);
       } else {
@@ -377,33 +516,38 @@ class ProjectCreationHandler {
         step1Output(cloneMessage);
 
         if (shouldClone) {
-          try {
-            await this.gitClone(repoUrl, repoDirPath, step1Output);
-            step1Output(`✅ Repository cloned into ${repoDirPath}\n`);
-            
-            // Now configure git user in the cloned repository
-            step1Output('🔧 Configuring git user for cloned repository...\n');
+          await this.runCheckpointedStep(projectId, 'clone', checkpoints, step1Output, step1Status, async () => {
             try {
-              const configured = await this.gitOps.configureGitForUser(repoDirPath);
-              if (configured) {
-                step1Output('✅ Git user configured successfully.\n');
-              } else {
-                step1Output('⚠️ Could not configure git user, using default configuration.\n');
-                step1Output('💡 This may happen if:\n');
-                step1Output('   • No GitHub authentication is set up\n');
-                step1Output('   • No internet connection is available\n');
-                step1Output('   • GitHub API is temporarily unavailable\n');
-              }
+              await this.gitClone(repoUrl, repoDirPath, step1Output, {
+                interrupted: !!checkpoints.clone,
+                depth: await this.cloneDepths.getForProject(projectId)
+              });
+              step1Output(`✅ Repository cloned into ${repoDirPath}\n`);
             } catch (error) {
-              step1Output(`⚠️ Warning: Could not configure git user: ${error.message}\n`);
-              step1Output('💡 Git operations will use system default configuration\n');
+              step1Output(`❌ Error cloning repository: ${error.message}\n`);
+              throw error;
+            }
+          });
+
+          // Now configure git user in the cloned repository
+          step1Output('🔧 Configuring git user for cloned repository...\n');
+          try {
+            const configured = await this.gitOps.configureGitForUser(repoDirPath);
+            if (configured) {
+              step1Output('✅ Git user configured successfully.\n');
+            } else {
+              step1Output('⚠️ Could not configure git user, using default configuration.\n');
+              step1Output('💡 This may happen if:\n');
+              step1Output('   • No GitHub authentication is set up\n');
+              step1Output('   • No internet connection is available\n');
+              step1Output('   • GitHub API is temporarily unavailable\n');
             }
-            
-            step1Status('success');
           } catch (error) {
-            step1Output(`❌ Error cloning repository: ${error.message}\n`);
-            throw error;
+            step1Output(`⚠️ Warning: Could not configure git user: ${error.message}\n`);
+            step1Output('💡 Git operations will use system default configuration\n');
           }
+          
+          step1Status('success');
         } else {
           step1Status('success');
         }
@@ -413,10 +557,11 @@ class ProjectCreationHandler {
 
 
       // Step 2: ensure preview branch exists and checkout it (skip if existing git repo)
-      if (!isExistingGitRepo) {
+      if (!usesExistingRepo) {
         step2Output('🔍 Verificando e garantindo branch preview...\n');
         try {
-          await this.gitOps.gitEnsurePreviewBranch(repoDirPath, step2Output);
+          const defaultBranch = await this.getDefaultBranch();
+          await this.gitOps.gitEnsurePreviewBranch(repoDirPath, step2Output, defaultBranch);
           step2Output('✅ Preview branch checked out.\n');
           step2Status('success');
         } catch (error) {
@@ -432,28 +577,36 @@ class ProjectCreationHandler {
       }
 
       // Step 3: npm install
-      step3Output('📦 Installing dependencies...\n');
-      try {
-        await this.processManager.executeCommand('npm', ['install'], repoDirPath, projectId, step3Output);
-        step3Output('✅ Dependencies installed.\n');
-        step3Status('success');
-      } catch (error) {
-        step3Output(`❌ Error installing dependencies: ${error.message}\n`);
-        throw error;
+      const installed = await this.runCheckpointedStep(projectId, 'install', checkpoints, step3Output, step3Status, async () => {
+        step3Output('📦 Installing dependencies...\n');
+        try {
+          await this.processManager.executeCommand('npm', ['install'], repoDirPath, projectId, step3Output);
+          step3Output('✅ Dependencies installed.\n');
+          step3Status('success');
+        } catch (error) {
+          step3Output(`❌ Error installing dependencies: ${error.message}\n`);
+          throw error;
+        }
+      });
+      if (installed) {
+        await this.processManager.delay(3000);
       }
-      await this.processManager.delay(3000);
 
       // Step 4: npm run build
-      step4Output('🔨 Building project...\n');
-      try {
-        await this.processManager.executeCommand('npm', ['run', 'build'], repoDirPath, `build-${projectId}`, step4Output);
-        step4Output('✅ Project built.\n');
-        step4Status('success');
-      } catch (error) {
-        step4Output(`❌ Error building project: ${error.message}\n`);
-        throw error;
+      const built = await this.runCheckpointedStep(projectId, 'build', checkpoints, step4Output, step4Status, async () => {
+        step4Output('🔨 Building project...\n');
+        try {
+          await this.processManager.executeCommand('npm', ['run', 'build'], repoDirPath, `build-${projectId}`, step4Output);
+          step4Output('✅ Project built.\n');
+          step4Status('success');
+        } catch (error) {
+          step4Output(`❌ Error building project: ${error.message}\n`);
+          throw error;
+        }
+      });
+      if (built) {
+        await this.processManager.delay(3000);
       }
-      await this.processManager.delay(3000);
 
       // Step 5: npm run dev (keep in background)
       step5ServerOutput('🚀 Starting development server...\n');
@@ -547,24 +700,17 @@ class ProjectCreationHandler {
       const step5ServerOutput = (message) => sendServerOutput(5, message);
       const step5Status = (status) => sendStatus(5, status);
 
-      // For empty folders that were cloned directly, repoFolderName might be folder name itself
-      let repoDirPath;
-      if (repoFolderName && fs.existsSync(path.join(projectPath, repoFolderName))) {
-        repoDirPath = path.join(projectPath, repoFolderName);
-      } else {
-        // Check if projectPath itself is repo (for empty folder case)
-        if (fs.existsSync(path.join(projectPath, '.git'))) {
-          repoDirPath = projectPath;
-        } else {
-          throw new Error('Repository folder not found');
-        }
+      const repoDirPath = this.findRepositoryDir(projectPath, repoFolderName);
+      if (!repoDirPath) {
+        throw new Error('Repository folder not found');
       }
 
       // Step 2: ensure preview branch exists and checkout it
       step2Output('🔍 Verificando e garantindo branch preview...\n');
       try {
-        await this.gitOps.gitEnsurePreviewBranch(repoDirPath, step2Output);
-        step2Output('✅ Branch preview verificada.\n');
+        const defaultBranch = await this.getDefaultBranch();
+        await this.gitOps.gitEnsurePreviewBranch(repoDirPath, step2Output, defaultBranch);
+        step2Output(`✅ Branch ${defaultBranch} verificada.\n`);
         step2Status('success');
       } catch (error) {
         step2Output(`❌ Erro ao verificar branch preview: ${error.message}\n`);
@@ -662,17 +808,9 @@ class ProjectCreationHandler {
       const step5ServerOutput = (message) => sendServerOutput(5, message);
       const step5Status = (status) => sendStatus(5, status);
 
-      // For empty folders that were cloned directly, repoFolderName might be folder name itself
-      let repoDirPath;
-      if (repoFolderName && fs.existsSync(path.join(projectPath, repoFolderName))) {
-        repoDirPath = path.join(projectPath, repoFolderName);
-      } else {
-        // Check if projectPath itself is repo (for empty folder case)
-        if (fs.existsSync(path.join(projectPath, '.git'))) {
-          repoDirPath = projectPath;
-        } else {
-          throw new Error('Repository folder not found');
-        }
+      const repoDirPath = this.findRepositoryDir(projectPath, repoFolderName);
+      if (!repoDirPath) {
+        throw new Error('Repository folder not found');
       }
 
       // Step 4: npm run build
@@ -733,6 +871,11 @@ class ProjectCreationHandler {
         shouldDeleteFiles,
         sendOutput
       );
+
+      // Without its files there is nothing left to resume
+      if (shouldDeleteFiles) {
+        await this.checkpoints.clear(projectId);
+      }
       
     } catch (error) {
       this.logger.error('Error in cancel-project-creation handler:', error);
@@ -742,11 +885,23 @@ class ProjectCreationHandler {
 
 
   /**
-   * Get dev server URL from main process
+   * Get the dev server URL of a project
+   * @param {number|string} projectId - Project ID
    * @returns {string|null} Dev server URL
    */
-  getDevServerUrl() {
-    return this.processManager.getGlobalDevServerUrl();
+  getDevServerUrl(projectId) {
+    const record = this.processManager.getDevServer(projectId);
+    return record ? record.url : null;
+  }
+
+  /**
+   * Associate the window that sent an IPC event with a project, so the
+   * project's dev server URL is only sent to its own windows
+   * @param {Object} event - IPC event object
+   * @param {number} projectId - Project ID
+   */
+  assignSenderToProject(event, projectId) {
+    this.processManager.assignWindowToProject(BrowserWindow.fromWebContents(event.sender), projectId);
   }
 
   /**
@@ -760,6 +915,7 @@ class ProjectCreationHandler {
      */
     ipcMain.handle('start-project-creation', async (event, projectId, projectPath, repoUrl, isExistingGitRepo = false, isEmptyFolder = false) => {
       try {
+        this.assignSenderToProject(event, projectId);
         return await this.startProjectCreation(projectId, projectPath, repoUrl, isExistingGitRepo, isEmptyFolder);
       } catch (error) {
         this.logger.error('Error in start-project-creation handler:', error);
@@ -772,6 +928,7 @@ class ProjectCreationHandler {
      */
     ipcMain.handle('open-project-only-preview-and-server', async (event, projectId, projectPath, repoUrl, repoFolderName) => {
       try {
+        this.assignSenderToProject(event, projectId);
         return await this.openProjectOnlyPreviewAndServer(projectId, projectPath, repoUrl, repoFolderName);
       } catch (error) {
         this.logger.error('Error in open-project-only-preview-and-server handler:', error);
@@ -784,6 +941,7 @@ class ProjectCreationHandler {
      */
     ipcMain.handle('reopen-project', async (event, projectId, projectPath, repoUrl, repoFolderName) => {
       try {
+        this.assignSenderToProject(event, projectId);
         return await this.reopenProject(projectId, projectPath, repoUrl, repoFolderName);
       } catch (error) {
         this.logger.error('Error in reopen-project handler:', error);
@@ -791,6 +949,19 @@ class ProjectCreationHandler {
       }
     });
 
+    /**
+     * Get the creation checkpoints of a project (whether its creation should be resumed)
+     */
+    ipcMain.handle('get-project-creation-checkpoints', async (event, projectId) => {
+      try {
+        const checkpoints = await this.checkpoints.getCheckpoints(projectId);
+        return { checkpoints, incomplete: await this.checkpoints.isIncomplete(projectId) };
+      } catch (error) {
+        this.logger.error('Error in get-project-creation-checkpoints handler:', error);
+        throw error;
+      }
+    });
+
     /**
      * Cancel project creation
      */
@@ -819,6 +990,7 @@ class ProjectCreationHandler {
     ipcMain.removeHandler('open-project-only-preview-and-server');
     ipcMain.removeHandler('reopen-project');
     ipcMain.removeHandler('cancel-project-creation');
+    ipcMain.removeHandler('get-project-creation-checkpoints');
 
     
     this.logger.info('✅ Project creation IPC handlers unregistered');
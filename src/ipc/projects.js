@@ -11,8 +11,11 @@ const fs = require('fs');
 const path = require('path');
 const git = require('isomorphic-git');
 const http = require('isomorphic-git/http/node');
-const keytar = require('keytar');
-const { GITHUB_CONFIG } = require('../config/github-config.js');
+const { GitHubAccountService } = require('../services/githubAccountService.js');
+const { SiteTemplateService } = require('../services/siteTemplateService.js');
+const { RepositoryBrowserService } = require('../services/repositoryBrowserService.js');
+const { normalizeCloneDepth } = require('../services/cloneDepthService.js');
+const { MediaSettingsService } = require('../services/mediaSettingsService.js');
 
 /**
  * @typedef {Object} ProjectDetails
@@ -37,39 +40,22 @@ const { GITHUB_CONFIG } = require('../config/github-config.js');
  * @property {FolderInfo|null} folderInfo - Folder info if doesn't exist
  */
 
-/**
- * Get GitHub token from keytar
- * @returns {Promise<string|null>} GitHub token or null
- */
-async function getGitHubToken() {
-  try {
-    return await keytar.getPassword(GITHUB_CONFIG.SERVICE_NAME, 'github-token');
-  } catch (error) {
-    console.error('Error getting GitHub token:', error);
-    return null;
-  }
-}
-
 /**
  * Clone repository using isomorphic-git
  * @param {string} url - Repository URL
  * @param {string} dir - Target directory
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (pass `auth` from the project's git host account)
  * @returns {Promise<boolean>} Success status
  */
 async function gitClone(url, dir, options = {}) {
   try {
     console.log(`🔄 Cloning repository from ${url} to ${dir}`);
     
-    const token = await getGitHubToken();
-    const auth = token ? { username: token, password: 'x-oauth-basic' } : undefined;
-    
     await git.clone({
       fs,
       http,
       dir,
       url,
-      auth,
       ...options,
       singleBranch: true,
       depth: 10
@@ -93,11 +79,17 @@ class ProjectHandlers {
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.databaseManager - Database manager instance
    * @param {Object} dependencies.projectService - Project service instance
+   * @param {Object} [dependencies.accountService] - GitHubAccountService instance
+   * @param {Object} [dependencies.settingsService] - Settings service instance
    */
-  constructor({ logger, databaseManager, projectService }) {
+  constructor({ logger, databaseManager, projectService, accountService, settingsService }) {
     this.logger = logger;
     this.databaseManager = databaseManager;
     this.projectService = projectService;
+    this.accountService = accountService || new GitHubAccountService({ logger, databaseManager });
+    this.siteTemplates = new SiteTemplateService({ logger, accountService: this.accountService, settingsService });
+    this.repositoryBrowser = new RepositoryBrowserService({ logger, accountService: this.accountService });
+    this.mediaSettings = new MediaSettingsService({ logger, databaseManager });
   }
 
   /**
@@ -290,20 +282,22 @@ class ProjectHandlers {
   }
 
   /**
-   * Save project to database
+   * Save project to database, linked to the GitHub account that is the default one at creation
    * @param {Object} projectData - Project data
    * @returns {Promise<number>} Project ID
    */
   async saveProject(projectData) {
     try {
       const { projectName, repoUrl, projectPath } = projectData;
+      const cloneDepth = normalizeCloneDepth(projectData.cloneDepth);
+      const account = await this.accountService.getActiveAccount().catch(() => null);
       const db = await this.databaseManager.getDatabase();
       
       return new Promise((resolve, reject) => {
         const self = this; // Preserve reference to the class
         db.run(
-          `INSERT INTO projects (projectName, repoUrl, projectPath, repoFolderName) VALUES (?, ?, ?, ?)`,
-          [projectName, repoUrl, projectPath, null], // repoFolderName is null initially
+          `INSERT INTO projects (projectName, repoUrl, projectPath, repoFolderName, githubAccountId, cloneDepth) VALUES (?, ?, ?, ?, ?, ?)`,
+          [projectName, repoUrl, projectPath, null, account ? account.id : null, cloneDepth], // repoFolderName is null initially
           function (err) {
             if (err) {
               self.logger.error('Error saving project:', err.message);
@@ -466,7 +460,72 @@ class ProjectHandlers {
       }
     });
 
+    /**
+     * List the site templates offered by the new site wizard
+     */
+    ipcMain.handle('site-templates:list', async () => {
+      return { success: true, templates: this.siteTemplates.listTemplates() };
+    });
 
+    /**
+     * Create a site repository from a template (with its preview branch)
+     */
+    ipcMain.handle('site-templates:create', async (event, options) => {
+      try {
+        return { success: true, site: await this.siteTemplates.createFromTemplate(options || {}) };
+      } catch (error) {
+        this.logger.error('Error in site-templates:create handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * List the user and organizations repositories can belong to
+     */
+    ipcMain.handle('repositories:list-owners', async () => {
+      try {
+        return { success: true, owners: await this.accountService.listOwners() };
+      } catch (error) {
+        this.logger.error('Error in repositories:list-owners handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * List a page of the repositories of the signed-in account (repository picker)
+     */
+    ipcMain.handle('repositories:list', async (event, options) => {
+      try {
+        return { success: true, ...(await this.repositoryBrowser.listRepositories(options || {})) };
+      } catch (error) {
+        this.logger.error('Error in repositories:list handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Get the media optimization settings of a project
+     */
+    ipcMain.handle('project:get-media-settings', async (event, projectId) => {
+      try {
+        return { success: true, settings: await this.mediaSettings.getForProject(projectId) };
+      } catch (error) {
+        this.logger.error('Error in project:get-media-settings handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    /**
+     * Change the media optimization settings of a project
+     */
+    ipcMain.handle('project:set-media-settings', async (event, projectId, partial) => {
+      try {
+        return { success: true, settings: await this.mediaSettings.setForProject(projectId, partial) };
+      } catch (error) {
+        this.logger.error('Error in project:set-media-settings handler:', error);
+        return { success: false, error: error.message };
+      }
+    });
 
     this.logger.info('✅ Project management IPC handlers registered');
   }
@@ -484,6 +543,12 @@ class ProjectHandlers {
     ipcMain.removeHandler('getFolderInfo');
     ipcMain.removeHandler('save-project');
     ipcMain.removeHandler('remove-project');
+    ipcMain.removeHandler('site-templates:list');
+    ipcMain.removeHandler('site-templates:create');
+    ipcMain.removeHandler('repositories:list-owners');
+    ipcMain.removeHandler('repositories:list');
+    ipcMain.removeHandler('project:get-media-settings');
+    ipcMain.removeHandler('project:set-media-settings');
     
     this.logger.info('✅ Project management IPC handlers unregistered');
   }
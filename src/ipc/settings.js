@@ -0,0 +1,128 @@
+/**
+ * @fileoverview IPC handlers for application settings
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { ipcMain, BrowserWindow } = require('electron');
+
+/**
+ * Settings IPC Handlers
+ */
+class SettingsHandlers {
+  /**
+   * Create an instance of SettingsHandlers
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.settingsService - Settings service instance
+   */
+  constructor({ logger, settingsService }) {
+    this.logger = logger;
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Broadcast updated settings to every open window
+   * @param {Object} settings - Current settings
+   */
+  broadcastSettingsChanged(settings) {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (!window.isDestroyed()) {
+        window.webContents.send('settings:changed', settings);
+      }
+    });
+  }
+
+  /**
+   * Handle get settings
+   * @returns {Promise<Object>} Result with current settings
+   */
+  async getSettings() {
+    try {
+      const settings = await this.settingsService.getAll();
+      return { success: true, settings };
+    } catch (error) {
+      this.logger.error('❌ Error loading settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle set settings
+   * @param {Object} event - IPC event object
+   * @param {Object} partial - Settings to change
+   * @returns {Promise<Object>} Result with updated settings
+   */
+  async setSettings(event, partial) {
+    try {
+      const settings = await this.settingsService.set(partial);
+      this.broadcastSettingsChanged(settings);
+      return { success: true, settings };
+    } catch (error) {
+      this.logger.error('❌ Error saving settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle reset settings
+   * @returns {Promise<Object>} Result with default settings
+   */
+  async resetSettings() {
+    try {
+      const settings = await this.settingsService.reset();
+      this.broadcastSettingsChanged(settings);
+      return { success: true, settings };
+    } catch (error) {
+      this.logger.error('❌ Error resetting settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Register all settings IPC handlers
+   */
+  registerHandlers() {
+    this.logger.info('⚙️ Registering settings IPC handlers');
+
+    /**
+     * Get all settings
+     */
+    ipcMain.handle('settings:get', async () => {
+      return await this.getSettings();
+    });
+
+    /**
+     * Save a partial settings object
+     */
+    ipcMain.handle('settings:set', async (event, partial) => {
+      return await this.setSettings(event, partial);
+    });
+
+    /**
+     * Reset settings to defaults
+     */
+    ipcMain.handle('settings:reset', async () => {
+      return await this.resetSettings();
+    });
+
+    this.logger.info('✅ Settings IPC handlers registered');
+  }
+
+  /**
+   * Unregister all settings IPC handlers
+   */
+  unregisterHandlers() {
+    this.logger.info('⚙️ Unregistering settings IPC handlers');
+
+    ipcMain.removeHandler('settings:get');
+    ipcMain.removeHandler('settings:set');
+    ipcMain.removeHandler('settings:reset');
+
+    this.logger.info('✅ Settings IPC handlers unregistered');
+  }
+}
+
+module.exports = { SettingsHandlers };
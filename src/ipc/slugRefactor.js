@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Updates internal links when a page slug changes: finds references to the old URL in the
+ * repository's content, rewrites them, adds an optional redirect and keeps the edits for the next commit
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Folders searched for links
+const SEARCH_ROOTS = ['src', 'public'];
+// Folders never searched (dependencies, build output and the CMS itself)
+const SKIPPED_DIRS = new Set(['node_modules', '.git', '.astro', 'dist']);
+const SKIPPED_PATHS = new Set(['public/admin']);
+// Files whose links are updated
+const TEXT_EXTENSIONS = new Set(['.md', '.mdx', '.markdown', '.yml', '.yaml', '.json', '.html', '.astro']);
+// Larger files are not content and are left alone
+const MAX_FILE_BYTES = 1024 * 1024;
+// Astro configs, in the order Astro looks for them
+const ASTRO_CONFIG_FILES = ['astro.config.mjs', 'astro.config.js', 'astro.config.ts', 'astro.config.mts', 'astro.config.cjs'];
+// Redirects file of Netlify and Cloudflare Pages, copied as-is to the build output
+const REDIRECTS_FILE = 'public/_redirects';
+// Pending edits of a repository, kept inside .git so they survive a restart of the app
+const PENDING_FILE = 'documental-slug-refactor.json';
+
+/**
+ * @typedef {Object} SlugReference
+ * @property {string} file - Repository-relative path
+ * @property {number} line - Line number (1-based)
+ * @property {string} before - Line as it is
+ * @property {string} after - Line with the links updated
+ */
+
+/**
+ * @typedef {Object} PendingRefactor
+ * @property {string[]} files - Files changed by the refactoring, not committed yet
+ * @property {Array<{from: string, to: string}>} renames - URL changes behind them
+ */
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the URL a page had before its slug changed
+ * @param {string} newPath - Current URL path, e.g. '/blog/new-title/'
+ * @param {string} oldSlug - Previous slug
+ * @param {string} newSlug - Current slug
+ * @returns {string|null} Previous URL path, or null when the slug is not part of the URL
+ */
+function previousPath(newPath, oldSlug, newSlug) {
+  const parts = newPath.split('/');
+  const index = parts.lastIndexOf(newSlug);
+  if (index === -1 || !oldSlug || oldSlug === newSlug) {
+    return null;
+  }
+  parts[index] = oldSlug;
+  return parts.join('/');
+}
+
+/**
+ * Build the matcher of links to a page
+ * @param {string} from - Old URL path
+ * @param {string|null} siteUrl - Production URL of the site (absolute links are updated too)
+ * @returns {RegExp} Global matcher; groups are the delimiter before the link, the origin and the trailing slash
+ */
+function linkPattern(from, siteUrl) {
+  const core = from.replace(/\/+$/, '');
+  const origin = siteUrl ? `(${escapeRegExp(siteUrl.replace(/\/+$/, ''))})?` : '()';
+  // The link must end at the page itself: /blog/old matches, /blog/old-2 and /blog/old/child do not
+  return new RegExp(`(^|[\\s("'\`=<\\[,])${origin}${escapeRegExp(core)}(/?)(?=[#?"'\`\\s)\\]>,]|$)`, 'gm');
+}
+
+/**
+ * Slug Refactor - keeps internal links working after a page is renamed
+ */
+class SlugRefactor {
+  /**
+   * Create an instance of SlugRefactor
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.fs] - filesystem module
+   */
+  constructor({ logger, fs = require('fs') }) {
+    this.logger = logger;
+    this.fs = fs;
+    this.pending = new Map(); // repository directory -> { files: Set, renames: [] }, cache of the files in .git
+  }
+
+  /**
+   * Read the astro.config file of a repository
+   * @param {string} dir - Repository directory
+   * @returns {Promise<{file: string, content: string}|null>} Config, or null when the site has none
+   */
+  async readAstroConfig(dir) {
+    for (const file of ASTRO_CONFIG_FILES) {
+      try {
+        return { file, content: await this.fs.promises.readFile(path.join(dir, file), 'utf8') };
+      } catch (error) {
+        // Try the next name
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the production URL of the site (the `site` option of astro.config)
+   * @param {string} dir - Repository directory
+   * @returns {Promise<string|null>} URL, or null when not set
+   */
+  async readSiteUrl(dir) {
+    const config = await this.readAstroConfig(dir);
+    const match = config && config.content.match(/\bsite\s*:\s*['"`](https?:\/\/[^'"`]+)['"`]/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Tell where a redirect can be written for a repository
+   * @param {string} dir - Repository directory
+   * @returns {Promise<{astro: boolean, file: boolean, suggested: string}>} Available targets and the one the site already uses
+   */
+  async readRedirectOptions(dir) {
+    const config = await this.readAstroConfig(dir);
+    const hasRedirectsFile = await this.fs.promises.access(path.join(dir, REDIRECTS_FILE)).then(() => true, () => false);
+    let suggested = 'none';
+    if (hasRedirectsFile) {
+      suggested = 'file';
+    } else if (config && /\bredirects\s*:\s*\{/.test(config.content)) {
+      suggested = 'astro';
+    }
+    return { astro: Boolean(config), file: true, suggested };
+  }
+
+  /**
+   * List the text files that may link to other pages
+   * @param {string} dir - Repository directory
+   * @param {string} relative - Folder relative to dir
+   * @returns {Promise<string[]>} Repository-relative paths
+   * @private
+   */
+  async _listFiles(dir, relative) {
+    let entries;
+    try {
+      entries = await this.fs.promises.readdir(path.join(dir, relative), { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = `${relative}/${entry.name}`;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name) && !SKIPPED_PATHS.has(entryPath)) {
+          files.push(...await this._listFiles(dir, entryPath));
+        }
+      } else if (entry.isFile() && TEXT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Find the links to a renamed page
+   * @param {string} dir - Repository directory
+   * @param {Object} rename - URL change
+   * @param {string} rename.from - Old URL path
+   * @param {string} rename.to - New URL path
+   * @returns {Promise<{references: SlugReference[], files: Array<{path: string, count: number}>}>} Lines to change, grouped by file
+   */
+  async findReferences(dir, { from, to }) {
+    const changes = await this._collectChanges(dir, from, to);
+    const references = [];
+    for (const change of changes) {
+      const before = change.content.split('\n');
+      const after = change.updated.split('\n');
+      before.forEach((line, index) => {
+        if (line !== after[index]) {
+          references.push({ file: change.file, line: index + 1, before: line.trim(), after: after[index].trim() });
+        }
+      });
+    }
+    return { references, files: changes.map(change => ({ path: change.file, count: change.count })) };
+  }
+
+  /**
+   * Compute the updated content of every file linking to a page
+   * @param {string} dir - Repository directory
+   * @param {string} from - Old URL path
+   * @param {string} to - New URL path
+   * @returns {Promise<Array<{file: string, content: string, updated: string, count: number}>>} Changed files
+   * @private
+   */
+  async _collectChanges(dir, from, to) {
+    if (!from || from.replace(/\/+$/, '') === '') {
+      return [];
+    }
+    const pattern = linkPattern(from, await this.readSiteUrl(dir));
+    const target = to.replace(/\/+$/, '');
+
+    const files = [];
+    for (const root of SEARCH_ROOTS) {
+      files.push(...await this._listFiles(dir, root));
+    }
+
+    const changes = [];
+    for (const file of files) {
+      const absolute = path.join(dir, file);
+      try {
+        const stats = await this.fs.promises.stat(absolute);
+        if (stats.size > MAX_FILE_BYTES) {
+          continue;
+        }
+        const content = await this.fs.promises.readFile(absolute, 'utf8');
+        let count = 0;
+        const updated = content.replace(pattern, (match, before, origin, slash) => {
+          count += 1;
+          return `${before}${origin || ''}${target}${slash}`;
+        });
+        if (count > 0) {
+          changes.push({ file, content, updated, count });
+        }
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not search ${file} for links:`, error.message);
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Add a redirect from the old URL to the new one
+   * @param {string} dir - Repository directory
+   * @param {Object} rename - URL change with from and to
+   * @param {'astro'|'file'} target - astro.config redirects, or the public/_redirects file
+   * @returns {Promise<string|null>} Repository-relative file changed, or null when the redirect already existed
+   */
+  async addRedirect(dir, { from, to }, target) {
+    if (target === 'file') {
+      const absolute = path.join(dir, REDIRECTS_FILE);
+      const content = await this.fs.promises.readFile(absolute, 'utf8').catch(() => '');
+      if (content.split('\n').some(line => line.trim().split(/\s+/)[0] === from)) {
+        return null;
+      }
+      const separator = content && !content.endsWith('\n') ? '\n' : '';
+      await this.fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+      await this.fs.promises.writeFile(absolute, `${content}${separator}${from} ${to} 301\n`);
+      return REDIRECTS_FILE;
+    }
+
+    const config = await this.readAstroConfig(dir);
+    if (!config) {
+      throw new Error('Nenhum astro.config encontrado no projeto');
+    }
+    if (new RegExp(`['"\`]${escapeRegExp(from)}['"\`]\\s*:`).test(config.content)) {
+      return null;
+    }
+    const entry = `'${from}': '${to}'`;
+    let updated;
+    if (/\bredirects\s*:\s*\{/.test(config.content)) {
+      updated = config.content.replace(/\bredirects\s*:\s*\{/, match => `${match}\n    ${entry},`);
+    } else if (/defineConfig\(\s*\{/.test(config.content)) {
+      updated = config.content.replace(/defineConfig\(\s*\{/, match => `${match}\n  redirects: {\n    ${entry}\n  },`);
+    } else {
+      throw new Error(`${config.file} não usa defineConfig({ ... }); adicione o redirecionamento manualmente`);
+    }
+    await this.fs.promises.writeFile(path.join(dir, config.file), updated);
+    return config.file;
+  }
+
+  /**
+   * Rewrite the links to a renamed page and keep the changed files for the next commit
+   * @param {string} dir - Repository directory
+   * @param {Object} rename - URL change with from and to
+   * @param {Object} [options] - Options
+   * @param {string[]|null} [options.files] - Only update these files (all referencing files when null)
+   * @param {'none'|'astro'|'file'} [options.redirect] - Where to add a redirect from the old URL
+   * @returns {Promise<{files: string[], replacements: number, redirectFile: string|null}>} Changed files
+   */
+  async apply(dir, { from, to }, { files = null, redirect = 'none' } = {}) {
+    const selected = Array.isArray(files) ? new Set(files) : null;
+    // Contents are read again: the files may have changed since the references were listed
+    const changes = (await this._collectChanges(dir, from, to)).filter(change => !selected || selected.has(change.file));
+
+    const changed = [];
+    let replacements = 0;
+    for (const change of changes) {
+      await this.fs.promises.writeFile(path.join(dir, change.file), change.updated);
+      changed.push(change.file);
+      replacements += change.count;
+    }
+
+    let redirectFile = null;
+    if (redirect === 'astro' || redirect === 'file') {
+      redirectFile = await this.addRedirect(dir, { from, to }, redirect);
+      if (redirectFile) {
+        changed.push(redirectFile);
+      }
+    }
+
+    if (changed.length > 0) {
+      this.markPending(dir, changed, { from, to });
+    }
+    this.logger.info(`🔗 Updated ${replacements} link(s) from ${from} to ${to} in ${changes.length} file(s)${redirectFile ? `, redirect added to ${redirectFile}` : ''}`);
+    return { files: changed, replacements, redirectFile };
+  }
+
+  /**
+   * Remember files changed by a refactoring until they are committed
+   * @param {string} dir - Repository directory
+   * @param {string[]} files - Repository-relative paths
+   * @param {Object} rename - URL change with from and to
+   */
+  markPending(dir, files, rename) {
+    const key = path.resolve(dir);
+    const pending = this.loadPending(key) || { files: new Set(), renames: [] };
+    files.forEach(file => pending.files.add(file));
+    if (!pending.renames.some(existing => existing.from === rename.from && existing.to === rename.to)) {
+      pending.renames.push({ from: rename.from, to: rename.to });
+    }
+    this.pending.set(key, pending);
+
+    try {
+      this.fs.writeFileSync(path.join(key, '.git', PENDING_FILE), JSON.stringify({ files: [...pending.files], renames: pending.renames }, null, 2));
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not save the pending link updates of ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the pending edits of a repository, from the cache or from its .git folder
+   * @param {string} key - Resolved repository directory
+   * @returns {{files: Set<string>, renames: Array<{from: string, to: string}>}|null} Pending edits, or null when there are none
+   */
+  loadPending(key) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    try {
+      const saved = JSON.parse(this.fs.readFileSync(path.join(key, '.git', PENDING_FILE), 'utf8'));
+      const pending = { files: new Set(saved.files), renames: saved.renames };
+      this.pending.set(key, pending);
+      return pending;
+    } catch (error) {
+      // Nothing saved, or an unreadable file: no pending edits
+      return null;
+    }
+  }
+
+  /**
+   * Get the refactoring edits not committed yet
+   * @param {string} dir - Repository directory
+   * @returns {PendingRefactor|null} Pending edits, or null when there are none
+   */
+  getPending(dir) {
+    const pending = this.loadPending(path.resolve(dir));
+    return pending ? { files: [...pending.files], renames: [...pending.renames] } : null;
+  }
+
+  /**
+   * Forget the pending edits of a repository once they are committed
+   * @param {string} dir - Repository directory
+   */
+  clearPending(dir) {
+    const key = path.resolve(dir);
+    this.pending.delete(key);
+    try {
+      this.fs.rmSync(path.join(key, '.git', PENDING_FILE), { force: true });
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not remove the pending link updates of ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { SlugRefactor, previousPath, escapeRegExp, REDIRECTS_FILE };
@@ -871,19 +871,23 @@ async verifyNodeInstallation() {
   }
 
   /**
-   * Get dev server URL from main process
+   * Get the dev server URL of the project shown in the calling window
+   * @param {Object} event - IPC event object
+   * @param {number|string} [projectId] - Project opened in the window (registers the window with it)
    * @returns {string|null} Dev server URL
    */
-  getDevServerUrlFromMain() {
-    this.logger.info('📡 get-dev-server-url-from-main called');
+  getDevServerUrlFromMain(event, projectId) {
+    this.logger.info('📡 get-dev-server-url-from-main called for project:', projectId);
     
-    // Return the real dev server URL if processManager is available
-    if (this.processManager && this.processManager.getGlobalDevServerUrl) {
-      return this.processManager.getGlobalDevServerUrl();
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!this.processManager || !window) {
+      return null;
     }
     
-    // Fallback to null if no process manager
-    return null;
+    if (projectId) {
+      this.processManager.assignWindowToProject(window, projectId);
+    }
+    return this.processManager.getDevServerUrlForWindow(window.id);
   }
 
   /**
@@ -1016,8 +1020,8 @@ async verifyNodeInstallation() {
     /**
      * Get dev server URL
      */
-    ipcMain.handle('get-dev-server-url-from-main', () => {
-      return this.getDevServerUrlFromMain();
+    ipcMain.handle('get-dev-server-url-from-main', (event, projectId) => {
+      return this.getDevServerUrlFromMain(event, projectId);
     });
 
     /**
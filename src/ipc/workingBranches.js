@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Temporary working branches (working_<user>_<yyyymmdd-hhmm>_) and rebasing them onto preview
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+// Prefix shared by every temporary working branch (see docs/workflow_git.md)
+const WORKING_BRANCH_PREFIX = 'working_';
+
+// working_<user>_<yyyymmdd-hhmm>_<optional label>
+const WORKING_BRANCH_PATTERN = /^working_([a-z0-9-]+)_(\d{8}-\d{4})_([a-z0-9-]*)$/;
+
+// Temporary branch the rebase replays commits on
+const REBASE_BRANCH = 'documental-rebase';
+
+// Longest label kept in a branch name
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Normalize a GitHub login for use in a branch name
+ * @param {string} login - GitHub login
+ * @returns {string} Lowercase login with only letters, digits and hyphens
+ */
+function sanitizeBranchUser(login) {
+  const user = String(login || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (!user) {
+    throw new Error('Usuário GitHub inválido para criar branch de trabalho');
+  }
+  return user;
+}
+
+/**
+ * Turn a free-text description into a branch-safe label
+ * @param {string} label - Description typed by the user
+ * @returns {string} Label slug (may be empty)
+ */
+function slugifyLabel(label) {
+  return String(label || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_LABEL_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Format a date as yyyymmdd-hhmm in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatBranchDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Build a working branch name
+ * @param {string} login - GitHub login
+ * @param {Date} [date=new Date()] - Creation date
+ * @param {string} [label=''] - Optional description
+ * @returns {string} Branch name, e.g. working_maria_20240131-0945_nova-pagina
+ */
+function buildWorkingBranchName(login, date = new Date(), label = '') {
+  return `${WORKING_BRANCH_PREFIX}${sanitizeBranchUser(login)}_${formatBranchDate(date)}_${slugifyLabel(label)}`;
+}
+
+/**
+ * Parse a working branch name
+ * @param {string} name - Branch name
+ * @returns {{user: string, createdAt: Date, label: string}|null} Parts, or null when not a working branch
+ */
+function parseWorkingBranchName(name) {
+  const match = WORKING_BRANCH_PATTERN.exec(String(name || ''));
+  if (!match) {
+    return null;
+  }
+  const [, user, stamp, label] = match;
+  const createdAt = new Date(
+    Number(stamp.slice(0, 4)),
+    Number(stamp.slice(4, 6)) - 1,
+    Number(stamp.slice(6, 8)),
+    Number(stamp.slice(9, 11)),
+    Number(stamp.slice(11, 13))
+  );
+  return { user, createdAt, label };
+}
+
+/**
+ * Check whether a branch is a working branch owned by a user
+ * @param {string} name - Branch name
+ * @param {string} login - GitHub login
+ * @returns {boolean} True when the branch belongs to the user
+ */
+function isWorkingBranchOf(name, login) {
+  const parsed = parseWorkingBranchName(name);
+  return !!parsed && parsed.user === sanitizeBranchUser(login);
+}
+
+/**
+ * Working Branch Rebaser - replays a branch's commits on top of another commit
+ */
+class WorkingBranchRebaser {
+  /**
+   * Create an instance of WorkingBranchRebaser
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.mergeResolver - MergeConflictResolver instance
+   */
+  constructor({ logger, mergeResolver }) {
+    this.logger = logger;
+    this.mergeResolver = mergeResolver;
+  }
+
+  /**
+   * First-parent commits from tip back to (excluding) base, oldest first
+   * @param {Object} gitMod - isomorphic-git module
+   * @param {Object} fs - filesystem module
+   * @param {string} dir - Repository directory
+   * @param {string} baseOid - Merge base
+   * @param {string} tipOid - Branch tip
+   * @returns {Promise<Array<{oid: string, commit: Object}>>} Commits to replay
+   */
+  async listCommitsToReplay(gitMod, fs, dir, baseOid, tipOid) {
+    const commits = [];
+    let oid = tipOid;
+    while (oid && oid !== baseOid) {
+      const { commit } = await gitMod.readCommit({ fs, dir, oid });
+      commits.push({ oid, commit });
+      oid = commit.parent[0];
+    }
+    if (oid !== baseOid) {
+      throw new Error('Histórico da branch de trabalho incompleto; não é possível reaplicar os commits');
+    }
+    return commits.reverse();
+  }
+
+  /**
+   * Rebase tipOid onto ontoOid. Fast-forwards when possible, otherwise replays each commit
+   * on a temporary branch. The repository is always left on returnTo.
+   * @param {Object} options - Options
+   * @param {Object} options.gitMod - isomorphic-git module
+   * @param {Object} options.fs - filesystem module
+   * @param {string} options.dir - Repository directory
+   * @param {string} options.ontoOid - Commit to rebase onto (preview)
+   * @param {string} options.tipOid - Working branch tip
+   * @param {string} options.returnTo - Branch to check out when done
+   * @param {Function} [options.sendOutput] - Output function
+   * @returns {Promise<{newTip?: string, replayed: number, fastForward: boolean, conflict?: boolean, conflictCommit?: string}>}
+   */
+  async rebase({ gitMod, fs, dir, ontoOid, tipOid, returnTo, sendOutput = () => {} }) {
+    const [baseOid] = await gitMod.findMergeBase({ fs, dir, oids: [ontoOid, tipOid] });
+    if (!baseOid) {
+      throw new Error('A branch de trabalho não tem histórico em comum com a prévia');
+    }
+    if (baseOid === tipOid) {
+      sendOutput('ℹ️ A prévia já contém todas as alterações desta branch.');
+      return { newTip: ontoOid, replayed: 0, fastForward: true };
+    }
+    if (baseOid === ontoOid) {
+      sendOutput('⚡ Nenhuma alteração nova na prévia, avançando diretamente...');
+      return { newTip: tipOid, replayed: 0, fastForward: true };
+    }
+
+    const commits = await this.listCommitsToReplay(gitMod, fs, dir, baseOid, tipOid);
+    sendOutput(`🔁 Reaplicando ${commits.length} commit(s) sobre a prévia...`);
+
+    await gitMod.writeRef({ fs, dir, ref: `refs/heads/${REBASE_BRANCH}`, value: ontoOid, force: true });
+    try {
+      await gitMod.checkout({ fs, dir, ref: REBASE_BRANCH });
+
+      let headOid = ontoOid;
+      for (const { oid, commit } of commits) {
+        const { changes, conflicts } = await this.mergeResolver.collectChanges({
+          gitMod,
+          fs,
+          dir,
+          baseOid: commit.parent[0],
+          ourOid: headOid,
+          theirOid: oid
+        });
+        if (conflicts.length > 0) {
+          this.logger.info(`Rebase stopped at ${oid}: ${conflicts.length} conflict(s)`);
+          return { replayed: 0, fastForward: false, conflict: true, conflictCommit: oid };
+        }
+
+        await this.mergeResolver.applyActions({ gitMod, fs, dir, actions: changes });
+        headOid = await gitMod.commit({
+          fs,
+          dir,
+          message: commit.message,
+          author: commit.author,
+          parent: [headOid]
+        });
+        sendOutput(`   ✓ ${commit.message.split('\n')[0]}`);
+      }
+
+      return { newTip: headOid, replayed: commits.length, fastForward: false };
+    } finally {
+      await gitMod.checkout({ fs, dir, ref: returnTo, force: true });
+      await gitMod.deleteBranch({ fs, dir, ref: REBASE_BRANCH });
+    }
+  }
+}
+
+module.exports = {
+  WORKING_BRANCH_PREFIX,
+  WorkingBranchRebaser,
+  sanitizeBranchUser,
+  slugifyLabel,
+  formatBranchDate,
+  buildWorkingBranchName,
+  parseWorkingBranchName,
+  isWorkingBranchOf
+};
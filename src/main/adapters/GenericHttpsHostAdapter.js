@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Generic HTTPS git host adapter (Gitea, GitLab and other self-hosted servers)
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { GitHostPort, normalizeBaseUrl } = require('../ports/GitHostPort.js');
+
+/**
+ * Generic HTTPS Host Adapter
+ * Signs in with a username plus a password or access token, sent as HTTP basic auth
+ * @class
+ * @extends GitHostPort
+ */
+class GenericHttpsHostAdapter extends GitHostPort {
+  /**
+   * Create an instance of GenericHttpsHostAdapter
+   * @param {Object} options - Host options
+   * @param {string} options.baseUrl - Web URL of the server (e.g. https://gitea.acme.com)
+   * @throws {Error} If the URL is not a valid HTTPS URL
+   */
+  constructor({ baseUrl }) {
+    super();
+    this.baseUrl = normalizeBaseUrl(baseUrl);
+    this.host = new URL(this.baseUrl).host;
+  }
+
+  /**
+   * Get the provider configuration stored with each account
+   * @returns {import('../ports/GitHostPort.js').GitHostConfig} Provider configuration
+   */
+  toConfig() {
+    return { type: 'generic', baseUrl: this.baseUrl, clientId: null };
+  }
+
+  /**
+   * Get a human readable host name for the UI
+   * @returns {string} Host label
+   */
+  getLabel() {
+    return this.host;
+  }
+
+  /**
+   * Build the profile from the sign-in data; the server API differs between
+   * products, so the credentials are only checked on the first clone or fetch
+   * @param {string} token - Password or access token
+   * @param {Object} credentials - Sign-in data
+   * @param {string} credentials.username - Username on the server
+   * @param {string} [credentials.name] - Name used in commits
+   * @param {string} [credentials.email] - E-mail used in commits
+   * @returns {Promise<Object>} User information
+   */
+  async getUserInfo(token, { username, name, email } = {}) {
+    const login = String(username || '').trim();
+    if (!login) {
+      throw new Error('Informe o usuário do servidor Git');
+    }
+    return {
+      id: login,
+      login,
+      name: (name || '').trim() || login,
+      email: (email || '').trim() || null,
+      avatar_url: null
+    };
+  }
+
+  /**
+   * Usernames are only unique per server, so they are prefixed with its host
+   * @param {Object} userInfo - User information
+   * @returns {string} Account ID
+   */
+  getAccountId(userInfo) {
+    return `${this.host}:${userInfo.login}`;
+  }
+
+  /**
+   * Passwords and tokens have no common format; only reject empty values
+   * @param {string} token - Password or access token
+   * @returns {boolean} Whether the token can be stored
+   */
+  isValidToken(token) {
+    return typeof token === 'string' && token.trim().length > 0;
+  }
+
+  /**
+   * Send the username with the password or token, as Gitea and GitLab expect
+   * @param {string} token - Password or access token
+   * @param {Object} account - Account the token belongs to
+   * @returns {import('../ports/GitHostPort.js').GitAuth} Git credentials
+   */
+  getGitAuth(token, account) {
+    return { username: account.login, password: token };
+  }
+}
+
+module.exports = { GenericHttpsHostAdapter };
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview GitHub Enterprise Server git host adapter implementation
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { normalizeBaseUrl } = require('../ports/GitHostPort.js');
+const { GitHubHostAdapter } = require('./GitHubHostAdapter.js');
+const { GITHUB_CONFIG } = require('../../config/github-config.js');
+
+/**
+ * GitHub Enterprise Host Adapter
+ * Same flow as github.com against a configurable server and its own OAuth App
+ * @class
+ * @extends GitHubHostAdapter
+ */
+class GitHubEnterpriseHostAdapter extends GitHubHostAdapter {
+  /**
+   * Create an instance of GitHubEnterpriseHostAdapter
+   * @param {Object} options - Host options
+   * @param {string} options.baseUrl - Web URL of the server (e.g. https://github.acme.com)
+   * @param {string} options.clientId - Client ID of the OAuth App registered on the server
+   * @throws {Error} If the URL or Client ID is missing
+   */
+  constructor({ baseUrl, clientId }) {
+    super();
+    this.baseUrl = normalizeBaseUrl(baseUrl);
+    this.clientId = String(clientId || '').trim();
+    if (!this.clientId) {
+      throw new Error('Informe o Client ID do OAuth App criado no GitHub Enterprise');
+    }
+  }
+
+  /**
+   * Get the provider configuration stored with each account
+   * @returns {import('../ports/GitHostPort.js').GitHostConfig} Provider configuration
+   */
+  toConfig() {
+    return { type: 'github-enterprise', baseUrl: this.baseUrl, clientId: this.clientId };
+  }
+
+  /**
+   * Get a human readable host name for the UI
+   * @returns {string} Host label
+   */
+  getLabel() {
+    return `GitHub Enterprise (${new URL(this.baseUrl).host})`;
+  }
+
+  /**
+   * Web URL of the host
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl() {
+    return this.baseUrl;
+  }
+
+  /**
+   * REST API URL of the host
+   * @returns {string} API base URL
+   */
+  getApiUrl() {
+    return `${this.baseUrl}/api/v3`;
+  }
+
+  /**
+   * Get the device flow endpoints and client of the server
+   * @returns {import('../ports/GitHostPort.js').DeviceFlowConfig} Device flow configuration
+   */
+  getDeviceFlowConfig() {
+    return {
+      clientId: this.clientId,
+      scopes: GITHUB_CONFIG.SCOPES,
+      deviceCodeUrl: `${this.baseUrl}/login/device/code`,
+      tokenUrl: `${this.baseUrl}/login/oauth/access_token`,
+      verificationUri: `${this.baseUrl}/login/device`
+    };
+  }
+
+  /**
+   * User IDs are only unique per server, so they are prefixed with its host
+   * @param {Object} userInfo - GitHub user information
+   * @returns {string} Account ID
+   */
+  getAccountId(userInfo) {
+    return `${new URL(this.baseUrl).host}:${userInfo.id}`;
+  }
+}
+
+module.exports = { GitHubEnterpriseHostAdapter };
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview GitHub.com git host adapter implementation
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { GitHostPort } = require('../ports/GitHostPort.js');
+const { GITHUB_CONFIG } = require('../../config/github-config.js');
+
+// Dynamic import for ESM module - will be loaded when needed
+let Octokit = null;
+
+// Scopes granted implicitly by a broader scope (e.g. 'user' includes 'user:email')
+const PARENT_SCOPES = {
+  'user:email': 'user',
+  'read:user': 'user',
+  'user:follow': 'user',
+  'public_repo': 'repo',
+  'repo:status': 'repo',
+  'repo_deployment': 'repo',
+  'read:org': 'admin:org'
+};
+
+/**
+ * List the required scopes a token was not granted
+ * @param {string[]} requiredScopes - Scopes the app asks for
+ * @param {string[]} grantedScopes - Scopes listed in the X-OAuth-Scopes header
+ * @returns {string[]} Missing scopes
+ */
+function findMissingScopes(requiredScopes, grantedScopes) {
+  return requiredScopes.filter(scope =>
+    !grantedScopes.includes(scope) && !grantedScopes.includes(PARENT_SCOPES[scope])
+  );
+}
+
+/**
+ * GitHub Host Adapter
+ * Signs in through the device flow and authenticates git with the token as username
+ * @class
+ * @extends GitHostPort
+ */
+class GitHubHostAdapter extends GitHostPort {
+  /**
+   * Get the provider configuration stored with each account
+   * @returns {import('../ports/GitHostPort.js').GitHostConfig} Provider configuration
+   */
+  toConfig() {
+    return { type: 'github', baseUrl: null, clientId: null };
+  }
+
+  /**
+   * Get a human readable host name for the UI
+   * @returns {string} Host label
+   */
+  getLabel() {
+    return 'GitHub';
+  }
+
+  /**
+   * Web URL of the host
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl() {
+    return 'https://github.com';
+  }
+
+  /**
+   * REST API URL of the host
+   * @returns {string} API base URL
+   */
+  getApiUrl() {
+    return 'https://api.github.com';
+  }
+
+  /**
+   * GitHub hosts sign in through the device flow
+   * @returns {boolean} Always true
+   */
+  supportsDeviceFlow() {
+    return true;
+  }
+
+  /**
+   * Get the device flow endpoints and client
+   * @returns {import('../ports/GitHostPort.js').DeviceFlowConfig} Device flow configuration
+   */
+  getDeviceFlowConfig() {
+    return {
+      clientId: GITHUB_CONFIG.CLIENT_ID,
+      scopes: GITHUB_CONFIG.SCOPES,
+      deviceCodeUrl: GITHUB_CONFIG.DEVICE_CODE_URL,
+      tokenUrl: GITHUB_CONFIG.TOKEN_URL,
+      verificationUri: GITHUB_CONFIG.VERIFICATION_URI
+    };
+  }
+
+  /**
+   * Get the profile of the user owning a token
+   * @param {string} token - OAuth token
+   * @returns {Promise<Object>} GitHub user information
+   */
+  async getUserInfo(token) {
+    const { data } = await this.requestAuthenticatedUser(token);
+    return data;
+  }
+
+  /**
+   * Call GET /user with a token
+   * @param {string} token - OAuth token
+   * @returns {Promise<{data: Object, headers: Object}>} Octokit response
+   */
+  async requestAuthenticatedUser(token) {
+    const octokit = await this.createApiClient(token);
+    return octokit.rest.users.getAuthenticated();
+  }
+
+  /**
+   * GitHub hosts expose the REST API
+   * @returns {boolean} Always true
+   */
+  supportsApi() {
+    return true;
+  }
+
+  /**
+   * Create an Octokit client for the host's API
+   * @param {string} token - OAuth token
+   * @returns {Promise<Object>} Octokit instance
+   */
+  async createApiClient(token) {
+    if (!Octokit) {
+      const octokitModule = await import('@octokit/rest');
+      Octokit = octokitModule.Octokit;
+    }
+    return new Octokit({ auth: token, baseUrl: this.getApiUrl() });
+  }
+
+  /**
+   * Check the token against the API and compare its X-OAuth-Scopes with the scopes requested at sign-in.
+   * Tokens without the header (fine-grained, GitHub App) are accepted as long as the API answers.
+   * @param {string} token - OAuth token
+   * @returns {Promise<import('../ports/GitHostPort.js').TokenCheck>} Token state
+   */
+  async verifyToken(token) {
+    let response;
+    try {
+      response = await this.requestAuthenticatedUser(token);
+    } catch (error) {
+      // Offline, rate limited or server error: the token may well be fine
+      const status = error.status === 401 ? 'revoked' : 'unknown';
+      return { status, scopes: [], missingScopes: [] };
+    }
+
+    const header = response.headers && response.headers['x-oauth-scopes'];
+    if (header === undefined || header === null) {
+      return { status: 'valid', scopes: [], missingScopes: [] };
+    }
+    const scopes = String(header).split(',').map(scope => scope.trim()).filter(Boolean);
+    const missingScopes = findMissingScopes(this.getDeviceFlowConfig().scopes, scopes);
+    return { status: missingScopes.length > 0 ? 'missing-scopes' : 'valid', scopes, missingScopes };
+  }
+
+  /**
+   * github.com accounts keep the bare GitHub user ID used before other hosts existed
+   * @param {Object} userInfo - GitHub user information
+   * @returns {string} Account ID
+   */
+  getAccountId(userInfo) {
+    return String(userInfo.id);
+  }
+
+  /**
+   * Check the token against the GitHub token formats
+   * @param {string} token - Token to validate
+   * @returns {boolean} Whether the token can be stored
+   */
+  isValidToken(token) {
+    // Required here rather than at the top: keytar is a native module only needed once tokens are handled
+    const { secureTokenService } = require('../../services/secureTokenService.js');
+    return secureTokenService.isValidToken(token);
+  }
+
+  /**
+   * GitHub accepts the token as username with the x-oauth-basic placeholder password
+   * @param {string} token - OAuth token
+   * @returns {import('../ports/GitHostPort.js').GitAuth} Git credentials
+   */
+  getGitAuth(token) {
+    return { username: token, password: 'x-oauth-basic' };
+  }
+}
+
+module.exports = { GitHubHostAdapter, findMissingScopes };
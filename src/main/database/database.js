@@ -9,6 +9,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const { getLogger } = require('../logging/logger.js');
 const { PlatformService } = require('../services/platform/PlatformService');
+const { MigrationRunner } = require('./migrationRunner.js');
+const { MIGRATIONS } = require('./migrations.js');
 
 /**
  * @typedef {Object} DatabaseConfig
@@ -35,7 +37,7 @@ class DatabaseManager {
   }
 
   /**
-   * Initialize database connection and create tables
+   * Initialize database connection and apply schema migrations
    * @returns {Promise<void>}
    */
   async initialize() {
@@ -50,7 +52,7 @@ class DatabaseManager {
           reject(err);
         } else {
           this.logger.info('✅ Connected to SQLite database');
-          this.createTables()
+          this.runMigrations()
             .then(() => resolve())
             .catch(reject);
         }
@@ -59,72 +61,18 @@ class DatabaseManager {
   }
 
   /**
-   * Create necessary database tables
-   * @returns {Promise<void>}
+   * Bring the schema up to date by applying pending migrations
+   * @returns {Promise<import('./migrationRunner.js').MigrationResult>} Migration result
    */
-  async createTables() {
-    return new Promise((resolve, reject) => {
-      const createProjectsTable = `
-        CREATE TABLE IF NOT EXISTS projects (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          projectName TEXT NOT NULL,
-          projectPath TEXT NOT NULL,
-          repoFolderName TEXT,
-          repoUrl TEXT,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-
-      const createUsersTable = `
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          githubId TEXT UNIQUE,
-          login TEXT,
-          name TEXT,
-          email TEXT,
-          avatarUrl TEXT,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-
-      const createSettingsTable = `
-        CREATE TABLE IF NOT EXISTS settings (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          key TEXT UNIQUE NOT NULL,
-          value TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-
-      this.db.run(createProjectsTable, (err) => {
-        if (err) {
-          this.logger.error('❌ Error creating projects table:', err.message);
-          reject(err);
-          return;
-        }
-        
-        this.db.run(createUsersTable, (err) => {
-          if (err) {
-            this.logger.error('❌ Error creating users table:', err.message);
-            reject(err);
-            return;
-          }
-          
-          this.db.run(createSettingsTable, (err) => {
-            if (err) {
-              this.logger.error('❌ Error creating settings table:', err.message);
-              reject(err);
-            } else {
-              this.logger.info('✅ Database tables created successfully');
-              resolve();
-            }
-          });
-        });
-      });
+  async runMigrations() {
+    const dbPath = this.platformService.joinPath(this.config.userDataPath, this.config.dbName);
+    const runner = new MigrationRunner({
+      logger: this.logger,
+      database: this,
+      migrations: MIGRATIONS,
+      backupPathPrefix: dbPath
     });
+    return runner.migrate();
   }
 
   /**
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Versioned schema migration runner
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {number} fromVersion - Schema version before running
+ * @property {number} toVersion - Schema version after running
+ * @property {number[]} applied - Versions applied in this run
+ * @property {string|null} backupPath - Backup file created before migrating
+ */
+
+/**
+ * Migration runner - applies pending up-migrations, one transaction per step
+ */
+class MigrationRunner {
+  /**
+   * Create an instance of MigrationRunner
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.database - Object exposing run/get/all promise helpers
+   * @param {import('./migrations.js').Migration[]} dependencies.migrations - Ordered migrations
+   * @param {string|null} [dependencies.backupPathPrefix] - Path prefix for pre-migration backups (null disables)
+   */
+  constructor({ logger, database, migrations, backupPathPrefix = null }) {
+    this.logger = logger;
+    this.database = database;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.backupPathPrefix = backupPathPrefix;
+    this.validateMigrations();
+  }
+
+  /**
+   * Ensure versions are positive and unique
+   */
+  validateMigrations() {
+    const seen = new Set();
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Invalid migration version: ${migration.version}`);
+      }
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      seen.add(migration.version);
+    }
+  }
+
+  /**
+   * Create the schema_version table if needed
+   * @returns {Promise<void>}
+   */
+  async ensureVersionTable() {
+    await this.database.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Get the current schema version
+   * @returns {Promise<number>} Highest applied version, 0 when none
+   */
+  async getCurrentVersion() {
+    await this.ensureVersionTable();
+    const row = await this.database.get('SELECT MAX(version) AS version FROM schema_version');
+    return row && row.version ? row.version : 0;
+  }
+
+  /**
+   * Get migrations newer than the given version
+   * @param {number} currentVersion - Current schema version
+   * @returns {import('./migrations.js').Migration[]} Pending migrations
+   */
+  getPendingMigrations(currentVersion) {
+    return this.migrations.filter(migration => migration.version > currentVersion);
+  }
+
+  /**
+   * Check whether the database already holds application tables
+   * @returns {Promise<boolean>} True when there is data worth backing up
+   */
+  async hasExistingData() {
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')"
+    );
+    return !!(row && row.count > 0);
+  }
+
+  /**
+   * Write a consistent copy of the database before migrating
+   * @param {number} fromVersion - Version being migrated from
+   * @returns {Promise<string|null>} Backup path or null when skipped
+   */
+  async backup(fromVersion) {
+    if (!this.backupPathPrefix || !(await this.hasExistingData())) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+    const backupPath = `${this.backupPathPrefix}.v${fromVersion}-${timestamp}.bak`;
+
+    this.logger.info(`💾 Backing up database before migration: ${backupPath}`);
+    await this.database.run('VACUUM INTO ?', [backupPath]);
+    return backupPath;
+  }
+
+  /**
+   * Apply a single migration inside a transaction
+   * @param {import('./migrations.js').Migration} migration - Migration to apply
+   * @returns {Promise<void>}
+   */
+  async applyMigration(migration) {
+    this.logger.info(`⬆️ Applying migration ${migration.version} (${migration.name})`);
+    await this.database.run('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      await migration.up(this.database);
+      await this.database.run(
+        'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await this.database.run('COMMIT');
+    } catch (error) {
+      try {
+        await this.database.run('ROLLBACK');
+      } catch (rollbackError) {
+        this.logger.error('❌ Failed to roll back migration:', rollbackError.message);
+      }
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply all pending migrations in order
+   * @returns {Promise<MigrationResult>} Migration result
+   */
+  async migrate() {
+    const fromVersion = await this.getCurrentVersion();
+    const pending = this.getPendingMigrations(fromVersion);
+
+    if (pending.length === 0) {
+      this.logger.info(`✅ Database schema up to date (version ${fromVersion})`);
+      return { fromVersion, toVersion: fromVersion, applied: [], backupPath: null };
+    }
+
+    this.logger.info(`🔄 Migrating database schema from version ${fromVersion} to ${pending[pending.length - 1].version}`);
+    const backupPath = await this.backup(fromVersion);
+
+    const applied = [];
+    for (const migration of pending) {
+      await this.applyMigration(migration);
+      applied.push(migration.version);
+    }
+
+    const toVersion = applied[applied.length - 1];
+    this.logger.info(`✅ Database schema migrated to version ${toVersion}`);
+    return { fromVersion, toVersion, applied, backupPath };
+  }
+}
+
+module.exports = { MigrationRunner };
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Ordered schema migrations for the SQLite database
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version reached after this migration
+ * @property {string} name - Short migration name
+ * @property {function(Object): Promise<void>} up - Applies the migration using the database manager
+ */
+
+/**
+ * Up-migrations in ascending version order.
+ * Never edit a migration that has shipped; add a new one instead.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // Uses IF NOT EXISTS so installs created before versioning adopt it unchanged
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          projectName TEXT NOT NULL,
+          projectPath TEXT NOT NULL,
+          repoFolderName TEXT,
+          repoUrl TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          githubId TEXT UNIQUE,
+          login TEXT,
+          name TEXT,
+          email TEXT,
+          avatarUrl TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS settings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL,
+          value TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'github_accounts',
+    // Several GitHub accounts side by side: one active by default, optionally one per project
+    up: async (db) => {
+      await db.run('ALTER TABLE users ADD COLUMN isActive INTEGER NOT NULL DEFAULT 0');
+      await db.run(`
+        UPDATE users SET isActive = 1
+        WHERE id = (SELECT id FROM users ORDER BY updatedAt DESC LIMIT 1)
+      `);
+      await db.run('ALTER TABLE projects ADD COLUMN githubAccountId TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'git_hosts',
+    // Accounts on GitHub Enterprise and self-hosted servers; existing rows are github.com accounts
+    up: async (db) => {
+      await db.run("ALTER TABLE users ADD COLUMN hostType TEXT NOT NULL DEFAULT 'github'");
+      await db.run('ALTER TABLE users ADD COLUMN hostUrl TEXT');
+      await db.run('ALTER TABLE users ADD COLUMN hostClientId TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'project_creation_steps',
+    // Per-step checkpoints of the project creation pipeline, so a failed creation resumes where it stopped
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS project_creation_steps (
+          projectId INTEGER NOT NULL,
+          step TEXT NOT NULL,
+          status TEXT NOT NULL,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (projectId, step)
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'project_clone_depth',
+    // Commits kept by the project's clone and fetches; NULL keeps the depth clones had before (10), 0 is full history
+    up: async (db) => {
+      await db.run('ALTER TABLE projects ADD COLUMN cloneDepth INTEGER');
+    }
+  },
+  {
+    version: 6,
+    name: 'project_media_settings',
+    // JSON media optimization settings of the project; NULL uses the defaults
+    up: async (db) => {
+      await db.run('ALTER TABLE projects ADD COLUMN mediaSettings TEXT');
+    }
+  }
+];
+
+module.exports = { MIGRATIONS };
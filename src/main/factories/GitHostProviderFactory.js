@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Git host provider factory for creating host-specific instances
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { GitHubHostAdapter } = require('../adapters/GitHubHostAdapter.js');
+const { GitHubEnterpriseHostAdapter } = require('../adapters/GitHubEnterpriseHostAdapter.js');
+const { GenericHttpsHostAdapter } = require('../adapters/GenericHttpsHostAdapter.js');
+
+/**
+ * Git Host Provider Factory
+ * Creates the host adapter described by an account's stored host configuration
+ * @class
+ */
+class GitHostProviderFactory {
+  /**
+   * Provider cache keyed by host configuration
+   * @type {Map<string, Object>}
+   * @private
+   */
+  static _providerCache = new Map();
+
+  /**
+   * Create the provider for a host configuration
+   * @param {import('../ports/GitHostPort.js').GitHostConfig|null} [config] - Host configuration (github.com when empty)
+   * @returns {GitHostPort} Host-specific provider instance
+   * @throws {Error} If the host type is not supported or its configuration is invalid
+   */
+  static createProvider(config = null) {
+    const { type = 'github', baseUrl = null, clientId = null } = config || {};
+    const cacheKey = `${type}|${baseUrl || ''}|${clientId || ''}`;
+
+    if (this._providerCache.has(cacheKey)) {
+      return this._providerCache.get(cacheKey);
+    }
+
+    let provider;
+    switch (type) {
+      case 'github':
+        provider = new GitHubHostAdapter();
+        break;
+
+      case 'github-enterprise':
+        provider = new GitHubEnterpriseHostAdapter({ baseUrl, clientId });
+        break;
+
+      case 'generic':
+        provider = new GenericHttpsHostAdapter({ baseUrl });
+        break;
+
+      default:
+        throw new Error(`Unsupported git host type: ${type}`);
+    }
+
+    this._providerCache.set(cacheKey, provider);
+    return provider;
+  }
+
+  /**
+   * Create the provider an account was signed in with
+   * @param {Object|null} account - Account with a host configuration (github.com when missing)
+   * @returns {GitHostPort} Host-specific provider instance
+   */
+  static forAccount(account) {
+    return this.createProvider(account && account.host ? account.host : null);
+  }
+
+  /**
+   * Clear the provider cache
+   * @returns {void}
+   */
+  static clearCache() {
+    this._providerCache.clear();
+  }
+
+  /**
+   * Get the supported host types
+   * @returns {string[]} Host types
+   */
+  static getSupportedTypes() {
+    return ['github', 'github-enterprise', 'generic'];
+  }
+}
+
+module.exports = { GitHostProviderFactory };
@@ -252,22 +252,26 @@ class UnixProcessInspector {
   }
 
   /**
-   * Kill a process
+   * Kill a process and its children. Processes started detached lead their own process
+   * group, so the whole group is signalled; other processes are signalled alone.
    * @param {number} pid - Process ID to kill
+   * @param {string} [signal='SIGKILL'] - Signal to send
    * @returns {Promise<boolean>} Whether the process was killed successfully
    */
-  static async killProcess(pid) {
-    return new Promise((resolve) => {
-      const kill = spawn('kill', ['-9', pid.toString()]);
-      
-      kill.on('close', (code) => {
-        resolve(code === 0);
-      });
-      
-      kill.on('error', () => {
-        resolve(false);
-      });
-    });
+  static async killProcess(pid, signal = 'SIGKILL') {
+    try {
+      process.kill(-pid, signal);
+      return true;
+    } catch (error) {
+      // Not a process group leader; fall back to the single process
+    }
+
+    try {
+      process.kill(pid, signal);
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 }
 
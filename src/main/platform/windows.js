@@ -201,13 +201,13 @@ class WindowsProcessInspector {
   }
 
   /**
-   * Kill a process
+   * Kill a process and its children
    * @param {number} pid - Process ID to kill
    * @returns {Promise<boolean>} Whether the process was killed successfully
    */
   static async killProcess(pid) {
     return new Promise((resolve) => {
-      const taskkill = spawn('taskkill', ['/pid', pid.toString(), '/f']);
+      const taskkill = spawn('taskkill', ['/pid', pid.toString(), '/t', '/f']);
       
       taskkill.on('close', (code) => {
         resolve(code === 0);
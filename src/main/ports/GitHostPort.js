@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Git host provider port interface
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} GitHostConfig
+ * @property {string} type - Provider type ('github' | 'github-enterprise' | 'generic')
+ * @property {string|null} [baseUrl] - Web URL of the host (e.g. https://ghe.example.com)
+ * @property {string|null} [clientId] - OAuth App Client ID (GitHub Enterprise only)
+ */
+
+/**
+ * @typedef {Object} DeviceFlowConfig
+ * @property {string} clientId - OAuth App Client ID
+ * @property {string[]} scopes - OAuth permissions requested
+ * @property {string} deviceCodeUrl - Device flow endpoint for device code
+ * @property {string} tokenUrl - OAuth token exchange endpoint
+ * @property {string} verificationUri - User verification URL
+ */
+
+/**
+ * @typedef {Object} GitAuth
+ * @property {string} username - HTTP basic username sent by isomorphic-git
+ * @property {string} password - HTTP basic password sent by isomorphic-git
+ */
+
+/**
+ * @typedef {Object} TokenCheck
+ * @property {'valid'|'revoked'|'missing-scopes'|'unknown'} status - Token state ('unknown' when the host could not tell)
+ * @property {string[]} scopes - Scopes granted to the token
+ * @property {string[]} missingScopes - Required scopes the token lacks
+ */
+
+/**
+ * Git Host Port - Abstract interface for sign-in and clone authentication against a Git host
+ * @class
+ * @abstract
+ */
+class GitHostPort {
+  /**
+   * Get the provider configuration stored with each account
+   * @returns {GitHostConfig} Provider configuration
+   * @abstract
+   */
+  toConfig() {
+    throw new Error('toConfig must be implemented by subclass');
+  }
+
+  /**
+   * Get a human readable host name for the UI
+   * @returns {string} Host label
+   * @abstract
+   */
+  getLabel() {
+    throw new Error('getLabel must be implemented by subclass');
+  }
+
+  /**
+   * Whether the host signs in through the OAuth device flow
+   * @returns {boolean} True when getDeviceFlowConfig is available
+   */
+  supportsDeviceFlow() {
+    return false;
+  }
+
+  /**
+   * Get the device flow endpoints and client
+   * @returns {DeviceFlowConfig} Device flow configuration
+   * @abstract
+   */
+  getDeviceFlowConfig() {
+    throw new Error('getDeviceFlowConfig must be implemented by subclass');
+  }
+
+  /**
+   * Whether the host has a REST API for repositories (templates, repository listing)
+   * @returns {boolean} True when createApiClient is available
+   */
+  supportsApi() {
+    return false;
+  }
+
+  /**
+   * Create an authenticated REST API client
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Octokit-compatible client
+   * @abstract
+   */
+  async createApiClient(token) {
+    throw new Error('createApiClient must be implemented by subclass');
+  }
+
+  /**
+   * Get the profile of the user owning a token
+   * @param {string} token - Access token or password
+   * @param {Object} [credentials] - Extra sign-in data (e.g. username for generic hosts)
+   * @returns {Promise<Object>} User information (id, login, name, email, avatar_url)
+   * @abstract
+   */
+  async getUserInfo(token, credentials) {
+    throw new Error('getUserInfo must be implemented by subclass');
+  }
+
+  /**
+   * Build the account ID stored in the users table and in keytar
+   * @param {Object} userInfo - User information returned by getUserInfo
+   * @returns {string} Account ID, unique across hosts
+   * @abstract
+   */
+  getAccountId(userInfo) {
+    throw new Error('getAccountId must be implemented by subclass');
+  }
+
+  /**
+   * Ask the host whether a token still works and carries the scopes the app needs
+   * @param {string} token - Stored token or password
+   * @returns {Promise<TokenCheck>} Token state ('unknown' for hosts without a check)
+   */
+  async verifyToken(token) {
+    return { status: 'unknown', scopes: [], missingScopes: [] };
+  }
+
+  /**
+   * Check whether a token or password has an acceptable format for this host
+   * @param {string} token - Token to validate
+   * @returns {boolean} Whether the token can be stored
+   * @abstract
+   */
+  isValidToken(token) {
+    throw new Error('isValidToken must be implemented by subclass');
+  }
+
+  /**
+   * Build the credentials isomorphic-git sends to the host
+   * @param {string} token - Stored token or password
+   * @param {Object} account - Account the token belongs to (login is the username)
+   * @returns {GitAuth} Clone/fetch/push credentials
+   * @abstract
+   */
+  getGitAuth(token, account) {
+    throw new Error('getGitAuth must be implemented by subclass');
+  }
+}
+
+/**
+ * Normalize the web URL of a self-hosted Git server
+ * @param {string} baseUrl - URL typed by the user (e.g. https://git.example.com/)
+ * @returns {string} HTTPS origin plus path, without trailing slash
+ * @throws {Error} If the URL is not a valid HTTPS URL
+ */
+function normalizeBaseUrl(baseUrl) {
+  let url;
+  try {
+    url = new URL(String(baseUrl || '').trim());
+  } catch (error) {
+    throw new Error(`URL do servidor inválida: ${baseUrl}`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`O servidor deve usar HTTPS: ${baseUrl}`);
+  }
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+module.exports = { GitHostPort, normalizeBaseUrl };
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Free port lookup and port-conflict detection for dev servers
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const net = require('net');
+
+// Astro's default dev server port; other projects get the next free ones
+const DEFAULT_DEV_SERVER_PORT = 4321;
+
+// Ports probed before giving up
+const MAX_PORT_ATTEMPTS = 50;
+
+// Output written by Node, Vite or Astro when the port is already taken
+const ADDRESS_IN_USE_PATTERN = /EADDRINUSE|address already in use|port \d+ is (already )?in use/i;
+
+/**
+ * Check whether a port can be bound on localhost
+ * @param {number} port - Port number
+ * @param {string} [host='localhost'] - Host to bind
+ * @returns {Promise<boolean>} True when nothing listens on the port
+ */
+function isPortAvailable(port, host = 'localhost') {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, host }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+/**
+ * Find the first free port starting at a given one
+ * @param {number} [startPort=DEFAULT_DEV_SERVER_PORT] - First port to try
+ * @param {Object} [options] - Options
+ * @param {number[]} [options.exclude=[]] - Ports to skip even when free
+ * @param {number} [options.maxAttempts=MAX_PORT_ATTEMPTS] - Ports to probe
+ * @param {Function} [options.isAvailable=isPortAvailable] - Port probe
+ * @returns {Promise<number>} Free port
+ */
+async function findAvailablePort(startPort = DEFAULT_DEV_SERVER_PORT, { exclude = [], maxAttempts = MAX_PORT_ATTEMPTS, isAvailable = isPortAvailable } = {}) {
+  for (let port = startPort; port < startPort + maxAttempts && port <= 65535; port++) {
+    if (exclude.includes(port)) {
+      continue;
+    }
+    if (await isAvailable(port)) {
+      return port;
+    }
+  }
+  throw new Error(`Nenhuma porta livre encontrada entre ${startPort} e ${startPort + maxAttempts - 1}`);
+}
+
+/**
+ * Check whether process output reports a port conflict
+ * @param {string} output - stdout/stderr chunk
+ * @returns {boolean} True when the port was already in use
+ */
+function isAddressInUseOutput(output) {
+  return ADDRESS_IN_USE_PATTERN.test(String(output || ''));
+}
+
+module.exports = {
+  DEFAULT_DEV_SERVER_PORT,
+  isPortAvailable,
+  findAvailablePort,
+  isAddressInUseOutput
+};
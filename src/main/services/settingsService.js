@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Application settings service backed by the settings table
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} SettingDefinition
+ * @property {string} type - Value type ('string' | 'boolean' | 'number')
+ * @property {*} default - Default value
+ * @property {string[]} [values] - Allowed values for enumerated settings
+ * @property {RegExp} [pattern] - Pattern the value must match (strings only)
+ * @property {number} [min] - Smallest allowed integer (numbers only)
+ * @property {number} [max] - Largest allowed integer (numbers only)
+ */
+
+/**
+ * Branch names `git check-ref-format --branch` accepts, within letters, digits, '.', '_' and '-':
+ * no leading '-' or '.', no '..', no trailing '.' or '.lock', and not HEAD
+ * @type {RegExp}
+ */
+const BRANCH_NAME_PATTERN = /^(?![-.])(?!.*\.\.)(?!.*\.(lock)?$)(?!HEAD$)[a-zA-Z0-9._-]+$/;
+
+/**
+ * Settings schema, keyed by dotted path (e.g. `notifications.updates`)
+ * @type {Object<string, SettingDefinition>}
+ */
+const SETTINGS_SCHEMA = {
+  theme: { type: 'string', default: 'dark', values: ['dark', 'light', 'system'] },
+  autoUpdate: { type: 'boolean', default: true },
+  defaultView: { type: 'string', default: 'split', values: ['editor', 'view', 'split'] },
+  autoPublish: { type: 'boolean', default: false },
+  autoPublishDelay: { type: 'number', default: 60, min: 15, max: 3600 },
+  defaultBranch: { type: 'string', default: 'preview', pattern: BRANCH_NAME_PATTERN },
+  cacheLevel: { type: 'string', default: 'aggressive', values: ['aggressive', 'normal', 'disabled'] },
+  terminalShell: { type: 'string', default: 'bash', values: ['bash', 'zsh', 'powershell', 'cmd'] },
+  'notifications.updates': { type: 'boolean', default: true },
+  'notifications.publish': { type: 'boolean', default: true },
+  'notifications.errors': { type: 'boolean', default: false }
+};
+
+/**
+ * Settings Service - Typed access to persisted application settings
+ */
+class SettingsService {
+  /**
+   * Create an instance of SettingsService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.databaseManager - Database manager instance
+   */
+  constructor({ logger, databaseManager }) {
+    this.logger = logger;
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Build the nested default settings object
+   * @returns {Object} Default settings
+   */
+  getDefaults() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+      setPath(defaults, key, definition.default);
+    }
+    return defaults;
+  }
+
+  /**
+   * Get all settings, falling back to defaults for missing or invalid rows
+   * @returns {Promise<Object>} Nested settings object
+   */
+  async getAll() {
+    const settings = this.getDefaults();
+    const rows = await this.databaseManager.all('SELECT key, value FROM settings');
+
+    for (const row of rows || []) {
+      const definition = SETTINGS_SCHEMA[row.key];
+      if (!definition) {
+        continue;
+      }
+
+      let value;
+      try {
+        value = JSON.parse(row.value);
+      } catch (error) {
+        this.logger.warn(`⚠️ Ignoring unreadable setting '${row.key}'`);
+        continue;
+      }
+
+      if (this.validateValue(row.key, value)) {
+        this.logger.warn(`⚠️ Ignoring invalid stored value for setting '${row.key}'`);
+        continue;
+      }
+
+      setPath(settings, row.key, value);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get a single setting value
+   * @param {string} key - Dotted setting key
+   * @returns {Promise<*>} Setting value
+   */
+  async get(key) {
+    if (!SETTINGS_SCHEMA[key]) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    const settings = await this.getAll();
+    return getPath(settings, key);
+  }
+
+  /**
+   * Validate a single value against the schema
+   * @param {string} key - Dotted setting key
+   * @param {*} value - Value to validate
+   * @returns {string|null} Error message or null when valid
+   */
+  validateValue(key, value) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition) {
+      return `Configuração desconhecida: ${key}`;
+    }
+    if (typeof value !== definition.type) {
+      return `Valor inválido para ${key}: esperado ${definition.type}`;
+    }
+    if (definition.values && !definition.values.includes(value)) {
+      return `Valor inválido para ${key}: ${value}`;
+    }
+    if (definition.pattern && !definition.pattern.test(value)) {
+      return `Valor inválido para ${key}: ${value}`;
+    }
+    if (definition.type === 'number' && (
+      !Number.isInteger(value) ||
+      (definition.min !== undefined && value < definition.min) ||
+      (definition.max !== undefined && value > definition.max)
+    )) {
+      return `Valor inválido para ${key}: ${value} (entre ${definition.min} e ${definition.max})`;
+    }
+    return null;
+  }
+
+  /**
+   * Persist a partial settings object
+   * @param {Object} partial - Nested object with the settings to change
+   * @returns {Promise<Object>} Updated settings
+   */
+  async set(partial) {
+    const entries = flatten(partial);
+    if (entries.length === 0) {
+      return this.getAll();
+    }
+
+    const errors = entries
+      .map(([key, value]) => this.validateValue(key, value))
+      .filter(Boolean);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    for (const [key, value] of entries) {
+      await this.databaseManager.run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(value)]
+      );
+    }
+
+    this.logger.info(`💾 Saved ${entries.length} setting(s): ${entries.map(([key]) => key).join(', ')}`);
+    return this.getAll();
+  }
+
+  /**
+   * Reset every known setting to its default
+   * @returns {Promise<Object>} Default settings
+   */
+  async reset() {
+    const keys = Object.keys(SETTINGS_SCHEMA);
+    const placeholders = keys.map(() => '?').join(', ');
+    await this.databaseManager.run(`DELETE FROM settings WHERE key IN (${placeholders})`, keys);
+    this.logger.info('🔄 Settings reset to defaults');
+    return this.getDefaults();
+  }
+}
+
+/**
+ * Flatten a nested object into dotted [key, value] pairs
+ * @param {Object} source - Nested object
+ * @param {string} [prefix=''] - Key prefix
+ * @returns {Array<[string, *]>} Flattened entries
+ */
+function flatten(source, prefix = '') {
+  const entries = [];
+  for (const [key, value] of Object.entries(source || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      entries.push(...flatten(value, fullKey));
+    } else {
+      entries.push([fullKey, value]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Set a value on a nested object by dotted path
+ * @param {Object} target - Target object
+ * @param {string} key - Dotted key
+ * @param {*} value - Value to set
+ */
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Read a value from a nested object by dotted path
+ * @param {Object} source - Source object
+ * @param {string} key - Dotted key
+ * @returns {*} Value or undefined
+ */
+function getPath(source, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), source);
+}
+
+module.exports = { SettingsService, SETTINGS_SCHEMA };
@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Line-based three-way merge with field-level front matter merging
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} MergeHunk
+ * @property {'ok'|'conflict'} type - Whether the region merged cleanly
+ * @property {string} [text] - Merged text (ok hunks)
+ * @property {string} [id] - Hunk identifier used by resolutions (conflict hunks)
+ * @property {string} [base] - Common ancestor text (conflict hunks)
+ * @property {string} [ours] - Local text (conflict hunks)
+ * @property {string} [theirs] - Remote text (conflict hunks)
+ */
+
+/**
+ * @typedef {Object} FrontMatterField
+ * @property {string} key - Top-level YAML key ('' for lines before the first key)
+ * @property {'ok'|'conflict'} type - Whether the field merged cleanly
+ * @property {string|null} [text] - Merged field text, null when removed (ok fields)
+ * @property {string|null} [base] - Common ancestor field text (conflict fields)
+ * @property {string|null} [ours] - Local field text (conflict fields)
+ * @property {string|null} [theirs] - Remote field text (conflict fields)
+ */
+
+/**
+ * @typedef {Object} MergedDocument
+ * @property {boolean} clean - True when nothing needs user input
+ * @property {FrontMatterField[]|null} frontMatter - Field merge, null when not merged field by field
+ * @property {MergeHunk[]} hunks - Body merge
+ */
+
+// Above this many LCS cells the changed region is treated as a single hunk
+const MAX_LCS_CELLS = 4000000;
+
+const MARKDOWN_EXTENSIONS = ['.md', '.mdx', '.markdown'];
+
+/**
+ * Split text into lines, keeping line terminators
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Compute the changed regions between two line arrays
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Changed lines
+ * @returns {Array<{aStart: number, aEnd: number, bStart: number, bEnd: number}>} Hunks
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const aMid = a.slice(prefix, a.length - suffix);
+  const bMid = b.slice(prefix, b.length - suffix);
+  const n = aMid.length;
+  const m = bMid.length;
+
+  if (n === 0 && m === 0) {
+    return [];
+  }
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return [{ aStart: prefix, aEnd: prefix + n, bStart: prefix, bEnd: prefix + m }];
+  }
+
+  // lengths[i][j] = LCS length of aMid[i..] and bMid[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = aMid[i] === bMid[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  let hunkA = 0;
+  let hunkB = 0;
+  const flush = () => {
+    if (hunkA < i || hunkB < j) {
+      hunks.push({ aStart: prefix + hunkA, aEnd: prefix + i, bStart: prefix + hunkB, bEnd: prefix + j });
+    }
+  };
+
+  while (i < n && j < m) {
+    if (aMid[i] === bMid[j]) {
+      flush();
+      i++;
+      j++;
+      hunkA = i;
+      hunkB = j;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  i = n;
+  j = m;
+  flush();
+
+  return hunks;
+}
+
+/**
+ * Apply one side's hunks to a region of the base
+ * @param {string[]} base - Base lines
+ * @param {number} lo - Region start in base
+ * @param {number} hi - Region end in base
+ * @param {Array<{oStart: number, oEnd: number, lines: string[]}>} hunks - That side's hunks inside the region
+ * @returns {string[]} Region content on that side
+ */
+function applyHunks(base, lo, hi, hunks) {
+  const result = [];
+  let pos = lo;
+  for (const hunk of hunks) {
+    result.push(...base.slice(pos, hunk.oStart), ...hunk.lines);
+    pos = hunk.oEnd;
+  }
+  result.push(...base.slice(pos, hi));
+  return result;
+}
+
+/**
+ * Three-way merge of plain text, line by line
+ * @param {string} baseText - Common ancestor
+ * @param {string} oursText - Local version
+ * @param {string} theirsText - Remote version
+ * @returns {{clean: boolean, hunks: MergeHunk[]}} Merge result
+ */
+function mergeText(baseText, oursText, theirsText) {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+
+  const tag = (side, lines) => hunk => ({
+    side,
+    oStart: hunk.aStart,
+    oEnd: hunk.aEnd,
+    lines: lines.slice(hunk.bStart, hunk.bEnd)
+  });
+  const changes = [
+    ...diffLines(base, ours).map(tag('ours', ours)),
+    ...diffLines(base, theirs).map(tag('theirs', theirs))
+  ].sort((x, y) => x.oStart - y.oStart || x.oEnd - y.oEnd);
+
+  const hunks = [];
+  const pushText = (lines) => {
+    if (lines.length === 0) {
+      return;
+    }
+    const text = lines.join('');
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === 'ok') {
+      last.text += text;
+    } else {
+      hunks.push({ type: 'ok', text });
+    }
+  };
+
+  let pos = 0;
+  let conflictCount = 0;
+  let index = 0;
+  while (index < changes.length) {
+    const group = [changes[index]];
+    let lo = changes[index].oStart;
+    let hi = changes[index].oEnd;
+    index++;
+    // Overlapping or touching edits from either side form one region, as git does
+    while (index < changes.length && changes[index].oStart <= hi) {
+      hi = Math.max(hi, changes[index].oEnd);
+      lo = Math.min(lo, changes[index].oStart);
+      group.push(changes[index]);
+      index++;
+    }
+
+    pushText(base.slice(pos, lo));
+
+    const oursHunks = group.filter(change => change.side === 'ours');
+    const theirsHunks = group.filter(change => change.side === 'theirs');
+    const oursLines = applyHunks(base, lo, hi, oursHunks);
+    const theirsLines = applyHunks(base, lo, hi, theirsHunks);
+
+    if (theirsHunks.length === 0) {
+      pushText(oursLines);
+    } else if (oursHunks.length === 0) {
+      pushText(theirsLines);
+    } else if (oursLines.join('') === theirsLines.join('')) {
+      pushText(oursLines);
+    } else {
+      hunks.push({
+        type: 'conflict',
+        id: `h${conflictCount++}`,
+        base: base.slice(lo, hi).join(''),
+        ours: oursLines.join(''),
+        theirs: theirsLines.join('')
+      });
+    }
+    pos = hi;
+  }
+  pushText(base.slice(pos));
+
+  return { clean: conflictCount === 0, hunks };
+}
+
+/**
+ * Split a markdown document into front matter and body
+ * @param {string} text - Document text
+ * @returns {{frontMatter: string|null, body: string}} Parts (frontMatter excludes the delimiters)
+ */
+function splitFrontMatter(text) {
+  const match = /^---[ \t]*\r?\n([\s\S]*?\r?\n)?---[ \t]*(\r?\n|$)/.exec(text || '');
+  if (!match) {
+    return { frontMatter: null, body: text || '' };
+  }
+  return { frontMatter: match[1] || '', body: text.slice(match[0].length) };
+}
+
+/**
+ * Group front matter lines by top-level key
+ * @param {string} frontMatter - Front matter without delimiters
+ * @returns {Map<string, string>} Field text keyed by key, in document order
+ */
+function parseFrontMatterFields(frontMatter) {
+  const fields = new Map();
+  let currentKey = '';
+  for (const line of splitLines(frontMatter)) {
+    const keyMatch = /^([^\s#:-][^:]*?)\s*:(\s|$)/.exec(line);
+    if (keyMatch) {
+      currentKey = keyMatch[1].replace(/^['"]|['"]$/g, '');
+      fields.set(currentKey, line);
+    } else {
+      fields.set(currentKey, (fields.get(currentKey) || '') + line);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Merge front matter field by field
+ * @param {string} baseText - Common ancestor front matter
+ * @param {string} oursText - Local front matter
+ * @param {string} theirsText - Remote front matter
+ * @returns {{clean: boolean, fields: FrontMatterField[]}} Merge result
+ */
+function mergeFrontMatter(baseText, oursText, theirsText) {
+  const base = parseFrontMatterFields(baseText);
+  const ours = parseFrontMatterFields(oursText);
+  const theirs = parseFrontMatterFields(theirsText);
+
+  const keys = [...ours.keys()];
+  for (const key of theirs.keys()) {
+    if (!ours.has(key)) {
+      keys.push(key);
+    }
+  }
+  for (const key of base.keys()) {
+    if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+
+  let clean = true;
+  const fields = keys.map(key => {
+    const b = base.has(key) ? base.get(key) : null;
+    const o = ours.has(key) ? ours.get(key) : null;
+    const t = theirs.has(key) ? theirs.get(key) : null;
+
+    if (o === t) {
+      return { key, type: 'ok', text: o };
+    }
+    if (o === b) {
+      return { key, type: 'ok', text: t };
+    }
+    if (t === b) {
+      return { key, type: 'ok', text: o };
+    }
+    clean = false;
+    return { key, type: 'conflict', base: b, ours: o, theirs: t };
+  });
+
+  return { clean, fields };
+}
+
+/**
+ * Check whether a path is a markdown document
+ * @param {string} filepath - File path
+ * @returns {boolean} True for markdown extensions
+ */
+function isMarkdownPath(filepath) {
+  const lower = String(filepath).toLowerCase();
+  return MARKDOWN_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Three-way merge of a document, merging markdown front matter field by field
+ * @param {string} filepath - File path (decides markdown handling)
+ * @param {string} baseText - Common ancestor ('' when the file is new on both sides)
+ * @param {string} oursText - Local version
+ * @param {string} theirsText - Remote version
+ * @returns {MergedDocument} Merge result
+ */
+function mergeDocument(filepath, baseText, oursText, theirsText) {
+  if (isMarkdownPath(filepath)) {
+    const base = splitFrontMatter(baseText);
+    const ours = splitFrontMatter(oursText);
+    const theirs = splitFrontMatter(theirsText);
+
+    if (ours.frontMatter !== null && theirs.frontMatter !== null) {
+      const frontMatter = mergeFrontMatter(base.frontMatter || '', ours.frontMatter, theirs.frontMatter);
+      const body = mergeText(base.body, ours.body, theirs.body);
+      return {
+        clean: frontMatter.clean && body.clean,
+        frontMatter: frontMatter.fields,
+        hunks: body.hunks
+      };
+    }
+  }
+
+  const merged = mergeText(baseText, oursText, theirsText);
+  return { clean: merged.clean, frontMatter: null, hunks: merged.hunks };
+}
+
+/**
+ * Pick the text for a resolved side
+ * @param {Object} conflict - Conflict hunk or field
+ * @param {string} choice - 'ours' | 'theirs' | 'base' | 'both'
+ * @param {string} label - Label used in error messages
+ * @returns {string|null} Chosen text
+ */
+function pickSide(conflict, choice, label) {
+  switch (choice) {
+    case 'ours':
+      return conflict.ours;
+    case 'theirs':
+      return conflict.theirs;
+    case 'base':
+      return conflict.base;
+    case 'both':
+      return (conflict.ours || '') + (conflict.theirs || '');
+    default:
+      throw new Error(`Conflito não resolvido: ${label}`);
+  }
+}
+
+/**
+ * Build the final text of a merged document from the user's choices
+ * @param {MergedDocument} document - Result of mergeDocument
+ * @param {Object} [resolution] - User choices
+ * @param {Object<string, string>} [resolution.hunks] - Choice per conflict hunk id
+ * @param {Object<string, string>} [resolution.fields] - Choice per conflicting front matter key
+ * @returns {string} Resolved text
+ */
+function resolveDocument(document, resolution = {}) {
+  const hunkChoices = resolution.hunks || {};
+  const fieldChoices = resolution.fields || {};
+
+  const body = document.hunks
+    .map(hunk => (hunk.type === 'ok' ? hunk.text : pickSide(hunk, hunkChoices[hunk.id], `trecho ${hunk.id}`)))
+    .join('');
+
+  if (!document.frontMatter) {
+    return body;
+  }
+
+  const frontMatter = document.frontMatter
+    .map(field => {
+      const text = field.type === 'ok'
+        ? field.text
+        : pickSide(field, fieldChoices[field.key], `campo '${field.key}'`);
+      if (text && !text.endsWith('\n')) {
+        return `${text}\n`;
+      }
+      return text || '';
+    })
+    .join('');
+
+  return `---\n${frontMatter}---\n${body}`;
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  mergeText,
+  splitFrontMatter,
+  mergeFrontMatter,
+  mergeDocument,
+  resolveDocument,
+  isMarkdownPath
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Preload script for the site preview BrowserView
+ * Finds the CMS entry of the previewed page and offers to open it in the editor,
+ * and follows the editor's cursor in split view (scroll sync)
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+const { ipcRenderer } = require('electron');
+
+const OVERLAY_ID = 'documental-edit-overlay';
+
+// Latest lookup; older answers are dropped when the page changed meanwhile
+let lookup = 0;
+
+/**
+ * Remove the "edit this page" overlay
+ */
+const removeOverlay = () => {
+  const overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) {
+    overlay.remove();
+  }
+};
+
+/**
+ * Show the "edit this page" overlay; a shadow root keeps the site's CSS out of it
+ * @param {Object} entry - Entry resolved by the main process
+ */
+const showOverlay = (entry) => {
+  removeOverlay();
+  const host = document.createElement('div');
+  host.id = OVERLAY_ID;
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = `
+    button {
+      position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+      padding: 8px 14px; border: 0; border-radius: 9999px; cursor: pointer;
+      font: 500 13px/1.2 system-ui, sans-serif; color: #fff; background: #2563eb;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25); opacity: 0.85;
+    }
+    button:hover { opacity: 1; }
+  `;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = '✏️ Editar esta página';
+  button.title = `${entry.collection} / ${entry.entry}`;
+  button.addEventListener('click', () => {
+    ipcRenderer.send('preview:open-entry', location.href);
+  });
+  shadow.append(style, button);
+  document.body.appendChild(host);
+};
+
+/**
+ * Ask the main process which entry renders the current page
+ */
+const refreshOverlay = async () => {
+  if (!document.body) {
+    return;
+  }
+  const current = ++lookup;
+  try {
+    const entry = await ipcRenderer.invoke('preview:resolve-entry', location.href);
+    if (current !== lookup) {
+      return;
+    }
+    if (entry) {
+      showOverlay(entry);
+    } else {
+      removeOverlay();
+    }
+  } catch (error) {
+    console.warn('[Preview] Could not resolve the CMS entry:', error.message);
+  }
+};
+
+/**
+ * Heading ID as generated by Astro's Markdown pipeline (github-slugger)
+ * @param {string} text - Heading text
+ * @returns {string} Slug
+ */
+const slugify = (text) => text
+  .trim()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+  .replace(/ /g, '-');
+
+/**
+ * Find the rendered heading the editor cursor is below
+ * @param {string} text - Heading text
+ * @param {number} occurrence - Index among headings with the same text
+ * @returns {Element|null} Heading element
+ */
+const findHeading = (text, occurrence) => {
+  const id = slugify(text);
+  const anchor = document.getElementById(occurrence ? `${id}-${occurrence}` : id);
+  if (anchor) {
+    return anchor.closest('h1, h2, h3, h4, h5, h6') || anchor;
+  }
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(heading => heading.textContent.trim() === text);
+  return headings[occurrence] || headings[0] || null;
+};
+
+/**
+ * Find the rendered block matching the editor position
+ * @param {Object} position - Position reported by the editor
+ * @returns {Element|null} Block element
+ */
+const findBlock = (position) => {
+  if (position.heading) {
+    let block = findHeading(position.heading, position.headingOccurrence || 0);
+    // Themes such as Starlight wrap headings with their anchor link; walk from the wrapper
+    while (block && !block.nextElementSibling && block.parentElement && block.parentElement.children.length <= 2 &&
+           block.parentElement !== document.body) {
+      block = block.parentElement;
+    }
+    for (let i = 0; block && i < position.blockIndex; i++) {
+      block = block.nextElementSibling || block;
+    }
+    return block;
+  }
+  // Above the first heading: count blocks from the start of the rendered Markdown
+  const paragraph = document.querySelector('article p, main p');
+  const container = paragraph && paragraph.parentElement;
+  return container ? container.children[Math.min(position.blockIndex, container.children.length - 1)] || null : null;
+};
+
+// Latest position, applied on the next frame
+let pendingPosition = null;
+
+/**
+ * Scroll the page to the editor position
+ */
+const applyScrollPosition = () => {
+  const position = pendingPosition;
+  pendingPosition = null;
+  if (!position || !document.body) {
+    return;
+  }
+  const block = findBlock(position);
+  if (block) {
+    block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
+  }
+  const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+  window.scrollTo({ top: Math.max(0, scrollable * position.ratio), behavior: 'smooth' });
+};
+
+ipcRenderer.on('preview:scroll-to', (event, position) => {
+  if (!pendingPosition) {
+    requestAnimationFrame(applyScrollPosition);
+  }
+  pendingPosition = position;
+});
+
+window.addEventListener('DOMContentLoaded', refreshOverlay);
+// Astro view transitions and other client-side routers swap pages without reloading
+document.addEventListener('astro:page-load', refreshOverlay);
+window.addEventListener('popstate', refreshOverlay);
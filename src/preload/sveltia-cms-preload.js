@@ -12,7 +12,8 @@ const CONFIG = {
   SELECTOR: 'section[data-key-path="slug"] input',
   MAX_POLLING_ATTEMPTS: 15,
   BASE_POLLING_INTERVAL: 150, // ms
-  EDIT_PAGE_PATTERN: /#\/collections\/[^/]+\/entries\/[^/]+/
+  EDIT_PAGE_PATTERN: /#\/collections\/[^/]+\/entries\/[^/]+/,
+  POSITION_DEBOUNCE: 200 // ms
 };
 
 // State
@@ -78,7 +79,9 @@ const checkAndSendSlugChange = (trigger) => {
   // Comparar com initial slug
   if (initialSlug && currentSlug !== initialSlug) {
     log(`✅ Slug CHANGED from "${initialSlug}" to "${currentSlug}" (${trigger})`);
-    const sent = sendSlugToMain('cms:slug-changed', currentSlug);
+    // The route may still name the entry after the old slug; route by the new one instead
+    const route = getEntryRoute();
+    const sent = sendSlugToMain('cms:slug-changed', currentSlug, route && { collection: route.collection });
     if (sent) {
       slugChangeSent = true;
       lastExtractedSlug = currentSlug;
@@ -224,20 +227,37 @@ const isEditPage = () => {
   return isEdit;
 };
 
+/**
+ * Get the collection and entry of the edit page from the Sveltia route
+ * @returns {{collection: string, entry: string}|null} Route, or null outside edit pages
+ */
+const getEntryRoute = () => {
+  const match = window.location.hash.match(/^#\/collections\/([^/]+)\/entries\/([^?]+)/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return { collection: decodeURIComponent(match[1]), entry: decodeURIComponent(match[2]) };
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Send IPC message with slug to main process
  * @param {string} channel - IPC channel name
  * @param {string} slug - Slug value
+ * @param {Object|null} [route] - Collection and entry, so the main process can route the preview
  * @returns {boolean} True if message was sent
  */
-const sendSlugToMain = (channel, slug) => {
+const sendSlugToMain = (channel, slug, route = getEntryRoute()) => {
   try {
     if (!slug || typeof slug !== 'string' || slug.trim() === '') {
       log(`Invalid slug for ${channel}: "${slug}"`, 'warn');
       return false;
     }
     
-    ipcRenderer.send(channel, slug.trim());
+    ipcRenderer.send(channel, slug.trim(), route);
     log(`Sent IPC "${channel}" with slug: "${slug}"`);
     return true;
   } catch (error) {
@@ -351,6 +371,155 @@ window.addEventListener('load', () => {
   }
 });
 
+// Editor position (scroll sync with the preview)
+let positionTimeout = null;
+let lastPosition = null;
+
+/**
+ * Strip inline Markdown from a heading so it matches the rendered text
+ * @param {string} text - Heading source
+ * @returns {string} Plain heading text
+ */
+const plainHeadingText = (text) => text
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_`~]/g, '')
+  .replace(/\s+#+\s*$/, '')
+  .trim();
+
+/**
+ * Count a heading among the earlier headings with the same text
+ * @param {Object<string, number>} seen - Occurrences so far, by text
+ * @param {string} heading - Heading text
+ * @returns {number} 0 for the first heading with this text, 1 for the second...
+ */
+const countHeading = (seen, heading) => {
+  seen[heading] = heading in seen ? seen[heading] + 1 : 0;
+  return seen[heading];
+};
+
+/**
+ * Position of the cursor in raw Markdown
+ * @param {string} text - Field value
+ * @param {number} offset - Cursor offset
+ * @returns {Object} Nearest heading above the cursor and the block index below it
+ */
+const getMarkdownPosition = (text, offset) => {
+  const seen = {};
+  let heading = null;
+  let headingOccurrence = 0;
+  let blockIndex = -1;
+  let inBlock = false;
+  let inFence = false;
+
+  for (const line of text.slice(0, offset).split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      if (!inFence && !inBlock) {
+        blockIndex += 1;
+        inBlock = true;
+      }
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      continue;
+    }
+    const match = line.match(/^#{1,6}\s+(.*)$/);
+    if (match) {
+      heading = plainHeadingText(match[1]);
+      headingOccurrence = countHeading(seen, heading);
+      blockIndex = 0;
+      inBlock = false;
+    } else if (line.trim() === '') {
+      inBlock = false;
+    } else if (!inBlock) {
+      blockIndex += 1;
+      inBlock = true;
+    }
+  }
+
+  return { heading, headingOccurrence, blockIndex: Math.max(blockIndex, 0), ratio: text.length ? offset / text.length : 0 };
+};
+
+/**
+ * Position of the cursor in the rich text editor
+ * @param {Element} root - Editable root
+ * @param {Node} node - Node holding the cursor
+ * @returns {Object|null} Nearest heading above the cursor and the block index below it
+ */
+const getRichTextPosition = (root, node) => {
+  let block = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  while (block && block.parentElement !== root) {
+    block = block.parentElement;
+  }
+  if (!block) {
+    return null;
+  }
+
+  const blocks = Array.from(root.children);
+  const seen = {};
+  let heading = null;
+  let headingOccurrence = 0;
+  let blockIndex = -1;
+  for (const candidate of blocks.slice(0, blocks.indexOf(block) + 1)) {
+    if (/^H[1-6]$/.test(candidate.tagName)) {
+      heading = candidate.textContent.trim();
+      headingOccurrence = countHeading(seen, heading);
+      blockIndex = 0;
+    } else {
+      blockIndex += 1;
+    }
+  }
+
+  return { heading, headingOccurrence, blockIndex: Math.max(blockIndex, 0), ratio: blocks.length ? blocks.indexOf(block) / blocks.length : 0 };
+};
+
+/**
+ * Position of the cursor in the focused Markdown field
+ * @returns {Object|null} Position, or null when no multiline field has focus
+ */
+const getEditorPosition = () => {
+  const active = document.activeElement;
+  if (!active || !isEditPage()) {
+    return null;
+  }
+  const section = active.closest('section[data-key-path]');
+  const keyPath = section ? section.getAttribute('data-key-path') : null;
+
+  if (active.tagName === 'TEXTAREA') {
+    return { keyPath, ...getMarkdownPosition(active.value, active.selectionStart || 0) };
+  }
+  if (active.isContentEditable) {
+    const root = active.closest('[contenteditable="true"]');
+    const selection = document.getSelection();
+    const position = root && selection && selection.rangeCount ? getRichTextPosition(root, selection.anchorNode) : null;
+    return position ? { keyPath, ...position } : null;
+  }
+  return null;
+};
+
+/**
+ * Report the editor position to the main process, debounced while the user types or moves
+ */
+const schedulePositionReport = () => {
+  clearTimeout(positionTimeout);
+  positionTimeout = setTimeout(() => {
+    const position = getEditorPosition();
+    if (!position) {
+      return;
+    }
+    const key = JSON.stringify(position);
+    if (key === lastPosition) {
+      return;
+    }
+    lastPosition = key;
+    ipcRenderer.send('cms:editor-position', position);
+  }, CONFIG.POSITION_DEBOUNCE);
+};
+
+document.addEventListener('selectionchange', schedulePositionReport);
+document.addEventListener('keyup', schedulePositionReport, true);
+document.addEventListener('focusin', schedulePositionReport, true);
+
 // Register Sveltia CMS postSave event listener
 let postSaveRegistered = false;
 
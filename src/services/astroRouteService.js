@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Reads the file-based routes of an Astro site (src/pages) and fills them for content entries
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Astro pages directory
+const PAGES_DIR = 'src/pages';
+// Page files that render HTML routes (endpoints such as .js/.ts are left out)
+const PAGE_EXTENSIONS = ['.astro', '.md', '.mdx', '.markdown', '.html'];
+
+/**
+ * @typedef {Object} AstroRoute
+ * @property {string} file - Repository-relative page file
+ * @property {Array<{static?: string, param?: string, rest?: boolean}>} segments - Route segments
+ * @property {string[]} params - Parameter names, in order
+ * @property {string[]} collections - Content collections the page loads with getCollection()
+ * @property {boolean} usesSlug - Whether the page builds its params from entry.slug
+ */
+
+/**
+ * Parse the route of a page file
+ * @param {string} relativePath - Page path relative to src/pages, e.g. 'blog/[...slug].astro'
+ * @returns {{segments: Array, params: string[]}} Route segments and parameter names
+ */
+function parseRoute(relativePath) {
+  const withoutExtension = relativePath.replace(/\.[^./]+$/, '');
+  const parts = withoutExtension.split('/').filter(Boolean);
+  if (parts[parts.length - 1] === 'index') {
+    parts.pop();
+  }
+  const segments = parts.map(part => {
+    const dynamic = part.match(/^\[(\.\.\.)?([^\]]+)\]$/);
+    return dynamic ? { param: dynamic[2], rest: Boolean(dynamic[1]) } : { static: part };
+  });
+  return { segments, params: segments.filter(segment => segment.param).map(segment => segment.param) };
+}
+
+/**
+ * Build the URL path of a route
+ * @param {AstroRoute} route - Route
+ * @param {Object<string, string>} values - Parameter values
+ * @returns {string|null} Path such as '/blog/hello/', or null when a value does not fit its segment
+ */
+function fillRoute(route, values) {
+  const parts = [];
+  for (const segment of route.segments) {
+    if (segment.static !== undefined) {
+      parts.push(segment.static);
+      continue;
+    }
+    const value = values[segment.param];
+    if (value === undefined || value === null) {
+      return null;
+    }
+    // [param] matches a single segment; [...param] any number, including none
+    if (!segment.rest && (value === '' || String(value).includes('/'))) {
+      return null;
+    }
+    if (value !== '') {
+      parts.push(String(value));
+    }
+  }
+  return parts.length ? `/${parts.join('/')}/` : '/';
+}
+
+/**
+ * Astro Route Service - lists the pages of an Astro site
+ */
+class AstroRouteService {
+  /**
+   * Create an instance of AstroRouteService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.fs] - filesystem module
+   */
+  constructor({ logger, fs = require('fs') }) {
+    this.logger = logger;
+    this.fs = fs;
+  }
+
+  /**
+   * List the page files below a directory
+   * @param {string} root - Absolute src/pages directory
+   * @param {string} [relative] - Directory relative to root
+   * @returns {Promise<string[]>} Page paths relative to root
+   * @private
+   */
+  async _listPages(root, relative = '') {
+    let entries;
+    try {
+      entries = await this.fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+    const pages = [];
+    for (const entry of entries) {
+      // Astro ignores files and directories starting with an underscore
+      if (entry.name.startsWith('_')) {
+        continue;
+      }
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        pages.push(...await this._listPages(root, entryPath));
+      } else if (PAGE_EXTENSIONS.includes(path.extname(entry.name))) {
+        pages.push(entryPath);
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * Read the routes of an Astro site
+   * @param {string} dir - Repository directory
+   * @returns {Promise<AstroRoute[]>} Routes, static ones first and catch-all ones last (Astro's priority)
+   */
+  async readRoutes(dir) {
+    const root = path.join(dir, PAGES_DIR);
+    const routes = [];
+    for (const page of await this._listPages(root)) {
+      const { segments, params } = parseRoute(page);
+      let collections = [];
+      let usesSlug = false;
+      if (params.length && page.endsWith('.astro')) {
+        const source = await this.fs.promises.readFile(path.join(root, page), 'utf8').catch(() => '');
+        collections = [...source.matchAll(/getCollection\(\s*['"`]([^'"`]+)['"`]/g)].map(match => match[1]);
+        usesSlug = /params\s*:\s*\{[^}]*\.slug\b/.test(source);
+      }
+      routes.push({ file: `${PAGES_DIR}/${page}`, segments, params, collections, usesSlug });
+    }
+
+    const rank = route => route.segments.reduce((score, segment) => score + (segment.rest ? 100 : segment.param ? 10 : 0), 0);
+    return routes.sort((a, b) => rank(a) - rank(b) || b.segments.length - a.segments.length);
+  }
+}
+
+module.exports = { AstroRouteService, parseRoute, fillRoute, PAGES_DIR };
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Clone depth chosen for each project, applied to its clone
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * Commits cloned when the project does not say otherwise (what every clone used before the option existed)
+ * @type {number}
+ */
+const DEFAULT_CLONE_DEPTH = 10;
+
+/**
+ * Stored depth of a project that keeps the full history
+ * @type {number}
+ */
+const FULL_HISTORY = 0;
+
+/**
+ * Normalize a stored or submitted clone depth
+ * @param {number|string|null|undefined} value - Depth (0 for full history, empty for the default)
+ * @returns {number} Positive depth, or FULL_HISTORY
+ */
+function normalizeCloneDepth(value) {
+  if (value === null || value === undefined || value === '') {
+    return DEFAULT_CLONE_DEPTH;
+  }
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 0) {
+    return DEFAULT_CLONE_DEPTH;
+  }
+  return depth;
+}
+
+/**
+ * isomorphic-git clone/fetch options for a clone depth
+ * @param {number} cloneDepth - Normalized depth
+ * @returns {{depth?: number}} Options to spread into git.clone or git.fetch
+ */
+function depthOptions(cloneDepth) {
+  return cloneDepth === FULL_HISTORY ? {} : { depth: cloneDepth };
+}
+
+/**
+ * Clone Depth Service - reads the clone depth stored on projects
+ */
+class CloneDepthService {
+  /**
+   * Create an instance of CloneDepthService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.databaseManager - Database manager instance
+   */
+  constructor({ logger, databaseManager }) {
+    this.logger = logger;
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Get the clone depth of a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<number>} Depth, or FULL_HISTORY
+   */
+  async getForProject(projectId) {
+    const row = await this.databaseManager.get('SELECT cloneDepth FROM projects WHERE id = ?', [projectId]);
+    return normalizeCloneDepth(row ? row.cloneDepth : null);
+  }
+}
+
+module.exports = { CloneDepthService, DEFAULT_CLONE_DEPTH, FULL_HISTORY, normalizeCloneDepth, depthOptions };
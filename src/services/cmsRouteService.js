@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Maps Sveltia CMS entries to the preview URLs that render them and back,
+ * using the collections of the site's CMS config.yml, its Astro routes and the project's URL templates
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const YAML = require('yaml');
+const { AstroRouteService, parseRoute, fillRoute, PAGES_DIR } = require('./astroRouteService');
+
+// CMS configs checked, in order
+const CMS_CONFIG_PATHS = ['public/admin/config.yml', 'public/admin/config.yaml'];
+// Optional project file with per-collection preview URL templates: { "previewUrls": { "posts": "/blog/{{slug}}/" } }
+const PROJECT_CONFIG_PATH = 'documental.config.json';
+// Route parameters that carry the locale of i18n sites, e.g. src/pages/[lang]/[...slug].astro
+const LOCALE_PARAMS = ['lang', 'locale'];
+// Entry file extensions tried for collections that do not set one
+const DEFAULT_EXTENSIONS = ['md', 'mdx', 'markdown'];
+
+/**
+ * @typedef {Object} CmsEntryRef
+ * @property {string} collection - Collection name
+ * @property {string} entry - Entry slug (folder collections) or file name (file collections)
+ * @property {string} filepath - Repository-relative path of the entry file
+ */
+
+/**
+ * Turn a collection preview_path template into a matcher for URL paths
+ * @param {string} template - e.g. 'blog/{{year}}/{{slug}}'
+ * @returns {RegExp} Matcher with slug, filename and dirname groups
+ */
+function previewPathToRegExp(template) {
+  const source = template
+    .replace(/^\/+|\/+$/g, '')
+    .split(/(\{\{[^}]+\}\})/)
+    .map(part => {
+      const placeholder = part.match(/^\{\{\s*([^}\s]+)\s*\}\}$/);
+      if (!placeholder) {
+        return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      }
+      if (['slug', 'filename'].includes(placeholder[1])) {
+        return `(?<${placeholder[1]}>[^/]+)`;
+      }
+      if (placeholder[1] === 'dirname') {
+        return '(?<dirname>.+?)';
+      }
+      return '[^/]+';
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalize the path of a preview URL
+ * @param {string} url - Preview URL
+ * @returns {string} Path without surrounding slashes or a trailing index.html
+ */
+function previewPathOf(url) {
+  const { pathname } = new URL(url);
+  return decodeURIComponent(pathname)
+    .replace(/(^|\/)index\.html?$/, '')
+    .replace(/\.html?$/, '')
+    .replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Fill a preview URL template for an entry
+ * @param {string} template - e.g. '/blog/{{year}}/{{slug}}/'
+ * @param {Object<string, *>} values - Placeholder values (slug, filename, dirname, locale, year, fields.title, ...)
+ * @returns {string|null} URL path, or null when a placeholder has no value
+ */
+function fillPreviewTemplate(template, values) {
+  let missing = false;
+  const filled = template.replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (placeholder, name) => {
+    const value = name.startsWith('fields.') ? values.fields && values.fields[name.slice(7)] : values[name];
+    if (value === undefined || value === null || (typeof value === 'object' && !(value instanceof Date))) {
+      missing = true;
+      return '';
+    }
+    return String(value);
+  });
+  if (missing) {
+    return null;
+  }
+  const urlPath = `/${filled}`.replace(/\/{2,}/g, '/');
+  // Directory-style URLs, like the ones Astro builds; keep explicit file names such as /feed.xml
+  return /\.[^/]+$/.test(urlPath) || urlPath.endsWith('/') ? urlPath : `${urlPath}/`;
+}
+
+/**
+ * Locales of a collection, from the top-level i18n config and the collection's own i18n option
+ * @param {Object} config - CMS config
+ * @param {Object} collection - Collection config
+ * @returns {{locales: string[], defaultLocale: string, structure: string}|null} i18n settings, or null when not translated
+ */
+function collectionI18n(config, collection) {
+  const i18n = config && config.i18n;
+  if (!i18n || !collection.i18n || !Array.isArray(i18n.locales) || !i18n.locales.length) {
+    return null;
+  }
+  const options = typeof collection.i18n === 'object' ? { ...i18n, ...collection.i18n } : i18n;
+  const locales = Array.isArray(options.locales) && options.locales.length ? options.locales : i18n.locales;
+  return {
+    locales,
+    defaultLocale: locales.includes(options.default_locale) ? options.default_locale : locales[0],
+    structure: options.structure || 'multiple_folders'
+  };
+}
+
+/**
+ * CMS Route Service - reads the CMS collections of a site and resolves preview pages to entries
+ */
+class CmsRouteService {
+  /**
+   * Create an instance of CmsRouteService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} [dependencies.fs] - filesystem module
+   */
+  constructor({ logger, fs = require('fs') }) {
+    this.logger = logger;
+    this.fs = fs;
+    this.astroRoutes = new AstroRouteService({ logger, fs });
+  }
+
+  /**
+   * Read and parse the CMS config of a site
+   * @param {string} dir - Repository directory
+   * @returns {Promise<Object|null>} Parsed config, or null when the site has none
+   */
+  async readConfig(dir) {
+    for (const configPath of CMS_CONFIG_PATHS) {
+      let yaml;
+      try {
+        yaml = await this.fs.promises.readFile(path.join(dir, configPath), 'utf8');
+      } catch (error) {
+        continue;
+      }
+      try {
+        return YAML.parse(yaml) || {};
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not parse ${configPath}:`, error.message);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the project's preview URL templates
+   * @param {string} dir - Repository directory
+   * @returns {Promise<Object<string, string>>} URL template per collection name (or 'collection/file' for file collections)
+   */
+  async readPreviewUrlTemplates(dir) {
+    let json;
+    try {
+      json = await this.fs.promises.readFile(path.join(dir, PROJECT_CONFIG_PATH), 'utf8');
+    } catch (error) {
+      return {};
+    }
+    try {
+      const { previewUrls } = JSON.parse(json) || {};
+      return previewUrls && typeof previewUrls === 'object' ? previewUrls : {};
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not parse ${PROJECT_CONFIG_PATH}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Whether a repository file exists
+   * @param {string} dir - Repository directory
+   * @param {string} filepath - Repository-relative path
+   * @returns {Promise<boolean>} True for regular files
+   * @private
+   */
+  async _isFile(dir, filepath) {
+    try {
+      return (await this.fs.promises.stat(path.join(dir, filepath))).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the entry of a folder collection rendered at a preview path
+   * @param {string} dir - Repository directory
+   * @param {Object} collection - Collection config
+   * @param {string} pagePath - Normalized preview path
+   * @param {string} [template] - Preview URL template of the collection
+   * @returns {Promise<CmsEntryRef|null>} Entry
+   * @private
+   */
+  async _resolveFolderEntry(dir, collection, pagePath, template) {
+    const folder = String(collection.folder).replace(/^\/+|\/+$/g, '');
+    const candidates = [];
+
+    if (template) {
+      const match = pagePath.match(previewPathToRegExp(template));
+      const name = match && (match.groups.slug || match.groups.filename);
+      if (name) {
+        candidates.push(match.groups.dirname ? `${match.groups.dirname}/${name}` : name);
+      }
+    }
+    // Without preview_path, pages usually live at the entry path, optionally under the collection name
+    const [first, ...rest] = pagePath.split('/');
+    if ([collection.name, path.posix.basename(folder)].includes(first)) {
+      candidates.push(rest.join('/'));
+    }
+    candidates.push(pagePath);
+
+    const extensions = collection.extension ? [collection.extension] : DEFAULT_EXTENSIONS;
+    for (const candidate of candidates) {
+      const stems = candidate ? [candidate, `${candidate}/index`] : ['index'];
+      for (const stem of stems) {
+        for (const extension of extensions) {
+          const filepath = `${folder}/${stem}.${extension}`;
+          if (await this._isFile(dir, filepath)) {
+            // Nested collections ({{slug}}/index paths) name entries after their directory
+            const entry = /\/index$/.test(collection.path || '') ? stem.replace(/\/index$/, '') : stem;
+            return { collection: collection.name, entry, filepath };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the CMS entry a preview page renders
+   * @param {string} dir - Repository directory
+   * @param {string} url - Preview URL
+   * @returns {Promise<CmsEntryRef|null>} Entry, or null when no collection matches
+   */
+  async resolveEntry(dir, url) {
+    const config = await this.readConfig(dir);
+    const collections = Array.isArray(config && config.collections) ? config.collections : [];
+    const templates = await this.readPreviewUrlTemplates(dir);
+    const pagePath = previewPathOf(url);
+
+    for (const collection of collections) {
+      if (collection && collection.name && collection.folder) {
+        const template = templates[collection.name] || collection.preview_path;
+        const entry = await this._resolveFolderEntry(dir, collection, pagePath, template);
+        if (entry) {
+          return entry;
+        }
+      }
+    }
+
+    // File collections: single pages such as the home or about page
+    const pageName = pagePath.split('/').pop() || 'index';
+    for (const collection of collections) {
+      for (const file of (collection && Array.isArray(collection.files)) ? collection.files : []) {
+        if (file && file.name && file.file &&
+            path.posix.basename(file.file).replace(/\.[^.]+$/, '') === pageName) {
+          return { collection: collection.name, entry: file.name, filepath: String(file.file).replace(/^\/+/, '') };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the file of a folder collection entry
+   * @param {string} dir - Repository directory
+   * @param {Object} collection - Collection config
+   * @param {string} entry - Entry slug as used in Sveltia routes
+   * @param {Object|null} i18n - Collection i18n settings
+   * @returns {Promise<string|null>} Repository-relative path
+   * @private
+   */
+  async _findEntryFile(dir, collection, entry, i18n) {
+    const folder = String(collection.folder).replace(/^\/+|\/+$/g, '');
+    const extensions = collection.extension ? [collection.extension] : DEFAULT_EXTENSIONS;
+    // Translated entries are stored per locale; the default locale is the one previewed
+    const stems = [entry, `${entry}/index`].flatMap(stem => {
+      if (i18n && i18n.structure === 'multiple_folders') {
+        return [`${i18n.defaultLocale}/${stem}`, stem];
+      }
+      if (i18n && i18n.structure === 'multiple_files') {
+        return [`${stem}.${i18n.defaultLocale}`, stem];
+      }
+      return [stem];
+    });
+    for (const stem of stems) {
+      for (const extension of extensions) {
+        const filepath = `${folder}/${stem}.${extension}`;
+        if (await this._isFile(dir, filepath)) {
+          return filepath;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the front matter of an entry file
+   * @param {string} dir - Repository directory
+   * @param {string} filepath - Repository-relative path
+   * @returns {Promise<Object>} Front matter fields
+   * @private
+   */
+  async _readFrontMatter(dir, filepath) {
+    try {
+      const content = await this.fs.promises.readFile(path.join(dir, filepath), 'utf8');
+      const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+      const fields = match ? YAML.parse(match[1]) : null;
+      return fields && typeof fields === 'object' ? fields : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Find the preview URL path of a CMS entry
+   *
+   * Tried in order: the project's URL template, the collection's preview_path, pages stored
+   * directly in src/pages, and the Astro pages that list the collection with getCollection().
+   * @param {string} dir - Repository directory
+   * @param {Object} route - Entry shown in the editor
+   * @param {string} route.collection - Collection name
+   * @param {string} route.entry - Entry slug (folder collections) or file name (file collections)
+   * @param {string} [route.slug] - Value of the entry's slug field
+   * @returns {Promise<string|null>} Path such as '/blog/hello/', or null when no route was found
+   */
+  async resolvePreviewPath(dir, { collection: collectionName, entry, slug } = {}) {
+    const config = await this.readConfig(dir);
+    const collections = Array.isArray(config && config.collections) ? config.collections : [];
+    const collection = collections.find(candidate => candidate && candidate.name === collectionName);
+    if (!collection || !entry) {
+      return null;
+    }
+    const templates = await this.readPreviewUrlTemplates(dir);
+    const i18n = collectionI18n(config, collection);
+
+    let filepath;
+    let template;
+    let id;
+    if (collection.folder) {
+      filepath = await this._findEntryFile(dir, collection, entry, i18n);
+      template = templates[collection.name] || collection.preview_path;
+      // Astro content IDs: the path inside the collection, without extension or trailing /index
+      id = filepath
+        ? path.posix.relative(String(collection.folder).replace(/^\/+|\/+$/g, ''), filepath).replace(/\.[^./]+$/, '').replace(/\/index$/, '')
+        : entry;
+    } else {
+      const file = (Array.isArray(collection.files) ? collection.files : []).find(candidate => candidate && candidate.name === entry);
+      if (!file || !file.file) {
+        return null;
+      }
+      filepath = String(file.file).replace(/^\/+/, '');
+      template = templates[`${collection.name}/${file.name}`] || file.preview_path || templates[collection.name] || collection.preview_path;
+      id = path.posix.basename(filepath).replace(/\.[^.]+$/, '');
+    }
+
+    const fields = filepath ? await this._readFrontMatter(dir, filepath) : {};
+    const entrySlug = fields.slug || slug || path.posix.basename(id);
+
+    if (template) {
+      const dateValue = fields[collection.preview_path_date_field || 'date'] || fields.pubDate;
+      const date = dateValue ? new Date(dateValue) : null;
+      const validDate = date && !Number.isNaN(date.getTime()) ? date : null;
+      const pad = value => String(value).padStart(2, '0');
+      const relative = filepath && collection.folder
+        ? path.posix.relative(String(collection.folder).replace(/^\/+|\/+$/g, ''), filepath)
+        : filepath || '';
+      const urlPath = fillPreviewTemplate(template, {
+        slug: entrySlug,
+        filename: path.posix.basename(relative).replace(/\.[^.]+$/, ''),
+        extension: path.posix.extname(relative).slice(1),
+        dirname: path.posix.dirname(relative) === '.' ? '' : path.posix.dirname(relative),
+        locale: i18n ? i18n.defaultLocale : undefined,
+        year: validDate ? validDate.getUTCFullYear() : undefined,
+        month: validDate ? pad(validDate.getUTCMonth() + 1) : undefined,
+        day: validDate ? pad(validDate.getUTCDate()) : undefined,
+        fields
+      });
+      if (urlPath) {
+        return urlPath;
+      }
+      this.logger.warn(`⚠️ Preview template "${template}" of ${collection.name}/${entry} has placeholders without values`);
+    }
+
+    // Markdown pages in src/pages are routed by their path
+    if (filepath && filepath.startsWith(`${PAGES_DIR}/`)) {
+      return fillRoute(parseRoute(filepath.slice(PAGES_DIR.length + 1)), {});
+    }
+
+    const routes = await this.astroRoutes.readRoutes(dir);
+    if (collection.folder) {
+      const names = [collection.name, path.posix.basename(String(collection.folder).replace(/\/+$/, ''))];
+      const [first, ...rest] = id.split('/');
+      for (const route of routes.filter(candidate => candidate.collections.some(name => names.includes(name)))) {
+        const value = route.usesSlug && fields.slug ? fields.slug : id;
+        let urlPath = null;
+        if (route.params.length === 1) {
+          urlPath = fillRoute(route, { [route.params[0]]: value });
+        } else if (route.params.length === 2 && LOCALE_PARAMS.includes(route.params[0]) && rest.length &&
+                   (!i18n || i18n.locales.includes(first))) {
+          // Locale folders become the locale segment: en/guides/intro -> /en/guides/intro/
+          urlPath = fillRoute(route, { [route.params[0]]: first, [route.params[1]]: rest.join('/') });
+        }
+        if (urlPath) {
+          return urlPath;
+        }
+      }
+      return null;
+    }
+
+    // Single pages: a static Astro page with the same name, or the home page
+    const wanted = ['index', 'home'].includes(id) ? '/' : `/${id}/`;
+    return routes.some(route => !route.params.length && fillRoute(route, {}) === wanted) ? wanted : null;
+  }
+
+  /**
+   * Sveltia CMS hash route of an entry
+   * @param {CmsEntryRef} entryRef - Entry
+   * @returns {string} Hash such as '#/collections/blog/entries/hello-world'
+   */
+  editorHash(entryRef) {
+    return `#/collections/${encodeURIComponent(entryRef.collection)}/entries/${entryRef.entry.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = { CmsRouteService, previewPathToRegExp, previewPathOf, fillPreviewTemplate, CMS_CONFIG_PATHS, PROJECT_CONFIG_PATH };
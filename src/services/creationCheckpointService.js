@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Per-project checkpoints of the project creation pipeline
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+/**
+ * Pipeline steps whose completion is stored, in pipeline order.
+ * The preview branch check and the dev server are cheap and always run again.
+ * @type {string[]}
+ */
+const CHECKPOINT_STEPS = ['clone', 'install', 'build'];
+
+/**
+ * @typedef {'started'|'done'|'skipped'|'failed'} CheckpointStatus
+ * 'skipped' is a finished clone step of a project that uses an existing repository
+ */
+
+/**
+ * Whether a step finished and can be skipped when the creation is resumed
+ * @param {CheckpointStatus|undefined} status - Stored status
+ * @returns {boolean} Whether the step finished
+ */
+function isStepFinished(status) {
+  return status === 'done' || status === 'skipped';
+}
+
+/**
+ * Creation Checkpoint Service - remembers which creation steps of a project finished
+ */
+class CreationCheckpointService {
+  /**
+   * Create an instance of CreationCheckpointService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.databaseManager - Database manager instance
+   */
+  constructor({ logger, databaseManager }) {
+    this.logger = logger;
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Get the stored checkpoints of a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<Object<string, CheckpointStatus>>} Status by step name (missing steps never started)
+   */
+  async getCheckpoints(projectId) {
+    const rows = await this.databaseManager.all('SELECT step, status FROM project_creation_steps WHERE projectId = ?', [projectId]);
+    return Object.fromEntries(rows.map(row => [row.step, row.status]));
+  }
+
+  /**
+   * Store the status of a step
+   * @param {number|string} projectId - Project ID
+   * @param {string} step - Step name, one of CHECKPOINT_STEPS
+   * @param {CheckpointStatus} status - Step status
+   * @returns {Promise<void>}
+   */
+  async mark(projectId, step, status) {
+    await this.databaseManager.run(
+      `INSERT INTO project_creation_steps (projectId, step, status) VALUES (?, ?, ?)
+       ON CONFLICT(projectId, step) DO UPDATE SET status = excluded.status, updatedAt = CURRENT_TIMESTAMP`,
+      [projectId, step, status]
+    );
+  }
+
+  /**
+   * Forget the checkpoints of a project (its files were removed or it is created again)
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  async clear(projectId) {
+    await this.databaseManager.run('DELETE FROM project_creation_steps WHERE projectId = ?', [projectId]);
+  }
+
+  /**
+   * Whether a project started creating but did not finish every checkpointed step.
+   * Projects created before checkpoints existed have none and count as complete.
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<boolean>} Whether the creation should be resumed
+   */
+  async isIncomplete(projectId) {
+    const checkpoints = await this.getCheckpoints(projectId);
+    return Object.keys(checkpoints).length > 0 && CHECKPOINT_STEPS.some(step => !isStepFinished(checkpoints[step]));
+  }
+}
+
+module.exports = { CreationCheckpointService, CHECKPOINT_STEPS, isStepFinished };
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview GitHub accounts stored side by side, with a default account and per-project choice
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { secureTokenService } = require('./secureTokenService.js');
+const { GitHostProviderFactory } = require('../main/factories/GitHostProviderFactory.js');
+
+// users columns an account is built from
+const ACCOUNT_COLUMNS = 'githubId, login, name, email, avatarUrl, isActive, hostType, hostUrl, hostClientId';
+
+/**
+ * @typedef {Object} GitHubAccount
+ * @property {string} id - GitHub user ID
+ * @property {string} login - GitHub login
+ * @property {string|null} name - Display name
+ * @property {string|null} email - E-mail used in commits
+ * @property {string|null} avatarUrl - Avatar URL
+ * @property {boolean} active - Whether this is the default account
+ * @property {import('../main/ports/GitHostPort.js').GitHostConfig} host - Git host the account signed in to
+ */
+
+/**
+ * GitHub Account Service - profiles live in the users table, tokens in keytar under the user's ID
+ */
+class GitHubAccountService {
+  /**
+   * Create an instance of GitHubAccountService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.databaseManager - Database manager instance
+   * @param {Object} [dependencies.tokenService] - SecureTokenService instance
+   */
+  constructor({ logger, databaseManager, tokenService = secureTokenService }) {
+    this.logger = logger;
+    this.databaseManager = databaseManager;
+    this.tokenService = tokenService;
+    this.legacyMigration = null;
+  }
+
+  /**
+   * Move a token saved by the single-account versions to the profile it was created for
+   * (the most recently updated user). Runs once per instance.
+   * @returns {Promise<void>}
+   */
+  migrateLegacyToken() {
+    if (!this.legacyMigration) {
+      this.legacyMigration = (async () => {
+        const token = await this.tokenService.getToken();
+        if (!token) {
+          return;
+        }
+        const row = await this.databaseManager.get(
+          'SELECT githubId FROM users ORDER BY isActive DESC, updatedAt DESC LIMIT 1'
+        );
+        if (!row) {
+          return;
+        }
+        if (await this.tokenService.storeToken(token, row.githubId)) {
+          await this.tokenService.deleteToken();
+          this.logger.info(`🔑 Legacy GitHub token moved to account ${row.githubId}`);
+        }
+      })().catch(error => {
+        this.logger.error('Error migrating legacy GitHub token:', error);
+      });
+    }
+    return this.legacyMigration;
+  }
+
+  /**
+   * Renderer-safe view of a users row
+   * @param {Object} row - users row
+   * @returns {GitHubAccount} Account
+   */
+  toAccount(row) {
+    return {
+      id: String(row.githubId),
+      login: row.login,
+      name: row.name,
+      email: row.email,
+      avatarUrl: row.avatarUrl,
+      active: !!row.isActive,
+      host: {
+        type: row.hostType || 'github',
+        baseUrl: row.hostUrl || null,
+        clientId: row.hostClientId || null
+      }
+    };
+  }
+
+  /**
+   * Get the git host provider an account signed in with
+   * @param {GitHubAccount|null} account - Account (github.com when null)
+   * @returns {import('../main/ports/GitHostPort.js').GitHostPort} Host provider
+   */
+  getProvider(account) {
+    return GitHostProviderFactory.forAccount(account);
+  }
+
+  /**
+   * List accounts that have a stored token, default account first
+   * @returns {Promise<GitHubAccount[]>} Accounts
+   */
+  async listAccounts() {
+    await this.migrateLegacyToken();
+    const ids = await this.tokenService.listAccountIds();
+    const rows = await this.databaseManager.all(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM users
+       ORDER BY isActive DESC, updatedAt DESC`
+    );
+    return rows.filter(row => ids.includes(String(row.githubId))).map(row => this.toAccount(row));
+  }
+
+  /**
+   * Load an account with its token. Only the account's own row and keychain entry are
+   * read; listing every account is left to listAccounts.
+   * @param {string|number} accountId - GitHub user ID
+   * @returns {Promise<{account: GitHubAccount, token: string}|null>} Credentials, or null when unknown or signed out
+   */
+  async loadCredentials(accountId) {
+    if (accountId === null || accountId === undefined || accountId === '') {
+      return null;
+    }
+    await this.migrateLegacyToken();
+    const row = await this.databaseManager.get(`SELECT ${ACCOUNT_COLUMNS} FROM users WHERE githubId = ?`, [String(accountId)]);
+    return row ? this.withToken(this.toAccount(row)) : null;
+  }
+
+  /**
+   * Load the default account with its token
+   * @returns {Promise<{account: GitHubAccount, token: string}|null>} Credentials, or null when signed out
+   */
+  async loadDefaultCredentials() {
+    await this.migrateLegacyToken();
+    const rows = await this.databaseManager.all(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM users
+       ORDER BY isActive DESC, updatedAt DESC`
+    );
+    // Profiles of signed-out accounts stay in the table; the first one with a token is the default
+    for (const row of rows) {
+      const credentials = await this.withToken(this.toAccount(row));
+      if (credentials) {
+        return credentials;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pair an account with its stored token
+   * @param {GitHubAccount} account - Account
+   * @returns {Promise<{account: GitHubAccount, token: string}|null>} Credentials, or null when the token is missing
+   */
+  async withToken(account) {
+    const token = await this.getAccountToken(account);
+    return token ? { account, token } : null;
+  }
+
+  /**
+   * Get one account with a stored token
+   * @param {string|number} accountId - GitHub user ID
+   * @returns {Promise<GitHubAccount|null>} Account, or null when unknown or signed out
+   */
+  async getAccount(accountId) {
+    const credentials = await this.loadCredentials(accountId);
+    return credentials ? credentials.account : null;
+  }
+
+  /**
+   * Get the default account (used outside of a project and by projects without a choice)
+   * @returns {Promise<GitHubAccount|null>} Account
+   */
+  async getActiveAccount() {
+    const credentials = await this.loadDefaultCredentials();
+    return credentials ? credentials.account : null;
+  }
+
+  /**
+   * Make an account the default one
+   * @param {string|number} accountId - GitHub user ID
+   * @returns {Promise<GitHubAccount>} Account
+   */
+  async setActiveAccount(accountId) {
+    const account = await this.getAccount(accountId);
+    if (!account) {
+      throw new Error('Conta GitHub não encontrada ou desconectada');
+    }
+    await this.databaseManager.run('UPDATE users SET isActive = CASE WHEN githubId = ? THEN 1 ELSE 0 END', [account.id]);
+    this.logger.info(`👤 Default GitHub account set to ${account.login}`);
+    return { ...account, active: true };
+  }
+
+  /**
+   * Save a GitHub profile, keeping the default-account flag of existing rows
+   * @param {Object} userInfo - GitHub user information (id, login, name, email, avatar_url)
+   * @param {import('../main/ports/GitHostPort.js').GitHostConfig|null} [host=null] - Git host (github.com when null)
+   * @returns {Promise<void>}
+   */
+  async saveProfile(userInfo, host = null) {
+    const { type = 'github', baseUrl = null, clientId = null } = host || {};
+    await this.databaseManager.run(
+      `INSERT INTO users (githubId, login, name, email, avatarUrl, hostType, hostUrl, hostClientId, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(githubId) DO UPDATE SET
+         login = excluded.login,
+         name = excluded.name,
+         email = excluded.email,
+         avatarUrl = excluded.avatarUrl,
+         hostType = excluded.hostType,
+         hostUrl = excluded.hostUrl,
+         hostClientId = excluded.hostClientId,
+         updatedAt = CURRENT_TIMESTAMP`,
+      [String(userInfo.id), userInfo.login, userInfo.name, userInfo.email, userInfo.avatar_url, type, baseUrl, clientId]
+    );
+  }
+
+  /**
+   * Store a newly authorized account and make it the default one
+   * @param {string} token - OAuth token, access token or password
+   * @param {Object} userInfo - User information returned by the provider (id, login, name, email, avatar_url)
+   * @param {import('../main/ports/GitHostPort.js').GitHostPort} [provider] - Host the account signed in to (github.com by default)
+   * @returns {Promise<GitHubAccount>} Account
+   */
+  async addAccount(token, userInfo, provider = GitHostProviderFactory.createProvider()) {
+    await this.migrateLegacyToken();
+    const accountId = provider.getAccountId(userInfo);
+    const stored = await this.tokenService.storeToken(token, accountId, value => provider.isValidToken(value));
+    if (!stored) {
+      throw new Error('Failed to store token securely');
+    }
+    await this.saveProfile({ ...userInfo, id: accountId }, provider.toConfig());
+    this.logger.info(`➕ ${provider.getLabel()} account ${userInfo.login} added`);
+    return this.setActiveAccount(accountId);
+  }
+
+  /**
+   * Sign an account out: delete its token and unlink it from projects. Another
+   * signed-in account becomes the default when the removed one was it.
+   * @param {string|number} accountId - GitHub user ID
+   * @returns {Promise<GitHubAccount|null>} New default account
+   */
+  async removeAccount(accountId) {
+    const id = String(accountId);
+    await this.tokenService.deleteToken(id);
+    await this.databaseManager.run('UPDATE users SET isActive = 0 WHERE githubId = ?', [id]);
+    await this.databaseManager.run('UPDATE projects SET githubAccountId = NULL WHERE githubAccountId = ?', [id]);
+    this.logger.info(`➖ GitHub account ${id} removed`);
+
+    const [next] = await this.listAccounts();
+    if (next && !next.active) {
+      return this.setActiveAccount(next.id);
+    }
+    return next || null;
+  }
+
+  /**
+   * Get the account chosen for a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<string|null>} GitHub user ID, or null when the project follows the default account
+   */
+  async getProjectAccountId(projectId) {
+    const row = await this.databaseManager.get('SELECT githubAccountId FROM projects WHERE id = ?', [projectId]);
+    if (!row) {
+      throw new Error('Project not found');
+    }
+    return row.githubAccountId || null;
+  }
+
+  /**
+   * Choose the account a project uses
+   * @param {number|string} projectId - Project ID
+   * @param {string|number|null} accountId - GitHub user ID (null to follow the default account)
+   * @returns {Promise<void>}
+   */
+  async setProjectAccount(projectId, accountId) {
+    let value = null;
+    if (accountId !== null && accountId !== undefined && accountId !== '') {
+      const account = await this.getAccount(accountId);
+      if (!account) {
+        throw new Error('Conta GitHub não encontrada ou desconectada');
+      }
+      value = account.id;
+    }
+    const result = await this.databaseManager.run('UPDATE projects SET githubAccountId = ? WHERE id = ?', [value, projectId]);
+    if (result.changes === 0) {
+      throw new Error('Project not found');
+    }
+    this.logger.info(`🔗 Project ${projectId} now uses GitHub account ${value || '(default)'}`);
+  }
+
+  /**
+   * Find the account chosen for the project stored at a directory
+   * @param {string} dir - Repository directory
+   * @returns {Promise<string|null>} GitHub user ID
+   */
+  async findAccountIdForPath(dir) {
+    const target = path.resolve(dir);
+    const rows = await this.databaseManager.all(
+      'SELECT projectPath, repoFolderName, githubAccountId FROM projects WHERE githubAccountId IS NOT NULL'
+    );
+    const match = rows.find(row => {
+      const projectPath = path.resolve(row.projectPath);
+      return projectPath === target ||
+        (row.repoFolderName && path.join(projectPath, row.repoFolderName) === target);
+    });
+    return match ? match.githubAccountId : null;
+  }
+
+  /**
+   * Resolve the account to use with its token, falling back to the default account
+   * @param {Object} [options] - Options
+   * @param {number|string} [options.projectId] - Project ID
+   * @param {string} [options.dir] - Repository directory (used when the project ID is unknown)
+   * @returns {Promise<{account: GitHubAccount, token: string}|null>} Credentials
+   */
+  async resolveCredentials({ projectId, dir } = {}) {
+    let accountId = null;
+    if (projectId !== undefined && projectId !== null) {
+      accountId = await this.getProjectAccountId(projectId).catch(() => null);
+    } else if (dir) {
+      accountId = await this.findAccountIdForPath(dir);
+    }
+
+    const credentials = await this.loadCredentials(accountId);
+    if (credentials) {
+      return credentials;
+    }
+    if (accountId) {
+      this.logger.warn(`⚠️ GitHub account ${accountId} is signed out, using the default account`);
+    }
+    return this.loadDefaultCredentials();
+  }
+
+  /**
+   * Resolve the account to use, falling back to the default account
+   * @param {Object} [options] - See resolveCredentials
+   * @returns {Promise<GitHubAccount|null>} Account
+   */
+  async resolveAccount(options = {}) {
+    const credentials = await this.resolveCredentials(options);
+    return credentials ? credentials.account : null;
+  }
+
+  /**
+   * Get the token of the resolved account
+   * @param {Object} [options] - See resolveCredentials
+   * @returns {Promise<string|null>} GitHub token
+   */
+  async getToken(options = {}) {
+    const credentials = await this.resolveCredentials(options);
+    return credentials ? credentials.token : null;
+  }
+
+  /**
+   * Get the stored token of an account
+   * @param {GitHubAccount} account - Account
+   * @returns {Promise<string|null>} Token, or null when missing
+   */
+  async getAccountToken(account) {
+    const provider = this.getProvider(account);
+    return this.tokenService.getToken(account.id, value => provider.isValidToken(value));
+  }
+
+  /**
+   * Get a REST API client for the default account
+   * @returns {Promise<{account: GitHubAccount, octokit: Object}>} Account and Octokit instance
+   * @throws {Error} If no account is signed in or its host has no API
+   */
+  async getApiClient() {
+    const credentials = await this.loadDefaultCredentials();
+    if (!credentials) {
+      throw new Error('Entre com uma conta GitHub para continuar');
+    }
+    const { account, token } = credentials;
+    const provider = this.getProvider(account);
+    if (!provider.supportsApi()) {
+      throw new Error(`${provider.getLabel()} não oferece a API necessária para esta ação`);
+    }
+    return { account, octokit: await provider.createApiClient(token) };
+  }
+
+  /**
+   * List where the default account can own repositories: itself and its organizations
+   * @returns {Promise<Array<{login: string, type: 'User'|'Organization'}>>} Owners, user first
+   */
+  async listOwners() {
+    const { account, octokit } = await this.getApiClient();
+    const { data: orgs } = await octokit.rest.orgs.listForAuthenticatedUser({ per_page: 100 });
+    return [
+      { login: account.login, type: 'User' },
+      ...orgs.map(org => ({ login: org.login, type: 'Organization' }))
+    ];
+  }
+
+  /**
+   * Get the credentials git sends to the host of an account
+   * @param {GitHubAccount|null} account - Account from resolveAccount (null when signed out)
+   * @returns {Promise<import('../main/ports/GitHostPort.js').GitAuth|null>} Git credentials, or null when signed out
+   */
+  async getGitAuth(account) {
+    if (!account) {
+      return null;
+    }
+    const token = await this.getAccountToken(account);
+    return token ? this.getProvider(account).getGitAuth(token, account) : null;
+  }
+}
+
+module.exports = { GitHubAccountService };
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Per-project settings of the media optimization that runs before commits
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+
+/**
+ * @typedef {Object} MediaSettings
+ * @property {boolean} enabled - Optimize new images before committing them
+ * @property {number} maxDimension - Longest side, in pixels, images are resized to
+ * @property {number} quality - Compression quality (1-100) of JPEG, WebP and AVIF output
+ * @property {string} format - 'original' keeps the format, 'webp' or 'avif' convert to it
+ * @property {boolean} stripGps - Remove the EXIF GPS position from JPEGs kept as they are. Re-encoded
+ *   images never keep EXIF metadata, so turning this off only affects images that were not re-encoded
+ */
+
+/**
+ * Media settings schema, same shape as the application settings schema
+ * @type {Object<string, Object>}
+ */
+const MEDIA_SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean', default: true },
+  maxDimension: { type: 'number', default: 2048, min: 320, max: 8192 },
+  quality: { type: 'number', default: 82, min: 1, max: 100 },
+  format: { type: 'string', default: 'original', values: ['original', 'webp', 'avif'] },
+  stripGps: { type: 'boolean', default: true }
+};
+
+/**
+ * Settings of a project that never changed them
+ * @returns {MediaSettings} Defaults
+ */
+function defaultMediaSettings() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(MEDIA_SETTINGS_SCHEMA)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+/**
+ * Validate a single media setting
+ * @param {string} key - Setting key
+ * @param {*} value - Value to validate
+ * @returns {string|null} Error message or null when valid
+ */
+function validateMediaSetting(key, value) {
+  const definition = MEDIA_SETTINGS_SCHEMA[key];
+  if (!definition) {
+    return `Configuração de mídia desconhecida: ${key}`;
+  }
+  if (typeof value !== definition.type) {
+    return `Valor inválido para ${key}`;
+  }
+  if (definition.values && !definition.values.includes(value)) {
+    return `Valor inválido para ${key}: ${value}`;
+  }
+  if (definition.type === 'number' &&
+      (!Number.isInteger(value) || value < definition.min || value > definition.max)) {
+    return `${key} deve estar entre ${definition.min} e ${definition.max}`;
+  }
+  return null;
+}
+
+/**
+ * Read stored settings, falling back to defaults for missing or invalid values
+ * @param {string|Object|null} stored - JSON column value or parsed object
+ * @returns {MediaSettings} Settings
+ */
+function normalizeMediaSettings(stored) {
+  const settings = defaultMediaSettings();
+  let values = stored;
+  if (typeof stored === 'string') {
+    try {
+      values = JSON.parse(stored);
+    } catch (error) {
+      values = null;
+    }
+  }
+  if (!values || typeof values !== 'object') {
+    return settings;
+  }
+  for (const key of Object.keys(MEDIA_SETTINGS_SCHEMA)) {
+    if (key in values && !validateMediaSetting(key, values[key])) {
+      settings[key] = values[key];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Media Settings Service - reads and writes the media settings stored on projects
+ */
+class MediaSettingsService {
+  /**
+   * Create an instance of MediaSettingsService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.databaseManager - Database manager instance
+   */
+  constructor({ logger, databaseManager }) {
+    this.logger = logger;
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Get the media settings of a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<MediaSettings>} Settings
+   */
+  async getForProject(projectId) {
+    const row = await this.databaseManager.get('SELECT mediaSettings FROM projects WHERE id = ?', [projectId]);
+    if (!row) {
+      throw new Error('Project not found');
+    }
+    return normalizeMediaSettings(row.mediaSettings);
+  }
+
+  /**
+   * Change the media settings of a project
+   * @param {number|string} projectId - Project ID
+   * @param {Object} partial - Settings to change
+   * @returns {Promise<MediaSettings>} Updated settings
+   */
+  async setForProject(projectId, partial) {
+    for (const [key, value] of Object.entries(partial || {})) {
+      const error = validateMediaSetting(key, value);
+      if (error) {
+        throw new Error(error);
+      }
+    }
+    const settings = { ...(await this.getForProject(projectId)), ...partial };
+    await this.databaseManager.run('UPDATE projects SET mediaSettings = ? WHERE id = ?', [JSON.stringify(settings), projectId]);
+    this.logger.info(`🖼️ Media settings of project ${projectId} updated`);
+    return settings;
+  }
+
+  /**
+   * Get the media settings of the project a repository directory belongs to
+   * @param {string} dir - Repository directory
+   * @returns {Promise<MediaSettings>} Settings (defaults for unknown directories)
+   */
+  async getForPath(dir) {
+    const target = path.resolve(dir);
+    const rows = await this.databaseManager.all('SELECT projectPath, repoFolderName, mediaSettings FROM projects');
+    const match = rows.find(row => {
+      const projectPath = path.resolve(row.projectPath);
+      return projectPath === target ||
+        (row.repoFolderName && path.join(projectPath, row.repoFolderName) === target);
+    });
+    return normalizeMediaSettings(match ? match.mediaSettings : null);
+  }
+}
+
+module.exports = {
+  MediaSettingsService,
+  MEDIA_SETTINGS_SCHEMA,
+  defaultMediaSettings,
+  normalizeMediaSettings,
+  validateMediaSetting
+};
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Lists the repositories of the signed-in account and flags those that look like Documental sites
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const DEFAULT_PAGE_SIZE = 30;
+
+// A Documental site has an Astro config at the root and a Sveltia/Decap CMS config
+const ASTRO_CONFIG_PATTERN = /^astro\.config\.(mjs|js|cjs|ts|mts)$/;
+const CMS_CONFIG_PATH = 'public/admin/config.yml';
+
+/**
+ * @typedef {Object} RepositorySummary
+ * @property {string} fullName - owner/name
+ * @property {string} name - Repository name
+ * @property {string} owner - Owner login
+ * @property {string} description - Repository description
+ * @property {boolean} private - Whether the repository is private
+ * @property {string} visibility - 'public', 'private' or 'internal'
+ * @property {string|null} pushedAt - ISO date of the last push
+ * @property {string} cloneUrl - HTTPS clone URL
+ * @property {string} htmlUrl - Repository page
+ * @property {string} defaultBranch - Default branch
+ * @property {boolean} isDocumentalSite - Has astro.config.* and a CMS config.yml
+ */
+
+/**
+ * @typedef {Object} RepositoryPage
+ * @property {RepositorySummary[]} repositories - Repositories of the page
+ * @property {number} page - Page number (1-based)
+ * @property {boolean} hasMore - Whether a next page exists
+ */
+
+/**
+ * Repository Browser Service - backs the repository picker
+ */
+class RepositoryBrowserService {
+  /**
+   * Create an instance of RepositoryBrowserService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.accountService - GitHubAccountService instance
+   */
+  constructor({ logger, accountService }) {
+    this.logger = logger;
+    this.accountService = accountService;
+    // fullName@pushedAt -> isDocumentalSite
+    this.siteDetectionCache = new Map();
+  }
+
+  /**
+   * List one page of repositories
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.owner] - Only repositories of this user or organization
+   * @param {string} [options.query] - Search text matched against repository names
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.perPage] - Page size
+   * @returns {Promise<RepositoryPage>} Page of repositories, most recently pushed first
+   */
+  async listRepositories({ owner = '', query = '', page = 1, perPage = DEFAULT_PAGE_SIZE } = {}) {
+    const { account, octokit } = await this.accountService.getApiClient();
+    const search = String(query || '').trim();
+    let items;
+    let hasMore;
+
+    if (search) {
+      const qualifiers = owner ? [`user:${owner}`] : [`user:${account.login}`, ...(await this.listOrganizationQualifiers(octokit))];
+      const { data } = await octokit.rest.search.repos({
+        q: `${search} in:name fork:true ${qualifiers.join(' ')}`,
+        sort: 'updated',
+        per_page: perPage,
+        page
+      });
+      items = data.items;
+      hasMore = data.total_count > page * perPage;
+    } else {
+      const response = await this.requestRepositories(octokit, account, owner, { sort: 'pushed', per_page: perPage, page });
+      items = response.data;
+      hasMore = /rel="next"/.test(response.headers.link || '');
+    }
+
+    const repositories = await Promise.all(items.map(async repo => ({
+      ...this.toSummary(repo),
+      isDocumentalSite: await this.isDocumentalSite(octokit, repo)
+    })));
+    return { repositories, page, hasMore };
+  }
+
+  /**
+   * Search qualifiers for the organizations of the account
+   * @param {Object} octokit - Octokit instance
+   * @returns {Promise<string[]>} org: qualifiers
+   */
+  async listOrganizationQualifiers(octokit) {
+    const { data: orgs } = await octokit.rest.orgs.listForAuthenticatedUser({ per_page: 100 });
+    return orgs.map(org => `org:${org.login}`);
+  }
+
+  /**
+   * Request repositories of the account, of itself only or of one organization
+   * @param {Object} octokit - Octokit instance
+   * @param {Object} account - Signed-in account
+   * @param {string} owner - Owner filter ('' for everything the account can access)
+   * @param {Object} params - Sorting and pagination
+   * @returns {Promise<Object>} Octokit response
+   */
+  async requestRepositories(octokit, account, owner, params) {
+    if (!owner) {
+      return octokit.rest.repos.listForAuthenticatedUser({ ...params, affiliation: 'owner,collaborator,organization_member' });
+    }
+    if (owner === account.login) {
+      return octokit.rest.repos.listForAuthenticatedUser({ ...params, affiliation: 'owner' });
+    }
+    return octokit.rest.repos.listForOrg({ ...params, org: owner, type: 'all' });
+  }
+
+  /**
+   * Map an API repository to what the picker shows
+   * @param {Object} repo - Repository from the REST API
+   * @returns {Omit<RepositorySummary, 'isDocumentalSite'>} Summary
+   */
+  toSummary(repo) {
+    return {
+      fullName: repo.full_name,
+      name: repo.name,
+      owner: repo.owner.login,
+      description: repo.description || '',
+      private: repo.private,
+      visibility: repo.visibility || (repo.private ? 'private' : 'public'),
+      pushedAt: repo.pushed_at || null,
+      cloneUrl: repo.clone_url,
+      htmlUrl: repo.html_url,
+      defaultBranch: repo.default_branch
+    };
+  }
+
+  /**
+   * Check the default branch for astro.config.* at the root and the CMS config.yml. Two
+   * small requests per repository: the root tree (not recursive) and the config file.
+   * @param {Object} octokit - Octokit instance
+   * @param {Object} repo - Repository from the REST API
+   * @returns {Promise<boolean>} Whether the repository looks like a Documental site
+   */
+  async isDocumentalSite(octokit, repo) {
+    const cacheKey = `${repo.full_name}@${repo.pushed_at}`;
+    if (this.siteDetectionCache.has(cacheKey)) {
+      return this.siteDetectionCache.get(cacheKey);
+    }
+
+    let isSite = false;
+    try {
+      const { data } = await octokit.rest.git.getTree({
+        owner: repo.owner.login,
+        repo: repo.name,
+        tree_sha: repo.default_branch
+      });
+      const hasAstroConfig = data.tree.some(entry => entry.type === 'blob' && ASTRO_CONFIG_PATTERN.test(entry.path));
+      if (hasAstroConfig) {
+        await octokit.rest.repos.getContent({
+          owner: repo.owner.login,
+          repo: repo.name,
+          path: CMS_CONFIG_PATH,
+          ref: repo.default_branch
+        });
+        isSite = true;
+      }
+    } catch (error) {
+      // 409: empty repository; 404: no access to contents or no CMS config
+      if (error.status !== 409 && error.status !== 404) {
+        this.logger.warn(`⚠️ Could not inspect ${repo.full_name}:`, error.message);
+        return false;
+      }
+    }
+
+    this.siteDetectionCache.set(cacheKey, isSite);
+    return isSite;
+  }
+}
+
+module.exports = { RepositoryBrowserService };
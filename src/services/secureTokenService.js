@@ -20,7 +20,7 @@ const logger = getLogger('SecureTokenService');
 const SERVICE_NAME = 'documental-app';
 
 /**
- * Account name for GitHub tokens
+ * Account name for GitHub tokens (per-account entries are stored as `github-token:<githubId>`)
  */
 const GITHUB_ACCOUNT = 'github-token';
 
@@ -44,19 +44,30 @@ const MIN_TOKEN_LENGTH = 20;
  * Secure Token Service class
  */
 class SecureTokenService {
+  /**
+   * Keytar account name for a GitHub account
+   * @param {string|number|null} [accountId=null] - GitHub user ID (null for the legacy single-account entry)
+   * @returns {string} Keytar account name
+   */
+  getAccountName(accountId = null) {
+    return accountId === null || accountId === undefined ? GITHUB_ACCOUNT : `${GITHUB_ACCOUNT}:${accountId}`;
+  }
+
   /**
    * Store GitHub token securely
    * @param {string} token - GitHub OAuth token
+   * @param {string|number|null} [accountId=null] - GitHub user ID the token belongs to
+   * @param {function(string): boolean} [validate] - Token format check of the account's git host (GitHub formats by default)
    * @returns {Promise<boolean>} Success status
    */
-  async storeToken(token) {
+  async storeToken(token, accountId = null, validate = value => this.isValidToken(value)) {
     try {
-      if (!this.isValidToken(token)) {
+      if (!validate(token)) {
         logger.error('❌ Attempted to store invalid token format');
         return false;
       }
 
-      await keytar.setPassword(SERVICE_NAME, GITHUB_ACCOUNT, token);
+      await keytar.setPassword(SERVICE_NAME, this.getAccountName(accountId), token);
       logger.info('✅ GitHub token stored securely');
       return true;
     } catch (error) {
@@ -67,19 +78,21 @@ class SecureTokenService {
 
   /**
    * Retrieve GitHub token from secure storage
+   * @param {string|number|null} [accountId=null] - GitHub user ID
+   * @param {function(string): boolean} [validate] - Token format check of the account's git host (GitHub formats by default)
    * @returns {Promise<string|null>} Token or null if not found
    */
-  async getToken() {
+  async getToken(accountId = null, validate = value => this.isValidToken(value)) {
     try {
-      const token = await keytar.getPassword(SERVICE_NAME, GITHUB_ACCOUNT);
+      const token = await keytar.getPassword(SERVICE_NAME, this.getAccountName(accountId));
       
       if (token) {
-        if (this.isValidToken(token)) {
+        if (validate(token)) {
           logger.info('✅ GitHub token retrieved from secure storage');
           return token;
         } else {
           logger.warn('⚠️ Stored token has invalid format, removing it');
-          await this.deleteToken();
+          await this.deleteToken(accountId);
           return null;
         }
       }
@@ -94,11 +107,12 @@ class SecureTokenService {
 
   /**
    * Delete GitHub token from secure storage
+   * @param {string|number|null} [accountId=null] - GitHub user ID
    * @returns {Promise<boolean>} Success status
    */
-  async deleteToken() {
+  async deleteToken(accountId = null) {
     try {
-      const result = await keytar.deletePassword(SERVICE_NAME, GITHUB_ACCOUNT);
+      const result = await keytar.deletePassword(SERVICE_NAME, this.getAccountName(accountId));
       if (result) {
         logger.info('✅ GitHub token deleted from secure storage');
       } else {
@@ -111,6 +125,24 @@ class SecureTokenService {
     }
   }
 
+  /**
+   * List GitHub accounts that have a token stored
+   * @returns {Promise<string[]>} GitHub user IDs
+   */
+  async listAccountIds() {
+    try {
+      const prefix = `${GITHUB_ACCOUNT}:`;
+      const credentials = await keytar.findCredentials(SERVICE_NAME);
+      return credentials
+        .map(({ account }) => account)
+        .filter(account => account.startsWith(prefix))
+        .map(account => account.substring(prefix.length));
+    } catch (error) {
+      logger.error('❌ Failed to list GitHub accounts:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Validate GitHub token format
    * @param {string} token - Token to validate
@@ -161,11 +193,12 @@ class SecureTokenService {
 
   /**
    * Check if token exists in secure storage
+   * @param {string|number|null} [accountId=null] - GitHub user ID
    * @returns {Promise<boolean>} Whether token exists
    */
-  async hasToken() {
+  async hasToken(accountId = null) {
     try {
-      const token = await this.getToken();
+      const token = await this.getToken(accountId);
       return token !== null;
     } catch (error) {
       logger.error('❌ Failed to check token existence:', error.message);
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Creates documentation site repositories from the Documental template repositories
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+const { SITE_TEMPLATES } = require('../config/site-templates.js');
+
+// GitHub copies the template in the background; the default branch appears shortly after creation
+const BRANCH_READY_ATTEMPTS = 10;
+const BRANCH_READY_DELAY_MS = 1500;
+
+const REPOSITORY_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * @typedef {Object} CreatedSite
+ * @property {string} fullName - owner/name
+ * @property {string} htmlUrl - Repository page
+ * @property {string} cloneUrl - HTTPS clone URL
+ * @property {string} defaultBranch - Production branch
+ * @property {string} previewBranch - Preview branch created from it
+ * @property {boolean} private - Repository visibility
+ */
+
+/**
+ * Site Template Service - generate-from-template and preview branch setup
+ */
+class SiteTemplateService {
+  /**
+   * Create an instance of SiteTemplateService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.accountService - GitHubAccountService instance
+   * @param {Object} [dependencies.settingsService] - Settings service instance (preview branch name)
+   * @param {Array<import('../config/site-templates.js').SiteTemplate>} [dependencies.templates] - Offered templates
+   * @param {function(number): Promise<void>} [dependencies.sleep] - Delay between readiness checks
+   */
+  constructor({ logger, accountService, settingsService = null, templates = SITE_TEMPLATES, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+    this.logger = logger;
+    this.accountService = accountService;
+    this.settingsService = settingsService;
+    this.templates = templates;
+    this.sleep = sleep;
+  }
+
+  /**
+   * List the templates offered in the wizard
+   * @returns {Array<import('../config/site-templates.js').SiteTemplate>} Templates
+   */
+  listTemplates() {
+    return this.templates.map(template => ({ ...template }));
+  }
+
+  /**
+   * Get the preview branch name from settings
+   * @returns {Promise<string>} Preview branch name ('preview' when unavailable)
+   */
+  async getPreviewBranch() {
+    if (!this.settingsService) {
+      return 'preview';
+    }
+    try {
+      return await this.settingsService.get('defaultBranch');
+    } catch (error) {
+      this.logger.warn('⚠️ Could not read defaultBranch setting, using preview:', error.message);
+      return 'preview';
+    }
+  }
+
+  /**
+   * Generate a repository from a template and create its preview branch
+   * @param {Object} options - Creation options
+   * @param {string} options.templateId - Template ID
+   * @param {string} options.name - New repository name
+   * @param {string} [options.owner] - User or organization (the signed-in user by default)
+   * @param {string} [options.description] - Repository description
+   * @param {boolean} [options.isPrivate=true] - Create a private repository
+   * @returns {Promise<CreatedSite>} Created repository
+   */
+  async createFromTemplate({ templateId, name, owner, description = '', isPrivate = true }) {
+    const template = this.templates.find(item => item.id === templateId);
+    if (!template) {
+      throw new Error(`Modelo de site desconhecido: ${templateId}`);
+    }
+    const repositoryName = String(name || '').trim();
+    if (!REPOSITORY_NAME_PATTERN.test(repositoryName)) {
+      throw new Error('Nome do repositório inválido. Use letras, números, ".", "-" ou "_".');
+    }
+
+    const { account, octokit } = await this.accountService.getApiClient();
+    const targetOwner = owner || account.login;
+    this.logger.info(`🧩 Creating ${targetOwner}/${repositoryName} from ${template.owner}/${template.repo}`);
+
+    const { data: repo } = await octokit.rest.repos.createUsingTemplate({
+      template_owner: template.owner,
+      template_repo: template.repo,
+      owner: targetOwner,
+      name: repositoryName,
+      description,
+      private: !!isPrivate,
+      include_all_branches: false
+    });
+
+    const previewBranch = await this.getPreviewBranch();
+    await this.createPreviewBranch(octokit, repo, previewBranch);
+    this.logger.info(`✅ Site repository ${repo.full_name} created with branch ${previewBranch}`);
+
+    return {
+      fullName: repo.full_name,
+      htmlUrl: repo.html_url,
+      cloneUrl: repo.clone_url,
+      defaultBranch: repo.default_branch,
+      previewBranch,
+      private: repo.private
+    };
+  }
+
+  /**
+   * Branch the preview branch off the default branch once GitHub has copied the template
+   * @param {Object} octokit - Octokit instance
+   * @param {Object} repo - Repository returned by createUsingTemplate
+   * @param {string} previewBranch - Branch to create
+   * @returns {Promise<void>}
+   * @throws {Error} If the default branch never appears
+   */
+  async createPreviewBranch(octokit, repo, previewBranch) {
+    if (previewBranch === repo.default_branch) {
+      return;
+    }
+    const [owner, repoName] = repo.full_name.split('/');
+
+    for (let attempt = 1; attempt <= BRANCH_READY_ATTEMPTS; attempt++) {
+      let sha;
+      try {
+        const { data: branch } = await octokit.rest.repos.getBranch({ owner, repo: repoName, branch: repo.default_branch });
+        sha = branch.commit.sha;
+      } catch (error) {
+        // 404 or 409 (empty repository) while the template is still being copied
+        if (error.status !== 404 && error.status !== 409) {
+          throw error;
+        }
+        this.logger.info(`⏳ Waiting for ${repo.full_name} to be populated (${attempt}/${BRANCH_READY_ATTEMPTS})`);
+        await this.sleep(BRANCH_READY_DELAY_MS);
+        continue;
+      }
+
+      try {
+        await octokit.rest.git.createRef({ owner, repo: repoName, ref: `refs/heads/${previewBranch}`, sha });
+      } catch (error) {
+        // 422: the template already had the branch
+        if (error.status !== 422) {
+          throw error;
+        }
+      }
+      return;
+    }
+
+    throw new Error(`O repositório ${repo.full_name} foi criado, mas a branch ${repo.default_branch} não ficou disponível a tempo`);
+  }
+}
+
+module.exports = { SiteTemplateService };
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Token health: checks stored tokens at startup and on a timer, and re-authorizes before git operations
+ * @author Documental Team
+ * @since 1.0.0
+ */
+
+'use strict';
+
+// Interval between background checks of every account
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+// A check younger than this is trusted before a git operation
+const FRESH_CHECK_MS = 5 * 60 * 1000;
+
+// States that make git operations fail until the account signs in again
+const UNHEALTHY_STATUSES = ['revoked', 'missing-scopes'];
+
+/**
+ * @typedef {Object} TokenHealth
+ * @property {string} accountId - Account ID
+ * @property {string} login - Account login
+ * @property {string} host - Host label (e.g. 'GitHub')
+ * @property {'valid'|'revoked'|'missing-scopes'|'unknown'} status - Token state
+ * @property {string[]} scopes - Scopes granted to the token
+ * @property {string[]} missingScopes - Required scopes the token lacks
+ * @property {boolean} canReauthenticate - Whether the host signs in through the device flow
+ * @property {string} checkedAt - ISO date of the check
+ */
+
+/**
+ * Token Health Service - keeps the last known state of each account's token
+ */
+class TokenHealthService {
+  /**
+   * Create an instance of TokenHealthService
+   * @param {Object} dependencies - Dependency injection container
+   * @param {Object} dependencies.logger - Logger instance
+   * @param {Object} dependencies.accountService - GitHubAccountService instance
+   * @param {function(TokenHealth): void} [dependencies.notify] - Called with every new check result
+   * @param {function(Object): Promise<boolean>} [dependencies.reauthenticate] - Signs an account in again, resolves true on success
+   * @param {number} [dependencies.intervalMs] - Interval between background checks
+   * @param {function(): number} [dependencies.now] - Clock
+   */
+  constructor({ logger, accountService, notify = () => {}, reauthenticate = null, intervalMs = CHECK_INTERVAL_MS, now = Date.now }) {
+    this.logger = logger;
+    this.accountService = accountService;
+    this.notify = notify;
+    this.reauthenticate = reauthenticate;
+    this.intervalMs = intervalMs;
+    this.now = now;
+    this.results = new Map();
+    this.pendingReauth = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Check every account now and then on the interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+    this.logger.info('🩺 Token health monitoring started');
+    this.checkAll();
+  }
+
+  /**
+   * Stop the background checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check the token of every signed-in account
+   * @returns {Promise<TokenHealth[]>} Check results
+   */
+  async checkAll() {
+    try {
+      const accounts = await this.accountService.listAccounts();
+      const results = [];
+      for (const account of accounts) {
+        results.push(await this.checkAccount(account));
+      }
+      return results;
+    } catch (error) {
+      this.logger.error('❌ Token health check failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Ask the account's host whether its token still works
+   * @param {Object} account - Account
+   * @returns {Promise<TokenHealth>} Check result
+   */
+  async checkAccount(account) {
+    const provider = this.accountService.getProvider(account);
+    const token = await this.accountService.getAccountToken(account);
+    const check = token
+      ? await provider.verifyToken(token)
+      : { status: 'revoked', scopes: [], missingScopes: [] };
+
+    const health = {
+      accountId: account.id,
+      login: account.login,
+      host: provider.getLabel(),
+      status: check.status,
+      scopes: check.scopes,
+      missingScopes: check.missingScopes,
+      canReauthenticate: provider.supportsDeviceFlow(),
+      checkedAt: new Date(this.now()).toISOString()
+    };
+
+    if (check.status === 'revoked') {
+      this.logger.warn(`⚠️ Token of ${account.login} (${health.host}) was revoked or expired`);
+    } else if (check.status === 'missing-scopes') {
+      this.logger.warn(`⚠️ Token of ${account.login} (${health.host}) lacks scopes: ${check.missingScopes.join(', ')}`);
+    }
+
+    this.results.set(account.id, health);
+    this.notify(health);
+    return health;
+  }
+
+  /**
+   * Last check result of every account
+   * @returns {TokenHealth[]} Check results
+   */
+  getAll() {
+    return Array.from(this.results.values());
+  }
+
+  /**
+   * Drop the check result of a signed-out account
+   * @param {string} accountId - Account ID
+   */
+  forget(accountId) {
+    this.results.delete(String(accountId));
+  }
+
+  /**
+   * Whether a check result means git operations will fail
+   * @param {TokenHealth|null} health - Check result
+   * @returns {boolean} True when the account must sign in again
+   */
+  isUnhealthy(health) {
+    return !!health && UNHEALTHY_STATUSES.includes(health.status);
+  }
+
+  /**
+   * Get a recent check result of an account, checking again when the last one is stale
+   * @param {Object} account - Account
+   * @returns {Promise<TokenHealth>} Check result
+   */
+  async getFreshHealth(account) {
+    const cached = this.results.get(account.id);
+    if (cached && !this.isUnhealthy(cached) && this.now() - Date.parse(cached.checkedAt) < FRESH_CHECK_MS) {
+      return cached;
+    }
+    return this.checkAccount(account);
+  }
+
+  /**
+   * Whether the token of the resolved account can be used, without prompting
+   * @param {Object} [options] - See GitHubAccountService.resolveAccount
+   * @returns {Promise<boolean>} False only when the host rejected the token
+   */
+  async isHealthy(options = {}) {
+    try {
+      const account = await this.accountService.resolveAccount(options);
+      return account ? !this.isUnhealthy(await this.getFreshHealth(account)) : true;
+    } catch (error) {
+      this.logger.error('❌ Token health check failed:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Make sure an account's token works before a git operation, opening the device flow
+   * for it when the host rejected the token
+   * @param {Object|null} account - Account resolved for the operation (null when signed out)
+   * @returns {Promise<boolean>} False when the token is still unusable
+   */
+  async ensureHealthy(account) {
+    try {
+      if (!account) {
+        return true;
+      }
+      const health = await this.getFreshHealth(account);
+      if (!this.isUnhealthy(health)) {
+        return true;
+      }
+      if (!health.canReauthenticate || !this.reauthenticate) {
+        return false;
+      }
+
+      this.logger.info(`🔐 Asking ${account.login} to sign in again before the git operation`);
+      const signedIn = await this.reauthenticateOnce(account);
+      return signedIn && !this.isUnhealthy(await this.checkAccount(account));
+    } catch (error) {
+      this.logger.error('❌ Token re-authentication failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Re-authenticate an account, sharing the prompt between concurrent git operations
+   * @param {Object} account - Account
+   * @returns {Promise<boolean>} True when the account signed in again
+   */
+  reauthenticateOnce(account) {
+    if (!this.pendingReauth.has(account.id)) {
+      const pending = Promise.resolve(this.reauthenticate(account))
+        .finally(() => this.pendingReauth.delete(account.id));
+      this.pendingReauth.set(account.id, pending);
+    }
+    return this.pendingReauth.get(account.id);
+  }
+}
+
+module.exports = { TokenHealthService, CHECK_INTERVAL_MS, FRESH_CHECK_MS };
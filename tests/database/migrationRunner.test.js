@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests for the versioned schema migration runner
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MigrationRunner } from '../../src/main/database/migrationRunner.js';
+import { MIGRATIONS } from '../../src/main/database/migrations.js';
+
+/**
+ * Database double that records statements and tracks schema_version rows
+ * @param {Object} [options] - Options
+ * @param {number[]} [options.appliedVersions=[]] - Versions already applied
+ * @param {number} [options.tableCount=0] - Existing application tables
+ * @returns {Object} Database double
+ */
+function createDatabase({ appliedVersions = [], tableCount = 0 } = {}) {
+  const versions = [...appliedVersions];
+  let pendingVersion = null;
+  const statements = [];
+
+  return {
+    statements,
+    versions,
+    run: vi.fn(async (sql, params = []) => {
+      const statement = sql.trim().replace(/\s+/g, ' ');
+      statements.push(statement);
+      if (statement.startsWith('INSERT INTO schema_version')) {
+        pendingVersion = params[0];
+      } else if (statement === 'COMMIT' && pendingVersion !== null) {
+        versions.push(pendingVersion);
+        pendingVersion = null;
+      } else if (statement === 'ROLLBACK') {
+        pendingVersion = null;
+      }
+      return { id: 0, changes: 0 };
+    }),
+    get: vi.fn(async (sql) => {
+      if (sql.includes('MAX(version)')) {
+        return { version: versions.length ? Math.max(...versions) : null };
+      }
+      if (sql.includes('sqlite_master')) {
+        return { count: tableCount };
+      }
+      return null;
+    }),
+    all: vi.fn(async () => [])
+  };
+}
+
+describe('MigrationRunner', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  });
+
+  it('should apply pending migrations in version order, one transaction each', async () => {
+    const database = createDatabase();
+    const order = [];
+    const migrations = [
+      { version: 2, name: 'second', up: async () => order.push(2) },
+      { version: 1, name: 'first', up: async () => order.push(1) }
+    ];
+    const runner = new MigrationRunner({ logger: mockLogger, database, migrations });
+
+    const result = await runner.migrate();
+
+    expect(order).toEqual([1, 2]);
+    expect(result).toEqual({ fromVersion: 0, toVersion: 2, applied: [1, 2], backupPath: null });
+    expect(database.statements.filter(s => s.startsWith('BEGIN'))).toHaveLength(2);
+    expect(database.statements.filter(s => s === 'COMMIT')).toHaveLength(2);
+  });
+
+  it('should skip migrations that are already applied', async () => {
+    const database = createDatabase({ appliedVersions: [1] });
+    const up = vi.fn();
+    const runner = new MigrationRunner({
+      logger: mockLogger,
+      database,
+      migrations: [{ version: 1, name: 'first', up }]
+    });
+
+    const result = await runner.migrate();
+
+    expect(up).not.toHaveBeenCalled();
+    expect(result.applied).toEqual([]);
+    expect(result.toVersion).toBe(1);
+  });
+
+  it('should roll back and stop when a migration fails', async () => {
+    const database = createDatabase();
+    const third = vi.fn();
+    const runner = new MigrationRunner({
+      logger: mockLogger,
+      database,
+      migrations: [
+        { version: 1, name: 'first', up: async () => {} },
+        { version: 2, name: 'broken', up: async () => { throw new Error('no such column'); } },
+        { version: 3, name: 'third', up: third }
+      ]
+    });
+
+    await expect(runner.migrate()).rejects.toThrow('Migration 2 (broken) failed: no such column');
+
+    expect(database.statements).toContain('ROLLBACK');
+    expect(database.versions).toEqual([1]);
+    expect(third).not.toHaveBeenCalled();
+  });
+
+  it('should back up an existing database before migrating', async () => {
+    const database = createDatabase({ tableCount: 3 });
+    const runner = new MigrationRunner({
+      logger: mockLogger,
+      database,
+      migrations: [{ version: 1, name: 'first', up: async () => {} }],
+      backupPathPrefix: '/data/documental.db'
+    });
+
+    const result = await runner.migrate();
+
+    expect(result.backupPath).toMatch(/^\/data\/documental\.db\.v0-\d{8}-\d{6}\.bak$/);
+    const vacuumCall = database.run.mock.calls.find(([sql]) => sql.startsWith('VACUUM INTO'));
+    expect(vacuumCall[1]).toEqual([result.backupPath]);
+    expect(database.statements.indexOf('VACUUM INTO ?')).toBeLessThan(database.statements.findIndex(s => s.startsWith('BEGIN')));
+  });
+
+  it('should not back up a fresh database or when nothing is pending', async () => {
+    const fresh = createDatabase({ tableCount: 0 });
+    const runner = new MigrationRunner({
+      logger: mockLogger,
+      database: fresh,
+      migrations: [{ version: 1, name: 'first', up: async () => {} }],
+      backupPathPrefix: '/data/documental.db'
+    });
+    expect((await runner.migrate()).backupPath).toBeNull();
+
+    const current = createDatabase({ appliedVersions: [1], tableCount: 3 });
+    const upToDate = new MigrationRunner({
+      logger: mockLogger,
+      database: current,
+      migrations: [{ version: 1, name: 'first', up: async () => {} }],
+      backupPathPrefix: '/data/documental.db'
+    });
+    await upToDate.migrate();
+    expect(current.statements.some(s => s.startsWith('VACUUM'))).toBe(false);
+  });
+
+  it('should reject duplicate or invalid versions', () => {
+    const database = createDatabase();
+    expect(() => new MigrationRunner({
+      logger: mockLogger,
+      database,
+      migrations: [{ version: 1, name: 'a', up: vi.fn() }, { version: 1, name: 'b', up: vi.fn() }]
+    })).toThrow('Duplicate migration version: 1');
+    expect(() => new MigrationRunner({
+      logger: mockLogger,
+      database,
+      migrations: [{ version: 0, name: 'zero', up: vi.fn() }]
+    })).toThrow('Invalid migration version: 0');
+  });
+
+  describe('MIGRATIONS', () => {
+    it('should create the baseline tables idempotently', async () => {
+      const database = createDatabase();
+      await MIGRATIONS[0].up(database);
+
+      const created = database.statements.map(s => s.match(/CREATE TABLE IF NOT EXISTS (\w+)/)[1]);
+      expect(created).toEqual(['projects', 'users', 'settings']);
+    });
+
+    it('should add the default-account flag and the per-project account', async () => {
+      const database = createDatabase();
+      await MIGRATIONS[1].up(database);
+
+      expect(database.statements).toEqual([
+        'ALTER TABLE users ADD COLUMN isActive INTEGER NOT NULL DEFAULT 0',
+        'UPDATE users SET isActive = 1 WHERE id = (SELECT id FROM users ORDER BY updatedAt DESC LIMIT 1)',
+        'ALTER TABLE projects ADD COLUMN githubAccountId TEXT'
+      ]);
+    });
+
+    it('should record the git host of each account', async () => {
+      const database = createDatabase();
+      await MIGRATIONS[2].up(database);
+
+      expect(database.statements).toEqual([
+        "ALTER TABLE users ADD COLUMN hostType TEXT NOT NULL DEFAULT 'github'",
+        'ALTER TABLE users ADD COLUMN hostUrl TEXT',
+        'ALTER TABLE users ADD COLUMN hostClientId TEXT'
+      ]);
+    });
+
+    it('should have strictly increasing versions', () => {
+      const versions = MIGRATIONS.map(m => m.version);
+      expect(versions).toEqual([...versions].sort((a, b) => a - b));
+      expect(new Set(versions).size).toBe(versions.length);
+    });
+  });
+});
@@ -25,7 +25,10 @@ describe('AuthHandlers Unit Tests', () => {
         run: vi.fn((query, params, callback) => {
           callback(null);
         })
-      })
+      }),
+      run: vi.fn().mockResolvedValue({ id: 1, changes: 1 }),
+      get: vi.fn().mockResolvedValue(null),
+      all: vi.fn().mockResolvedValue([])
     };
   });
 
@@ -171,7 +174,7 @@ describe('AuthHandlers Unit Tests', () => {
     });
 
     it('should handle user info save error', async () => {
-      mockDatabaseManager.getDatabase.mockRejectedValue(new Error('Database error'));
+      mockDatabaseManager.run.mockRejectedValue(new Error('Database error'));
       
       const userInfo = {
         id: 123456,
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for the auto-publish scheduler
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AutoPublishScheduler } = require('../../src/ipc/autoPublish.js');
+
+const CMS_CONFIG = `
+media_folder: public/images
+collections:
+  - name: blog
+    folder: src/content/blog
+  - name: settings
+    files:
+      - name: site
+        file: data/site.json
+`;
+
+describe('AutoPublishScheduler', () => {
+  let scheduler;
+  let settings;
+  let gitHandlers;
+  let watcher;
+  let watched;
+  let online;
+  let dir;
+
+  /**
+   * Simulate a change reported by the watcher of the folder holding the file
+   * @param {string} eventType - fs.watch event type
+   * @param {string} filepath - Repository-relative path
+   */
+  const onChange = (eventType, filepath) => {
+    const folder = Object.keys(watched).find(candidate => filepath.startsWith(`${candidate}/`));
+    watched[folder](eventType, filepath.slice(folder.length + 1));
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-auto-publish-'));
+    for (const folder of ['src/content/blog', 'public/admin', 'public/images', 'data', 'node_modules/pkg', 'dist']) {
+      fs.mkdirSync(path.join(dir, folder), { recursive: true });
+    }
+    fs.writeFileSync(path.join(dir, 'public/admin/config.yml'), CMS_CONFIG);
+    watched = {};
+    settings = { autoPublish: true, autoPublishDelay: 30 };
+    online = true;
+    watcher = { on: vi.fn(), close: vi.fn() };
+    gitHandlers = {
+      mergeSession: null,
+      gitOperationInProgress: false,
+      sendOutput: vi.fn(),
+      getPreviewBranch: vi.fn(async () => 'preview'),
+      gitGetCurrentBranch: vi.fn(async () => 'preview'),
+      gitGetWorkingChanges: vi.fn(async () => ({
+        success: true,
+        files: [
+          { path: 'src/content/blog/post.md', status: 'modified', suggestedExclude: false },
+          { path: '.DS_Store', status: 'added', suggestedExclude: true }
+        ]
+      })),
+      gitPushToBranch: vi.fn(async () => ({ success: true, pushed: true }))
+    };
+    scheduler = new AutoPublishScheduler({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      settingsService: { getAll: vi.fn(async () => settings) },
+      gitHandlers,
+      watch: vi.fn((folder, options, callback) => {
+        watched[path.relative(dir, folder).split(path.sep).join('/')] = callback;
+        return watcher;
+      }),
+      isOnline: () => online
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    vi.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('watches src/ and the CMS folders instead of the whole repository', () => {
+    fs.rmSync(path.join(dir, 'public/images'), { recursive: true });
+
+    scheduler.start(dir);
+
+    // The media folder does not exist yet, so its parent is watched until the first upload
+    expect(Object.keys(watched).sort()).toEqual(['data', 'public', 'src']);
+    expect(scheduler.watch).toHaveBeenCalledWith(path.join(dir, 'src'), { recursive: true }, expect.any(Function));
+  });
+
+  it('publishes selected changes to preview after the quiet period', async () => {
+    scheduler.start(dir);
+    await vi.advanceTimersByTimeAsync(20000);
+    onChange('change', 'src/content/blog/post.md');
+    await vi.advanceTimersByTimeAsync(29000);
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(gitHandlers.gitPushToBranch).toHaveBeenCalledWith(
+      dir,
+      'preview',
+      'Auto-publicação: 1 arquivo(s) alterado(s)',
+      ['src/content/blog/post.md']
+    );
+    expect(gitHandlers.sendOutput).toHaveBeenCalledWith(expect.stringContaining('[Auto-publicação] ✅'));
+  });
+
+  it('ignores changes inside .git, build output and stray files', () => {
+    scheduler.start(dir);
+    scheduler.clearTimer();
+
+    scheduler.handleChange('.git/index');
+    scheduler.handleChange('node_modules/pkg/index.js');
+    onChange('rename', 'src/content/post.md~');
+
+    expect(scheduler.timer).toBeNull();
+  });
+
+  it('does nothing while auto-publish is disabled', async () => {
+    settings.autoPublish = false;
+    scheduler.start(dir);
+    onChange('change', 'public/images/photo.jpg');
+    await vi.advanceTimersByTimeAsync(120000);
+
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+  });
+
+  it('pauses while offline and resumes when the connection returns', async () => {
+    online = false;
+    scheduler.start(dir);
+    await vi.advanceTimersByTimeAsync(30000);
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+    expect(gitHandlers.sendOutput).toHaveBeenCalledTimes(1);
+    expect(gitHandlers.sendOutput).toHaveBeenCalledWith(expect.stringContaining('sem conexão'));
+
+    online = true;
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(gitHandlers.gitPushToBranch).toHaveBeenCalledTimes(1);
+  });
+
+  it('pauses during a merge conflict', async () => {
+    gitHandlers.mergeSession = { conflicts: [] };
+    scheduler.projectPath = '/project';
+
+    const result = await scheduler.run();
+
+    expect(result).toEqual({ status: 'paused', reason: 'conflict' });
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+  });
+
+  it('waits for the git lock without reporting', async () => {
+    gitHandlers.gitOperationInProgress = true;
+    scheduler.start(dir);
+    await vi.advanceTimersByTimeAsync(30000);
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+
+    gitHandlers.gitOperationInProgress = false;
+    await vi.advanceTimersByTimeAsync(10000);
+
+    expect(gitHandlers.gitPushToBranch).toHaveBeenCalledTimes(1);
+    expect(gitHandlers.sendOutput).not.toHaveBeenCalledWith(expect.stringContaining('Pausada'));
+  });
+
+  it('skips when the project is not on the preview branch', async () => {
+    gitHandlers.gitGetCurrentBranch.mockResolvedValue('working_maria_20240131-0905_');
+    scheduler.projectPath = '/project';
+
+    const result = await scheduler.run();
+
+    expect(result).toEqual({ status: 'skipped', reason: 'branch' });
+    expect(gitHandlers.gitPushToBranch).not.toHaveBeenCalled();
+  });
+
+  it('pauses when the push hits a conflict', async () => {
+    gitHandlers.gitPushToBranch.mockResolvedValue({ success: false, conflict: true, conflicts: [] });
+    scheduler.projectPath = '/project';
+
+    const result = await scheduler.run();
+
+    expect(result).toEqual({ status: 'paused', reason: 'conflict' });
+    expect(scheduler.timer).not.toBeNull();
+  });
+
+  it('closes the watcher on stop', () => {
+    scheduler.start(dir);
+    scheduler.stop();
+
+    expect(watcher.close).toHaveBeenCalled();
+    expect(scheduler.getStatus()).toMatchObject({ projectPath: null, watching: false, pending: false });
+  });
+
+  it('keeps watching when another project is closed', () => {
+    scheduler.start(dir);
+
+    expect(scheduler.stop(path.join(os.tmpdir(), 'other-project'))).toBe(false);
+    expect(watcher.close).not.toHaveBeenCalled();
+    expect(scheduler.getStatus()).toMatchObject({ projectPath: dir, watching: true });
+
+    expect(scheduler.stop(dir)).toBe(true);
+    expect(watcher.close).toHaveBeenCalled();
+  });
+});
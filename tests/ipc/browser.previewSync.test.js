@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Tests for the sync between the CMS editor and the site preview
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+// Main-process modules require electron directly; hand them the API mocked in the global setup
+require.cache[require.resolve('electron')] = { id: 'electron', loaded: true, exports: global.mockElectron };
+const { BrowserHandlers } = require('../../src/ipc/browser.js');
+
+/**
+ * Fake BrowserView whose page lives at the given URL
+ * @param {string} url - Current URL
+ * @returns {Object} BrowserView double
+ */
+function fakeView(url) {
+  return {
+    webContents: {
+      getURL: vi.fn(() => url),
+      loadURL: vi.fn(async () => {}),
+      executeJavaScript: vi.fn(async () => {}),
+      send: vi.fn(),
+      isDestroyed: vi.fn(() => false),
+      once: vi.fn(),
+      on: vi.fn()
+    }
+  };
+}
+
+describe('Editor and preview sync', () => {
+  let dir;
+  let window;
+  let editorView;
+  let viewerView;
+  let handlers;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-preview-sync-'));
+    fs.mkdirSync(path.join(dir, 'public', 'admin'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'src', 'content', 'blog'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'public', 'admin', 'config.yml'), 'collections:\n  - name: blog\n    folder: src/content/blog\n');
+    fs.writeFileSync(path.join(dir, 'src', 'content', 'blog', 'hello.md'), '# Hello\n');
+
+    window = { id: 7, isDestroyed: () => false, webContents: { send: vi.fn() } };
+    editorView = fakeView('http://localhost:4321/admin/#/collections/blog');
+    viewerView = fakeView('http://localhost:4321/blog/hello/');
+    global.mockElectron.BrowserWindow.fromWebContents.mockReturnValue(window);
+
+    handlers = new BrowserHandlers({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      windowManager: { getMainWindow: vi.fn() },
+      processManager: {
+        getProjectIdForWindow: vi.fn(() => '3'),
+        getDevServer: vi.fn(() => ({ projectId: '3', url: 'http://localhost:4321/', cwd: dir })),
+        getDevServerUrlForWindow: vi.fn(() => 'http://localhost:4321/')
+      }
+    });
+    handlers.windowBrowserViews.set(window, { editorView, viewerView });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resolves entries only for pages of the project dev server', async () => {
+    await expect(handlers.resolvePreviewEntry(window, 'http://localhost:4321/blog/hello/'))
+      .resolves.toEqual({ collection: 'blog', entry: 'hello', filepath: 'src/content/blog/hello.md' });
+    await expect(handlers.resolvePreviewEntry(window, 'https://example.com/blog/hello/')).resolves.toBeNull();
+    await expect(handlers.resolvePreviewEntry(window, 'not a url')).resolves.toBeNull();
+  });
+
+  it('opens the entry in the editor without reloading the preview', async () => {
+    handlers.registerHandlers();
+    const listener = name => global.mockElectron.ipcMain.on.mock.calls.find(([channel]) => channel === name)[1];
+
+    await listener('preview:open-entry')({ sender: viewerView.webContents }, 'http://localhost:4321/blog/hello/');
+
+    expect(editorView.webContents.executeJavaScript).toHaveBeenCalledWith('location.hash = "#/collections/blog/entries/hello"');
+    expect(window.webContents.send).toHaveBeenCalledWith('preview:entry-opened', expect.objectContaining({ collection: 'blog', entry: 'hello' }));
+
+    // The editor reports the opened entry; the viewer already shows it
+    await listener('cms:page-loaded')({ sender: editorView.webContents }, 'hello', { collection: 'blog', entry: 'hello' });
+    expect(viewerView.webContents.loadURL).not.toHaveBeenCalled();
+
+    // Later entries opened in the editor update the preview again
+    await listener('cms:page-loaded')({ sender: editorView.webContents }, 'other');
+    expect(viewerView.webContents.loadURL).toHaveBeenCalledWith('http://localhost:4321/other/');
+  });
+
+  it('routes the preview of editor pages through the site routes', async () => {
+    fs.mkdirSync(path.join(dir, 'src', 'pages', 'posts'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src', 'pages', 'posts', '[slug].astro'), "---\nconst posts = await getCollection('blog');\n---\n");
+    handlers.registerHandlers();
+    const listener = name => global.mockElectron.ipcMain.on.mock.calls.find(([channel]) => channel === name)[1];
+    const handler = name => global.mockElectron.ipcMain.handle.mock.calls.find(([channel]) => channel === name)[1];
+
+    await listener('cms:page-loaded')({ sender: editorView.webContents }, 'hello', { collection: 'blog', entry: 'hello' });
+
+    expect(viewerView.webContents.loadURL).toHaveBeenCalledWith('http://localhost:4321/posts/hello/');
+    await expect(handler('cms:resolve-preview-url')({ sender: editorView.webContents }, { collection: 'blog', entry: 'hello' }))
+      .resolves.toEqual({ success: true, url: 'http://localhost:4321/posts/hello/', path: '/posts/hello/' });
+    await expect(handler('cms:resolve-preview-url')({ sender: editorView.webContents }, { collection: 'authors', entry: 'ana' }))
+      .resolves.toEqual({ success: false, error: 'Nenhuma rota encontrada para esta entrada' });
+  });
+
+  it('checks the links of the built site and maps each broken page to its entry', async () => {
+    fs.mkdirSync(path.join(dir, 'dist', 'blog', 'hello'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'dist', 'index.html'), '<a href="/blog/hello/">Hello</a>');
+    fs.writeFileSync(path.join(dir, 'dist', 'blog', 'hello', 'index.html'), '<a href="/blog/renamed/">Antigo</a>');
+    handlers.registerHandlers();
+    const handler = name => global.mockElectron.ipcMain.handle.mock.calls.find(([channel]) => channel === name)[1];
+
+    const result = await handler('link-check:run')({ sender: window.webContents }, { source: 'dist' });
+
+    expect(result).toMatchObject({ success: true, source: 'dist', pagesChecked: 3, truncated: false });
+    expect(result.issues).toEqual([{
+      type: 'broken-link',
+      page: '/blog/hello/',
+      target: '/blog/renamed/',
+      status: 404,
+      source: { collection: 'blog', entry: 'hello', filepath: 'src/content/blog/hello.md' }
+    }]);
+    expect(window.webContents.send).toHaveBeenCalledWith('link-check:progress', expect.objectContaining({ pagesChecked: 3 }));
+
+    await handler('cms:open-entry')({ sender: window.webContents }, { collection: 'blog', entry: 'hello' });
+    expect(editorView.webContents.executeJavaScript).toHaveBeenCalledWith('location.hash = "#/collections/blog/entries/hello"');
+  });
+
+  it('reports why the link check cannot run', async () => {
+    handlers.processManager.getDevServer.mockReturnValue(null);
+    handlers.registerHandlers();
+    const handler = name => global.mockElectron.ipcMain.handle.mock.calls.find(([channel]) => channel === name)[1];
+
+    await expect(handler('link-check:run')({ sender: window.webContents }, { source: 'server' }))
+      .resolves.toEqual({ success: false, error: 'Nenhum servidor de desenvolvimento em execução para este projeto' });
+    await expect(handler('cms:open-entry')({ sender: window.webContents }, { collection: 'blog' }))
+      .resolves.toEqual({ success: false, error: 'Entrada inválida' });
+  });
+
+  it('offers to update the links to a renamed page and applies the chosen edits', async () => {
+    fs.writeFileSync(path.join(dir, 'src', 'content', 'blog', 'other.md'), 'Leia [o post](/hello/).\n');
+    handlers.registerHandlers();
+    const listener = name => global.mockElectron.ipcMain.on.mock.calls.find(([channel]) => channel === name)[1];
+    const handler = name => global.mockElectron.ipcMain.handle.mock.calls.find(([channel]) => channel === name)[1];
+
+    await listener('cms:page-loaded')({ sender: editorView.webContents }, 'hello', { collection: 'blog', entry: 'hello' });
+    await listener('cms:slug-changed')({ sender: editorView.webContents }, 'hello-world', { collection: 'blog' });
+
+    expect(window.webContents.send).toHaveBeenCalledWith('slug-refactor:proposed', {
+      from: '/hello/',
+      to: '/hello-world/',
+      references: [{ file: 'src/content/blog/other.md', line: 1, before: 'Leia [o post](/hello/).', after: 'Leia [o post](/hello-world/).' }],
+      files: [{ path: 'src/content/blog/other.md', count: 1 }],
+      redirect: { astro: false, file: true, suggested: 'none' }
+    });
+
+    await expect(handler('slug-refactor:apply')({ sender: window.webContents }, { files: ['src/content/blog/other.md'], redirect: 'file' }))
+      .resolves.toEqual({ success: true, files: ['src/content/blog/other.md', 'public/_redirects'], replacements: 1, redirectFile: 'public/_redirects' });
+    expect(fs.readFileSync(path.join(dir, 'src', 'content', 'blog', 'other.md'), 'utf8')).toBe('Leia [o post](/hello-world/).\n');
+    expect(handlers.slugRefactor.getPending(dir).renames).toEqual([{ from: '/hello/', to: '/hello-world/' }]);
+
+    // The proposal is used once
+    await expect(handler('slug-refactor:apply')({ sender: window.webContents }, {}))
+      .resolves.toEqual({ success: false, error: 'Nenhuma alteração de slug pendente' });
+  });
+
+  it('forwards the editor cursor to the preview only while scroll sync is on', () => {
+    handlers.registerHandlers();
+    const listener = name => global.mockElectron.ipcMain.on.mock.calls.find(([channel]) => channel === name)[1];
+    const handler = name => global.mockElectron.ipcMain.handle.mock.calls.find(([channel]) => channel === name)[1];
+    const position = { keyPath: 'body', heading: 'Instalação', headingOccurrence: 0, blockIndex: 2, ratio: 0.4 };
+
+    listener('cms:editor-position')({ sender: editorView.webContents }, position);
+    expect(viewerView.webContents.send).not.toHaveBeenCalled();
+
+    expect(handler('set-scroll-sync')({ sender: window.webContents }, true)).toEqual({ success: true, enabled: true });
+    listener('cms:editor-position')({ sender: editorView.webContents }, position);
+    listener('cms:editor-position')({ sender: editorView.webContents }, { ...position, blockIndex: -1 });
+    expect(viewerView.webContents.send).toHaveBeenCalledTimes(1);
+    expect(viewerView.webContents.send).toHaveBeenCalledWith('preview:scroll-to', { heading: 'Instalação', headingOccurrence: 0, blockIndex: 2, ratio: 0.4 });
+
+    handler('set-scroll-sync')({ sender: window.webContents }, false);
+    listener('cms:editor-position')({ sender: editorView.webContents }, position);
+    expect(viewerView.webContents.send).toHaveBeenCalledTimes(1);
+  });
+});
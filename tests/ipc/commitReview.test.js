@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Tests for CommitReview against a real temporary repository
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+const { CommitReview, isStrayPath } = require('../../src/ipc/commitReview.js');
+const { GitHistoryReader } = require('../../src/ipc/gitHistory.js');
+const { GitLfs } = require('../../src/ipc/gitLfs.js');
+
+const author = { name: 'Test', email: 'test@example.com' };
+
+describe('isStrayPath', () => {
+  it('flags editor backups, OS metadata and build output', () => {
+    expect(isStrayPath('.DS_Store')).toBe(true);
+    expect(isStrayPath('src/content/.DS_Store')).toBe(true);
+    expect(isStrayPath('post.md~')).toBe(true);
+    expect(isStrayPath('src/.post.md.swp')).toBe(true);
+    expect(isStrayPath('dist/index.html')).toBe(true);
+    expect(isStrayPath('.astro/types.d.ts')).toBe(true);
+  });
+
+  it('keeps content files', () => {
+    expect(isStrayPath('src/content/blog/post.md')).toBe(false);
+    expect(isStrayPath('public/images/distance.png')).toBe(false);
+  });
+});
+
+describe('CommitReview', () => {
+  let dir;
+  let review;
+
+  /**
+   * Write a file inside the test repository
+   * @param {string} filepath - Repository-relative path
+   * @param {string} content - File content
+   */
+  function write(filepath, content) {
+    const fullPath = path.join(dir, filepath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-review-'));
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    review = new CommitReview({ logger, historyReader: new GitHistoryReader({ logger }) });
+
+    await git.init({ fs, dir, defaultBranch: 'preview' });
+    write('post.md', 'line1\nline2\n');
+    write('about.md', 'about\n');
+    await git.add({ fs, dir, filepath: 'post.md' });
+    await git.add({ fs, dir, filepath: 'about.md' });
+    await git.commit({ fs, dir, message: 'initial', author });
+
+    write('post.md', 'line1\nline2 edited\n');
+    fs.rmSync(path.join(dir, 'about.md'));
+    write('new.md', 'new\n');
+    write('.DS_Store', 'junk');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists added, modified and deleted files and suggests excluding strays', async () => {
+    const changes = await review.listChanges({ gitMod: git, fs, dir });
+
+    expect(changes).toEqual([
+      { path: '.DS_Store', status: 'added', suggestedExclude: true },
+      { path: 'about.md', status: 'deleted', suggestedExclude: false },
+      { path: 'new.md', status: 'added', suggestedExclude: false },
+      { path: 'post.md', status: 'modified', suggestedExclude: false }
+    ]);
+  });
+
+  it('diffs a working file against HEAD', async () => {
+    const modified = await review.readFileDiff({ gitMod: git, fs, dir, filepath: 'post.md' });
+    expect(modified.status).toBe('modified');
+    expect(modified.hunks[0].lines).toEqual([
+      { type: ' ', text: 'line1' },
+      { type: '-', text: 'line2' },
+      { type: '+', text: 'line2 edited' }
+    ]);
+
+    const deleted = await review.readFileDiff({ gitMod: git, fs, dir, filepath: 'about.md' });
+    expect(deleted.status).toBe('deleted');
+    expect(deleted.hunks[0].lines).toEqual([{ type: '-', text: 'about' }]);
+  });
+
+  it('discards changes back to HEAD and removes untracked files', async () => {
+    await git.add({ fs, dir, filepath: 'new.md' });
+
+    const discarded = await review.discard({ gitMod: git, fs, dir, paths: ['post.md', 'about.md', 'new.md'] });
+
+    expect(discarded).toEqual(['post.md', 'about.md', 'new.md']);
+    expect(fs.readFileSync(path.join(dir, 'post.md'), 'utf8')).toBe('line1\nline2\n');
+    expect(fs.readFileSync(path.join(dir, 'about.md'), 'utf8')).toBe('about\n');
+    expect(fs.existsSync(path.join(dir, 'new.md'))).toBe(false);
+
+    const changes = await review.listChanges({ gitMod: git, fs, dir });
+    expect(changes.map(change => change.path)).toEqual(['.DS_Store']);
+  });
+
+  it('discards LFS media back to its content instead of the pointer in HEAD', async () => {
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const lfs = new GitLfs({ logger });
+    review = new CommitReview({ logger, historyReader: new GitHistoryReader({ logger }), lfs });
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+    write('.gitattributes', '*.png filter=lfs diff=lfs merge=lfs -text\n');
+    fs.mkdirSync(path.join(dir, '.git', 'lfs'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'photo.png'), image);
+    await lfs.stage({ gitMod: git, fs, dir, filepath: 'photo.png' });
+    await git.commit({ fs, dir, message: 'add photo', author });
+
+    fs.writeFileSync(path.join(dir, 'photo.png'), Buffer.from('edited'));
+    await review.discard({ gitMod: git, fs, dir, paths: ['photo.png'] });
+
+    expect(fs.readFileSync(path.join(dir, 'photo.png'))).toEqual(image);
+    const changes = await review.listChanges({ gitMod: git, fs, dir });
+    expect(changes.map(change => change.path)).not.toContain('photo.png');
+  });
+
+  it('rejects paths outside the repository', async () => {
+    await expect(review.discard({ gitMod: git, fs, dir, paths: ['post.md', '../outside.md'] })).rejects.toThrow('Caminho inválido');
+    expect(fs.readFileSync(path.join(dir, 'post.md'), 'utf8')).toBe('line1\nline2 edited\n');
+  });
+});
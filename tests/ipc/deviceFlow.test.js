@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Tests for the device flow session and token polling statuses
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { DeviceFlowSession } = require('../../src/ipc/deviceFlow.js');
+const { AuthHandlers } = require('../../src/ipc/auth.js');
+
+const CODE = {
+  device_code: 'device-1',
+  user_code: 'ABCD-1234',
+  verification_uri: 'https://github.com/login/device',
+  expires_in: 900,
+  interval: 5
+};
+
+const USER_INFO = { id: '101', login: 'octocat' };
+
+/**
+ * Deferred authorize() double: each call returns a promise the test settles
+ * @returns {{authorize: Function, calls: Array}} Double and its calls
+ */
+function createAuthorize() {
+  const calls = [];
+  const authorize = vi.fn((deviceCode, interval, hooks) => new Promise(resolve => {
+    calls.push({ deviceCode, interval, hooks, resolve });
+  }));
+  return { authorize, calls };
+}
+
+describe('DeviceFlowSession', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  });
+
+  it('publishes the code and polling statuses and settles once authorized', async () => {
+    const { authorize, calls } = createAuthorize();
+    const send = vi.fn();
+    const session = new DeviceFlowSession({
+      logger, hostLabel: 'GitHub', authorize, send, requestDeviceCode: vi.fn(), now: () => Date.parse('2026-01-01T10:00:00Z')
+    });
+
+    const done = session.start(CODE);
+
+    expect(session.getState()).toMatchObject({
+      hostLabel: 'GitHub',
+      userCode: 'ABCD-1234',
+      verificationUri: 'https://github.com/login/device',
+      expiresAt: '2026-01-01T10:15:00.000Z',
+      status: 'authorization_pending'
+    });
+    expect(calls[0]).toMatchObject({ deviceCode: 'device-1', interval: 5 });
+
+    calls[0].hooks.onStatus('slow_down');
+    expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'slow_down' }));
+
+    calls[0].resolve({ success: true, userInfo: USER_INFO });
+    await expect(done).resolves.toEqual({ success: true, userInfo: USER_INFO });
+    expect(session.getState().status).toBe('authorized');
+  });
+
+  it('waits for a new code after expiry or denial and ignores the old poll', async () => {
+    const { authorize, calls } = createAuthorize();
+    const requestDeviceCode = vi.fn().mockResolvedValue({ ...CODE, device_code: 'device-2', user_code: 'WXYZ-9876' });
+    const session = new DeviceFlowSession({ logger, hostLabel: 'GitHub', authorize, requestDeviceCode });
+
+    const done = session.start(CODE);
+    calls[0].resolve({ success: false, code: 'expired_token', error: 'O código expirou antes de ser autorizado' });
+    await vi.waitFor(() => expect(session.getState().status).toBe('expired_token'));
+
+    const state = await session.restart();
+
+    expect(state).toMatchObject({ userCode: 'WXYZ-9876', status: 'authorization_pending' });
+    expect(calls[0].hooks.isCancelled()).toBe(true);
+    expect(calls[1].hooks.isCancelled()).toBe(false);
+
+    calls[1].resolve({ success: false, code: 'access_denied', error: 'A autorização foi negada no navegador' });
+    await vi.waitFor(() => expect(session.getState().status).toBe('access_denied'));
+
+    session.cancel();
+    await expect(done).resolves.toMatchObject({ success: false, cancelled: true });
+    expect(calls[1].hooks.isCancelled()).toBe(true);
+  });
+
+  it('shows other failures as errors', async () => {
+    const { authorize, calls } = createAuthorize();
+    const session = new DeviceFlowSession({ logger, hostLabel: 'GitHub', authorize, requestDeviceCode: vi.fn() });
+
+    session.start(CODE);
+    calls[0].resolve({ success: false, error: 'Failed to store token securely' });
+
+    await vi.waitFor(() => expect(session.getState()).toMatchObject({ status: 'error', message: 'Failed to store token securely' }));
+  });
+});
+
+describe('AuthHandlers.pollForToken', () => {
+  let handlers;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    handlers = new AuthHandlers({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager: {},
+      accountService: {}
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports pending and slow_down, widening the interval, until a token arrives', async () => {
+    const onStatus = vi.fn();
+    vi.spyOn(handlers, 'makeHttpsRequest')
+      .mockResolvedValueOnce({ error: 'authorization_pending' })
+      .mockResolvedValueOnce({ error: 'slow_down', interval: 10 })
+      .mockResolvedValueOnce({ access_token: 'gho_token' });
+
+    const token = handlers.pollForToken('device-1', 5, undefined, { onStatus });
+    await vi.advanceTimersByTimeAsync(5000 + 5000 + 10000);
+
+    await expect(token).resolves.toBe('gho_token');
+    expect(onStatus.mock.calls).toEqual([['authorization_pending'], ['slow_down']]);
+  });
+
+  it.each([
+    ['expired_token'],
+    ['access_denied']
+  ])('stops polling on %s', async (error) => {
+    const request = vi.spyOn(handlers, 'makeHttpsRequest').mockResolvedValue({ error });
+
+    const token = handlers.pollForToken('device-1', 5);
+    const assertion = expect(token).rejects.toMatchObject({ code: error });
+    await vi.advanceTimersByTimeAsync(20000);
+
+    await assertion;
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries network errors and stops when cancelled', async () => {
+    let cancelled = false;
+    const request = vi.spyOn(handlers, 'makeHttpsRequest').mockRejectedValue(new Error('getaddrinfo EAI_AGAIN github.com'));
+
+    const token = handlers.pollForToken('device-1', 5, undefined, { isCancelled: () => cancelled });
+    const assertion = expect(token).rejects.toMatchObject({ code: 'cancelled' });
+    await vi.advanceTimersByTimeAsync(10000);
+    cancelled = true;
+    await vi.advanceTimersByTimeAsync(5000);
+
+    await assertion;
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+});
@@ -49,7 +49,7 @@ vi.mock('fs', () => ({
 
 vi.mock('../../src/ipc/gitOperations.js', () => ({
   GitOperations: vi.fn().mockImplementation(() => ({
-    getGitHubToken: vi.fn(),
+    getGitAuth: vi.fn(),
     configureGitForUser: vi.fn(),
     getCachedUserInfo: vi.fn(),
   })),
@@ -57,6 +57,8 @@ vi.mock('../../src/ipc/gitOperations.js', () => ({
 
 import { GitHandlers } from '../../src/ipc/git.js';
 
+const GIT_AUTH = { username: 'ghp_test_token', password: 'x-oauth-basic' };
+
 describe('Git performance optimizations', () => {
   let handlers;
   let mockLogger;
@@ -87,7 +89,7 @@ describe('Git performance optimizations', () => {
     });
 
     it('passes _gitCache to currentBranch in gitPullFromPreview', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
 
@@ -114,7 +116,7 @@ describe('Git performance optimizations', () => {
     });
 
     it('resets _gitCache after push operation', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('test-token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(true);
       const git = await import('isomorphic-git');
       git.push.mockResolvedValue({});
@@ -215,11 +217,13 @@ describe('Git performance optimizations', () => {
 
   // ─── Category 7: Clone options ──────────────────────────────────────
   describe('Clone options', () => {
-    it('projectCreation.js configures singleBranch: true and depth: 10', async () => {
+    it('projectCreation.js configures singleBranch: true and the project depth (10 by default)', async () => {
       const realFs = await vi.importActual('fs');
       const source = realFs.readFileSync('src/ipc/projectCreation.js', 'utf8');
       expect(source).toContain('singleBranch: true');
-      expect(source).toContain('depth: 10');
+      expect(source).toContain('...depthOptions(depth)');
+      const depthSource = realFs.readFileSync('src/services/cloneDepthService.js', 'utf8');
+      expect(depthSource).toContain('DEFAULT_CLONE_DEPTH = 10');
     });
 
     it('projects.js configures singleBranch: true and depth: 10', async () => {
@@ -232,27 +236,27 @@ describe('Git performance optimizations', () => {
 
   // ─── Category 8: Parallelization ───────────────────────────────────
   describe('Parallelization', () => {
-    it('gitPullFromPreview starts token fetch and branch detection in parallel', async () => {
+    it('gitPullFromPreview starts credential lookup and branch detection in parallel', async () => {
       // With Promise.all, both calls start before either resolves.
-      // If sequential and token=null, currentBranch would never be called
+      // If sequential and auth=null, currentBranch would never be called
       // because the early return fires. Both being called proves parallelism.
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
 
       await handlers.gitPullFromPreview('/test/path');
 
-      expect(handlers.gitOps.getGitHubToken).toHaveBeenCalledTimes(1);
+      expect(handlers.gitOps.getGitAuth).toHaveBeenCalledTimes(1);
       expect(git.currentBranch).toHaveBeenCalledTimes(1);
     });
 
-    it('gitPushToBranch starts token fetch and configureGitForUser in parallel', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('gitPushToBranch starts credential lookup and configureGitForUser in parallel', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(true);
 
       await handlers.gitPushToBranch('/test/path', 'main');
 
-      expect(handlers.gitOps.getGitHubToken).toHaveBeenCalledTimes(1);
+      expect(handlers.gitOps.getGitAuth).toHaveBeenCalledTimes(1);
       expect(handlers.gitOps.configureGitForUser).toHaveBeenCalledTimes(1);
     });
   });
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Tests for GitHandlers publish-to-main (preview -> main rebase flow)
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('isomorphic-git', () => ({
+  default: {},
+  fetch: vi.fn(),
+  resolveRef: vi.fn(),
+  isDescendent: vi.fn(),
+  log: vi.fn(),
+  writeRef: vi.fn(),
+  deleteRef: vi.fn(),
+  checkout: vi.fn(),
+  push: vi.fn(),
+  statusMatrix: vi.fn(),
+}));
+
+vi.mock('isomorphic-git/http/node', () => ({
+  default: {},
+}));
+
+vi.mock('electron', () => ({
+  BrowserWindow: { getAllWindows: vi.fn(() => []) },
+  ipcMain: { handle: vi.fn(), removeHandler: vi.fn() },
+}));
+
+vi.mock('fs', () => ({
+  default: {},
+  existsSync: vi.fn(() => false),
+  readFileSync: vi.fn(),
+  writeFileSync: vi.fn(),
+  promises: {},
+}));
+
+vi.mock('../../src/ipc/gitOperations.js', () => ({
+  GitOperations: vi.fn().mockImplementation(() => ({
+    getGitAuth: vi.fn(),
+    configureGitForUser: vi.fn(),
+  })),
+}));
+
+import { GitHandlers } from '../../src/ipc/git.js';
+
+const GIT_AUTH = { username: 'ghp_test_token', password: 'x-oauth-basic' };
+
+const MAIN = 'a'.repeat(40);
+const PREVIEW = 'b'.repeat(40);
+const MIDDLE = 'c'.repeat(40);
+
+/**
+ * Build a log entry as returned by isomorphic-git
+ * @param {string} oid - Commit SHA
+ * @param {string} message - Commit message
+ * @returns {Object} Log entry
+ */
+function logEntry(oid, message) {
+  return { oid, commit: { message, author: { name: 'Editor', timestamp: 1700000000 } } };
+}
+
+describe('GitHandlers publish to main', () => {
+  let handlers;
+  let git;
+  let refs;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    handlers = new GitHandlers({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager: { getDatabase: vi.fn() }
+    });
+    handlers.sendOutput = vi.fn();
+    handlers.sendProgress = vi.fn();
+    vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
+
+    git = await import('isomorphic-git');
+    refs = {
+      'refs/remotes/origin/main': MAIN,
+      'refs/heads/main': MAIN,
+      'refs/heads/preview': PREVIEW,
+      'refs/remotes/origin/preview': PREVIEW
+    };
+    git.resolveRef.mockImplementation(async ({ ref }) => {
+      if (!refs[ref]) throw new Error(`Could not find ${ref}`);
+      return refs[ref];
+    });
+    git.isDescendent.mockImplementation(async ({ oid, ancestor }) => oid === PREVIEW && ancestor === MAIN);
+    git.log.mockResolvedValue([logEntry(PREVIEW, 'Second change\n\nDetails'), logEntry(MIDDLE, 'First change'), logEntry(MAIN, 'Live')]);
+    git.statusMatrix.mockResolvedValue([['index.md', 1, 1, 1]]);
+    git.fetch.mockResolvedValue({});
+    git.writeRef.mockResolvedValue();
+    git.checkout.mockResolvedValue();
+    git.push.mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('lists the commits between main and preview, newest first', async () => {
+    const result = await handlers.gitGetPublishToMainCommits('/test/path');
+
+    expect(result.success).toBe(true);
+    expect(result.previewOid).toBe(PREVIEW);
+    expect(result.commits.map(commit => commit.message)).toEqual(['Second change', 'First change']);
+    expect(result.commits[0].shortOid).toBe(PREVIEW.substring(0, 7));
+  });
+
+  it('fast-forwards main to preview, pushes main and returns to preview', async () => {
+    const uploadPending = vi.spyOn(handlers.gitOps.lfs, 'uploadPending').mockResolvedValue(0);
+
+    const result = await handlers.gitPublishToMain('/test/path', PREVIEW);
+
+    expect(result).toMatchObject({ success: true, published: true, branch: 'main' });
+    expect(git.writeRef).toHaveBeenLastCalledWith(expect.objectContaining({ ref: 'refs/heads/main', value: PREVIEW, force: true }));
+    expect(git.push).toHaveBeenCalledWith(expect.objectContaining({ remote: 'origin', ref: 'main' }));
+    // Media committed on preview reaches the LFS server before main points at it
+    expect(uploadPending).toHaveBeenCalledWith(expect.objectContaining({ dir: '/test/path', auth: GIT_AUTH }));
+    expect(uploadPending.mock.invocationCallOrder[0]).toBeLessThan(git.push.mock.invocationCallOrder[0]);
+    expect(git.checkout.mock.calls.map(([args]) => args.ref)).toEqual(['main', 'preview']);
+    expect(handlers.gitOperationInProgress).toBe(false);
+  });
+
+  it('refuses when main is not an ancestor of preview', async () => {
+    git.isDescendent.mockResolvedValue(false);
+    refs['refs/remotes/origin/main'] = MIDDLE;
+    refs['refs/heads/main'] = MIDDLE;
+
+    const result = await handlers.gitPublishToMain('/test/path');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/'main' tem alterações que não estão em 'preview'/);
+    expect(git.push).not.toHaveBeenCalled();
+    expect(git.checkout).not.toHaveBeenCalled();
+  });
+
+  it('refuses while preview has commits that were not pushed', async () => {
+    refs['refs/remotes/origin/preview'] = MIDDLE;
+
+    const result = await handlers.gitPublishToMain('/test/path');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/ainda não foram enviadas/);
+    expect(git.push).not.toHaveBeenCalled();
+  });
+
+  it('refuses when preview moved since the commits were reviewed', async () => {
+    const result = await handlers.gitPublishToMain('/test/path', MIDDLE);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/mudou desde a revisão/);
+    expect(git.push).not.toHaveBeenCalled();
+  });
+
+  it('refuses with uncommitted changes', async () => {
+    git.statusMatrix.mockResolvedValue([['index.md', 1, 2, 1]]);
+
+    const result = await handlers.gitPublishToMain('/test/path');
+
+    expect(result.success).toBe(false);
+    expect(git.fetch).not.toHaveBeenCalled();
+  });
+
+  it('restores the local main ref and returns to preview when the push fails', async () => {
+    git.push.mockRejectedValue(new Error('Push rejected (non-fast-forward)'));
+
+    const result = await handlers.gitPublishToMain('/test/path');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/mudou no servidor/);
+    expect(git.writeRef).toHaveBeenLastCalledWith(expect.objectContaining({ ref: 'refs/heads/main', value: MAIN, force: true }));
+    expect(git.checkout.mock.calls.map(([args]) => args.ref)).toEqual(['main', 'preview']);
+  });
+
+  it('reports production as up to date when main already equals preview', async () => {
+    refs['refs/remotes/origin/main'] = PREVIEW;
+    refs['refs/heads/main'] = PREVIEW;
+
+    const result = await handlers.gitPublishToMain('/test/path');
+
+    expect(result).toMatchObject({ success: true, published: false, upToDate: true, commits: [] });
+    expect(git.push).not.toHaveBeenCalled();
+  });
+});
@@ -43,13 +43,16 @@ vi.mock('fs', () => ({
 
 vi.mock('../../src/ipc/gitOperations.js', () => ({
   GitOperations: vi.fn().mockImplementation(() => ({
-    getGitHubToken: vi.fn(),
+    getGitAuth: vi.fn(),
     configureGitForUser: vi.fn(),
     getCachedUserInfo: vi.fn(),
   })),
 }));
 
 import { GitHandlers } from '../../src/ipc/git.js';
+import { SlugRefactor } from '../../src/ipc/slugRefactor.js';
+
+const GIT_AUTH = { username: 'ghp_test_token', password: 'x-oauth-basic' };
 
 describe('GitHandlers pull/push/listRemoteBranches', () => {
   let handlers;
@@ -80,7 +83,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('lock is released after successful pull', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('test-token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockResolvedValue({});
@@ -90,7 +93,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('lock is released even when pull throws error', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('test-token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
       git.pull.mockRejectedValue(new Error('network error'));
@@ -100,21 +103,21 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
   });
 
   describe('gitPullFromPreview', () => {
-    it('calls getGitHubToken() to obtain auth token', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('calls getGitAuth() to obtain the project credentials', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       await handlers.gitPullFromPreview('/test/path').catch(() => {});
-      expect(handlers.gitOps.getGitHubToken).toHaveBeenCalled();
+      expect(handlers.gitOps.getGitAuth).toHaveBeenCalled();
     });
 
-    it('returns error when no token available', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('returns error when no account is signed in', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const result = await handlers.gitPullFromPreview('/test/path');
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
     });
 
-    it('passes auth to git.pull() with username=token and password=x-oauth-basic', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+    it('passes the project credentials to git.pull()', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockResolvedValue({});
@@ -122,11 +125,24 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
       await handlers.gitPullFromPreview('/test/path');
       const pullCall = git.pull.mock.calls[0]?.[0];
       expect(pullCall?.onAuth).toEqual(expect.any(Function));
-      expect(pullCall?.onAuth()).toEqual({ username: 'ghp_test_token', password: 'x-oauth-basic' });
+      expect(pullCall?.onAuth()).toEqual(GIT_AUTH);
+    });
+
+    it('fetches without a depth so the history of shallow clones is not cut short', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
+      const git = await import('isomorphic-git');
+      git.currentBranch.mockResolvedValue('preview');
+      git.fetch.mockResolvedValue({});
+      git.pull.mockResolvedValue({});
+
+      await handlers.gitPullFromPreview('/test/path');
+
+      expect(git.fetch.mock.calls[0][0]).toEqual(expect.objectContaining({ ref: 'preview', singleBranch: true }));
+      expect(git.fetch.mock.calls[0][0]).not.toHaveProperty('depth');
     });
 
     it('returns error when HEAD is detached (currentBranch returns null)', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue(null);
       const result = await handlers.gitPullFromPreview('/test/path');
@@ -136,14 +152,14 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
   });
 
   describe('gitPushToBranch', () => {
-    it('calls getGitHubToken() to obtain auth token', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('calls getGitAuth() to obtain the project credentials', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       await handlers.gitPushToBranch('/test/path', 'main').catch(() => {});
-      expect(handlers.gitOps.getGitHubToken).toHaveBeenCalled();
+      expect(handlers.gitOps.getGitAuth).toHaveBeenCalled();
     });
 
     it('calls configureGitForUser() before pushing', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(true);
       const git = await import('isomorphic-git');
       git.push.mockResolvedValue({});
@@ -152,7 +168,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('includes remote: origin in git.push() call', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(true);
       const git = await import('isomorphic-git');
       git.push.mockResolvedValue({});
@@ -161,38 +177,128 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
       expect(pushCall?.remote).toBe('origin');
     });
 
-    it('returns error when no token available', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('returns error when no account is signed in', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const result = await handlers.gitPushToBranch('/test/path', 'main');
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
     });
   });
 
+  describe('Media optimization before commits', () => {
+    const matrix = [
+      ['public/uploads/photo.jpg', 0, 2, 0],
+      ['public/uploads/logo.svg', 0, 2, 0],
+      ['src/content/post.md', 1, 2, 1],
+      ['README.md', 1, 1, 1]
+    ];
+
+    it('optimizes new images and reads the changed files as references', async () => {
+      const report = { files: [{ path: 'public/uploads/photo.jpg', before: 9000, after: 3000 }], savedBytes: 6000, renamed: {} };
+      vi.spyOn(handlers.mediaSettings, 'getForPath').mockRejectedValue(new Error('SQLITE_BUSY'));
+      vi.spyOn(handlers.mediaOptimizer, 'optimize').mockResolvedValue(report);
+      vi.spyOn(handlers.mediaOptimizer, 'dispose');
+      vi.spyOn(handlers, 'sendOutput').mockImplementation(() => {});
+
+      await expect(handlers._optimizeMedia({}, '/test/path', matrix, null)).resolves.toBe(report);
+
+      expect(handlers.mediaOptimizer.optimize).toHaveBeenCalledWith(expect.objectContaining({
+        dir: '/test/path',
+        filepaths: ['public/uploads/photo.jpg'],
+        textFiles: ['public/uploads/photo.jpg', 'public/uploads/logo.svg', 'src/content/post.md'],
+        settings: expect.objectContaining({ enabled: true, maxDimension: 2048 })
+      }));
+      expect(handlers.sendOutput).toHaveBeenCalledWith('✅ 1 imagem(ns) otimizada(s): 5.9 KB economizados');
+      expect(handlers.mediaOptimizer.dispose).toHaveBeenCalled();
+    });
+
+    it('skips the settings lookup when the commit has no new images', async () => {
+      vi.spyOn(handlers.mediaSettings, 'getForPath');
+
+      await expect(handlers._optimizeMedia({}, '/test/path', matrix, ['src/content/post.md'])).resolves.toBeNull();
+      expect(handlers.mediaSettings.getForPath).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Link updates after a slug change', () => {
+    const rename = { from: '/blog/old-title/', to: '/blog/new-title/' };
+    let slugRefactor;
+
+    beforeEach(() => {
+      slugRefactor = new SlugRefactor({ logger: mockLogger });
+      slugRefactor.markPending('/test/path', ['src/content/blog/other.md', 'public/_redirects'], rename);
+      handlers = new GitHandlers({ logger: mockLogger, databaseManager: mockDatabaseManager, slugRefactor });
+      handlers.gitOps.lfs = {
+        normalizeStatusMatrix: vi.fn(async ({ matrix }) => matrix),
+        readPatterns: vi.fn(async () => [])
+      };
+      vi.spyOn(handlers, 'sendOutput').mockImplementation(() => {});
+    });
+
+    it('commits the rewritten files with the selected ones and notes the URL change', async () => {
+      const gitMod = {
+        statusMatrix: vi.fn(async () => [
+          ['src/content/blog/new-title.md', 0, 2, 0],
+          ['src/content/blog/other.md', 1, 2, 1],
+          ['public/_redirects', 0, 2, 0],
+          ['notes.txt', 0, 2, 0]
+        ]),
+        add: vi.fn(),
+        remove: vi.fn(),
+        resetIndex: vi.fn(),
+        commit: vi.fn(async () => 'abc1234def5678')
+      };
+
+      await handlers._commitAll(gitMod, {}, '/test/path', 'Renomeia post', { name: 'Editor', email: 'editor@example.com' }, ['src/content/blog/new-title.md']);
+
+      expect(gitMod.add.mock.calls.map(([{ filepath }]) => filepath).sort())
+        .toEqual(['public/_redirects', 'src/content/blog/new-title.md', 'src/content/blog/other.md']);
+      expect(gitMod.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Renomeia post\n\nLinks atualizados: /blog/old-title/ → /blog/new-title/'
+      }));
+      expect(handlers.sendOutput).toHaveBeenCalledWith('🔗 2 arquivo(s) com links atualizados incluído(s) no commit');
+      expect(slugRefactor.getPending('/test/path')).toBeNull();
+    });
+
+    it('marks the rewritten files in the working changes', async () => {
+      vi.spyOn(handlers.commitReview, 'listChanges').mockResolvedValue([
+        { path: 'src/content/blog/other.md', status: 'modified', suggestedExclude: false },
+        { path: 'notes.txt', status: 'added', suggestedExclude: false }
+      ]);
+
+      const result = await handlers.gitGetWorkingChanges('/test/path');
+
+      expect(result.files).toEqual([
+        { path: 'src/content/blog/other.md', status: 'modified', suggestedExclude: false, slugRefactor: true },
+        { path: 'notes.txt', status: 'added', suggestedExclude: false }
+      ]);
+    });
+  });
+
   describe('gitListRemoteBranches', () => {
-    it('calls getGitHubToken() to obtain auth token', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('calls getGitAuth() to obtain the project credentials', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const git = await import('isomorphic-git');
       git.listServerRefs.mockResolvedValue([]);
       await handlers.gitListRemoteBranches('/test/path').catch(() => {});
-      expect(handlers.gitOps.getGitHubToken).toHaveBeenCalled();
+      expect(handlers.gitOps.getGitAuth).toHaveBeenCalled();
     });
 
-    it('passes auth to git.listServerRefs() when token exists', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+    it('passes auth to git.listServerRefs() when signed in', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.listServerRefs.mockResolvedValue([]);
       git.getConfig.mockResolvedValue('https://github.com/user/repo.git');
       await handlers.gitListRemoteBranches('/test/path').catch(() => {});
       const refCall = git.listServerRefs.mock.calls[0]?.[0];
       expect(refCall?.onAuth).toEqual(expect.any(Function));
-      expect(refCall?.onAuth()).toEqual({ username: 'ghp_test_token', password: 'x-oauth-basic' });
+      expect(refCall?.onAuth()).toEqual(GIT_AUTH);
     });
   });
 
   describe('Error handling', () => {
     it('pull handles network error gracefully (returns error instead of throwing)', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockRejectedValue(new Error('ECONNREFUSED network error'));
@@ -202,7 +308,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('push handles non-fast-forward error gracefully', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(true);
       const git = await import('isomorphic-git');
       git.push.mockRejectedValue(new Error('non-fast-forward'));
@@ -212,7 +318,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('pull categorizes 401 authentication errors', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       const git = await import('isomorphic-git');
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockRejectedValue(new Error('HTTP Error: 401 Unauthorized'));
@@ -249,7 +355,7 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
     });
 
     it('push continues when configureGitForUser returns false (best-effort)', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue('ghp_test_token');
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
       vi.spyOn(handlers.gitOps, 'configureGitForUser').mockResolvedValue(false);
       const git = await import('isomorphic-git');
       git.push.mockResolvedValue({});
@@ -258,8 +364,8 @@ describe('GitHandlers pull/push/listRemoteBranches', () => {
       expect(git.push).toHaveBeenCalled();
     });
 
-    it('listRemoteBranches works without auth token (public repos)', async () => {
-      vi.spyOn(handlers.gitOps, 'getGitHubToken').mockResolvedValue(null);
+    it('listRemoteBranches works without credentials (public repos)', async () => {
+      vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(null);
       const git = await import('isomorphic-git');
       git.getConfig.mockResolvedValue('https://github.com/user/repo.git');
       git.listServerRefs.mockResolvedValue([
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for fetching older commits of shallow clones when the history view needs them
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+vi.mock('isomorphic-git', () => ({
+  default: {},
+  currentBranch: vi.fn(),
+  fetch: vi.fn(),
+  canFastForward: vi.fn(),
+  fastForward: vi.fn(),
+}));
+
+vi.mock('isomorphic-git/http/node', () => ({
+  default: {},
+}));
+
+vi.mock('electron', () => ({
+  BrowserWindow: { getAllWindows: vi.fn(() => []) },
+  ipcMain: { handle: vi.fn(), removeHandler: vi.fn() },
+}));
+
+import { GitHandlers } from '../../src/ipc/git.js';
+
+const GIT_AUTH = { username: 'ghp_test_token', password: 'x-oauth-basic' };
+
+/**
+ * Fetch double for a remote with a linear history c1 (oldest) to c<total>. Like a git
+ * server, it moves the shallow boundary in .git/shallow according to the fetch depth.
+ * @param {string} shallowFile - Path of .git/shallow
+ * @param {number} total - Commits on the remote
+ * @returns {Function} git.fetch implementation
+ */
+function fakeRemoteFetch(shallowFile, total) {
+  return async ({ depth, relative }) => {
+    const boundary = fs.existsSync(shallowFile) ? Number(fs.readFileSync(shallowFile, 'utf8').trim().slice(1)) : 1;
+    let oldest = boundary;
+    if (depth && relative) {
+      oldest = Math.max(1, boundary - depth);
+    } else if (depth) {
+      oldest = Math.max(1, total - depth + 1);
+    }
+    if (oldest === 1) {
+      fs.rmSync(shallowFile, { force: true });
+    } else {
+      fs.writeFileSync(shallowFile, `c${oldest}\n`);
+    }
+  };
+}
+
+describe('GitHandlers shallow history', () => {
+  let handlers;
+  let git;
+  let repoDir;
+  let shallowFile;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    git = await import('isomorphic-git');
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-shallow-'));
+    fs.mkdirSync(path.join(repoDir, '.git'));
+    shallowFile = path.join(repoDir, '.git', 'shallow');
+    fs.writeFileSync(shallowFile, 'abc123\n');
+    handlers = new GitHandlers({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager: { getDatabase: vi.fn() }
+    });
+    vi.spyOn(handlers.gitOps, 'getGitAuth').mockResolvedValue(GIT_AUTH);
+    vi.spyOn(handlers, 'broadcastToWindows').mockImplementation(() => {});
+    vi.spyOn(handlers.historyReader, 'readLog').mockResolvedValue({ commits: [], hasMore: false });
+    git.currentBranch.mockResolvedValue('preview');
+    git.fetch.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('fetches older commits in the background when the history reaches the shallow boundary', async () => {
+    // The fetch reaches the first commit, so the clone is no longer shallow
+    git.fetch.mockImplementation(async () => fs.rmSync(shallowFile));
+
+    const result = await handlers.gitLog(repoDir, { skip: 20 });
+    expect(result).toEqual(expect.objectContaining({ success: true, hasMore: false, deepening: true }));
+
+    await handlers._historyDeepening;
+    expect(git.fetch).toHaveBeenCalledWith(expect.objectContaining({
+      dir: repoDir, remote: 'origin', ref: 'preview', singleBranch: true, depth: 200, relative: true
+    }));
+    expect(git.fetch.mock.calls[0][0].onAuth()).toEqual(GIT_AUTH);
+    expect(handlers.broadcastToWindows).toHaveBeenCalledWith('git:history-deepened', { ref: 'preview', complete: true });
+    expect(handlers.gitOperationInProgress).toBe(false);
+  });
+
+  it('does not fetch when the clone has the full history or more pages are available', async () => {
+    handlers.historyReader.readLog.mockResolvedValue({ commits: [], hasMore: true });
+    expect((await handlers.gitLog(repoDir)).deepening).toBe(false);
+
+    fs.rmSync(shallowFile);
+    handlers.historyReader.readLog.mockResolvedValue({ commits: [], hasMore: false });
+    expect((await handlers.gitLog(repoDir)).deepening).toBe(false);
+
+    expect(git.fetch).not.toHaveBeenCalled();
+  });
+
+  it('leaves running git operations alone and tries again on the next request', async () => {
+    handlers.gitOperationInProgress = true;
+
+    await handlers.gitLog(repoDir);
+    await handlers._historyDeepening;
+
+    expect(git.fetch).not.toHaveBeenCalled();
+    expect(handlers._historyDeepening).toBeNull();
+  });
+
+  it('keeps the deepened history when pulling afterwards', async () => {
+    // Cloned with the default depth of 10 from a remote with 300 commits
+    fs.writeFileSync(shallowFile, 'c291\n');
+    git.fetch.mockImplementation(fakeRemoteFetch(shallowFile, 300));
+    git.canFastForward.mockResolvedValue(true);
+    vi.spyOn(handlers.gitOps, 'restoreLfsFiles').mockResolvedValue();
+
+    await handlers.gitLog(repoDir, { skip: 20 });
+    await handlers._historyDeepening;
+    expect(fs.readFileSync(shallowFile, 'utf8')).toBe('c91\n');
+
+    await expect(handlers.gitPullFromPreview(repoDir)).resolves.toMatchObject({ success: true });
+
+    // c91 to c300 are still reachable
+    expect(fs.readFileSync(shallowFile, 'utf8')).toBe('c91\n');
+    expect(git.fastForward).toHaveBeenCalled();
+  });
+});
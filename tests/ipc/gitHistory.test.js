@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Tests for GitHistoryReader against a real temporary repository
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+const { GitHistoryReader } = require('../../src/ipc/gitHistory.js');
+
+describe('GitHistoryReader', () => {
+  let dir;
+  let reader;
+  let timestamp;
+
+  /**
+   * Write a file inside the test repository
+   * @param {string} filepath - Repository-relative path
+   * @param {string|Buffer} content - File content
+   */
+  function write(filepath, content) {
+    const fullPath = path.join(dir, filepath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+
+  /**
+   * Stage paths and commit with increasing timestamps
+   * @param {string} message - Commit message
+   * @param {string[]} added - Paths to add
+   * @param {string[]} [removed] - Paths to remove
+   * @returns {Promise<string>} Commit SHA
+   */
+  async function commit(message, added, removed = []) {
+    for (const filepath of added) {
+      await git.add({ fs, dir, filepath });
+    }
+    for (const filepath of removed) {
+      fs.rmSync(path.join(dir, filepath));
+      await git.remove({ fs, dir, filepath });
+    }
+    timestamp += 60;
+    const author = { name: 'Maria', email: 'maria@example.com', timestamp, timezoneOffset: 0 };
+    return git.commit({ fs, dir, message, author });
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-history-'));
+    reader = new GitHistoryReader({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } });
+    timestamp = 1700000000;
+
+    await git.init({ fs, dir, defaultBranch: 'preview' });
+    write('src/content/blog/post.md', 'line1\nline2\nline3\nline4\nline5\nline6\nline7\nline8\nline9\n');
+    write('about.md', 'about\n');
+    await commit('initial', ['src/content/blog/post.md', 'about.md']);
+    write('src/content/blog/post.md', 'line1\nCHANGED\nline3\nline4\nline5\nline6\nline7\nline8\nline9\nline10\n');
+    await commit('edit post\n\nlonger body', ['src/content/blog/post.md']);
+    write('logo.png', Buffer.from([0, 1, 2, 3]));
+    await commit('add logo, drop about', ['logo.png'], ['about.md']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns newest commits first with author, date and changed files', async () => {
+    const { commits, hasMore } = await reader.readLog({ gitMod: git, fs, dir, ref: 'preview' });
+
+    expect(hasMore).toBe(false);
+    expect(commits.map(commit => commit.summary)).toEqual(['add logo, drop about', 'edit post', 'initial']);
+    expect(commits[0].author).toEqual({ name: 'Maria', email: 'maria@example.com' });
+    expect(commits[0].date).toBe(new Date(1700000180 * 1000).toISOString());
+    expect(commits[0].files).toEqual([
+      { path: 'about.md', status: 'deleted' },
+      { path: 'logo.png', status: 'added' }
+    ]);
+    expect(commits[1].files).toEqual([{ path: 'src/content/blog/post.md', status: 'modified' }]);
+    expect(commits[2].files).toHaveLength(2);
+  });
+
+  it('paginates with skip and limit', async () => {
+    const first = await reader.readLog({ gitMod: git, fs, dir, ref: 'preview', limit: 2 });
+    expect(first.commits.map(commit => commit.summary)).toEqual(['add logo, drop about', 'edit post']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await reader.readLog({ gitMod: git, fs, dir, ref: 'preview', skip: 2, limit: 2 });
+    expect(second.commits.map(commit => commit.summary)).toEqual(['initial']);
+    expect(second.hasMore).toBe(false);
+  });
+
+  it('filters commits by file or folder', async () => {
+    const byFolder = await reader.readLog({ gitMod: git, fs, dir, ref: 'preview', filepath: 'src/content/blog' });
+    expect(byFolder.commits.map(commit => commit.summary)).toEqual(['edit post', 'initial']);
+
+    const byDeletedFile = await reader.readLog({ gitMod: git, fs, dir, ref: 'preview', filepath: 'about.md' });
+    expect(byDeletedFile.commits.map(commit => commit.summary)).toContain('initial');
+  });
+
+  it('diffs a commit against its parent with context', async () => {
+    const [, edit] = (await reader.readLog({ gitMod: git, fs, dir, ref: 'preview' })).commits;
+    const { commit, files } = await reader.readCommitDiff({ gitMod: git, fs, dir, oid: edit.oid });
+
+    expect(commit.oid).toBe(edit.oid);
+    expect(files).toHaveLength(1);
+    expect(files[0].hunks).toHaveLength(2);
+    expect(files[0].hunks[0]).toEqual({
+      oldStart: 1,
+      oldLines: 5,
+      newStart: 1,
+      newLines: 5,
+      lines: [
+        { type: ' ', text: 'line1' },
+        { type: '-', text: 'line2' },
+        { type: '+', text: 'CHANGED' },
+        { type: ' ', text: 'line3' },
+        { type: ' ', text: 'line4' },
+        { type: ' ', text: 'line5' }
+      ]
+    });
+    expect(files[0].hunks[1].lines.slice(-1)).toEqual([{ type: '+', text: 'line10' }]);
+  });
+
+  it('flags binary files and limits the diff to a path', async () => {
+    const [latest] = (await reader.readLog({ gitMod: git, fs, dir, ref: 'preview' })).commits;
+    const { files } = await reader.readCommitDiff({ gitMod: git, fs, dir, oid: latest.oid, filepath: 'logo.png' });
+
+    expect(files).toEqual([
+      { path: 'logo.png', status: 'added', binary: true, tooLarge: false, hunks: [] }
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for Git LFS pointers, .gitattributes patterns and the batch API against a local server
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const git = require('isomorphic-git');
+const {
+  GitLfs,
+  parseLfsPointer,
+  formatLfsPointer,
+  parseLfsPatterns,
+  attributePatternToRegExp,
+  lfsEndpointFromRemote
+} = require('../../src/ipc/gitLfs.js');
+// Main-process modules require electron directly; hand them the API mocked in the global setup
+require.cache[require.resolve('electron')] = { id: 'electron', loaded: true, exports: global.mockElectron };
+const { GitHandlers } = require('../../src/ipc/git.js');
+
+const AUTH = { username: 'ghp_test_token', password: 'x-oauth-basic' };
+const IMAGE = Buffer.from('\x89PNG fake image bytes '.repeat(200));
+const IMAGE_OID = crypto.createHash('sha256').update(IMAGE).digest('hex');
+
+/**
+ * Minimal LFS server: batch API with basic transfers, objects kept in memory
+ * @returns {Promise<{url: string, objects: Map, requests: Array, close: Function}>} Server
+ */
+async function startLfsServer() {
+  const objects = new Map();
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+    const base = `http://127.0.0.1:${server.address().port}/lfs`;
+
+    if (req.method === 'POST' && req.url === '/lfs/objects/batch') {
+      const { operation, objects: wanted } = JSON.parse(body.toString('utf8'));
+      const results = wanted.map(({ oid, size }) => {
+        if (operation === 'upload') {
+          return objects.has(oid)
+            ? { oid, size }
+            : { oid, size, actions: { upload: { href: `${base}/objects/${oid}`, header: { 'X-Upload': 'yes' } } } };
+        }
+        return objects.has(oid)
+          ? { oid, size, actions: { download: { href: `${base}/objects/${oid}` } } }
+          : { oid, size, error: { code: 404, message: 'Object does not exist' } };
+      });
+      res.writeHead(200, { 'Content-Type': 'application/vnd.git-lfs+json' });
+      res.end(JSON.stringify({ transfer: 'basic', objects: results }));
+      return;
+    }
+
+    const oid = req.url.split('/').pop();
+    if (req.method === 'PUT') {
+      objects.set(oid, body);
+      res.writeHead(200);
+      res.end();
+    } else if (req.method === 'GET' && objects.has(oid)) {
+      res.writeHead(200);
+      res.end(objects.get(oid));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/lfs`,
+    objects,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('LFS pointers and patterns', () => {
+  it('round-trips pointer files and ignores regular content', () => {
+    const pointer = { oid: IMAGE_OID, size: IMAGE.length };
+    expect(parseLfsPointer(Buffer.from(formatLfsPointer(pointer)))).toEqual(pointer);
+    expect(parseLfsPointer(IMAGE)).toBeNull();
+    expect(parseLfsPointer('version https://git-lfs.github.com/spec/v1\noid sha256:abc\nsize 3\n')).toBeNull();
+  });
+
+  it('reads filter=lfs patterns and matches them like git', () => {
+    const patterns = parseLfsPatterns('# media\npublic/uploads/** filter=lfs diff=lfs merge=lfs -text\n*.pdf filter=lfs\n*.md text\n');
+    expect(patterns).toEqual(['public/uploads/**', '*.pdf']);
+
+    const uploads = attributePatternToRegExp('public/uploads/**');
+    expect(uploads.test('public/uploads/2026/cover.png')).toBe(true);
+    expect(uploads.test('src/public/uploads/cover.png')).toBe(false);
+    const pdf = attributePatternToRegExp('*.pdf');
+    expect(pdf.test('docs/manual.pdf')).toBe(true);
+    expect(pdf.test('manual.pdf.md')).toBe(false);
+  });
+
+  it('derives the endpoint from the remote URL', () => {
+    expect(lfsEndpointFromRemote('https://github.com/acme/docs.git')).toBe('https://github.com/acme/docs.git/info/lfs');
+    expect(lfsEndpointFromRemote('https://github.com/acme/docs')).toBe('https://github.com/acme/docs.git/info/lfs');
+  });
+});
+
+describe('GitLfs with a local server', () => {
+  let server;
+  let dir;
+  let lfs;
+
+  beforeAll(async () => {
+    server = await startLfsServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    server.objects.clear();
+    server.requests.length = 0;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-lfs-'));
+    await git.init({ fs, dir, defaultBranch: 'preview' });
+    await git.setConfig({ fs, dir, path: 'lfs.url', value: server.url });
+    fs.writeFileSync(path.join(dir, '.gitattributes'), 'public/uploads/** filter=lfs diff=lfs merge=lfs -text\n');
+    fs.mkdirSync(path.join(dir, 'public', 'uploads'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'public', 'uploads', 'cover.png'), IMAGE);
+    lfs = new GitLfs({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Commit the working tree the way _commitAll does for tracked media
+   * @returns {Promise<string>} Commit SHA
+   */
+  async function commitWithLfs() {
+    await git.add({ fs, dir, filepath: '.gitattributes' });
+    await lfs.stage({ gitMod: git, fs, dir, filepath: 'public/uploads/cover.png' });
+    return git.commit({ fs, dir, message: 'Add cover', author: { name: 'documental', email: 'documental@app' } });
+  }
+
+  it('commits media as a pointer and uploads the content before the push', async () => {
+    const sha = await commitWithLfs();
+
+    const { blob } = await git.readBlob({ fs, dir, oid: sha, filepath: 'public/uploads/cover.png' });
+    expect(parseLfsPointer(blob)).toEqual({ oid: IMAGE_OID, size: IMAGE.length });
+
+    // The restored file in the working tree is not a change
+    const matrix = await git.statusMatrix({ fs, dir });
+    const normalized = await lfs.normalizeStatusMatrix({ gitMod: git, fs, dir, matrix });
+    expect(normalized.find(([filepath]) => filepath === 'public/uploads/cover.png')).toEqual(['public/uploads/cover.png', 1, 1, 1]);
+
+    await expect(lfs.uploadPending({ gitMod: git, fs, dir, auth: AUTH })).resolves.toBe(1);
+    expect(server.objects.get(IMAGE_OID).equals(IMAGE)).toBe(true);
+    expect(server.requests[0].authorization).toBe(`Basic ${Buffer.from(`${AUTH.username}:${AUTH.password}`).toString('base64')}`);
+
+    // Nothing is pending after a successful push
+    await expect(lfs.uploadPending({ gitMod: git, fs, dir, auth: AUTH })).resolves.toBe(0);
+  });
+
+  it('downloads the content of pointer files after a checkout', async () => {
+    await commitWithLfs();
+    await lfs.uploadPending({ gitMod: git, fs, dir, auth: AUTH });
+
+    // A fresh checkout has the pointer in the working tree and an empty object store
+    fs.rmSync(path.join(dir, '.git', 'lfs'), { recursive: true, force: true });
+    await git.checkout({ fs, dir, ref: 'preview', force: true, filepaths: ['public/uploads/cover.png'] });
+    expect(parseLfsPointer(fs.readFileSync(path.join(dir, 'public', 'uploads', 'cover.png')))).not.toBeNull();
+
+    const output = [];
+    await expect(lfs.smudge({ gitMod: git, fs, dir, auth: AUTH, sendOutput: message => output.push(message) })).resolves.toBe(1);
+
+    expect(fs.readFileSync(path.join(dir, 'public', 'uploads', 'cover.png')).equals(IMAGE)).toBe(true);
+    expect(output[0]).toBe('📥 Baixando 1 arquivo(s) do Git LFS...');
+    // Already restored: nothing to do the second time
+    await expect(lfs.smudge({ gitMod: git, fs, dir, auth: AUTH })).resolves.toBe(0);
+  });
+
+  it('reports the repository as clean once its media is restored', async () => {
+    await commitWithLfs();
+    const handlers = new GitHandlers({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+
+    const info = await handlers.gitGetRepositoryInfo(dir);
+
+    expect(info).toMatchObject({ isClean: true, status: 'clean' });
+  });
+
+  it('rejects downloads whose content does not match the pointer', async () => {
+    await commitWithLfs();
+    server.objects.set(IMAGE_OID, Buffer.from('tampered'));
+    fs.rmSync(path.join(dir, '.git', 'lfs'), { recursive: true, force: true });
+    await git.checkout({ fs, dir, ref: 'preview', force: true, filepaths: ['public/uploads/cover.png'] });
+
+    await expect(lfs.smudge({ gitMod: git, fs, dir, auth: AUTH })).rejects.toThrow('Conteúdo LFS corrompido');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tests for the broken link checker of site previews
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { LinkChecker, parseHtml } = require('../../src/ipc/linkChecker.js');
+
+// A small site: the home page links to a post, the post to a renamed page, a missing anchor and image
+const SITE = {
+  '/': '<a href="/blog/hello/">Hello</a> <a href="/admin/">CMS</a> <a href="https://example.com/">Fora</a> <img src="/images/logo.png">',
+  '/blog/hello/': [
+    '<h2 id="intro">Intro</h2>',
+    '<a href="../old-slug/">Antigo</a>',
+    '<a href="#intro">Topo</a> <a href="#setup">Configuração</a>',
+    '<a href="/guide/#missing">Guia</a> <a href="mailto:docs@example.com">E-mail</a>',
+    '<img src="/images/photo.png" srcset="/images/photo.png 1x, /images/photo@2x.png 2x">',
+    '<script>const html = "<a href=\'/inside-script/\'>"</script>'
+  ].join('\n'),
+  '/guide/': '<h1 id="guide">Guia</h1><a href="/">Início</a>',
+  // Sveltia's page; excluded from the crawl, so its links are never followed
+  '/admin/': '<a href="/nowhere/">Nada</a>'
+};
+const ASSETS = ['/images/logo.png', '/images/photo.png'];
+
+describe('parseHtml', () => {
+  it('reads links, image sources and anchor targets outside scripts and comments', () => {
+    const parsed = parseHtml('<!-- <a href="/hidden/"> --><a\n  class="x" href="/a/?q=1&amp;b=2" id=top>A</a><a name="old"></a><img srcset="/i.png 1x, /i@2x.png 2x">');
+
+    expect(parsed.links).toEqual(['/a/?q=1&b=2']);
+    expect(parsed.images).toEqual(['/i.png', '/i@2x.png']);
+    expect([...parsed.ids]).toEqual(['top', 'old']);
+  });
+});
+
+describe('LinkChecker', () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  const expectedIssues = [
+    { type: 'missing-image', page: '/', target: '/images/logo.png', status: 404 },
+    { type: 'broken-link', page: '/blog/hello/', target: '/blog/old-slug/', status: 404 },
+    { type: 'broken-anchor', page: '/blog/hello/', target: '/blog/hello/#setup', status: null },
+    { type: 'broken-anchor', page: '/blog/hello/', target: '/guide/#missing', status: null },
+    { type: 'missing-image', page: '/blog/hello/', target: '/images/photo@2x.png', status: 404 }
+  ];
+  const sortIssues = issues => [...issues].sort((a, b) => `${a.page}${a.target}`.localeCompare(`${b.page}${b.target}`));
+
+  describe('on a dev server', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        if (SITE[req.url] !== undefined) {
+          res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+          res.end(SITE[req.url]);
+        } else if (ASSETS.includes(req.url) && req.url !== '/images/logo.png') {
+          res.writeHead(200, { 'content-type': 'image/png' });
+          res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(10));
+        } else {
+          res.writeHead(404, { 'content-type': 'text/html' });
+          res.end('<h1>404</h1>');
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('crawls from the root and reports broken links, anchors and images', async () => {
+      const checker = new LinkChecker({ logger });
+      const progress = vi.fn();
+
+      const report = await checker.check({ source: checker.createServerSource(baseUrl), onProgress: progress });
+
+      expect(report.pagesChecked).toBe(4);
+      expect(report.truncated).toBe(false);
+      expect(sortIssues(report.issues)).toEqual(sortIssues(expectedIssues));
+      expect(progress).toHaveBeenLastCalledWith({ pagesChecked: 4, pagesQueued: 4 });
+      // The CMS, external sites and links inside scripts are left alone
+      expect(requests).not.toContain('GET /admin/');
+      expect(requests.some(request => request.includes('inside-script'))).toBe(false);
+    });
+
+    it('stops at the page limit', async () => {
+      const checker = new LinkChecker({ logger });
+
+      const report = await checker.check({ source: checker.createServerSource(baseUrl), maxPages: 1 });
+
+      expect(report).toMatchObject({ pagesChecked: 1, truncated: true });
+    });
+  });
+
+  describe('on a built dist/ folder', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-dist-'));
+      for (const [page, html] of Object.entries(SITE)) {
+        fs.mkdirSync(path.join(dir, page), { recursive: true });
+        fs.writeFileSync(path.join(dir, page, 'index.html'), html);
+      }
+      fs.mkdirSync(path.join(dir, 'images'));
+      fs.writeFileSync(path.join(dir, 'images', 'photo.png'), Buffer.alloc(10));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports the same issues from the built files', async () => {
+      const checker = new LinkChecker({ logger });
+
+      const report = await checker.check({ source: checker.createDistSource(dir) });
+
+      expect(sortIssues(report.issues)).toEqual(sortIssues(expectedIssues));
+    });
+
+    it('does not serve files outside the folder', async () => {
+      const source = new LinkChecker({ logger }).createDistSource(path.join(dir, 'guide'));
+
+      await expect(source.load(`${source.baseUrl}../blog/hello/`)).resolves.toMatchObject({ status: 404 });
+      await expect(source.load(`${source.baseUrl}%2e%2e/blog/hello/index.html`)).resolves.toMatchObject({ status: 404 });
+    });
+  });
+});
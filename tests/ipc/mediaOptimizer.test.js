@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Tests for the optimization of new CMS images before commits
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MediaOptimizer, readImageInfo, stripJpegGps } = require('../../src/ipc/mediaOptimizer.js');
+const { defaultMediaSettings } = require('../../src/services/mediaSettingsService.js');
+
+// GPSLatitude 48° 51' 29" stored as three rationals
+const LATITUDE = [48, 1, 51, 1, 29, 1];
+
+/**
+ * Build a JPEG header with an EXIF block (orientation plus a GPS position) and a frame size
+ * @param {Object} options - Options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @returns {Buffer} JPEG bytes
+ */
+function buildJpeg({ width, height }) {
+  const tiff = Buffer.alloc(80);
+  tiff.write('II', 0, 'ascii');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  // IFD0: Orientation, GPS IFD pointer
+  tiff.writeUInt16LE(2, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(1, 18);
+  tiff.writeUInt16LE(0x8825, 22);
+  tiff.writeUInt16LE(4, 24);
+  tiff.writeUInt32LE(1, 26);
+  tiff.writeUInt32LE(38, 30);
+  // GPS IFD: GPSLatitude, values at 56
+  tiff.writeUInt16LE(1, 38);
+  tiff.writeUInt16LE(0x0002, 40);
+  tiff.writeUInt16LE(5, 42);
+  tiff.writeUInt32LE(3, 44);
+  tiff.writeUInt32LE(56, 48);
+  LATITUDE.forEach((value, i) => tiff.writeUInt32LE(value, 56 + i * 4));
+
+  const app1 = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 0]), Buffer.from('Exif\0\0', 'ascii'), tiff]);
+  app1.writeUInt16BE(app1.length - 2, 2);
+  const sof = Buffer.from([0xff, 0xc0, 0, 17, 8, 0, 0, 0, 0, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, sof, Buffer.from([0xff, 0xda, 0, 2, 0xff, 0xd9])]);
+}
+
+/**
+ * Build a PNG header of the given size
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer} PNG bytes (signature and IHDR padded with data)
+ */
+function buildPng(width, height) {
+  const png = Buffer.alloc(4096);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(png);
+  png.write('IHDR', 12, 'ascii');
+  png.writeUInt32BE(width, 16);
+  png.writeUInt32BE(height, 20);
+  return png;
+}
+
+describe('image helpers', () => {
+  it('reads the format and size of JPEG and PNG images', () => {
+    expect(readImageInfo(buildJpeg({ width: 4032, height: 3024 }))).toEqual({ mimeType: 'image/jpeg', width: 4032, height: 3024 });
+    expect(readImageInfo(buildPng(800, 600))).toEqual({ mimeType: 'image/png', width: 800, height: 600 });
+    expect(readImageInfo(Buffer.from('GIF89a....'))).toBeNull();
+  });
+
+  it('removes the GPS position and keeps the rest of the EXIF block', () => {
+    const jpeg = buildJpeg({ width: 10, height: 10 });
+    const { buffer, removed } = stripJpegGps(jpeg);
+
+    expect(removed).toBe(true);
+    expect(buffer.length).toBe(jpeg.length);
+    const tiff = 12;
+    expect(buffer.readUInt16LE(tiff + 8)).toBe(1);
+    expect(buffer.readUInt16LE(tiff + 10)).toBe(0x0112);
+    expect(buffer.readUInt32LE(tiff + 56)).toBe(0);
+    expect(readImageInfo(buffer)).toEqual({ mimeType: 'image/jpeg', width: 10, height: 10 });
+
+    // Nothing left to remove the second time
+    expect(stripJpegGps(buffer).removed).toBe(false);
+  });
+});
+
+describe('MediaOptimizer', () => {
+  let dir;
+  let codec;
+  let optimizer;
+  let settings;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-media-'));
+    fs.mkdirSync(path.join(dir, 'public', 'admin'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'public', 'images'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'src', 'content'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'public', 'admin', 'config.yml'), 'media_folder: "public/images" # uploads\npublic_folder: /images\ncollections: []\n');
+    codec = {
+      encode: vi.fn(async ({ targetType, maxDimension }) => ({
+        buffer: Buffer.alloc(100),
+        mimeType: targetType,
+        width: maxDimension,
+        height: maxDimension
+      }))
+    };
+    optimizer = new MediaOptimizer({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }, codec });
+    settings = defaultMediaSettings();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the media folders from the CMS config', async () => {
+    await expect(optimizer.readMediaFolders(fs, dir)).resolves.toEqual({ mediaFolder: 'public/images', publicFolder: '/images' });
+
+    fs.rmSync(path.join(dir, 'public', 'admin', 'config.yml'));
+    await expect(optimizer.readMediaFolders(fs, dir)).resolves.toEqual({ mediaFolder: 'public/uploads', publicFolder: '/uploads' });
+  });
+
+  it('resizes and recompresses new uploads and reports the bytes saved', async () => {
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.png'), buildPng(4000, 3000));
+    fs.writeFileSync(path.join(dir, 'src', 'logo.png'), buildPng(4000, 3000));
+
+    const report = await optimizer.optimize({
+      fs,
+      dir,
+      filepaths: ['public/images/photo.png', 'src/logo.png'],
+      settings
+    });
+
+    expect(codec.encode).toHaveBeenCalledTimes(1);
+    expect(codec.encode).toHaveBeenCalledWith(expect.objectContaining({ mimeType: 'image/png', targetType: 'image/png', maxDimension: 2048, quality: 82 }));
+    expect(report).toEqual({
+      files: [{ path: 'public/images/photo.png', newPath: 'public/images/photo.png', before: 4096, after: 100 }],
+      savedBytes: 3996,
+      renamed: {}
+    });
+    expect(fs.statSync(path.join(dir, 'public', 'images', 'photo.png')).size).toBe(100);
+  });
+
+  it('converts to WebP and updates the references in the changed entries', async () => {
+    settings.format = 'webp';
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.png'), buildPng(800, 600));
+    fs.writeFileSync(path.join(dir, 'src', 'content', 'post.md'), '---\ncover: /images/photo.png\n---\n![Foto](/images/photo.png)\n');
+
+    const report = await optimizer.optimize({
+      fs,
+      dir,
+      filepaths: ['public/images/photo.png'],
+      textFiles: ['src/content/post.md', 'public/images/photo.png'],
+      settings
+    });
+
+    expect(report.renamed).toEqual({ 'public/images/photo.png': 'public/images/photo.webp' });
+    expect(fs.existsSync(path.join(dir, 'public', 'images', 'photo.png'))).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'public', 'images', 'photo.webp'))).toBe(true);
+    expect(fs.readFileSync(path.join(dir, 'src', 'content', 'post.md'), 'utf8'))
+      .toBe('---\ncover: /images/photo.webp\n---\n![Foto](/images/photo.webp)\n');
+  });
+
+  it('updates only whole references to a converted image', async () => {
+    settings.format = 'webp';
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'a.png'), buildPng(800, 600));
+    fs.writeFileSync(path.join(dir, 'src', 'content', 'post.md'), [
+      '![A](/images/a.png) ![A](/images/a.png#zoom "A")',
+      '<img src="/images/a.png?w=300">',
+      'Backup: /images/a.png.bak, outra: /images/data.png e /images/extra-a.png',
+      'Repositório: public/images/a.png'
+    ].join('\n'));
+
+    await optimizer.optimize({ fs, dir, filepaths: ['public/images/a.png'], textFiles: ['src/content/post.md'], settings });
+
+    expect(fs.readFileSync(path.join(dir, 'src', 'content', 'post.md'), 'utf8')).toBe([
+      '![A](/images/a.webp) ![A](/images/a.webp#zoom "A")',
+      '<img src="/images/a.webp?w=300">',
+      'Backup: /images/a.png.bak, outra: /images/data.png e /images/extra-a.png',
+      'Repositório: public/images/a.webp'
+    ].join('\n'));
+  });
+
+  it('keeps the original format when Chromium cannot write AVIF', async () => {
+    settings.format = 'avif';
+    codec.encode.mockImplementation(async ({ targetType }) => ({
+      buffer: Buffer.alloc(100),
+      mimeType: targetType === 'image/avif' ? 'image/png' : targetType
+    }));
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.png'), buildPng(800, 600));
+
+    const report = await optimizer.optimize({ fs, dir, filepaths: ['public/images/photo.png'], settings });
+
+    expect(codec.encode).toHaveBeenCalledTimes(2);
+    expect(report.files[0].newPath).toBe('public/images/photo.png');
+    expect(report.renamed).toEqual({});
+  });
+
+  it('strips the GPS position from small photos that recompression would not shrink', async () => {
+    const jpeg = buildJpeg({ width: 1200, height: 900 });
+    codec.encode.mockResolvedValue({ buffer: Buffer.alloc(jpeg.length * 2), mimeType: 'image/jpeg' });
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.jpg'), jpeg);
+
+    const report = await optimizer.optimize({ fs, dir, filepaths: ['public/images/photo.jpg'], settings });
+
+    const written = fs.readFileSync(path.join(dir, 'public', 'images', 'photo.jpg'));
+    expect(report.files).toEqual([{ path: 'public/images/photo.jpg', newPath: 'public/images/photo.jpg', before: jpeg.length, after: jpeg.length }]);
+    expect(stripJpegGps(written).removed).toBe(false);
+
+    // Without GPS removal the photo is left untouched
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.jpg'), jpeg);
+    settings.stripGps = false;
+    expect((await optimizer.optimize({ fs, dir, filepaths: ['public/images/photo.jpg'], settings })).files).toEqual([]);
+  });
+
+  it('leaves images alone when the project turned the optimization off', async () => {
+    settings.enabled = false;
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.png'), buildPng(4000, 3000));
+
+    const report = await optimizer.optimize({ fs, dir, filepaths: ['public/images/photo.png'], settings });
+
+    expect(report.files).toEqual([]);
+    expect(codec.encode).not.toHaveBeenCalled();
+  });
+
+  it('commits the original when an image cannot be decoded', async () => {
+    codec.encode.mockRejectedValue(new Error('The source image could not be decoded.'));
+    fs.writeFileSync(path.join(dir, 'public', 'images', 'photo.png'), buildPng(4000, 3000));
+    const output = [];
+
+    const report = await optimizer.optimize({ fs, dir, filepaths: ['public/images/photo.png'], settings, sendOutput: message => output.push(message) });
+
+    expect(report.files).toEqual([]);
+    expect(fs.statSync(path.join(dir, 'public', 'images', 'photo.png')).size).toBe(4096);
+    expect(output[1]).toBe('⚠️ public/images/photo.png mantida sem otimização: The source image could not be decoded.');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tests for MergeConflictResolver against a real temporary repository
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+const { MergeConflictResolver } = require('../../src/ipc/mergeConflicts.js');
+const { GitLfs } = require('../../src/ipc/gitLfs.js');
+
+const author = { name: 'Test', email: 'test@example.com' };
+
+describe('MergeConflictResolver', () => {
+  let dir;
+  let resolver;
+  let theirOid;
+
+  /**
+   * Write a file inside the test repository
+   * @param {string} filepath - Repository-relative path
+   * @param {string|Buffer} content - File content
+   */
+  function write(filepath, content) {
+    const fullPath = path.join(dir, filepath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+
+  /**
+   * Stage paths and commit
+   * @param {string} message - Commit message
+   * @param {string[]} added - Paths to add
+   * @param {string[]} [removed] - Paths to remove
+   * @returns {Promise<string>} Commit SHA
+   */
+  async function commit(message, added, removed = []) {
+    for (const filepath of added) {
+      await git.add({ fs, dir, filepath });
+    }
+    for (const filepath of removed) {
+      await git.remove({ fs, dir, filepath });
+    }
+    return git.commit({ fs, dir, message, author });
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-merge-'));
+    resolver = new MergeConflictResolver({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } });
+
+    await git.init({ fs, dir, defaultBranch: 'preview' });
+    write('post.md', '---\ntitle: A\ndate: 1\n---\nline1\nline2\nline3\n');
+    write('logo.png', Buffer.from([0, 1, 2]));
+    write('gone.txt', 'gone\n');
+    await commit('base', ['post.md', 'logo.png', 'gone.txt']);
+
+    // Remote side: changes another front matter field, the body and the image, adds and removes files
+    await git.branch({ fs, dir, ref: 'remote-work', checkout: true });
+    write('post.md', '---\ntitle: A\ndate: 2\n---\nline1\nTHEIRS\nline3\n');
+    write('logo.png', Buffer.from([0, 9, 9]));
+    write('new/page.md', 'new\n');
+    fs.unlinkSync(path.join(dir, 'gone.txt'));
+    theirOid = await commit('theirs', ['post.md', 'logo.png', 'new/page.md'], ['gone.txt']);
+
+    // Local side
+    await git.checkout({ fs, dir, ref: 'preview' });
+    write('post.md', '---\ntitle: B\ndate: 1\n---\nline1\nOURS\nline3\n');
+    write('logo.png', Buffer.from([0, 5, 5]));
+    await commit('ours', ['post.md', 'logo.png']);
+
+    await git.writeRef({ fs, dir, ref: 'refs/remotes/origin/preview', value: theirOid });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('recognizes isomorphic-git merge conflicts', async () => {
+    const error = await git.merge({ fs, dir, ours: 'preview', theirs: 'origin/preview', author }).catch(e => e);
+
+    expect(MergeConflictResolver.isMergeConflictError(error)).toBe(true);
+    expect(MergeConflictResolver.isMergeConflictError(new Error('network'))).toBe(false);
+  });
+
+  it('lists only the files that need a decision', async () => {
+    const session = await resolver.prepare({
+      gitMod: git, fs, dir, oursRef: 'preview', theirsRef: 'origin/preview', operation: { type: 'pull' }
+    });
+    const summary = resolver.describeSession(session);
+
+    expect(summary.files.map(file => [file.path, file.kind])).toEqual([
+      ['logo.png', 'binary'],
+      ['post.md', 'text']
+    ]);
+    const post = summary.files[1];
+    expect(post.frontMatter.every(field => field.type === 'ok')).toBe(true);
+    expect(post.hunks.filter(hunk => hunk.type === 'conflict')).toHaveLength(1);
+    expect(session.changes.map(change => [change.path, change.action])).toEqual(
+      expect.arrayContaining([['gone.txt', 'delete'], ['new/page.md', 'write']])
+    );
+  });
+
+  it('commits the chosen versions with both parents', async () => {
+    const session = await resolver.prepare({
+      gitMod: git, fs, dir, oursRef: 'preview', theirsRef: 'origin/preview', operation: { type: 'pull' }
+    });
+    const hunk = session.conflicts.find(file => file.path === 'post.md').hunks.find(entry => entry.type === 'conflict');
+
+    const sha = await resolver.commitResolution({
+      gitMod: git,
+      fs,
+      session,
+      author,
+      resolutions: {
+        'post.md': { hunks: { [hunk.id]: 'both' } },
+        'logo.png': { choice: 'theirs' }
+      }
+    });
+
+    expect(fs.readFileSync(path.join(dir, 'post.md'), 'utf8')).toBe('---\ntitle: B\ndate: 2\n---\nline1\nOURS\nTHEIRS\nline3\n');
+    expect([...fs.readFileSync(path.join(dir, 'logo.png'))]).toEqual([0, 9, 9]);
+    expect(fs.existsSync(path.join(dir, 'gone.txt'))).toBe(false);
+    expect(fs.readFileSync(path.join(dir, 'new/page.md'), 'utf8')).toBe('new\n');
+
+    const { commit: merged } = await git.readCommit({ fs, dir, oid: sha });
+    expect(merged.parent).toEqual([session.ourOid, theirOid]);
+    const status = await git.statusMatrix({ fs, dir });
+    expect(status.every(([, head, workdir, stage]) => head === workdir && workdir === stage)).toBe(true);
+  });
+
+  it('stages media tracked by Git LFS as pointers queued for the next push', async () => {
+    write('.gitattributes', '*.png filter=lfs diff=lfs merge=lfs -text\n');
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const lfsResolver = new MergeConflictResolver({ logger, lfs: new GitLfs({ logger }) });
+    const session = await lfsResolver.prepare({
+      gitMod: git, fs, dir, oursRef: 'preview', theirsRef: 'origin/preview', operation: { type: 'pull' }
+    });
+    const hunk = session.conflicts.find(file => file.path === 'post.md').hunks.find(entry => entry.type === 'conflict');
+
+    const sha = await lfsResolver.commitResolution({
+      gitMod: git,
+      fs,
+      session,
+      author,
+      resolutions: {
+        'post.md': { hunks: { [hunk.id]: 'theirs' } },
+        'logo.png': { choice: 'theirs' }
+      }
+    });
+
+    const { blob } = await git.readBlob({ fs, dir, oid: sha, filepath: 'logo.png' });
+    expect(Buffer.from(blob).toString('utf8')).toMatch(/^version https:\/\/git-lfs\.github\.com\/spec\/v1\noid sha256:[0-9a-f]{64}\nsize 3\n$/);
+    const pending = fs.readFileSync(path.join(dir, '.git', 'lfs', 'pending-uploads'), 'utf8');
+    expect(pending).toMatch(/^[0-9a-f]{64} 3\n$/);
+  });
+
+  it('refuses to commit while a conflict is unresolved', async () => {
+    const session = await resolver.prepare({
+      gitMod: git, fs, dir, oursRef: 'preview', theirsRef: 'origin/preview', operation: { type: 'pull' }
+    });
+
+    await expect(resolver.commitResolution({
+      gitMod: git, fs, session, author, resolutions: { 'logo.png': { choice: 'ours' } }
+    })).rejects.toThrow(/Conflito não resolvido/);
+    expect(fs.readFileSync(path.join(dir, 'post.md'), 'utf8')).toContain('OURS');
+  });
+});
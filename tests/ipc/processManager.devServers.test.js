@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests for per-project dev server records and window association
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import { EventEmitter } from 'events';
+
+const require = createRequire(import.meta.url);
+const { ProcessManager } = require('../../src/ipc/processManager.js');
+const { BrowserHandlers } = require('../../src/ipc/browser.js');
+
+/**
+ * Minimal BrowserWindow stand-in
+ * @param {number} id - Window ID
+ * @returns {EventEmitter & {id: number}} Fake window
+ */
+function createWindow(id) {
+  const window = new EventEmitter();
+  window.id = id;
+  return window;
+}
+
+describe('ProcessManager dev servers', () => {
+  let logger;
+  let processManager;
+
+  beforeEach(() => {
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    processManager = new ProcessManager({ logger, nodeDetectionService: {} });
+    processManager.removeDevServer(101);
+    processManager.removeDevServer(102);
+  });
+
+  it('keeps one record per project', () => {
+    processManager.setDevServer(101, { url: 'http://localhost:4321/', port: 4321, pid: 5001, cwd: '/sites/a' });
+    processManager.setDevServer(102, { url: 'http://localhost:4322/', port: 4322, pid: 5002, cwd: '/sites/b' });
+
+    expect(processManager.getDevServer(101)).toEqual({
+      projectId: '101',
+      url: 'http://localhost:4321/',
+      port: 4321,
+      pid: 5001,
+      cwd: '/sites/a'
+    });
+    expect(processManager.getDevServer('102').url).toBe('http://localhost:4322/');
+    expect(processManager.getDevServer(null)).toBeNull();
+  });
+
+  it('only forgets a record when it belongs to the exiting process', () => {
+    processManager.setDevServer(101, { url: 'http://localhost:4321/', port: 4321, pid: 5001, cwd: '/sites/a' });
+
+    // An older server of the same project exiting late must not drop the new one
+    processManager.removeDevServer(101, 4999);
+    expect(processManager.getDevServer(101)).not.toBeNull();
+
+    processManager.removeDevServer(101, 5001);
+    expect(processManager.getDevServer(101)).toBeNull();
+  });
+
+  it('resolves the dev server of the project shown in each window', () => {
+    const windowA = createWindow(11);
+    const windowB = createWindow(12);
+    processManager.setDevServer(101, { url: 'http://localhost:4321/', port: 4321, pid: 5001, cwd: '/sites/a' });
+    processManager.setDevServer(102, { url: 'http://localhost:4322/', port: 4322, pid: 5002, cwd: '/sites/b' });
+
+    processManager.assignWindowToProject(windowA, 101);
+    processManager.assignWindowToProject(windowB, '102');
+
+    expect(processManager.getProjectIdForWindow(11)).toBe('101');
+    expect(processManager.getDevServerUrlForWindow(11)).toBe('http://localhost:4321/');
+    expect(processManager.getDevServerUrlForWindow(12)).toBe('http://localhost:4322/');
+    expect(processManager.getDevServerUrlForWindow(13)).toBeNull();
+  });
+
+  it('forgets a window once it is closed', () => {
+    const window = createWindow(21);
+    processManager.assignWindowToProject(window, 101);
+    processManager.assignWindowToProject(window, 102);
+    expect(window.listenerCount('closed')).toBe(1);
+
+    window.emit('closed');
+    expect(processManager.getProjectIdForWindow(21)).toBeNull();
+  });
+
+  it('gives the CMS viewer the URL of the sender window project', () => {
+    const browserHandlers = new BrowserHandlers({ logger, windowManager: {}, processManager });
+    processManager.setDevServer(102, { url: 'http://localhost:4322/', port: 4322, pid: 5002, cwd: '/sites/b' });
+    processManager.assignWindowToProject(createWindow(31), 102);
+    processManager.assignWindowToProject(createWindow(32), 101);
+
+    expect(browserHandlers.getViewerBaseUrl({ id: 31 })).toBe('http://localhost:4322/');
+    expect(browserHandlers.getViewerBaseUrl({ id: 32 })).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('window 32'));
+  });
+});
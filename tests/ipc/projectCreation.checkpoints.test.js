@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for resuming project creation from its per-step checkpoints
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+// Main-process modules require electron directly; hand them the API mocked in the global setup
+require.cache[require.resolve('electron')] = { id: 'electron', loaded: true, exports: global.mockElectron };
+const { ProjectCreationHandler } = require('../../src/ipc/projectCreation.js');
+
+/**
+ * DatabaseManager double backed by a Map, for the project_creation_steps statements
+ * @returns {{rows: Map, databaseManager: Object}} Rows and database manager double
+ */
+function createCheckpointDatabase() {
+  const rows = new Map();
+  const databaseManager = {
+    all: vi.fn(async (sql, [projectId]) => [...rows.values()].filter(row => row.projectId === projectId)),
+    run: vi.fn(async (sql, params) => {
+      if (sql.startsWith('DELETE')) {
+        [...rows.keys()].filter(key => key.startsWith(`${params[0]}:`)).forEach(key => rows.delete(key));
+      } else {
+        const [projectId, step, status] = params;
+        rows.set(`${projectId}:${step}`, { projectId, step, status });
+      }
+      return { changes: 1 };
+    }),
+    // Projects have no stored clone depth, so clones use the default
+    get: vi.fn(async () => null)
+  };
+  return { rows, databaseManager };
+}
+
+describe('ProjectCreationHandler checkpoints', () => {
+  const REPO_URL = 'https://github.com/acme/docs.git';
+  let projectPath;
+  let handler;
+  let repoFolderName;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-creation-'));
+    const { databaseManager } = createCheckpointDatabase();
+    handler = new ProjectCreationHandler({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager,
+      nodeDetectionService: {}
+    });
+
+    repoFolderName = null;
+    vi.spyOn(handler, 'updateRepoFolderName').mockImplementation(async (projectId, folderName) => { repoFolderName = folderName; });
+    vi.spyOn(handler, 'getRepoFolderName').mockImplementation(async () => repoFolderName);
+    vi.spyOn(handler, 'gitClone').mockImplementation(async (url, dir) => {
+      fs.mkdirSync(path.join(dir, '.git'), { recursive: true });
+    });
+    vi.spyOn(handler.gitOps, 'configureGitForUser').mockResolvedValue(true);
+    vi.spyOn(handler.gitOps, 'gitEnsurePreviewBranch').mockResolvedValue();
+    vi.spyOn(handler.processManager, 'delay').mockResolvedValue();
+    vi.spyOn(handler.processManager, 'startDevServer').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('retries from the failed build without cloning or installing again', async () => {
+    const executeCommand = vi.spyOn(handler.processManager, 'executeCommand')
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('astro build failed'))
+      .mockResolvedValue();
+
+    await expect(handler.startProjectCreation(1, projectPath, REPO_URL)).rejects.toThrow('astro build failed');
+    expect(await handler.checkpoints.getCheckpoints(1)).toEqual({ clone: 'done', install: 'done', build: 'failed' });
+    expect(await handler.checkpoints.isIncomplete(1)).toBe(true);
+
+    await expect(handler.startProjectCreation(1, projectPath, REPO_URL)).resolves.toEqual({ success: true });
+
+    expect(handler.gitClone).toHaveBeenCalledTimes(1);
+    expect(executeCommand.mock.calls.map(call => call[1])).toEqual([['install'], ['run', 'build'], ['run', 'build']]);
+    // The retry reuses the first clone instead of creating docs-1
+    expect(fs.readdirSync(projectPath)).toEqual(['docs']);
+    expect(handler.processManager.startDevServer).toHaveBeenCalledWith(path.join(projectPath, 'docs'), 1, expect.any(Function), expect.any(Function));
+    expect(await handler.checkpoints.isIncomplete(1)).toBe(false);
+  });
+
+  it('cleans the partial git setup only when resuming an interrupted clone', async () => {
+    vi.spyOn(handler.processManager, 'executeCommand').mockResolvedValue();
+    const cleanPartialGit = vi.spyOn(handler, 'cleanPartialGit');
+    handler.gitClone.mockRestore();
+    const clone = vi.spyOn(require('isomorphic-git'), 'clone').mockResolvedValue();
+    const fetch = vi.spyOn(require('isomorphic-git'), 'fetch').mockResolvedValue({});
+    vi.spyOn(handler.gitOps, 'getGitAuth').mockResolvedValue(null);
+
+    await handler.startProjectCreation(2, projectPath, REPO_URL);
+    expect(cleanPartialGit).not.toHaveBeenCalled();
+
+    // Simulate the app closing in the middle of the clone, after the config and before HEAD
+    const repoDir = path.join(projectPath, 'docs');
+    fs.mkdirSync(path.join(repoDir, '.git'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, '.git', 'config'), '[core]\n');
+    await handler.checkpoints.clear(2);
+    await handler.checkpoints.mark(2, 'clone', 'started');
+
+    await handler.startProjectCreation(2, projectPath, REPO_URL);
+
+    expect(cleanPartialGit).toHaveBeenCalledWith(repoDir);
+
+    // An interrupted clone that already wrote HEAD is not partial
+    cleanPartialGit.mockClear();
+    fs.mkdirSync(path.join(repoDir, '.git'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, '.git', 'config'), '[core]\n');
+    fs.writeFileSync(path.join(repoDir, '.git', 'HEAD'), 'ref: refs/heads/preview\n');
+    await handler.checkpoints.clear(2);
+    await handler.checkpoints.mark(2, 'clone', 'started');
+
+    await handler.startProjectCreation(2, projectPath, REPO_URL);
+
+    expect(cleanPartialGit).not.toHaveBeenCalled();
+    expect(clone).toHaveBeenLastCalledWith(expect.objectContaining({ dir: repoDir, url: REPO_URL }));
+    expect(fs.readdirSync(projectPath)).toEqual(['docs']);
+    clone.mockRestore();
+    fetch.mockRestore();
+  });
+
+  it('keeps the preview branch untouched when resuming a project that uses an existing repository', async () => {
+    vi.spyOn(handler.processManager, 'executeCommand')
+      .mockRejectedValueOnce(new Error('npm ERR! network'))
+      .mockResolvedValue();
+    fs.mkdirSync(path.join(projectPath, '.git'));
+
+    await expect(handler.startProjectCreation(3, projectPath, REPO_URL, true)).rejects.toThrow('npm ERR! network');
+    await handler.startProjectCreation(3, projectPath, REPO_URL);
+
+    expect(handler.gitClone).not.toHaveBeenCalled();
+    expect(handler.gitOps.gitEnsurePreviewBranch).not.toHaveBeenCalled();
+    expect(await handler.checkpoints.getCheckpoints(3)).toEqual({ clone: 'skipped', install: 'done', build: 'done' });
+  });
+});
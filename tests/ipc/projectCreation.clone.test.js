@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Tests for shallow single-branch clones and their download progress
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+// Main-process modules require electron directly; hand them the API mocked in the global setup
+require.cache[require.resolve('electron')] = { id: 'electron', loaded: true, exports: global.mockElectron };
+const git = require('isomorphic-git');
+const { ProjectCreationHandler } = require('../../src/ipc/projectCreation.js');
+const { createCloneProgress, formatBytes } = require('../../src/ipc/cloneProgress.js');
+
+const REPO_URL = 'https://github.com/acme/docs.git';
+const REPO_DIR = '/tmp/documental-clone/docs';
+
+/**
+ * Error isomorphic-git throws for a ref the server does not have
+ * @param {string} ref - Missing ref
+ * @returns {Error} NotFoundError
+ */
+function notFound(ref) {
+  return Object.assign(new Error(`Could not find ${ref}.`), { code: 'NotFoundError' });
+}
+
+describe('ProjectCreationHandler.gitClone', () => {
+  let handler;
+  let output;
+
+  beforeEach(() => {
+    handler = new ProjectCreationHandler({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager: { getDatabase: vi.fn() },
+      nodeDetectionService: {},
+      settingsService: { get: vi.fn().mockResolvedValue('preview') }
+    });
+    vi.spyOn(handler.gitOps, 'getGitAuth').mockResolvedValue({ username: 'token', password: 'x-oauth-basic' });
+    vi.spyOn(git, 'clone').mockResolvedValue();
+    vi.spyOn(git, 'fetch').mockResolvedValue({});
+    vi.spyOn(git, 'currentBranch').mockResolvedValue('main');
+    output = [];
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('clones only the preview branch at the chosen depth and fetches main next to it', async () => {
+    git.clone.mockImplementation(async ({ onProgress }) => {
+      onProgress({ phase: 'Receiving objects', loaded: 40, total: 40 });
+    });
+
+    await handler.gitClone(REPO_URL, REPO_DIR, message => output.push(message), { depth: 10 });
+
+    expect(git.clone).toHaveBeenCalledWith(expect.objectContaining({
+      dir: REPO_DIR, url: REPO_URL, ref: 'preview', singleBranch: true, depth: 10
+    }));
+    expect(git.fetch).toHaveBeenCalledWith(expect.objectContaining({
+      dir: REPO_DIR, remote: 'origin', ref: 'main', singleBranch: true, depth: 10
+    }));
+    expect(git.clone.mock.calls[0][0].onAuth()).toEqual({ username: 'token', password: 'x-oauth-basic' });
+    expect(output).toContain('📦 Receiving objects: 40/40 (100%) · 0 B baixados\n');
+    expect(output).toContain('📊 Download concluído: 40 objetos, 0 B\n');
+  });
+
+  it('clones the default branch when the server has no preview branch yet', async () => {
+    git.clone.mockRejectedValueOnce(notFound('preview'));
+
+    await handler.gitClone(REPO_URL, REPO_DIR, message => output.push(message), { depth: 100 });
+
+    expect(git.clone).toHaveBeenCalledTimes(2);
+    expect(git.clone.mock.calls[1][0]).not.toHaveProperty('ref');
+    // The default branch is main, so there is nothing else to fetch
+    expect(git.fetch).not.toHaveBeenCalled();
+  });
+
+  it('downloads the full history when the project asked for it', async () => {
+    await handler.gitClone(REPO_URL, REPO_DIR, message => output.push(message), { depth: 0 });
+
+    expect(git.clone.mock.calls[0][0]).not.toHaveProperty('depth');
+    expect(git.fetch.mock.calls[0][0]).not.toHaveProperty('depth');
+  });
+
+  it('fails the clone on errors other than a missing branch', async () => {
+    git.clone.mockRejectedValue(Object.assign(new Error('HTTP Error: 401 Unauthorized'), { code: 'HttpError' }));
+
+    await expect(handler.gitClone(REPO_URL, REPO_DIR, message => output.push(message))).rejects.toThrow('401');
+    expect(git.clone).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createCloneProgress', () => {
+  it('counts the bytes received through the wrapped HTTP client', async () => {
+    const http = {
+      request: vi.fn(async () => ({
+        statusCode: 200,
+        body: (async function* () {
+          yield Buffer.alloc(1024);
+          yield Buffer.alloc(512);
+        })()
+      }))
+    };
+    const output = [];
+    const progress = createCloneProgress(message => output.push(message), { http, now: () => 0 });
+
+    const response = await progress.http.request({ url: REPO_URL });
+    for await (const chunk of response.body) {
+      expect(chunk.length).toBeGreaterThan(0);
+    }
+    progress.onProgress({ phase: 'Receiving objects', loaded: 3, total: 6 });
+
+    expect(progress.getBytes()).toBe(1536);
+    expect(output).toEqual(['📦 Receiving objects: 3/6 (50%) · 1.5 KB baixados\n']);
+  });
+
+  it('throttles repeated events of a phase but always reports its last one', () => {
+    let time = 0;
+    const output = [];
+    const progress = createCloneProgress(message => output.push(message), { http: {}, now: () => time });
+
+    progress.onProgress({ phase: 'Receiving objects', loaded: 1, total: 100 });
+    time = 200;
+    progress.onProgress({ phase: 'Receiving objects', loaded: 50, total: 100 });
+    progress.onProgress({ phase: 'Receiving objects', loaded: 100, total: 100 });
+    progress.onProgress({ phase: 'Resolving deltas', loaded: 2 });
+
+    expect(output).toHaveLength(3);
+    expect(output[2]).toBe('📦 Resolving deltas: 2 · 0 B baixados\n');
+  });
+
+  it('formats byte counts', () => {
+    expect(formatBytes(900)).toBe('900 B');
+    expect(formatBytes(5 * 1024 * 1024 * 1024)).toBe('5.0 GB');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Tests for updating internal links after a page slug changes
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SlugRefactor, previousPath } = require('../../src/ipc/slugRefactor.js');
+
+const RENAME = { from: '/blog/old-title/', to: '/blog/new-title/' };
+
+/**
+ * Write a repository file, creating its directories
+ * @param {string} dir - Repository directory
+ * @param {string} filepath - Repository-relative path
+ * @param {string} content - File content
+ */
+function writeFile(dir, filepath, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, filepath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, filepath), content);
+}
+
+/**
+ * Read a repository file
+ * @param {string} dir - Repository directory
+ * @param {string} filepath - Repository-relative path
+ * @returns {string} Content
+ */
+function readFile(dir, filepath) {
+  return fs.readFileSync(path.join(dir, filepath), 'utf8');
+}
+
+describe('previousPath', () => {
+  it('puts the old slug back in place of the new one', () => {
+    expect(previousPath('/blog/2024/new-title/', 'old-title', 'new-title')).toBe('/blog/2024/old-title/');
+    expect(previousPath('/docs/intro/', 'old-title', 'new-title')).toBeNull();
+  });
+});
+
+describe('SlugRefactor', () => {
+  let dir;
+  let refactor;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-slug-refactor-'));
+    writeFile(dir, 'astro.config.mjs', "import { defineConfig } from 'astro/config';\n\nexport default defineConfig({\n  site: 'https://docs.example.com',\n});\n");
+    writeFile(dir, 'src/content/blog/other.md', [
+      '---',
+      'related: /blog/old-title/',
+      '---',
+      'Veja [o post](/blog/old-title/#setup) e [a versão sem barra](/blog/old-title).',
+      'Links parecidos ficam: [outro](/blog/old-title-2/) e [filho](/blog/old-title/comments/).',
+      'Absoluto: <https://docs.example.com/blog/old-title/> e externo: https://other.com/blog/old-title/'
+    ].join('\n'));
+    writeFile(dir, 'src/components/Nav.astro', '<a href="/blog/old-title/">Post</a>\n');
+    writeFile(dir, 'src/data/menu.json', '{"items":[{"href":"/blog/old-title/?ref=menu"}]}\n');
+    writeFile(dir, 'public/admin/config.yml', 'preview_path: /blog/old-title/\n');
+    writeFile(dir, 'node_modules/pkg/README.md', '[post](/blog/old-title/)\n');
+    refactor = new SlugRefactor({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists the links to the old URL with a preview of each replacement', async () => {
+    const { references, files } = await refactor.findReferences(dir, RENAME);
+
+    expect(files.sort((a, b) => a.path.localeCompare(b.path))).toEqual([
+      { path: 'src/components/Nav.astro', count: 1 },
+      { path: 'src/content/blog/other.md', count: 4 },
+      { path: 'src/data/menu.json', count: 1 }
+    ]);
+    expect(references).toContainEqual({
+      file: 'src/content/blog/other.md',
+      line: 4,
+      before: 'Veja [o post](/blog/old-title/#setup) e [a versão sem barra](/blog/old-title).',
+      after: 'Veja [o post](/blog/new-title/#setup) e [a versão sem barra](/blog/new-title).'
+    });
+  });
+
+  it('rewrites the links and keeps the changed files for the next commit', async () => {
+    const result = await refactor.apply(dir, RENAME);
+
+    expect(result).toEqual({
+      files: expect.arrayContaining(['src/components/Nav.astro', 'src/content/blog/other.md', 'src/data/menu.json']),
+      replacements: 6,
+      redirectFile: null
+    });
+    expect(readFile(dir, 'src/content/blog/other.md')).toContain('related: /blog/new-title/');
+    expect(readFile(dir, 'src/content/blog/other.md')).toContain('[outro](/blog/old-title-2/) e [filho](/blog/old-title/comments/)');
+    expect(readFile(dir, 'src/content/blog/other.md')).toContain('<https://docs.example.com/blog/new-title/> e externo: https://other.com/blog/old-title/');
+    expect(readFile(dir, 'src/data/menu.json')).toContain('"/blog/new-title/?ref=menu"');
+    expect(readFile(dir, 'public/admin/config.yml')).toContain('/blog/old-title/');
+    expect(readFile(dir, 'node_modules/pkg/README.md')).toContain('/blog/old-title/');
+
+    expect(refactor.getPending(dir)).toEqual({ files: result.files, renames: [RENAME] });
+    refactor.clearPending(dir);
+    expect(refactor.getPending(dir)).toBeNull();
+  });
+
+  it('keeps the pending edits across restarts until they are committed', async () => {
+    fs.mkdirSync(path.join(dir, '.git'));
+    const result = await refactor.apply(dir, RENAME);
+
+    const restarted = new SlugRefactor({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+    expect(restarted.getPending(dir)).toEqual({ files: result.files, renames: [RENAME] });
+
+    restarted.clearPending(dir);
+    expect(fs.existsSync(path.join(dir, '.git', 'documental-slug-refactor.json'))).toBe(false);
+    expect(new SlugRefactor({ logger: { warn: vi.fn() } }).getPending(dir)).toBeNull();
+  });
+
+  it('only updates the selected files', async () => {
+    const result = await refactor.apply(dir, RENAME, { files: ['src/components/Nav.astro'] });
+
+    expect(result.files).toEqual(['src/components/Nav.astro']);
+    expect(readFile(dir, 'src/data/menu.json')).toContain('/blog/old-title/');
+  });
+
+  it('adds the redirect to astro.config, once', async () => {
+    await expect(refactor.readRedirectOptions(dir)).resolves.toEqual({ astro: true, file: true, suggested: 'none' });
+
+    const result = await refactor.apply(dir, RENAME, { files: [], redirect: 'astro' });
+    await refactor.apply(dir, RENAME, { files: [], redirect: 'astro' });
+
+    expect(result).toEqual({ files: ['astro.config.mjs'], replacements: 0, redirectFile: 'astro.config.mjs' });
+    expect(readFile(dir, 'astro.config.mjs')).toBe(
+      "import { defineConfig } from 'astro/config';\n\nexport default defineConfig({\n  redirects: {\n    '/blog/old-title/': '/blog/new-title/'\n  },\n  site: 'https://docs.example.com',\n});\n"
+    );
+    await expect(refactor.readRedirectOptions(dir)).resolves.toMatchObject({ suggested: 'astro' });
+
+    await refactor.apply(dir, { from: '/guia/', to: '/manual/' }, { redirect: 'astro' });
+    expect(readFile(dir, 'astro.config.mjs')).toContain("redirects: {\n    '/guia/': '/manual/',\n    '/blog/old-title/': '/blog/new-title/'\n  },");
+  });
+
+  it('appends the redirect to public/_redirects', async () => {
+    writeFile(dir, 'public/_redirects', '/antigo /novo 301');
+
+    await refactor.addRedirect(dir, RENAME, 'file');
+    await refactor.addRedirect(dir, RENAME, 'file');
+
+    expect(readFile(dir, 'public/_redirects')).toBe('/antigo /novo 301\n/blog/old-title/ /blog/new-title/ 301\n');
+    await expect(refactor.readRedirectOptions(dir)).resolves.toMatchObject({ suggested: 'file' });
+  });
+
+  it('refuses astro.config redirects when the config cannot be edited', async () => {
+    fs.rmSync(path.join(dir, 'astro.config.mjs'));
+
+    await expect(refactor.addRedirect(dir, RENAME, 'astro')).rejects.toThrow('Nenhum astro.config encontrado no projeto');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests for working branch naming and rebasing onto preview
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+const { MergeConflictResolver } = require('../../src/ipc/mergeConflicts.js');
+const {
+  WorkingBranchRebaser,
+  buildWorkingBranchName,
+  parseWorkingBranchName,
+  isWorkingBranchOf,
+  slugifyLabel
+} = require('../../src/ipc/workingBranches.js');
+
+const author = { name: 'Test', email: 'test@example.com' };
+
+describe('working branch names', () => {
+  it('builds working_<user>_<yyyymmdd-hhmm>_ names from the GitHub login', () => {
+    const date = new Date(2024, 0, 31, 9, 5);
+    expect(buildWorkingBranchName('Maria.Silva', date)).toBe('working_maria-silva_20240131-0905_');
+    expect(buildWorkingBranchName('maria', date, 'Nova página: Contato!')).toBe('working_maria_20240131-0905_nova-pagina-contato');
+  });
+
+  it('parses names back and rejects other branches', () => {
+    const parsed = parseWorkingBranchName('working_maria_20240131-0905_nova-pagina');
+    expect(parsed.user).toBe('maria');
+    expect(parsed.label).toBe('nova-pagina');
+    expect(parsed.createdAt.getTime()).toBe(new Date(2024, 0, 31, 9, 5).getTime());
+
+    expect(parseWorkingBranchName('preview')).toBeNull();
+    expect(parseWorkingBranchName('working_maria_2024-0905_')).toBeNull();
+  });
+
+  it('matches branches by owner', () => {
+    expect(isWorkingBranchOf('working_maria_20240131-0905_', 'Maria')).toBe(true);
+    expect(isWorkingBranchOf('working_joao_20240131-0905_', 'maria')).toBe(false);
+  });
+
+  it('limits label length', () => {
+    expect(slugifyLabel('a'.repeat(80)).length).toBe(40);
+    expect(slugifyLabel('')).toBe('');
+  });
+
+  it('rejects an empty login', () => {
+    expect(() => buildWorkingBranchName('', new Date())).toThrow();
+  });
+});
+
+describe('WorkingBranchRebaser', () => {
+  let dir;
+  let rebaser;
+  let baseOid;
+
+  /**
+   * Write a file inside the test repository
+   * @param {string} filepath - Repository-relative path
+   * @param {string} content - File content
+   */
+  function write(filepath, content) {
+    fs.writeFileSync(path.join(dir, filepath), content);
+  }
+
+  /**
+   * Stage a file and commit
+   * @param {string} message - Commit message
+   * @param {string} filepath - Path to add
+   * @returns {Promise<string>} Commit SHA
+   */
+  async function commit(message, filepath) {
+    await git.add({ fs, dir, filepath });
+    return git.commit({ fs, dir, message, author });
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-working-'));
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    rebaser = new WorkingBranchRebaser({ logger, mergeResolver: new MergeConflictResolver({ logger }) });
+
+    await git.init({ fs, dir, defaultBranch: 'preview' });
+    write('post.md', 'line1\nline2\nline3\n');
+    baseOid = await commit('base', 'post.md');
+    await git.branch({ fs, dir, ref: 'working_maria_20240131-0905_' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('fast-forwards when preview has not moved', async () => {
+    await git.checkout({ fs, dir, ref: 'working_maria_20240131-0905_' });
+    write('draft.md', 'draft\n');
+    const tipOid = await commit('draft', 'draft.md');
+    await git.checkout({ fs, dir, ref: 'preview' });
+
+    const result = await rebaser.rebase({ gitMod: git, fs, dir, ontoOid: baseOid, tipOid, returnTo: 'preview' });
+
+    expect(result).toEqual({ newTip: tipOid, replayed: 0, fastForward: true });
+  });
+
+  it('replays working commits on top of a newer preview', async () => {
+    write('post.md', 'line1\nPREVIEW\nline3\n');
+    const ontoOid = await commit('preview change', 'post.md');
+
+    await git.checkout({ fs, dir, ref: 'working_maria_20240131-0905_' });
+    write('draft.md', 'draft\n');
+    await commit('add draft', 'draft.md');
+    write('post.md', 'line1\nline2\nline3\nline4\n');
+    const tipOid = await commit('extend post', 'post.md');
+    await git.checkout({ fs, dir, ref: 'preview' });
+
+    const result = await rebaser.rebase({ gitMod: git, fs, dir, ontoOid, tipOid, returnTo: 'preview' });
+
+    expect(result.fastForward).toBe(false);
+    expect(result.replayed).toBe(2);
+    const log = await git.log({ fs, dir, ref: result.newTip });
+    expect(log.map(entry => entry.commit.message.trim())).toEqual(['extend post', 'add draft', 'preview change', 'base']);
+    const { blob } = await git.readBlob({ fs, dir, oid: result.newTip, filepath: 'post.md' });
+    expect(Buffer.from(blob).toString()).toBe('line1\nPREVIEW\nline3\nline4\n');
+
+    expect(await git.currentBranch({ fs, dir })).toBe('preview');
+    const branches = await git.listBranches({ fs, dir });
+    expect(branches).not.toContain('documental-rebase');
+  });
+
+  it('stops on conflicts and returns to the original branch', async () => {
+    write('post.md', 'line1\nPREVIEW\nline3\n');
+    const ontoOid = await commit('preview change', 'post.md');
+
+    await git.checkout({ fs, dir, ref: 'working_maria_20240131-0905_' });
+    write('post.md', 'line1\nDRAFT!\nline3\n');
+    const tipOid = await commit('draft change', 'post.md');
+    await git.checkout({ fs, dir, ref: 'preview' });
+
+    const result = await rebaser.rebase({ gitMod: git, fs, dir, ontoOid, tipOid, returnTo: 'preview' });
+
+    expect(result.conflict).toBe(true);
+    expect(result.conflictCommit).toBe(tipOid);
+    expect(await git.currentBranch({ fs, dir })).toBe('preview');
+    expect(fs.readFileSync(path.join(dir, 'post.md'), 'utf8')).toBe('line1\nPREVIEW\nline3\n');
+  });
+});
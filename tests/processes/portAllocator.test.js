@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for dev server port allocation and orphaned-process recovery
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import net from 'net';
+
+const require = createRequire(import.meta.url);
+const {
+  isPortAvailable,
+  findAvailablePort,
+  isAddressInUseOutput
+} = require('../../src/main/processes/portAllocator.js');
+const { ProcessManager } = require('../../src/ipc/processManager.js');
+
+/**
+ * Listen on an OS-assigned localhost port
+ * @returns {Promise<net.Server>} Listening server
+ */
+function listenOnRandomPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen({ port: 0, host: 'localhost' }, () => resolve(server));
+  });
+}
+
+describe('portAllocator', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server?.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('reports whether a port is taken', async () => {
+    server = await listenOnRandomPort();
+    const { port } = server.address();
+
+    expect(await isPortAvailable(port)).toBe(false);
+    await new Promise(resolve => server.close(resolve));
+    expect(await isPortAvailable(port)).toBe(true);
+  });
+
+  it('returns the first free port, skipping excluded ones', async () => {
+    const taken = new Set([4321, 4323]);
+    const isAvailable = vi.fn(async (port) => !taken.has(port));
+
+    expect(await findAvailablePort(4321, { isAvailable })).toBe(4322);
+
+    isAvailable.mockClear();
+    expect(await findAvailablePort(4321, { isAvailable, exclude: [4322] })).toBe(4324);
+    expect(isAvailable.mock.calls.map(([port]) => port)).toEqual([4321, 4323, 4324]);
+  });
+
+  it('fails when every probed port is taken', async () => {
+    await expect(findAvailablePort(4321, { maxAttempts: 3, isAvailable: async () => false }))
+      .rejects.toThrow('Nenhuma porta livre encontrada entre 4321 e 4323');
+  });
+
+  it('recognizes port conflict output from Node and Astro', () => {
+    expect(isAddressInUseOutput('Error: listen EADDRINUSE: address already in use ::1:4321')).toBe(true);
+    expect(isAddressInUseOutput('Port 4321 is in use, trying another one...')).toBe(true);
+    expect(isAddressInUseOutput('  ┃ Local    http://localhost:4321/')).toBe(false);
+  });
+});
+
+describe('ProcessManager orphaned dev servers', () => {
+  let logger;
+  let processManager;
+  let server;
+  let tracked;
+  let sendServerOutput;
+
+  beforeEach(async () => {
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    processManager = new ProcessManager({ logger, nodeDetectionService: {} });
+    processManager.delay = vi.fn(async () => {});
+    sendServerOutput = vi.fn();
+
+    server = await listenOnRandomPort();
+    tracked = { pid: 424242, port: server.address().port, projectId: 7, startTime: Date.now(), cwd: '/sites/old' };
+    processManager.tracker = {
+      getProcessesByPort: vi.fn((port) => (port === tracked.port ? { [tracked.pid]: tracked } : {})),
+      validateProcess: vi.fn(async () => true),
+      killProcess: vi.fn(async () => {
+        await new Promise(resolve => server.close(resolve));
+        return true;
+      }),
+      removeProcess: vi.fn(() => true),
+      getAllProcesses: vi.fn(() => ({ [tracked.pid]: tracked }))
+    };
+  });
+
+  afterEach(async () => {
+    if (server.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('stops an orphaned Documental server when the user agrees', async () => {
+    processManager.confirmKillOrphanedProcess = vi.fn(async () => true);
+
+    expect(await processManager.releaseOrphanedPort(tracked.port, sendServerOutput)).toBe(true);
+    expect(processManager.confirmKillOrphanedProcess).toHaveBeenCalledWith(tracked, tracked.port);
+    expect(processManager.tracker.killProcess).toHaveBeenCalledWith(424242);
+    expect(sendServerOutput).toHaveBeenCalledWith(expect.stringContaining('PID 424242'));
+  });
+
+  it('leaves the process running when the user declines', async () => {
+    processManager.confirmKillOrphanedProcess = vi.fn(async () => false);
+
+    expect(await processManager.releaseOrphanedPort(tracked.port, sendServerOutput)).toBe(false);
+    expect(processManager.tracker.killProcess).not.toHaveBeenCalled();
+  });
+
+  it('forgets tracked processes that are no longer running without asking', async () => {
+    processManager.tracker.validateProcess.mockResolvedValue(false);
+    processManager.confirmKillOrphanedProcess = vi.fn();
+
+    expect(await processManager.releaseOrphanedPort(tracked.port, sendServerOutput)).toBe(false);
+    expect(processManager.tracker.removeProcess).toHaveBeenCalledWith(424242);
+    expect(processManager.confirmKillOrphanedProcess).not.toHaveBeenCalled();
+  });
+
+  it('offers to stop the orphaned server on the port recorded for the project', async () => {
+    processManager.confirmKillOrphanedProcess = vi.fn(async () => true);
+
+    const port = await processManager.allocateDevServerPort(7, sendServerOutput);
+
+    expect(processManager.confirmKillOrphanedProcess).toHaveBeenCalledWith(tracked, tracked.port);
+    expect(processManager.tracker.killProcess).toHaveBeenCalledWith(424242);
+    expect(typeof port).toBe('number');
+  });
+
+  it('stops the whole process group of a dev server', async () => {
+    const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+    const processRef = { pid: 515151, kill: vi.fn() };
+
+    try {
+      await processManager.killProcessTree(processRef, 'SIGTERM');
+      if (process.platform !== 'win32') {
+        expect(kill).toHaveBeenCalledWith(-515151, 'SIGTERM');
+      }
+      expect(processRef.kill).not.toHaveBeenCalled();
+    } finally {
+      kill.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Tests for GitHostProviderFactory and the git host adapters
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GitHostProviderFactory } from '../../../src/main/factories/GitHostProviderFactory.js';
+import { GitHubHostAdapter } from '../../../src/main/adapters/GitHubHostAdapter.js';
+import { GitHubEnterpriseHostAdapter } from '../../../src/main/adapters/GitHubEnterpriseHostAdapter.js';
+import { GenericHttpsHostAdapter } from '../../../src/main/adapters/GenericHttpsHostAdapter.js';
+import { GITHUB_CONFIG } from '../../../src/config/github-config.js';
+
+describe('GitHostProviderFactory', () => {
+  beforeEach(() => {
+    GitHostProviderFactory.clearCache();
+  });
+
+  describe('createProvider', () => {
+    it('should create the github.com provider by default and cache it', () => {
+      const provider = GitHostProviderFactory.createProvider();
+
+      expect(provider.constructor.name).toBe('GitHubHostAdapter');
+      expect(GitHostProviderFactory.createProvider({ type: 'github' })).toBe(provider);
+      expect(GitHostProviderFactory.forAccount({ id: '1', host: { type: 'github', baseUrl: null } })).toBe(provider);
+    });
+
+    it('should create enterprise and generic providers from their configuration', () => {
+      const enterprise = GitHostProviderFactory.createProvider({
+        type: 'github-enterprise',
+        baseUrl: 'https://github.acme.test/',
+        clientId: 'Iv1acmeclient'
+      });
+      const generic = GitHostProviderFactory.createProvider({ type: 'generic', baseUrl: 'https://gitea.acme.test' });
+
+      expect(enterprise.constructor.name).toBe('GitHubEnterpriseHostAdapter');
+      expect(enterprise.toConfig()).toEqual({
+        type: 'github-enterprise',
+        baseUrl: 'https://github.acme.test',
+        clientId: 'Iv1acmeclient'
+      });
+      expect(generic.constructor.name).toBe('GenericHttpsHostAdapter');
+      expect(generic.getLabel()).toBe('gitea.acme.test');
+    });
+
+    it('should reject unknown types and invalid hosts', () => {
+      expect(() => GitHostProviderFactory.createProvider({ type: 'bitbucket' })).toThrow('Unsupported git host type: bitbucket');
+      expect(() => GitHostProviderFactory.createProvider({ type: 'generic', baseUrl: 'http://gitea.acme.test' }))
+        .toThrow('O servidor deve usar HTTPS');
+      expect(() => GitHostProviderFactory.createProvider({ type: 'generic', baseUrl: 'gitea' }))
+        .toThrow('URL do servidor inválida');
+      expect(() => GitHostProviderFactory.createProvider({ type: 'github-enterprise', baseUrl: 'https://github.acme.test' }))
+        .toThrow('Client ID');
+    });
+  });
+
+  describe('GitHubHostAdapter', () => {
+    it('should use the configured github.com device flow and keep bare account IDs', () => {
+      const provider = new GitHubHostAdapter();
+
+      expect(provider.getDeviceFlowConfig()).toEqual({
+        clientId: GITHUB_CONFIG.CLIENT_ID,
+        scopes: GITHUB_CONFIG.SCOPES,
+        deviceCodeUrl: GITHUB_CONFIG.DEVICE_CODE_URL,
+        tokenUrl: GITHUB_CONFIG.TOKEN_URL,
+        verificationUri: GITHUB_CONFIG.VERIFICATION_URI
+      });
+      expect(provider.getApiUrl()).toBe('https://api.github.com');
+      expect(provider.getAccountId({ id: 101 })).toBe('101');
+      expect(provider.getGitAuth('gho_token')).toEqual({ username: 'gho_token', password: 'x-oauth-basic' });
+    });
+  });
+
+  describe('GitHubEnterpriseHostAdapter', () => {
+    it('should point the device flow and API at the server', () => {
+      const provider = new GitHubEnterpriseHostAdapter({ baseUrl: 'https://github.acme.test', clientId: 'Iv1acmeclient' });
+
+      expect(provider.supportsDeviceFlow()).toBe(true);
+      expect(provider.getDeviceFlowConfig()).toEqual({
+        clientId: 'Iv1acmeclient',
+        scopes: GITHUB_CONFIG.SCOPES,
+        deviceCodeUrl: 'https://github.acme.test/login/device/code',
+        tokenUrl: 'https://github.acme.test/login/oauth/access_token',
+        verificationUri: 'https://github.acme.test/login/device'
+      });
+      expect(provider.getApiUrl()).toBe('https://github.acme.test/api/v3');
+      expect(provider.getAccountId({ id: 101 })).toBe('github.acme.test:101');
+      expect(provider.getGitAuth('gho_token')).toEqual({ username: 'gho_token', password: 'x-oauth-basic' });
+    });
+  });
+
+  describe('GenericHttpsHostAdapter', () => {
+    it('should sign in with username and token and send both to git', async () => {
+      const provider = new GenericHttpsHostAdapter({ baseUrl: 'https://gitlab.acme.test/' });
+
+      const userInfo = await provider.getUserInfo('glpat-123', { username: ' ana ', email: 'ana@acme.test' });
+
+      expect(provider.supportsDeviceFlow()).toBe(false);
+      expect(userInfo).toEqual({ id: 'ana', login: 'ana', name: 'ana', email: 'ana@acme.test', avatar_url: null });
+      expect(provider.getAccountId(userInfo)).toBe('gitlab.acme.test:ana');
+      expect(provider.getGitAuth('glpat-123', { login: 'ana' })).toEqual({ username: 'ana', password: 'glpat-123' });
+      expect(provider.isValidToken('short')).toBe(true);
+      expect(provider.isValidToken('  ')).toBe(false);
+      await expect(provider.getUserInfo('glpat-123', {})).rejects.toThrow('Informe o usuário do servidor Git');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tests for reading and filling the file-based routes of Astro sites
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AstroRouteService, parseRoute, fillRoute } = require('../../../src/services/astroRouteService.js');
+
+describe('Astro routes', () => {
+  it('parses static, dynamic and catch-all segments', () => {
+    expect(parseRoute('index.astro')).toEqual({ segments: [], params: [] });
+    expect(parseRoute('blog/[...slug].astro')).toEqual({
+      segments: [{ static: 'blog' }, { param: 'slug', rest: true }],
+      params: ['slug']
+    });
+  });
+
+  it('fills single-segment params only with single segments', () => {
+    const route = parseRoute('[lang]/docs/[...slug].astro');
+
+    expect(fillRoute(route, { lang: 'pt', slug: 'guides/intro' })).toBe('/pt/docs/guides/intro/');
+    expect(fillRoute(route, { lang: 'pt', slug: '' })).toBe('/pt/docs/');
+    expect(fillRoute(route, { lang: 'pt/br', slug: 'intro' })).toBeNull();
+    expect(fillRoute(parseRoute('about.md'), {})).toBe('/about/');
+  });
+
+  it('lists pages with their collections, skipping underscored files and endpoints', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-astro-routes-'));
+    try {
+      const pages = path.join(dir, 'src', 'pages');
+      fs.mkdirSync(path.join(pages, 'blog'), { recursive: true });
+      fs.mkdirSync(path.join(pages, '_partials'), { recursive: true });
+      fs.writeFileSync(path.join(pages, 'index.astro'), '');
+      fs.writeFileSync(path.join(pages, 'rss.xml.js'), '');
+      fs.writeFileSync(path.join(pages, '_partials', 'card.astro'), '');
+      fs.writeFileSync(path.join(pages, '[...page].astro'), "getCollection('pages')");
+      fs.writeFileSync(path.join(pages, 'blog', '[slug].astro'), "const posts = await getCollection('blog');\nreturn posts.map(post => ({ params: { slug: post.slug } }));");
+
+      const routes = await new AstroRouteService({ logger: { warn: vi.fn() } }).readRoutes(dir);
+
+      expect(routes.map(route => route.file)).toEqual(['src/pages/index.astro', 'src/pages/blog/[slug].astro', 'src/pages/[...page].astro']);
+      expect(routes[1]).toMatchObject({ collections: ['blog'], usesSlug: true });
+      expect(routes[2]).toMatchObject({ collections: ['pages'], usesSlug: false });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tests for the clone depth stored on projects
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  CloneDepthService,
+  DEFAULT_CLONE_DEPTH,
+  FULL_HISTORY,
+  normalizeCloneDepth,
+  depthOptions
+} = require('../../../src/services/cloneDepthService.js');
+
+describe('normalizeCloneDepth', () => {
+  it('keeps positive depths and full history, and defaults anything else', () => {
+    expect(normalizeCloneDepth('100')).toBe(100);
+    expect(normalizeCloneDepth(0)).toBe(FULL_HISTORY);
+    expect(normalizeCloneDepth(null)).toBe(DEFAULT_CLONE_DEPTH);
+    expect(normalizeCloneDepth('-3')).toBe(DEFAULT_CLONE_DEPTH);
+    expect(normalizeCloneDepth('abc')).toBe(DEFAULT_CLONE_DEPTH);
+  });
+
+  it('omits the depth option for full history', () => {
+    expect(depthOptions(FULL_HISTORY)).toEqual({});
+    expect(depthOptions(10)).toEqual({ depth: 10 });
+  });
+});
+
+describe('CloneDepthService', () => {
+  let rows;
+  let logger;
+  let service;
+
+  beforeEach(() => {
+    rows = [
+      { id: 1, projectPath: '/sites', repoFolderName: 'docs', cloneDepth: 0 },
+      { id: 2, projectPath: '/work/handbook', repoFolderName: null, cloneDepth: 100 },
+      { id: 3, projectPath: '/legacy', repoFolderName: 'site', cloneDepth: null }
+    ];
+    const databaseManager = {
+      get: vi.fn(async (sql, [projectId]) => rows.find(row => row.id === projectId) || null)
+    };
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    service = new CloneDepthService({ logger, databaseManager });
+  });
+
+  it('reads the depth of a project by ID', async () => {
+    expect(await service.getForProject(2)).toBe(100);
+    expect(await service.getForProject(3)).toBe(DEFAULT_CLONE_DEPTH);
+  });
+});
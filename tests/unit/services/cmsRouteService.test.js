@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Tests for mapping preview pages to the CMS entries they render
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// The global setup mocks fs/path for ESM imports; this suite needs the real ones
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CmsRouteService, previewPathToRegExp } = require('../../../src/services/cmsRouteService.js');
+
+const CONFIG = `
+backend:
+  name: github
+media_folder: public/images
+collections:
+  - name: posts
+    label: Posts
+    folder: src/content/blog
+    preview_path: "blog/{{year}}/{{slug}}"
+    fields: []
+  - name: docs
+    folder: src/content/docs
+    path: "{{slug}}/index"
+    fields: []
+  - name: guides
+    folder: src/content/guides
+    extension: mdx
+    fields: []
+  - name: pages
+    files:
+      - name: home
+        file: src/content/pages/index.md
+      - name: about
+        file: src/content/pages/about.md
+`;
+
+/**
+ * Write a repository file, creating its directories
+ * @param {string} dir - Repository directory
+ * @param {string} filepath - Repository-relative path
+ * @param {string} [content] - File content
+ */
+function writeFile(dir, filepath, content = '---\ntitle: Test\n---\n') {
+  fs.mkdirSync(path.dirname(path.join(dir, filepath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, filepath), content);
+}
+
+describe('previewPathToRegExp', () => {
+  it('captures the slug and skips the other placeholders', () => {
+    expect('blog/2024/hello-world'.match(previewPathToRegExp('/blog/{{year}}/{{slug}}/')).groups.slug).toBe('hello-world');
+    expect(previewPathToRegExp('blog/{{slug}}').test('docs/hello-world')).toBe(false);
+  });
+});
+
+describe('CmsRouteService', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-cms-routes-'));
+    writeFile(dir, 'public/admin/config.yml', CONFIG);
+    writeFile(dir, 'src/content/blog/hello-world.md');
+    writeFile(dir, 'src/content/docs/getting-started/index.md');
+    writeFile(dir, 'src/content/guides/deploy.mdx');
+    writeFile(dir, 'src/content/pages/index.md');
+    writeFile(dir, 'src/content/pages/about.md');
+    service = new CmsRouteService({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resolves folder collection pages through preview_path and the entry path', async () => {
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/blog/2024/hello-world/'))
+      .resolves.toEqual({ collection: 'posts', entry: 'hello-world', filepath: 'src/content/blog/hello-world.md' });
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/docs/getting-started/'))
+      .resolves.toEqual({ collection: 'docs', entry: 'getting-started', filepath: 'src/content/docs/getting-started/index.md' });
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/deploy/index.html?ref=nav#steps'))
+      .resolves.toEqual({ collection: 'guides', entry: 'deploy', filepath: 'src/content/guides/deploy.mdx' });
+  });
+
+  it('resolves file collection pages by file name', async () => {
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/'))
+      .resolves.toEqual({ collection: 'pages', entry: 'home', filepath: 'src/content/pages/index.md' });
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/about'))
+      .resolves.toEqual({ collection: 'pages', entry: 'about', filepath: 'src/content/pages/about.md' });
+  });
+
+  it('returns null for pages without an entry and sites without a CMS config', async () => {
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/blog/2024/missing/')).resolves.toBeNull();
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/tags/astro/')).resolves.toBeNull();
+
+    fs.rmSync(path.join(dir, 'public', 'admin', 'config.yml'));
+    await expect(service.readConfig(dir)).resolves.toBeNull();
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/about')).resolves.toBeNull();
+  });
+
+  it('follows the preview URL templates of the project config', async () => {
+    writeFile(dir, 'documental.config.json', JSON.stringify({ previewUrls: { guides: '/manual/{{slug}}/' } }));
+
+    await expect(service.resolveEntry(dir, 'http://localhost:4321/manual/deploy/'))
+      .resolves.toEqual({ collection: 'guides', entry: 'deploy', filepath: 'src/content/guides/deploy.mdx' });
+  });
+
+  it('builds the Sveltia route of an entry', () => {
+    expect(service.editorHash({ collection: 'docs', entry: 'guides/getting started' }))
+      .toBe('#/collections/docs/entries/guides/getting%20started');
+  });
+});
+
+describe('CmsRouteService.resolvePreviewPath', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documental-preview-routes-'));
+    writeFile(dir, 'public/admin/config.yml', `
+i18n:
+  locales: [en, pt]
+  default_locale: en
+collections:
+  - { name: posts, folder: src/content/blog, preview_path: "blog/{{year}}/{{slug}}" }
+  - { name: docs, folder: src/content/docs, path: "{{slug}}/index" }
+  - { name: articles, folder: src/content/articles }
+  - { name: guides, folder: src/content/guides, i18n: true }
+  - { name: notes, folder: src/pages/notes }
+  - { name: news, folder: src/content/news, preview_path: "news/{{fields.category}}/{{slug}}" }
+  - name: pages
+    files:
+      - { name: home, file: src/content/pages/index.md }
+      - { name: about, file: src/content/pages/about.md }
+      - { name: contact, file: src/content/pages/contact.md }
+`);
+    writeFile(dir, 'src/content/blog/hello.md', '---\ntitle: Hello\ndate: 2024-03-05\n---\n');
+    writeFile(dir, 'src/content/docs/reference/api/index.md');
+    writeFile(dir, 'src/content/articles/first-post.md', '---\ntitle: First\nslug: primeiro-post\n---\n');
+    writeFile(dir, 'src/content/guides/en/intro.md');
+    writeFile(dir, 'src/content/guides/pt/intro.md');
+    writeFile(dir, 'src/content/news/launch.md');
+    writeFile(dir, 'src/pages/notes/today.md');
+    writeFile(dir, 'src/pages/index.astro', '<h1>Home</h1>');
+    writeFile(dir, 'src/pages/about.astro', '<h1>About</h1>');
+    writeFile(dir, 'src/pages/docs/[...slug].astro',
+      "---\nconst docs = await getCollection('docs');\nexport const getStaticPaths = () => docs.map(entry => ({ params: { slug: entry.id } }));\n---\n");
+    writeFile(dir, 'src/pages/artigos/[slug].astro',
+      "---\nexport async function getStaticPaths() {\n  return (await getCollection(\"articles\")).map(entry => ({ params: { slug: entry.slug } }));\n}\n---\n");
+    writeFile(dir, 'src/pages/[lang]/guides/[...slug].astro', "---\nconst guides = await getCollection('guides');\n---\n");
+    writeFile(dir, 'src/pages/_drafts/[slug].astro', "---\nconst posts = await getCollection('docs');\n---\n");
+    writeFile(dir, 'documental.config.json', JSON.stringify({ previewUrls: { 'pages/contact': '/fale-conosco' } }));
+    service = new CmsRouteService({ logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const resolve = route => service.resolvePreviewPath(dir, route);
+
+  it('fills preview_path templates with the slug and front matter dates', async () => {
+    await expect(resolve({ collection: 'posts', entry: 'hello' })).resolves.toBe('/blog/2024/hello/');
+  });
+
+  it('routes nested entries through catch-all Astro pages', async () => {
+    await expect(resolve({ collection: 'docs', entry: 'reference/api' })).resolves.toBe('/docs/reference/api/');
+  });
+
+  it('uses the slug field when the Astro page builds its params from entry.slug', async () => {
+    await expect(resolve({ collection: 'articles', entry: 'first-post' })).resolves.toBe('/artigos/primeiro-post/');
+  });
+
+  it('prefixes translated entries with the default locale', async () => {
+    await expect(resolve({ collection: 'guides', entry: 'intro' })).resolves.toBe('/en/guides/intro/');
+  });
+
+  it('routes Markdown pages stored in src/pages by their path', async () => {
+    await expect(resolve({ collection: 'notes', entry: 'today' })).resolves.toBe('/notes/today/');
+  });
+
+  it('maps file collection entries to static pages, index pages and project templates', async () => {
+    await expect(resolve({ collection: 'pages', entry: 'home' })).resolves.toBe('/');
+    await expect(resolve({ collection: 'pages', entry: 'about' })).resolves.toBe('/about/');
+    await expect(resolve({ collection: 'pages', entry: 'contact' })).resolves.toBe('/fale-conosco/');
+  });
+
+  it('returns null when no template or route fits the entry', async () => {
+    await expect(resolve({ collection: 'news', entry: 'launch' })).resolves.toBeNull();
+    await expect(resolve({ collection: 'missing', entry: 'hello' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Tests for GitHubAccountService accounts, default account and per-project choice
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { GitHubAccountService } = require('../../../src/services/githubAccountService.js');
+const { GitHostProviderFactory } = require('../../../src/main/factories/GitHostProviderFactory.js');
+
+/**
+ * In-memory stand-in for the users and projects tables behind DatabaseManager run/get/all
+ * @returns {Object} Database manager double
+ */
+function createDatabaseManager() {
+  let clock = 0;
+  const users = [];
+  const projects = [
+    { id: 1, projectPath: '/sites', repoFolderName: 'docs-acme', githubAccountId: null },
+    { id: 2, projectPath: '/sites/blog', repoFolderName: null, githubAccountId: null }
+  ];
+  const byRecency = () => [...users].sort((a, b) => (b.isActive - a.isActive) || (b.updatedAt - a.updatedAt));
+
+  const execute = (sql, params) => {
+    const statement = sql.trim().replace(/\s+/g, ' ');
+    if (statement.startsWith('SELECT githubId FROM users')) {
+      return byRecency()[0] || null;
+    }
+    if (statement.startsWith('SELECT githubId, login') && statement.endsWith('WHERE githubId = ?')) {
+      return users.find(user => user.githubId === params[0]) || null;
+    }
+    if (statement.startsWith('SELECT githubId, login')) {
+      return byRecency();
+    }
+    if (statement.startsWith('INSERT INTO users')) {
+      const [githubId, login, name, email, avatarUrl, hostType, hostUrl, hostClientId] = params;
+      const profile = { login, name, email, avatarUrl, hostType, hostUrl, hostClientId, updatedAt: ++clock };
+      const existing = users.find(user => user.githubId === githubId);
+      if (existing) {
+        Object.assign(existing, profile);
+      } else {
+        users.push({ githubId, isActive: 0, ...profile });
+      }
+      return { changes: 1 };
+    }
+    if (statement.startsWith('UPDATE users SET isActive = CASE')) {
+      users.forEach(user => { user.isActive = user.githubId === params[0] ? 1 : 0; });
+      return { changes: users.length };
+    }
+    if (statement.startsWith('UPDATE users SET isActive = 0')) {
+      users.filter(user => user.githubId === params[0]).forEach(user => { user.isActive = 0; });
+      return { changes: 1 };
+    }
+    if (statement.startsWith('UPDATE projects SET githubAccountId = NULL')) {
+      projects.filter(project => project.githubAccountId === params[0]).forEach(project => { project.githubAccountId = null; });
+      return { changes: 1 };
+    }
+    if (statement.startsWith('UPDATE projects SET githubAccountId = ?')) {
+      const project = projects.find(row => row.id === Number(params[1]));
+      if (project) {
+        project.githubAccountId = params[0];
+      }
+      return { changes: project ? 1 : 0 };
+    }
+    if (statement.startsWith('SELECT githubAccountId FROM projects')) {
+      return projects.find(row => row.id === Number(params[0])) || null;
+    }
+    if (statement.startsWith('SELECT projectPath')) {
+      return projects.filter(row => row.githubAccountId !== null);
+    }
+    throw new Error(`Unexpected SQL: ${statement}`);
+  };
+
+  return {
+    users,
+    projects,
+    addUser: (user) => users.push({ isActive: 0, updatedAt: ++clock, ...user }),
+    run: vi.fn(async (sql, params = []) => execute(sql, params)),
+    get: vi.fn(async (sql, params = []) => execute(sql, params) || null),
+    all: vi.fn(async (sql, params = []) => execute(sql, params) || [])
+  };
+}
+
+/**
+ * Keytar-like token store; the legacy single-account token has no account ID
+ * @returns {Object} Token service double
+ */
+function createTokenService() {
+  const tokens = new Map();
+  const key = (accountId) => accountId || 'legacy';
+  return {
+    tokens,
+    storeToken: vi.fn(async (token, accountId = null) => { tokens.set(key(accountId), token); return true; }),
+    getToken: vi.fn(async (accountId = null) => tokens.get(key(accountId)) || null),
+    deleteToken: vi.fn(async (accountId = null) => tokens.delete(key(accountId))),
+    listAccountIds: vi.fn(async () => [...tokens.keys()].filter(id => id !== 'legacy'))
+  };
+}
+
+const ACME = { id: 101, login: 'ana-acme', name: 'Ana', email: 'ana@acme.test', avatar_url: null };
+const GLOBEX = { id: 202, login: 'ana-globex', name: 'Ana', email: 'ana@globex.test', avatar_url: null };
+const ENTERPRISE = { type: 'github-enterprise', baseUrl: 'https://github.acme.test/', clientId: 'Iv1acmeclient' };
+
+describe('GitHubAccountService', () => {
+  let databaseManager;
+  let tokenService;
+  let service;
+
+  beforeEach(() => {
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    databaseManager = createDatabaseManager();
+    tokenService = createTokenService();
+    service = new GitHubAccountService({ logger, databaseManager, tokenService });
+  });
+
+  it('moves the single-account token to the signed-in profile', async () => {
+    databaseManager.addUser({ githubId: '101', login: 'ana-acme' });
+    tokenService.tokens.set('legacy', 'gho_legacy');
+
+    const accounts = await service.listAccounts();
+
+    expect(accounts.map(account => account.id)).toEqual(['101']);
+    expect(tokenService.tokens.get('101')).toBe('gho_legacy');
+    expect(tokenService.tokens.has('legacy')).toBe(false);
+    expect(await service.getToken()).toBe('gho_legacy');
+  });
+
+  it('keeps accounts side by side and makes the newest one the default', async () => {
+    await service.addAccount('gho_acme', ACME);
+    await service.addAccount('gho_globex', GLOBEX);
+
+    const accounts = await service.listAccounts();
+    expect(accounts.map(account => [account.login, account.active])).toEqual([
+      ['ana-globex', true],
+      ['ana-acme', false]
+    ]);
+    expect(await service.getToken()).toBe('gho_globex');
+
+    await service.setActiveAccount('101');
+    expect((await service.getActiveAccount()).login).toBe('ana-acme');
+    await expect(service.setActiveAccount('999')).rejects.toThrow('Conta GitHub não encontrada ou desconectada');
+  });
+
+  it('resolves the account chosen for a project by ID or repository path', async () => {
+    await service.addAccount('gho_acme', ACME);
+    await service.addAccount('gho_globex', GLOBEX);
+
+    await service.setProjectAccount(1, '101');
+
+    expect(await service.getProjectAccountId(1)).toBe('101');
+    expect(await service.getToken({ projectId: 1 })).toBe('gho_acme');
+    expect(await service.getToken({ dir: '/sites/docs-acme' })).toBe('gho_acme');
+    // Projects without a choice follow the default account
+    expect(await service.getToken({ projectId: 2 })).toBe('gho_globex');
+    expect(await service.getToken({ dir: '/sites/blog' })).toBe('gho_globex');
+
+    await service.setProjectAccount(1, null);
+    expect(await service.getToken({ projectId: 1 })).toBe('gho_globex');
+    await expect(service.setProjectAccount(99, '101')).rejects.toThrow('Project not found');
+  });
+
+  it('reads only the keychain entry of the resolved account', async () => {
+    await service.addAccount('gho_acme', ACME);
+    await service.addAccount('gho_globex', GLOBEX);
+    await service.setProjectAccount(1, '101');
+    tokenService.listAccountIds.mockClear();
+    tokenService.getToken.mockClear();
+
+    expect(await service.getToken({ projectId: 1 })).toBe('gho_acme');
+    expect(await service.getToken({ dir: '/sites/blog' })).toBe('gho_globex');
+
+    expect(tokenService.listAccountIds).not.toHaveBeenCalled();
+    expect(tokenService.getToken.mock.calls.map(([accountId]) => accountId)).toEqual(['101', '202']);
+  });
+
+  it('unlinks a removed account from projects and promotes another default', async () => {
+    await service.addAccount('gho_acme', ACME);
+    await service.addAccount('gho_globex', GLOBEX);
+    await service.setProjectAccount(1, '202');
+
+    const next = await service.removeAccount('202');
+
+    expect(next).toMatchObject({ id: '101', active: true });
+    expect(tokenService.tokens.has('202')).toBe(false);
+    expect(databaseManager.projects[0].githubAccountId).toBeNull();
+    expect(await service.getToken({ projectId: 1 })).toBe('gho_acme');
+  });
+
+  it('namespaces accounts of other git hosts and builds their git credentials', async () => {
+    await service.addAccount('gho_acme', ACME);
+    await service.addAccount('gho_enterprise', ACME, GitHostProviderFactory.createProvider(ENTERPRISE));
+    const gitea = GitHostProviderFactory.createProvider({ type: 'generic', baseUrl: 'https://gitea.acme.test' });
+    await service.addAccount('s3cret', await gitea.getUserInfo('s3cret', { username: 'ana' }), gitea);
+
+    const accounts = await service.listAccounts();
+    expect(accounts.map(account => account.id)).toEqual(['gitea.acme.test:ana', 'github.acme.test:101', '101']);
+    expect(accounts[1].host).toEqual({ type: 'github-enterprise', baseUrl: 'https://github.acme.test', clientId: 'Iv1acmeclient' });
+
+    expect(await service.getGitAuth(await service.resolveAccount())).toEqual({ username: 'ana', password: 's3cret' });
+    await service.setProjectAccount(1, 'github.acme.test:101');
+    expect(await service.getGitAuth(await service.resolveAccount({ projectId: 1 }))).toEqual({ username: 'gho_enterprise', password: 'x-oauth-basic' });
+    await service.setActiveAccount('101');
+    expect(await service.getGitAuth(await service.resolveAccount({ projectId: 2 }))).toEqual({ username: 'gho_acme', password: 'x-oauth-basic' });
+  });
+
+  it('builds an API client for the default account and lists the owners it can create repositories for', async () => {
+    await expect(service.getApiClient()).rejects.toThrow('Entre com uma conta GitHub');
+
+    await service.addAccount('gho_acme', ACME);
+    const octokit = {
+      rest: { orgs: { listForAuthenticatedUser: vi.fn().mockResolvedValue({ data: [{ login: 'acme' }] }) } }
+    };
+    const provider = { supportsApi: () => true, getLabel: () => 'GitHub', isValidToken: () => true, createApiClient: vi.fn().mockResolvedValue(octokit) };
+    vi.spyOn(service, 'getProvider').mockReturnValue(provider);
+
+    await expect(service.listOwners()).resolves.toEqual([
+      { login: 'ana-acme', type: 'User' },
+      { login: 'acme', type: 'Organization' }
+    ]);
+    expect(provider.createApiClient).toHaveBeenCalledWith('gho_acme');
+
+    provider.supportsApi = () => false;
+    await expect(service.getApiClient()).rejects.toThrow('GitHub não oferece a API necessária');
+  });
+});
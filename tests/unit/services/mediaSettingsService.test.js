@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests for the media optimization settings stored on projects
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  MediaSettingsService,
+  defaultMediaSettings,
+  normalizeMediaSettings
+} = require('../../../src/services/mediaSettingsService.js');
+
+describe('normalizeMediaSettings', () => {
+  it('keeps valid stored values and defaults the rest', () => {
+    expect(normalizeMediaSettings(null)).toEqual(defaultMediaSettings());
+    expect(normalizeMediaSettings('not json')).toEqual(defaultMediaSettings());
+    expect(normalizeMediaSettings(JSON.stringify({ format: 'webp', quality: 500, maxDimension: 1600 }))).toEqual({
+      ...defaultMediaSettings(),
+      format: 'webp',
+      maxDimension: 1600
+    });
+  });
+});
+
+describe('MediaSettingsService', () => {
+  let rows;
+  let databaseManager;
+  let service;
+
+  beforeEach(() => {
+    rows = [
+      { id: 1, projectPath: '/sites', repoFolderName: 'docs', mediaSettings: JSON.stringify({ format: 'avif' }) },
+      { id: 2, projectPath: '/work/handbook', repoFolderName: null, mediaSettings: null }
+    ];
+    databaseManager = {
+      get: vi.fn(async (sql, params) => rows.find(row => row.id === Number(params[0])) || null),
+      all: vi.fn(async () => rows),
+      run: vi.fn(async (sql, params) => {
+        const row = rows.find(candidate => candidate.id === Number(params[1]));
+        if (row) {
+          row.mediaSettings = params[0];
+        }
+        return { id: 0, changes: row ? 1 : 0 };
+      })
+    };
+    service = new MediaSettingsService({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      databaseManager
+    });
+  });
+
+  it('reads the settings of a project by ID and by repository directory', async () => {
+    expect((await service.getForProject(1)).format).toBe('avif');
+    expect(await service.getForPath('/work/handbook')).toEqual(defaultMediaSettings());
+    expect((await service.getForPath('/sites/docs')).format).toBe('avif');
+    await expect(service.getForProject(9)).rejects.toThrow('Project not found');
+  });
+
+  it('validates and stores changes', async () => {
+    const settings = await service.setForProject(2, { maxDimension: 1024, stripGps: false });
+
+    expect(settings).toEqual({ ...defaultMediaSettings(), maxDimension: 1024, stripGps: false });
+    expect(JSON.parse(rows[1].mediaSettings)).toEqual(settings);
+    await expect(service.setForProject(2, { quality: 0 })).rejects.toThrow('quality deve estar entre 1 e 100');
+    await expect(service.setForProject(2, { format: 'gif' })).rejects.toThrow('Valor inválido para format: gif');
+  });
+});
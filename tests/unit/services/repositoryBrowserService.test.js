@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Tests for the repository picker listing, search and Documental site detection
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { RepositoryBrowserService } = require('../../../src/services/repositoryBrowserService.js');
+
+const ACCOUNT = { id: '101', login: 'octocat' };
+
+/**
+ * Repository as returned by the REST API
+ * @param {string} owner - Owner login
+ * @param {string} name - Repository name
+ * @param {Object} [overrides] - Extra fields
+ * @returns {Object} Repository
+ */
+function apiRepo(owner, name, overrides = {}) {
+  return {
+    full_name: `${owner}/${name}`,
+    name,
+    owner: { login: owner },
+    description: null,
+    private: false,
+    visibility: 'public',
+    pushed_at: '2026-03-01T12:00:00Z',
+    clone_url: `https://github.com/${owner}/${name}.git`,
+    html_url: `https://github.com/${owner}/${name}`,
+    default_branch: 'main',
+    ...overrides
+  };
+}
+
+/**
+ * Tree response with the given blob paths
+ * @param {string[]} paths - File paths
+ * @returns {Object} getTree response
+ */
+function tree(paths) {
+  return { data: { tree: paths.map(path => ({ path, type: 'blob' })) } };
+}
+
+describe('RepositoryBrowserService', () => {
+  let octokit;
+  let service;
+
+  beforeEach(() => {
+    octokit = {
+      rest: {
+        repos: {
+          listForAuthenticatedUser: vi.fn(),
+          listForOrg: vi.fn(),
+          getContent: vi.fn().mockResolvedValue({ data: { type: 'file' } })
+        },
+        orgs: { listForAuthenticatedUser: vi.fn().mockResolvedValue({ data: [{ login: 'acme' }] }) },
+        search: { repos: vi.fn() },
+        git: { getTree: vi.fn().mockResolvedValue(tree(['README.md'])) }
+      }
+    };
+    service = new RepositoryBrowserService({
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      accountService: { getApiClient: vi.fn().mockResolvedValue({ account: ACCOUNT, octokit }) }
+    });
+  });
+
+  it('lists user and organization repositories page by page and flags Documental sites', async () => {
+    octokit.rest.repos.listForAuthenticatedUser.mockResolvedValue({
+      data: [apiRepo('acme', 'docs', { private: true, visibility: 'private' }), apiRepo('octocat', 'dotfiles')],
+      headers: { link: '<https://api.github.com/user/repos?page=3>; rel="next"' }
+    });
+    octokit.rest.git.getTree.mockImplementation(async () => tree(['astro.config.mjs', 'package.json']));
+    octokit.rest.repos.getContent.mockImplementation(async ({ repo }) => {
+      if (repo !== 'docs') {
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      }
+      return { data: { type: 'file' } };
+    });
+
+    const result = await service.listRepositories({ page: 2 });
+
+    expect(octokit.rest.repos.listForAuthenticatedUser).toHaveBeenCalledWith({
+      sort: 'pushed', per_page: 30, page: 2, affiliation: 'owner,collaborator,organization_member'
+    });
+    expect(result.page).toBe(2);
+    expect(result.hasMore).toBe(true);
+    expect(result.repositories).toEqual([
+      expect.objectContaining({ fullName: 'acme/docs', visibility: 'private', pushedAt: '2026-03-01T12:00:00Z', isDocumentalSite: true }),
+      expect.objectContaining({ fullName: 'octocat/dotfiles', cloneUrl: 'https://github.com/octocat/dotfiles.git', isDocumentalSite: false })
+    ]);
+    // Only the root tree and the CMS config are requested, never the whole tree
+    expect(octokit.rest.git.getTree).toHaveBeenCalledWith({ owner: 'acme', repo: 'docs', tree_sha: 'main' });
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'acme', repo: 'docs', path: 'public/admin/config.yml', ref: 'main' });
+  });
+
+  it('lists the repositories of one organization', async () => {
+    octokit.rest.repos.listForOrg.mockResolvedValue({ data: [apiRepo('acme', 'handbook')], headers: {} });
+
+    const result = await service.listRepositories({ owner: 'acme' });
+
+    expect(octokit.rest.repos.listForOrg).toHaveBeenCalledWith(expect.objectContaining({ org: 'acme', type: 'all' }));
+    expect(result.hasMore).toBe(false);
+  });
+
+  it('searches by name across the user and their organizations', async () => {
+    octokit.rest.search.repos.mockResolvedValue({ data: { total_count: 45, items: [apiRepo('acme', 'docs')] } });
+
+    const result = await service.listRepositories({ query: 'docs' });
+
+    expect(octokit.rest.search.repos).toHaveBeenCalledWith(expect.objectContaining({
+      q: 'docs in:name fork:true user:octocat org:acme',
+      page: 1
+    }));
+    expect(result.hasMore).toBe(true);
+  });
+
+  it('treats empty repositories as non-sites and caches the detection until the next push', async () => {
+    const empty = Object.assign(new Error('Git Repository is empty.'), { status: 409 });
+    octokit.rest.git.getTree.mockRejectedValue(empty);
+    octokit.rest.repos.listForAuthenticatedUser.mockResolvedValue({ data: [apiRepo('octocat', 'new')], headers: {} });
+
+    await service.listRepositories();
+    const result = await service.listRepositories();
+
+    expect(result.repositories[0].isDocumentalSite).toBe(false);
+    expect(octokit.rest.git.getTree).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for SettingsService schema, defaults and persistence
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SettingsService, SETTINGS_SCHEMA } from '../../../src/main/services/settingsService.js';
+
+/**
+ * Minimal in-memory stand-in for the settings table
+ * @returns {Object} Database manager double
+ */
+function createDatabaseManager() {
+  const rows = new Map();
+  return {
+    rows,
+    all: vi.fn(async () => Array.from(rows, ([key, value]) => ({ key, value }))),
+    run: vi.fn(async (sql, params) => {
+      if (sql.startsWith('INSERT')) {
+        rows.set(params[0], params[1]);
+        return { id: rows.size, changes: 1 };
+      }
+      if (sql.startsWith('DELETE')) {
+        params.forEach(key => rows.delete(key));
+        return { id: 0, changes: params.length };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    })
+  };
+}
+
+describe('SettingsService', () => {
+  let service;
+  let databaseManager;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    databaseManager = createDatabaseManager();
+    service = new SettingsService({ logger: mockLogger, databaseManager });
+  });
+
+  describe('getAll', () => {
+    it('should return nested defaults when nothing is stored', async () => {
+      const settings = await service.getAll();
+
+      expect(settings).toEqual({
+        theme: 'dark',
+        autoUpdate: true,
+        defaultView: 'split',
+        autoPublish: false,
+        autoPublishDelay: 60,
+        defaultBranch: 'preview',
+        cacheLevel: 'aggressive',
+        terminalShell: 'bash',
+        notifications: { updates: true, publish: true, errors: false }
+      });
+    });
+
+    it('should overlay stored values on top of defaults', async () => {
+      databaseManager.rows.set('defaultView', JSON.stringify('editor'));
+      databaseManager.rows.set('notifications.errors', JSON.stringify(true));
+
+      const settings = await service.getAll();
+
+      expect(settings.defaultView).toBe('editor');
+      expect(settings.notifications.errors).toBe(true);
+      expect(settings.notifications.updates).toBe(true);
+    });
+
+    it('should ignore unknown keys and invalid stored values', async () => {
+      databaseManager.rows.set('legacy', JSON.stringify('x'));
+      databaseManager.rows.set('theme', JSON.stringify('neon'));
+      databaseManager.rows.set('autoPublish', 'not-json');
+
+      const settings = await service.getAll();
+
+      expect(settings).not.toHaveProperty('legacy');
+      expect(settings.theme).toBe('dark');
+      expect(settings.autoPublish).toBe(false);
+      expect(mockLogger.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('get', () => {
+    it('should read a single dotted key', async () => {
+      databaseManager.rows.set('defaultBranch', JSON.stringify('stage'));
+
+      expect(await service.get('defaultBranch')).toBe('stage');
+      expect(await service.get('notifications.publish')).toBe(true);
+    });
+
+    it('should reject unknown keys', async () => {
+      await expect(service.get('nope')).rejects.toThrow('Unknown setting: nope');
+    });
+  });
+
+  describe('set', () => {
+    it('should persist nested partial settings as dotted keys', async () => {
+      const settings = await service.set({ autoPublish: true, notifications: { errors: true } });
+
+      expect(databaseManager.rows.get('autoPublish')).toBe('true');
+      expect(databaseManager.rows.get('notifications.errors')).toBe('true');
+      expect(settings.autoPublish).toBe(true);
+      expect(settings.notifications.errors).toBe(true);
+    });
+
+    it('should reject values of the wrong type', async () => {
+      await expect(service.set({ autoUpdate: 'yes' })).rejects.toThrow('autoUpdate');
+      expect(databaseManager.run).not.toHaveBeenCalled();
+    });
+
+    it('should reject values outside the allowed list', async () => {
+      await expect(service.set({ defaultView: 'grid' })).rejects.toThrow('defaultView');
+    });
+
+    it('should reject branch names git would not accept', async () => {
+      await expect(service.set({ defaultBranch: 'my branch' })).rejects.toThrow('defaultBranch');
+      for (const name of ['a..b', '..', '-preview', '.preview', 'preview.', 'preview.lock', 'HEAD']) {
+        await expect(service.set({ defaultBranch: name })).rejects.toThrow('defaultBranch');
+      }
+      expect(databaseManager.run).not.toHaveBeenCalled();
+      const settings = await service.set({ defaultBranch: 'release-1.2_rc' });
+      expect(settings.defaultBranch).toBe('release-1.2_rc');
+    });
+
+    it('should reject auto-publish delays outside the allowed range', async () => {
+      await expect(service.set({ autoPublishDelay: 5 })).rejects.toThrow('autoPublishDelay');
+      await expect(service.set({ autoPublishDelay: 30.5 })).rejects.toThrow('autoPublishDelay');
+      const settings = await service.set({ autoPublishDelay: 120 });
+      expect(settings.autoPublishDelay).toBe(120);
+    });
+
+    it('should reject unknown keys without writing anything', async () => {
+      await expect(service.set({ theme: 'light', unknown: 1 })).rejects.toThrow('unknown');
+      expect(databaseManager.rows.size).toBe(0);
+    });
+  });
+
+  describe('reset', () => {
+    it('should delete every schema key and return defaults', async () => {
+      await service.set({ theme: 'light' });
+
+      const settings = await service.reset();
+
+      expect(databaseManager.rows.size).toBe(0);
+      expect(settings).toEqual(service.getDefaults());
+      const [, params] = databaseManager.run.mock.calls.at(-1);
+      expect(params).toEqual(Object.keys(SETTINGS_SCHEMA));
+    });
+  });
+});
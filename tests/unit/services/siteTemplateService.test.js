@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests for creating site repositories from templates
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { SiteTemplateService } = require('../../../src/services/siteTemplateService.js');
+
+const ACCOUNT = { id: 'github.com:101', login: 'octocat', host: 'github.com' };
+
+const CREATED_REPO = {
+  full_name: 'acme/docs',
+  html_url: 'https://github.com/acme/docs',
+  clone_url: 'https://github.com/acme/docs.git',
+  default_branch: 'main',
+  private: true
+};
+
+/**
+ * HTTP error as thrown by Octokit
+ * @param {number} status - Response status
+ * @returns {Error} Error with status
+ */
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+describe('SiteTemplateService', () => {
+  let logger;
+  let octokit;
+  let accountService;
+  let service;
+
+  beforeEach(() => {
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    octokit = {
+      rest: {
+        repos: {
+          createUsingTemplate: vi.fn().mockResolvedValue({ data: CREATED_REPO }),
+          getBranch: vi.fn().mockResolvedValue({ data: { commit: { sha: 'abc123' } } })
+        },
+        git: { createRef: vi.fn().mockResolvedValue({ data: {} }) }
+      }
+    };
+    accountService = {
+      getApiClient: vi.fn().mockResolvedValue({ account: ACCOUNT, octokit })
+    };
+    service = new SiteTemplateService({
+      logger,
+      accountService,
+      settingsService: { get: vi.fn().mockResolvedValue('preview') },
+      sleep: vi.fn().mockResolvedValue()
+    });
+  });
+
+  it('generates the repository from the template and branches preview off the default branch', async () => {
+    const site = await service.createFromTemplate({ templateId: 'docs', owner: 'acme', name: 'docs', isPrivate: false });
+
+    expect(octokit.rest.repos.createUsingTemplate).toHaveBeenCalledWith({
+      template_owner: 'documental',
+      template_repo: 'template-astro-sveltia-docs',
+      owner: 'acme',
+      name: 'docs',
+      description: '',
+      private: false,
+      include_all_branches: false
+    });
+    expect(octokit.rest.git.createRef).toHaveBeenCalledWith({ owner: 'acme', repo: 'docs', ref: 'refs/heads/preview', sha: 'abc123' });
+    expect(site).toEqual({
+      fullName: 'acme/docs',
+      htmlUrl: 'https://github.com/acme/docs',
+      cloneUrl: 'https://github.com/acme/docs.git',
+      defaultBranch: 'main',
+      previewBranch: 'preview',
+      private: true
+    });
+  });
+
+  it('waits until GitHub has copied the template before creating the branch', async () => {
+    octokit.rest.repos.getBranch
+      .mockRejectedValueOnce(httpError(404))
+      .mockRejectedValueOnce(httpError(409));
+
+    await service.createFromTemplate({ templateId: 'blank', name: 'docs' });
+
+    expect(octokit.rest.repos.getBranch).toHaveBeenCalledTimes(3);
+    expect(service.sleep).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.repos.createUsingTemplate).toHaveBeenCalledWith(expect.objectContaining({ owner: 'octocat', private: true }));
+  });
+
+  it('accepts a preview branch that already came with the template', async () => {
+    octokit.rest.git.createRef.mockRejectedValue(httpError(422));
+
+    await expect(service.createFromTemplate({ templateId: 'docs', name: 'docs' })).resolves.toMatchObject({ previewBranch: 'preview' });
+  });
+
+  it('rejects unknown templates and invalid names before calling the API', async () => {
+    await expect(service.createFromTemplate({ templateId: 'nope', name: 'docs' })).rejects.toThrow('Modelo de site desconhecido');
+    await expect(service.createFromTemplate({ templateId: 'docs', name: 'meu site' })).rejects.toThrow('Nome do repositório inválido');
+    expect(octokit.rest.repos.createUsingTemplate).not.toHaveBeenCalled();
+  });
+});
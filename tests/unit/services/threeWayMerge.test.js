@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for the line-based three-way merge and front matter merging
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  mergeText,
+  splitFrontMatter,
+  mergeFrontMatter,
+  mergeDocument,
+  resolveDocument
+} from '../../../src/main/services/threeWayMerge.js';
+
+describe('mergeText', () => {
+  it('merges edits to different lines cleanly', () => {
+    const base = 'a\nb\nc\nd\ne\n';
+    const ours = 'A\nb\nc\nd\ne\n';
+    const theirs = 'a\nb\nc\nd\nE\n';
+
+    const result = mergeText(base, ours, theirs);
+
+    expect(result.clean).toBe(true);
+    expect(resolveDocument({ hunks: result.hunks, frontMatter: null })).toBe('A\nb\nc\nd\nE\n');
+  });
+
+  it('accepts the same edit made on both sides', () => {
+    const result = mergeText('a\nb\n', 'a\nB\n', 'a\nB\n');
+
+    expect(result.clean).toBe(true);
+    expect(resolveDocument({ hunks: result.hunks, frontMatter: null })).toBe('a\nB\n');
+  });
+
+  it('reports overlapping edits as a conflict hunk', () => {
+    const result = mergeText('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n');
+
+    expect(result.clean).toBe(false);
+    const conflicts = result.hunks.filter(hunk => hunk.type === 'conflict');
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ base: 'b\n', ours: 'ours\n', theirs: 'theirs\n' });
+  });
+
+  it('treats a file added on both sides with different content as a conflict', () => {
+    const result = mergeText('', 'one\n', 'two\n');
+
+    expect(result.clean).toBe(false);
+  });
+});
+
+describe('resolveDocument', () => {
+  const document = {
+    frontMatter: null,
+    hunks: mergeText('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n').hunks
+  };
+  const id = document.hunks.find(hunk => hunk.type === 'conflict').id;
+
+  it.each([
+    ['ours', 'a\nours\nc\n'],
+    ['theirs', 'a\ntheirs\nc\n'],
+    ['base', 'a\nb\nc\n'],
+    ['both', 'a\nours\ntheirs\nc\n']
+  ])('applies the %s choice', (choice, expected) => {
+    expect(resolveDocument(document, { hunks: { [id]: choice } })).toBe(expected);
+  });
+
+  it('throws when a conflict has no choice', () => {
+    expect(() => resolveDocument(document, {})).toThrow(/Conflito não resolvido/);
+  });
+});
+
+describe('front matter', () => {
+  it('splits front matter from the body', () => {
+    expect(splitFrontMatter('---\ntitle: A\n---\nBody\n')).toEqual({ frontMatter: 'title: A\n', body: 'Body\n' });
+    expect(splitFrontMatter('Body only\n')).toEqual({ frontMatter: null, body: 'Body only\n' });
+  });
+
+  it('merges different fields edited on each side', () => {
+    const result = mergeFrontMatter('title: A\ndate: 1\n', 'title: B\ndate: 1\n', 'title: A\ndate: 2\n');
+
+    expect(result.clean).toBe(true);
+    expect(result.fields.map(field => field.text)).toEqual(['title: B\n', 'date: 2\n']);
+  });
+
+  it('keeps multi-line values together with their key', () => {
+    const base = 'tags:\n  - a\ntitle: A\n';
+    const result = mergeFrontMatter(base, 'tags:\n  - a\n  - b\ntitle: A\n', 'tags:\n  - a\ntitle: C\n');
+
+    expect(result.clean).toBe(true);
+    expect(result.fields).toEqual([
+      { key: 'tags', type: 'ok', text: 'tags:\n  - a\n  - b\n' },
+      { key: 'title', type: 'ok', text: 'title: C\n' }
+    ]);
+  });
+
+  it('reports the same field edited on both sides as a conflict', () => {
+    const result = mergeFrontMatter('title: A\n', 'title: B\n', 'title: C\n');
+
+    expect(result.clean).toBe(false);
+    expect(result.fields[0]).toMatchObject({ key: 'title', type: 'conflict', ours: 'title: B\n', theirs: 'title: C\n' });
+  });
+});
+
+describe('mergeDocument', () => {
+  const base = '---\ntitle: Old\ndraft: true\n---\nIntro\n\nBody\n';
+
+  it('merges markdown front matter field by field and the body line by line', () => {
+    const ours = '---\ntitle: New\ndraft: true\n---\nIntro\n\nBody\n';
+    const theirs = '---\ntitle: Old\ndraft: false\n---\nIntro\n\nBody edited\n';
+
+    const document = mergeDocument('src/content/posts/a.md', base, ours, theirs);
+
+    expect(document.clean).toBe(true);
+    expect(resolveDocument(document)).toBe('---\ntitle: New\ndraft: false\n---\nIntro\n\nBody edited\n');
+  });
+
+  it('resolves front matter and body conflicts independently', () => {
+    const ours = '---\ntitle: Mine\ndraft: true\n---\nIntro\n\nMy body\n';
+    const theirs = '---\ntitle: Yours\ndraft: true\n---\nIntro\n\nYour body\n';
+
+    const document = mergeDocument('post.mdx', base, ours, theirs);
+    const hunk = document.hunks.find(entry => entry.type === 'conflict');
+
+    expect(document.clean).toBe(false);
+    expect(resolveDocument(document, { fields: { title: 'theirs' }, hunks: { [hunk.id]: 'ours' } }))
+      .toBe('---\ntitle: Yours\ndraft: true\n---\nIntro\n\nMy body\n');
+  });
+
+  it('merges non-markdown files as plain text', () => {
+    const document = mergeDocument('config.yml', 'a: 1\n', 'a: 2\n', 'a: 3\n');
+
+    expect(document.frontMatter).toBeNull();
+    expect(document.clean).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Tests for TokenHealthService checks, scope verification and re-authentication
+ * @author Documental Team
+ * @since 1.0.0
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { TokenHealthService, FRESH_CHECK_MS } = require('../../../src/services/tokenHealthService.js');
+const { GitHubHostAdapter, findMissingScopes } = require('../../../src/main/adapters/GitHubHostAdapter.js');
+const { GitOperations } = require('../../../src/ipc/gitOperations.js');
+
+const ACCOUNT = { id: '101', login: 'octocat', host: { type: 'github', baseUrl: null, clientId: null } };
+
+describe('TokenHealthService', () => {
+  let logger;
+  let provider;
+  let accountService;
+  let clock;
+
+  const createService = (overrides = {}) => new TokenHealthService({
+    logger,
+    accountService,
+    now: () => clock,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    clock = Date.parse('2026-01-01T10:00:00Z');
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    provider = {
+      getLabel: () => 'GitHub',
+      supportsDeviceFlow: () => true,
+      verifyToken: vi.fn().mockResolvedValue({ status: 'valid', scopes: ['repo', 'user:email'], missingScopes: [] })
+    };
+    accountService = {
+      listAccounts: vi.fn().mockResolvedValue([ACCOUNT]),
+      resolveAccount: vi.fn().mockResolvedValue(ACCOUNT),
+      getProvider: vi.fn(() => provider),
+      getAccountToken: vi.fn().mockResolvedValue('gho_token')
+    };
+  });
+
+  it('records and broadcasts the state of every account', async () => {
+    const notify = vi.fn();
+    const service = createService({ notify });
+
+    const [health] = await service.checkAll();
+
+    expect(provider.verifyToken).toHaveBeenCalledWith('gho_token');
+    expect(health).toMatchObject({ accountId: '101', login: 'octocat', host: 'GitHub', status: 'valid', canReauthenticate: true });
+    expect(notify).toHaveBeenCalledWith(health);
+    expect(service.getAll()).toEqual([health]);
+
+    service.forget('101');
+    expect(service.getAll()).toEqual([]);
+  });
+
+  it('treats a missing token as revoked', async () => {
+    accountService.getAccountToken.mockResolvedValue(null);
+    const service = createService();
+
+    const health = await service.checkAccount(ACCOUNT);
+
+    expect(health.status).toBe('revoked');
+    expect(provider.verifyToken).not.toHaveBeenCalled();
+  });
+
+  it('reuses a recent healthy check before git operations', async () => {
+    const service = createService();
+    await service.checkAccount(ACCOUNT);
+
+    clock += FRESH_CHECK_MS - 1;
+    expect(await service.ensureHealthy(ACCOUNT)).toBe(true);
+    expect(provider.verifyToken).toHaveBeenCalledTimes(1);
+
+    clock += 2;
+    expect(await service.ensureHealthy(ACCOUNT)).toBe(true);
+    expect(provider.verifyToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('signs the account in again once when its token was revoked', async () => {
+    provider.verifyToken
+      .mockResolvedValueOnce({ status: 'revoked', scopes: [], missingScopes: [] })
+      .mockResolvedValue({ status: 'valid', scopes: ['repo', 'user'], missingScopes: [] });
+    const reauthenticate = vi.fn().mockResolvedValue(true);
+    const service = createService({ reauthenticate });
+
+    const results = await Promise.all([service.ensureHealthy(ACCOUNT), service.ensureHealthy(ACCOUNT)]);
+
+    expect(results).toEqual([true, true]);
+    expect(reauthenticate).toHaveBeenCalledTimes(1);
+    expect(reauthenticate).toHaveBeenCalledWith(ACCOUNT);
+    expect(service.getAll()[0].status).toBe('valid');
+  });
+
+  it('reports failure when the account cannot or does not sign in again', async () => {
+    provider.verifyToken.mockResolvedValue({ status: 'missing-scopes', scopes: ['user:email'], missingScopes: ['repo'] });
+    const reauthenticate = vi.fn().mockResolvedValue(false);
+
+    expect(await createService({ reauthenticate }).ensureHealthy(ACCOUNT)).toBe(false);
+    expect(reauthenticate).toHaveBeenCalledTimes(1);
+
+    provider.supportsDeviceFlow = () => false;
+    reauthenticate.mockClear();
+    expect(await createService({ reauthenticate }).ensureHealthy(ACCOUNT)).toBe(false);
+    expect(reauthenticate).not.toHaveBeenCalled();
+  });
+
+  it('keeps git operations from running with a token the user did not renew', async () => {
+    provider.verifyToken.mockResolvedValue({ status: 'revoked', scopes: [], missingScopes: [] });
+    accountService.getGitAuth = vi.fn().mockResolvedValue({ username: 'gho_token', password: 'x-oauth-basic' });
+    const reauthenticate = vi.fn().mockResolvedValue(false);
+    const gitOps = new GitOperations({ logger, accountService, tokenHealth: createService({ reauthenticate }) });
+
+    await expect(gitOps.getGitAuth('/projects/docs')).rejects.toThrow('A conta octocat precisa ser reautenticada');
+    expect(reauthenticate).toHaveBeenCalledWith(ACCOUNT);
+    expect(accountService.getGitAuth).not.toHaveBeenCalled();
+  });
+
+  it('never prompts from isHealthy and lets unknown states through', async () => {
+    const reauthenticate = vi.fn();
+    provider.verifyToken.mockResolvedValue({ status: 'unknown', scopes: [], missingScopes: [] });
+    const service = createService({ reauthenticate });
+
+    expect(await service.isHealthy()).toBe(true);
+
+    provider.verifyToken.mockResolvedValue({ status: 'revoked', scopes: [], missingScopes: [] });
+    clock += FRESH_CHECK_MS;
+    expect(await service.isHealthy()).toBe(false);
+    expect(reauthenticate).not.toHaveBeenCalled();
+  });
+});
+
+describe('GitHubHostAdapter.verifyToken', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new GitHubHostAdapter();
+  });
+
+  it('compares the X-OAuth-Scopes header with the requested scopes', async () => {
+    vi.spyOn(adapter, 'requestAuthenticatedUser').mockResolvedValue({ data: {}, headers: { 'x-oauth-scopes': 'repo, user' } });
+    expect(await adapter.verifyToken('gho_token')).toEqual({ status: 'valid', scopes: ['repo', 'user'], missingScopes: [] });
+
+    adapter.requestAuthenticatedUser.mockResolvedValue({ data: {}, headers: { 'x-oauth-scopes': 'user:email' } });
+    expect(await adapter.verifyToken('gho_token')).toEqual({ status: 'missing-scopes', scopes: ['user:email'], missingScopes: ['repo'] });
+  });
+
+  it('accepts tokens without scope header and tells revoked tokens from network errors', async () => {
+    vi.spyOn(adapter, 'requestAuthenticatedUser').mockResolvedValue({ data: {}, headers: {} });
+    expect((await adapter.verifyToken('github_pat_token')).status).toBe('valid');
+
+    adapter.requestAuthenticatedUser.mockRejectedValue(Object.assign(new Error('Bad credentials'), { status: 401 }));
+    expect((await adapter.verifyToken('gho_token')).status).toBe('revoked');
+
+    adapter.requestAuthenticatedUser.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.github.com'));
+    expect((await adapter.verifyToken('gho_token')).status).toBe('unknown');
+  });
+
+  it('counts broader scopes as granting narrower ones', () => {
+    expect(findMissingScopes(['user:email', 'repo'], ['user', 'repo'])).toEqual([]);
+    expect(findMissingScopes(['user:email', 'repo'], ['public_repo'])).toEqual(['user:email', 'repo']);
+  });
+});